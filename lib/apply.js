@@ -0,0 +1,986 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Declarative apply of an infrastructure manifest (see sdc-apply)
+ *
+ * A manifest, in YAML or JSON, describes the machines, firewall rules and
+ * fabric VLANs and networks an account should have:
+ *
+ *      vlans:
+ *        - vlan_id: 10
+ *          name: backend
+ *          networks:
+ *            - name: backend-net
+ *              subnet: 10.10.0.0/24
+ *              provision_start_ip: 10.10.0.10
+ *              provision_end_ip: 10.10.0.250
+ *      fwrules:
+ *        - rule: FROM any TO tag role = web ALLOW tcp PORT 443
+ *      machines:
+ *        - name: web0
+ *          image: base-64-lts
+ *          package: g4-highcpu-1G
+ *          networks: [external, backend-net]
+ *          firewall_enabled: true
+ *          tags: {role: web}
+ *          metadata: {env: prod}
+ *
+ * Machines are identified by name, VLANs by vlan_id, networks by VLAN and
+ * name, and firewall rules by their rule text. createPlan compares the
+ * manifest with what the list APIs return and works out the actions that
+ * converge the two; applyPlan carries them out.
+ *
+ * What can be changed in place: a machine's package (by resizing it),
+ * firewall, tags (the manifest's are the complete set) and metadata (only
+ * the keys the manifest gives are managed); a firewall rule's enabled flag
+ * and description; a VLAN's name and description. A machine's image or
+ * networks, and a fabric network, can't be changed: differences there are
+ * reported as plan errors. Resources missing from the manifest are only
+ * deleted with the `prune` option, and only for the sections (machines,
+ * fwrules, vlans) the manifest has.
+ */
+
+var assert = require('assert-plus');
+var fs = require('fs');
+var path = require('path');
+var vasync = require('vasync');
+var yaml = require('js-yaml');
+
+
+
+// --- Globals
+
+
+
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/*
+ * The fields each kind of manifest entry may have, with their types (a
+ * trailing "!" marks required fields).
+ */
+var SCHEMAS = {
+    machine: {
+        name: 'string!',
+        image: 'string!',
+        'package': 'string!',
+        networks: 'array',
+        firewall_enabled: 'boolean',
+        tags: 'object',
+        metadata: 'object'
+    },
+    fwrule: {
+        rule: 'string!',
+        enabled: 'boolean',
+        description: 'string'
+    },
+    vlan: {
+        vlan_id: 'number!',
+        name: 'string!',
+        description: 'string',
+        networks: 'array'
+    },
+    network: {
+        name: 'string!',
+        subnet: 'string!',
+        provision_start_ip: 'string!',
+        provision_end_ip: 'string!',
+        gateway: 'string',
+        resolvers: 'array',
+        routes: 'object',
+        internet_nat: 'boolean',
+        description: 'string'
+    }
+};
+
+// Fabric network fields compared with the manifest's.
+var NETWORK_FIELDS = [
+    'subnet', 'provision_start_ip', 'provision_end_ip', 'gateway',
+    'resolvers', 'routes', 'internet_nat', 'description'
+];
+
+var SECTIONS = {
+    machines: 'machine',
+    fwrules: 'fwrule',
+    vlans: 'vlan'
+};
+
+var OP_SIGNS = {
+    create: '+',
+    update: '~',
+    'delete': '-'
+};
+
+
+
+// --- Internal Helpers
+
+
+
+function _typeOf(value) {
+    if (Array.isArray(value)) {
+        return ('array');
+    }
+    if (value === null) {
+        return ('null');
+    }
+    return (typeof (value));
+}
+
+
+/*
+ * Checks a manifest entry against its schema, throwing an Error naming the
+ * entry (`where`, e.g. "machines[2]") on the first problem.
+ */
+function _checkEntry(entry, kind, where) {
+    var schema = SCHEMAS[kind];
+
+    if (_typeOf(entry) !== 'object') {
+        throw new Error(where + ': must be an object');
+    }
+
+    Object.keys(entry).forEach(function (k) {
+        if (!schema.hasOwnProperty(k)) {
+            throw new Error(where + ': unknown field "' + k + '"');
+        }
+    });
+
+    Object.keys(schema).forEach(function (k) {
+        var type = schema[k].replace(/!$/, '');
+        if (entry[k] === undefined) {
+            if (schema[k] !== type) {
+                throw new Error(where + ': "' + k + '" is required');
+            }
+            return;
+        }
+        if (_typeOf(entry[k]) !== type) {
+            throw new Error(where + ': "' + k + '" must be a ' +
+                (type === 'array' ? 'list' : type));
+        }
+    });
+}
+
+
+function _checkUnique(entries, field, where) {
+    var seen = {};
+    entries.forEach(function (e, i) {
+        if (seen[e[field]]) {
+            throw new Error(where + '[' + i + ']: duplicate ' + field + ' "' +
+                e[field] + '"');
+        }
+        seen[e[field]] = true;
+    });
+}
+
+
+/*
+ * Firewall rules are matched on their text, ignoring case, quotes and
+ * spacing, as CloudAPI may hand them back reformatted.
+ */
+function _ruleKey(rule) {
+    return (rule.replace(/"/g, '').replace(/\s+/g, ' ').trim().toLowerCase());
+}
+
+
+function _equal(a, b) {
+    return (JSON.stringify(_sorted(a)) === JSON.stringify(_sorted(b)));
+}
+
+
+function _sorted(value) {
+    if (_typeOf(value) !== 'object') {
+        return (value);
+    }
+    var out = {};
+    Object.keys(value).sort().forEach(function (k) {
+        out[k] = _sorted(value[k]);
+    });
+    return (out);
+}
+
+
+function _show(value) {
+    return (value === undefined ? '(none)' : JSON.stringify(value));
+}
+
+
+/*
+ * Resolves an image id or name to an image, taking the most recently
+ * published one of a name.
+ */
+function _findImage(images, ref) {
+    if (UUID_RE.test(ref)) {
+        return (images.filter(function (i) {
+            return (i.id === ref);
+        })[0]);
+    }
+
+    return (images.filter(function (i) {
+        return (i.name === ref);
+    }).sort(function (a, b) {
+        return ((a.published_at || '') < (b.published_at || '') ? 1 : -1);
+    })[0]);
+}
+
+
+function _findByIdOrName(list, ref) {
+    return (list.filter(function (o) {
+        return (o.id === ref);
+    })[0] || list.filter(function (o) {
+        return (o.name === ref);
+    })[0]);
+}
+
+
+/*
+ * Fetches what the plan needs to know about the account: only the
+ * resources for the sections the manifest has.
+ */
+function _fetchLive(client, manifest, callback) {
+    var live = {};
+    var funcs = [];
+
+    function fetch(name, method, args) {
+        funcs.push(function (cb) {
+            client[method].apply(client, args.concat(function (err, res) {
+                live[name] = res;
+                cb(err);
+            }));
+        });
+    }
+
+    if (manifest.machines) {
+        fetch('machines', 'listAllMachines', [{}]);
+        fetch('images', 'listImages', [{}]);
+        fetch('packages', 'listPackages', []);
+        fetch('networks', 'listNetworks', []);
+    }
+    if (manifest.fwrules) {
+        fetch('fwrules', 'listFirewallRules', []);
+    }
+    if (manifest.vlans) {
+        fetch('vlans', 'listFabricVlans', []);
+        fetch('fabricNetworks', 'listFabricNetworks', [{}]);
+    }
+
+    vasync.parallel({funcs: funcs}, function (err) {
+        callback(err, live);
+    });
+}
+
+
+function _planVlans(manifest, live, prune, plan) {
+    var vlans = {};
+    live.vlans.forEach(function (v) {
+        vlans[v.vlan_id] = v;
+    });
+
+    function networksOf(vlanId) {
+        return (live.fabricNetworks.filter(function (n) {
+            return (n.vlan_id === vlanId);
+        }));
+    }
+
+    function deleteNetwork(n) {
+        plan.actions.push({
+            op: 'delete',
+            kind: 'network',
+            name: JSON.stringify(n.name),
+            vlan_id: n.vlan_id,
+            id: n.id
+        });
+    }
+
+    manifest.vlans.forEach(function (spec) {
+        var vlan = vlans[spec.vlan_id];
+        var desc = spec.vlan_id + ' "' + spec.name + '"';
+
+        if (!vlan) {
+            plan.actions.push({
+                op: 'create',
+                kind: 'vlan',
+                name: desc,
+                spec: spec
+            });
+        } else {
+            var changes = ['name', 'description'].filter(function (f) {
+                return (spec[f] !== undefined && spec[f] !== vlan[f]);
+            }).map(function (f) {
+                return ({field: f, from: vlan[f], to: spec[f]});
+            });
+            if (changes.length) {
+                plan.actions.push({
+                    op: 'update',
+                    kind: 'vlan',
+                    name: desc,
+                    spec: spec,
+                    changes: changes
+                });
+            }
+        }
+
+        var existing = (vlan ? networksOf(vlan.vlan_id) : []);
+        (spec.networks || []).forEach(function (netSpec) {
+            var net = existing.filter(function (n) {
+                return (n.name === netSpec.name);
+            })[0];
+
+            if (!net) {
+                plan.actions.push({
+                    op: 'create',
+                    kind: 'network',
+                    name: JSON.stringify(netSpec.name),
+                    vlan_id: spec.vlan_id,
+                    spec: netSpec
+                });
+                return;
+            }
+
+            NETWORK_FIELDS.forEach(function (f) {
+                if (netSpec[f] !== undefined && !_equal(netSpec[f], net[f])) {
+                    plan.errors.push('network "' + net.name + '" on VLAN ' +
+                        spec.vlan_id + ': ' + f + ' is ' + _show(net[f]) +
+                        ', not ' + _show(netSpec[f]) + ' (fabric networks ' +
+                        'can\'t be updated; delete it to have it recreated)');
+                }
+            });
+        });
+
+        if (prune) {
+            existing.filter(function (n) {
+                return (!(spec.networks || []).some(function (netSpec) {
+                    return (netSpec.name === n.name);
+                }));
+            }).forEach(deleteNetwork);
+        }
+    });
+
+    if (prune) {
+        live.vlans.filter(function (v) {
+            return (!manifest.vlans.some(function (spec) {
+                return (spec.vlan_id === v.vlan_id);
+            }));
+        }).forEach(function (v) {
+            networksOf(v.vlan_id).forEach(deleteNetwork);
+            plan.actions.push({
+                op: 'delete',
+                kind: 'vlan',
+                name: v.vlan_id + ' "' + v.name + '"',
+                vlan_id: v.vlan_id
+            });
+        });
+    }
+}
+
+
+function _planFwrules(manifest, live, prune, plan) {
+    var rules = {};
+    live.fwrules.forEach(function (r) {
+        rules[_ruleKey(r.rule)] = r;
+    });
+
+    manifest.fwrules.forEach(function (spec) {
+        var rule = rules[_ruleKey(spec.rule)];
+        var enabled = (spec.enabled !== false);
+
+        if (!rule) {
+            plan.actions.push({
+                op: 'create',
+                kind: 'fwrule',
+                name: JSON.stringify(spec.rule),
+                spec: spec
+            });
+            return;
+        }
+
+        var changes = [];
+        if (rule.enabled !== enabled) {
+            changes.push({field: 'enabled', from: rule.enabled, to: enabled});
+        }
+        if (spec.description !== undefined &&
+            spec.description !== rule.description) {
+            changes.push({
+                field: 'description',
+                from: rule.description,
+                to: spec.description
+            });
+        }
+        if (changes.length) {
+            plan.actions.push({
+                op: 'update',
+                kind: 'fwrule',
+                name: JSON.stringify(rule.rule),
+                id: rule.id,
+                spec: spec,
+                changes: changes
+            });
+        }
+    });
+
+    if (prune) {
+        live.fwrules.filter(function (r) {
+            return (!manifest.fwrules.some(function (spec) {
+                return (_ruleKey(spec.rule) === _ruleKey(r.rule));
+            }));
+        }).forEach(function (r) {
+            plan.actions.push({
+                op: 'delete',
+                kind: 'fwrule',
+                name: JSON.stringify(r.rule),
+                id: r.id
+            });
+        });
+    }
+}
+
+
+function _planMachines(manifest, live, prune, plan) {
+    manifest.machines.forEach(function (spec) {
+        var name = JSON.stringify(spec.name);
+        var image = _findImage(live.images, spec.image);
+        var pkg = _findByIdOrName(live.packages, spec['package']);
+
+        if (!image) {
+            plan.errors.push('machine ' + name + ': no image "' +
+                spec.image + '"');
+        }
+        if (!pkg) {
+            plan.errors.push('machine ' + name + ': no package "' +
+                spec['package'] + '"');
+        }
+        if (!image || !pkg) {
+            return;
+        }
+
+        var machines = live.machines.filter(function (m) {
+            return (m.name === spec.name);
+        });
+        if (machines.length > 1) {
+            plan.errors.push('machine ' + name + ': there are ' +
+                machines.length + ' machines of that name');
+            return;
+        }
+
+        var machine = machines[0];
+        if (!machine) {
+            // Networks may also be ones the manifest creates.
+            var unknown = (spec.networks || []).filter(function (ref) {
+                return (!_findByIdOrName(live.networks, ref) &&
+                    !(manifest.vlans || []).some(function (v) {
+                    return ((v.networks || []).some(function (n) {
+                        return (n.name === ref);
+                    }));
+                }));
+            });
+            if (unknown.length) {
+                plan.errors.push('machine ' + name + ': no network "' +
+                    unknown[0] + '"');
+                return;
+            }
+            plan.actions.push({
+                op: 'create',
+                kind: 'machine',
+                name: name,
+                spec: spec,
+                image: image.id,
+                'package': pkg.name
+            });
+            return;
+        }
+
+        if (machine.image !== image.id) {
+            plan.errors.push('machine ' + name + ': image is ' +
+                machine.image + ', not ' + image.id + ' (' + spec.image +
+                '); delete it to have it recreated');
+            return;
+        }
+
+        var changes = [];
+        if (machine['package'] !== pkg.name) {
+            changes.push({
+                field: 'package',
+                from: machine['package'],
+                to: pkg.name
+            });
+        }
+        if (spec.firewall_enabled !== undefined &&
+            Boolean(machine.firewall_enabled) !== spec.firewall_enabled) {
+            changes.push({
+                field: 'firewall_enabled',
+                from: Boolean(machine.firewall_enabled),
+                to: spec.firewall_enabled
+            });
+        }
+        if (spec.tags) {
+            var tags = machine.tags || {};
+            Object.keys(tags).concat(Object.keys(spec.tags).filter(
+                function (k) {
+                return (!tags.hasOwnProperty(k));
+            })).forEach(function (k) {
+                if (!_equal(tags[k], spec.tags[k])) {
+                    changes.push({
+                        field: 'tags.' + k,
+                        from: tags[k],
+                        to: spec.tags[k]
+                    });
+                }
+            });
+        }
+        Object.keys(spec.metadata || {}).forEach(function (k) {
+            var value = String(spec.metadata[k]);
+            if ((machine.metadata || {})[k] !== value) {
+                changes.push({
+                    field: 'metadata.' + k,
+                    from: (machine.metadata || {})[k],
+                    to: value
+                });
+            }
+        });
+
+        if (changes.length) {
+            plan.actions.push({
+                op: 'update',
+                kind: 'machine',
+                name: name,
+                id: machine.id,
+                spec: spec,
+                'package': pkg.name,
+                changes: changes
+            });
+        }
+    });
+
+    if (prune) {
+        live.machines.filter(function (m) {
+            return (!manifest.machines.some(function (spec) {
+                return (spec.name === m.name);
+            }));
+        }).forEach(function (m) {
+            plan.actions.push({
+                op: 'delete',
+                kind: 'machine',
+                name: JSON.stringify(m.name),
+                id: m.id
+            });
+        });
+    }
+}
+
+
+/*
+ * The order actions are carried out in: what others depend on is created
+ * first and deleted last.
+ */
+function _order(action) {
+    var order = {
+        create: ['vlan', 'network', 'fwrule', 'machine'],
+        update: ['vlan', 'fwrule', 'machine'],
+        'delete': ['machine', 'fwrule', 'network', 'vlan']
+    };
+
+    return (['create', 'update', 'delete'].indexOf(action.op) * 10 +
+        order[action.op].indexOf(action.kind));
+}
+
+
+function _createMachine(client, action, callback) {
+    var spec = action.spec;
+    var opts = {
+        name: spec.name,
+        image: action.image,
+        'package': action['package']
+    };
+
+    if (spec.firewall_enabled !== undefined) {
+        opts.firewall_enabled = spec.firewall_enabled;
+    }
+    Object.keys(spec.tags || {}).forEach(function (k) {
+        opts['tag.' + k] = spec.tags[k];
+    });
+    Object.keys(spec.metadata || {}).forEach(function (k) {
+        opts['metadata.' + k] = String(spec.metadata[k]);
+    });
+
+    if (!spec.networks) {
+        return client.createMachine(opts, callback);
+    }
+
+    // Networks are looked up now, as they may have just been created.
+    return client.listNetworks(function (err, networks) {
+        if (err) {
+            return callback(err);
+        }
+
+        var ids = [];
+        for (var i = 0; i < spec.networks.length; i++) {
+            var net = _findByIdOrName(networks, spec.networks[i]);
+            if (!net) {
+                return callback(new Error('machine ' + action.name +
+                    ': no network "' + spec.networks[i] + '"'));
+            }
+            ids.push(net.id);
+        }
+        opts.networks = ids;
+
+        return client.createMachine(opts, callback);
+    });
+}
+
+
+function _updateMachine(client, action, callback) {
+    var spec = action.spec;
+    var id = action.id;
+    var steps = [];
+    var metadata = {};
+
+    action.changes.forEach(function (c) {
+        if (c.field === 'package') {
+            steps.push(function (cb) {
+                client.resizeMachine(id, {'package': action['package']}, cb);
+            });
+        } else if (c.field === 'firewall_enabled') {
+            steps.push(function (cb) {
+                client[c.to ? 'enableFirewall' : 'disableFirewall'](id, cb);
+            });
+        } else if (c.field.indexOf('metadata.') === 0) {
+            metadata[c.field.slice(9)] = c.to;
+        }
+    });
+
+    if (action.changes.some(function (c) {
+        return (c.field.indexOf('tags.') === 0);
+    })) {
+        steps.push(function (cb) {
+            client.replaceMachineTags(id, spec.tags, cb);
+        });
+    }
+    if (Object.keys(metadata).length) {
+        steps.push(function (cb) {
+            client.updateMachineMetadata(id, metadata, cb);
+        });
+    }
+
+    vasync.pipeline({
+        funcs: steps.map(function (step) {
+            return (function (_, cb) {
+                step(function (err) {
+                    cb(err);
+                });
+            });
+        })
+    }, function (err) {
+        callback(err, {id: id});
+    });
+}
+
+
+/*
+ * Carries out one action, calling back with f(err, result).
+ */
+function _run(client, action, plan, callback) {
+    var spec = action.spec;
+
+    switch (action.kind + ' ' + action.op) {
+    case 'vlan create':
+        return client.createFabricVlan({
+            vlan_id: spec.vlan_id,
+            name: spec.name,
+            description: spec.description
+        }, callback);
+    case 'vlan update':
+        return client.updateFabricVlan(spec.vlan_id, {
+            name: spec.name,
+            description: spec.description
+        }, callback);
+    case 'vlan delete':
+        return client.deleteFabricVlan(action.vlan_id, callback);
+    case 'network create':
+        var opts = {vlan_id: action.vlan_id};
+        Object.keys(spec).forEach(function (k) {
+            if (k === 'internet_nat') {
+                if (!spec[k]) {
+                    opts.no_internet_nat = true;
+                }
+            } else {
+                opts[k] = spec[k];
+            }
+        });
+        return client.createFabricNetwork(opts, callback);
+    case 'network delete':
+        return client.deleteFabricNetwork(action.vlan_id, action.id,
+            callback);
+    case 'fwrule create':
+        return client.createFirewallRule({
+            rule: spec.rule,
+            enabled: (spec.enabled !== false),
+            description: spec.description
+        }, callback);
+    case 'fwrule update':
+        var changes = {};
+        action.changes.forEach(function (c) {
+            changes[c.field] = c.to;
+        });
+        return client.updateFirewallRule(action.id, changes, callback);
+    case 'fwrule delete':
+        return client.deleteFirewallRule(action.id, callback);
+    case 'machine create':
+        return _createMachine(client, action, callback);
+    case 'machine update':
+        return _updateMachine(client, action, callback);
+    case 'machine delete':
+        return client.deleteMachine(action.id, function (err) {
+            // Networks can't go while machines are still on them.
+            var waitFor = plan.actions.some(function (a) {
+                return (a.kind === 'network' && a.op === 'delete');
+            });
+            if (err || !waitFor) {
+                return callback(err, {id: action.id});
+            }
+            return client.waitForMachineState(action.id, 'deleted',
+                callback);
+        });
+    default:
+        throw new Error('unknown action: ' + action.kind + ' ' + action.op);
+    }
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Reads a manifest from a YAML or JSON file, and validates it.
+ *
+ * @param {String} file path of the manifest.
+ * @return {Object} the manifest.
+ * @throws {Error} if the file can't be read or isn't a valid manifest.
+ */
+function loadManifest(file) {
+    assert.string(file, 'file');
+
+    var text = fs.readFileSync(file, 'utf8');
+    var manifest;
+    try {
+        manifest = (path.extname(file) === '.json' ? JSON.parse(text) :
+            yaml.safeLoad(text));
+    } catch (e) {
+        throw new Error(file + ': ' + e.message);
+    }
+
+    try {
+        return (validateManifest(manifest));
+    } catch (e) {
+        throw new Error(file + ': ' + e.message);
+    }
+}
+
+
+/**
+ * Validates a manifest (see the top of this file).
+ *
+ * @param {Object} manifest the manifest.
+ * @return {Object} the manifest.
+ * @throws {Error} describing the first problem found.
+ */
+function validateManifest(manifest) {
+    if (_typeOf(manifest) !== 'object') {
+        throw new Error('the manifest must be an object');
+    }
+
+    Object.keys(manifest).forEach(function (section) {
+        var kind = SECTIONS[section];
+        if (!kind) {
+            throw new Error('unknown section "' + section + '"');
+        }
+        if (!Array.isArray(manifest[section])) {
+            throw new Error('"' + section + '" must be a list');
+        }
+        manifest[section].forEach(function (entry, i) {
+            _checkEntry(entry, kind, section + '[' + i + ']');
+        });
+    });
+
+    (manifest.machines || []).forEach(function (m, i) {
+        (m.networks || []).forEach(function (n) {
+            if (typeof (n) !== 'string') {
+                throw new Error('machines[' + i + ']: "networks" must be a ' +
+                    'list of names or ids');
+            }
+        });
+    });
+    (manifest.vlans || []).forEach(function (v, i) {
+        var where = 'vlans[' + i + ']';
+        if (v.vlan_id < 0 || v.vlan_id > 4095 ||
+            Math.floor(v.vlan_id) !== v.vlan_id) {
+            throw new Error(where + ': "vlan_id" must be an integer from 0 ' +
+                'to 4095');
+        }
+        (v.networks || []).forEach(function (n, j) {
+            _checkEntry(n, 'network', where + '.networks[' + j + ']');
+        });
+        _checkUnique(v.networks || [], 'name', where + '.networks');
+    });
+
+    _checkUnique(manifest.machines || [], 'name', 'machines');
+    _checkUnique(manifest.vlans || [], 'vlan_id', 'vlans');
+    _checkUnique((manifest.fwrules || []).map(function (r) {
+        return ({rule: _ruleKey(r.rule)});
+    }), 'rule', 'fwrules');
+
+    return (manifest);
+}
+
+
+/**
+ * Works out what it takes to converge an account on a manifest.
+ *
+ * The plan has `actions`, each of the form {op, kind, name, changes, ...}
+ * where op is "create", "update" or "delete", kind is "machine", "fwrule",
+ * "vlan" or "network", and changes (for updates) lists {field, from, to}.
+ * Its `errors` are differences that can't be converged (e.g. a machine's
+ * image); a plan with errors shouldn't be applied.
+ *
+ * @param {Object} client a CloudAPI client.
+ * @param {Object} manifest a valid manifest.
+ * @param {Object} options (optional) object containing:
+ *                   - {Boolean} prune also delete resources missing from
+ *                     the manifest (default false).
+ * @param {Function} callback of the form f(err, plan).
+ * @throws {TypeError} on bad input.
+ */
+function createPlan(client, manifest, options, callback) {
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = {};
+    }
+    assert.object(client, 'client');
+    assert.object(manifest, 'manifest');
+    assert.object(options, 'options');
+    assert.func(callback, 'callback');
+
+    _fetchLive(client, manifest, function (err, live) {
+        if (err) {
+            return callback(err);
+        }
+
+        var plan = {actions: [], errors: []};
+        if (manifest.vlans) {
+            _planVlans(manifest, live, options.prune, plan);
+        }
+        if (manifest.fwrules) {
+            _planFwrules(manifest, live, options.prune, plan);
+        }
+        if (manifest.machines) {
+            _planMachines(manifest, live, options.prune, plan);
+        }
+
+        // A stable sort, keeping the manifest's order within each step.
+        plan.actions = plan.actions.map(function (a, i) {
+            return ({action: a, i: i});
+        }).sort(function (a, b) {
+            return (_order(a.action) - _order(b.action) || a.i - b.i);
+        }).map(function (a) {
+            return (a.action);
+        });
+
+        return callback(null, plan);
+    });
+}
+
+
+/**
+ * Describes a plan, one line per action (followed by its changes) or error,
+ * and a summary.
+ *
+ * @param {Object} plan a plan from createPlan.
+ * @return {String} the description.
+ */
+function formatPlan(plan) {
+    assert.object(plan, 'plan');
+
+    var lines = [];
+    var counts = {create: 0, update: 0, 'delete': 0};
+
+    plan.actions.forEach(function (a) {
+        counts[a.op]++;
+        lines.push(OP_SIGNS[a.op] + ' ' + a.kind + ' ' + a.name +
+            (a.kind === 'network' ? ' on VLAN ' + a.vlan_id : ''));
+        (a.changes || []).forEach(function (c) {
+            lines.push('      ' + c.field + ': ' + _show(c.from) + ' -> ' +
+                _show(c.to));
+        });
+    });
+    plan.errors.forEach(function (e) {
+        lines.push('! ' + e);
+    });
+
+    if (plan.actions.length === 0 && plan.errors.length === 0) {
+        lines.push('No changes.');
+    } else {
+        lines.push('Plan: ' + counts.create + ' to create, ' +
+            counts.update + ' to update, ' + counts['delete'] +
+            ' to delete' + (plan.errors.length ?
+            ', ' + plan.errors.length + ' error(s).' : '.'));
+    }
+
+    return (lines.join('\n'));
+}
+
+
+/**
+ * Carries out the actions of a plan, one at a time, stopping at the first
+ * failure.
+ *
+ * @param {Object} client a CloudAPI client.
+ * @param {Object} plan a plan from createPlan, without errors.
+ * @param {Object} options (optional) object containing:
+ *                   - {Function} onAction called as f(action, result) after
+ *                     each action is done.
+ * @param {Function} callback of the form f(err, done), `done` being the
+ *                   actions carried out.
+ * @throws {TypeError} on bad input, or if the plan has errors.
+ */
+function applyPlan(client, plan, options, callback) {
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = {};
+    }
+    assert.object(client, 'client');
+    assert.object(plan, 'plan');
+    assert.object(options, 'options');
+    assert.optionalFunc(options.onAction, 'options.onAction');
+    assert.func(callback, 'callback');
+    assert.ok(plan.errors.length === 0, 'plan has errors');
+
+    var done = [];
+
+    vasync.forEachPipeline({
+        inputs: plan.actions,
+        func: function (action, cb) {
+            _run(client, action, plan, function (err, result) {
+                if (err) {
+                    return cb(err);
+                }
+                done.push(action);
+                if (options.onAction) {
+                    options.onAction(action, result);
+                }
+                return cb();
+            });
+        }
+    }, function (err) {
+        callback(err, done);
+    });
+}
+
+
+module.exports = {
+    loadManifest: loadManifest,
+    validateManifest: validateManifest,
+    createPlan: createPlan,
+    formatPlan: formatPlan,
+    applyPlan: applyPlan
+};
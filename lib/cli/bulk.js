@@ -0,0 +1,292 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Machine selection and bulk lifecycle actions for the CloudAPI object
+ */
+
+var vasync = require('vasync');
+var validate = require('./validate');
+
+
+
+// --- Globals
+
+
+
+/*
+ * The lifecycle actions forEachMachine can run: the method doing it, the
+ * state the machine is in once it's done, and whether it's in that state
+ * already when the action is accepted (see waitForMachineState's `leave`).
+ */
+var ACTIONS = {
+    start: {method: 'startMachine', state: 'running'},
+    stop: {method: 'stopMachine', state: 'stopped'},
+    reboot: {method: 'rebootMachine', state: 'running', leave: true},
+    'delete': {method: 'deleteMachine', state: 'deleted'}
+};
+
+var SELECTOR_FIELDS = ['machines', 'name', 'state', 'tags'];
+
+
+
+// --- Internal Helpers
+
+
+
+/*
+ * Compiles a shell-style glob ("*" and "?" wildcards) into an anchored
+ * regular expression.
+ */
+function globRegExp(glob) {
+    return (new RegExp('^' + glob.split('').map(function (c) {
+        if (c === '*') {
+            return ('.*');
+        }
+        if (c === '?') {
+            return ('.');
+        }
+        return (c.replace(/[\\^$.|+()[\]{}]/g, '\\$&'));
+    }).join('') + '$'));
+}
+
+
+function machineId(machine) {
+    return (typeof (machine) === 'object' ? machine.id : machine);
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Selects machines by any combination of names or ids, a name glob, a state
+ * and tags; a machine must match all the criteria given.
+ *
+ * At least one criterion is required, so that a mistake doesn't select the
+ * whole account; use a name of "*" for that. Machines given in `machines`
+ * that don't exist are an error (of code 'NotFound'), unless `state` or
+ * `tags` are also given.
+ *
+ * Returns an array of machines, in the order `machines` gives them if it's
+ * given.
+ *
+ * @param {String} account (optional) the login name of the account.
+ * @param {Object} selector object containing any of:
+ *                   - {Array} machines machine UUIDs, UUID prefixes or
+ *                     names (see resolve).
+ *                   - {String} name glob the machine name must match, with
+ *                     "*" and "?" wildcards.
+ *                   - {String} state e.g. "running".
+ *                   - {Object} tags k/v hash of tags the machine must have.
+ * @param {Function} callback of the form f(err, machines).
+ * @throws {TypeError} on bad input.
+ */
+function selectMachines(account, selector, callback) {
+    var self = this;
+
+    if (typeof (selector) === 'function') {
+        callback = selector;
+        selector = account;
+        account = this.account;
+    }
+
+    account = validate.account(account);
+    validate.options(selector);
+    validate.callback(callback);
+    if (!SELECTOR_FIELDS.some(function (f) {
+        return (selector[f] !== undefined);
+    })) {
+        throw new TypeError('selector must have one of: ' +
+            SELECTOR_FIELDS.join(', '));
+    }
+    if (selector.machines !== undefined &&
+        (!Array.isArray(selector.machines) || !selector.machines.length)) {
+        throw new TypeError('selector.machines (non-empty array) required');
+    }
+    if (selector.name !== undefined && typeof (selector.name) !== 'string') {
+        throw new TypeError('selector.name (string) required');
+    }
+
+    var nameRE = (selector.name === undefined ? null :
+        globRegExp(selector.name));
+    var opts = {};
+    if (selector.state !== undefined) {
+        opts.state = selector.state;
+    }
+
+    function list(ids) {
+        self.listAllMachines(account, opts, selector.tags || {},
+                function (err, machines) {
+            if (err) {
+                return callback(err);
+            }
+
+            if (ids) {
+                var byId = {};
+                machines.forEach(function (m) {
+                    byId[m.id] = m;
+                });
+
+                // Unless filtered out, a machine given but not listed is
+                // gone (or never was).
+                var missing = ids.filter(function (id) {
+                    return (!byId[id]);
+                });
+                if (missing.length && !opts.state && !selector.tags) {
+                    var e = new Error('no machine ' + missing[0]);
+                    e.code = 'NotFound';
+                    return callback(e);
+                }
+
+                machines = ids.filter(function (id, i) {
+                    return (byId[id] && ids.indexOf(id) === i);
+                }).map(function (id) {
+                    return (byId[id]);
+                });
+            }
+
+            return callback(null, machines.filter(function (m) {
+                return (!nameRE || nameRE.test(m.name));
+            }));
+        });
+    }
+
+    if (!selector.machines) {
+        return list(null);
+    }
+    return self.resolve(account, 'machine', selector.machines,
+            function (err, ids) {
+        if (err) {
+            return callback(err);
+        }
+        return list(ids);
+    });
+}
+
+
+/**
+ * Runs a lifecycle action (start, stop, reboot or delete) on many machines,
+ * a few at a time.
+ *
+ * By default, every machine is tried whatever happens to the others; with
+ * `stopOnError`, no more machines are started on after the first failure,
+ * and those left are reported as skipped.
+ *
+ * Returns an object of the form {done, failed, skipped}: the machines the
+ * action succeeded on, {machine, error} for those it failed on, and the
+ * machines it wasn't tried on.
+ *
+ * @param {String} account (optional) the login name of the account.
+ * @param {Array} machines machine ids, or objects from list or
+ *                selectMachines.
+ * @param {String} action one of "start", "stop", "reboot" or "delete".
+ * @param {Object} options (optional) object containing:
+ *                   - {Number} concurrency how many machines to work on at
+ *                     once (default 1).
+ *                   - {Boolean} stopOnError see above (default false).
+ *                   - {Boolean} wait wait for each machine to reach the
+ *                     action's end state (see waitForMachineState) before
+ *                     it counts as done (default false).
+ *                   - {Number} waitTimeout ms to wait for each machine.
+ *                   - {Function} onResult called as f(machine, err) as each
+ *                     machine is done or has failed.
+ * @param {Function} callback of the form f(err, results).
+ * @throws {TypeError} on bad input.
+ */
+function forEachMachine(account, machines, action, options, callback) {
+    var self = this;
+
+    if (Array.isArray(account)) {
+        callback = options;
+        options = action;
+        action = machines;
+        machines = account;
+        account = this.account;
+    }
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    account = validate.account(account);
+    if (!Array.isArray(machines)) {
+        throw new TypeError('machines (array) required');
+    }
+    if (!ACTIONS.hasOwnProperty(action)) {
+        throw new TypeError('action must be one of: ' +
+            Object.keys(ACTIONS).join(', '));
+    }
+    validate.options(options);
+    validate.callback(callback);
+
+    var concurrency = (options.concurrency === undefined ? 1 :
+        options.concurrency);
+    if (typeof (concurrency) !== 'number' || concurrency < 1 ||
+        Math.floor(concurrency) !== concurrency) {
+        throw new TypeError('options.concurrency (positive integer) required');
+    }
+    if (options.onResult !== undefined &&
+        typeof (options.onResult) !== 'function') {
+        throw new TypeError('options.onResult (function) required');
+    }
+
+    var method = ACTIONS[action].method;
+    var results = {done: [], failed: [], skipped: []};
+    var failed = false;
+
+    function run(machine, cb) {
+        var id = machineId(machine);
+
+        self[method](account, id, function (err) {
+            if (err || !options.wait) {
+                return cb(err);
+            }
+
+            var waitOpts = {leave: Boolean(ACTIONS[action].leave)};
+            if (options.waitTimeout !== undefined) {
+                waitOpts.timeout = options.waitTimeout;
+            }
+            return self.waitForMachineState(account, id, ACTIONS[action].state,
+                waitOpts, function (err2) {
+                cb(err2);
+            });
+        });
+    }
+
+    var queue = vasync.queue(function (machine, cb) {
+        if (failed && options.stopOnError) {
+            results.skipped.push(machine);
+            return cb();
+        }
+
+        return run(machine, function (err) {
+            if (err) {
+                failed = true;
+                results.failed.push({machine: machine, error: err});
+            } else {
+                results.done.push(machine);
+            }
+            if (options.onResult) {
+                options.onResult(machine, err);
+            }
+            cb();
+        });
+    }, concurrency);
+
+    queue.on('end', function () {
+        callback(null, results);
+    });
+    queue.push(machines);
+    queue.close();
+}
+
+
+
+module.exports = {
+    selectMachines: selectMachines,
+    forEachMachine: forEachMachine
+};
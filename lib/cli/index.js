@@ -7,9 +7,13 @@
  */
 
 [
+    require('./bulk'),
     require('./config'),
     require('./fabric-nets'),
-    require('./fabric-vlans')
+    require('./fabric-vlans'),
+    require('./pagination'),
+    require('./resolve'),
+    require('./wait')
 ].forEach(function (mod) {
     for (var e in mod) {
         module.exports[e] = mod[e];
@@ -0,0 +1,166 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Paginated listing methods for the CloudAPI object
+ */
+
+var clone = require('clone');
+var stream = require('stream');
+var filter = require('../filter');
+var validate = require('./validate');
+
+
+
+// --- Exports
+
+
+
+/**
+ * Creates a readable object stream of all machines under your account,
+ * walking `offset` through as many `listMachines` calls as needed.
+ *
+ * The stream emits each machine as a 'data' event and, for each page
+ * fetched, a 'page' event of the form f(machines, {offset, done}). Any
+ * listing error is emitted as an 'error' event.
+ *
+ * @param {String} account (optional) the login name of the account.
+ * @param {Object} options (optional) same filters as listMachines. Note that
+ *                 `limit` sets the page size and `offset` the starting
+ *                 point. A `filter` expression (see lib/filter.js) leaves
+ *                 out non-matching machines; 'page' events still get
+ *                 whole pages.
+ * @param {Object} tags (optional) k/v hash of tags.
+ * @throws {Error} on bad input.
+ */
+function createListMachinesStream(account, options, tags) {
+    var self = this;
+
+    if (typeof (account) === 'object' && !account.login) {
+        tags = options;
+        options = account;
+        account = this.account;
+    }
+    if (account === undefined) {
+        account = this.account;
+    }
+
+    account = validate.account(account);
+    options = options || {};
+    validate.options(options);
+    tags = tags || {};
+
+    var predicate = (options.filter === undefined ? null :
+        filter.compile(options.filter));
+    options = clone(options);
+    delete options.filter;
+
+    var offset = options.offset || 0;
+    var fetching = false;
+    var finished = false;
+    var machines = new stream.Readable({objectMode: true});
+
+    machines._read = function _read() {
+        if (fetching || finished) {
+            return;
+        }
+
+        var opts = clone(options);
+        opts.offset = offset;
+        fetching = true;
+
+        self.listMachines(account, opts, clone(tags),
+                function (err, page, done) {
+            fetching = false;
+            if (err) {
+                finished = true;
+                machines.emit('error', err);
+                return;
+            }
+
+            machines.emit('page', page, {offset: offset, done: done});
+            offset += page.length;
+            finished = (done || page.length === 0);
+
+            page.forEach(function (machine) {
+                if (!predicate || predicate(machine)) {
+                    machines.push(machine);
+                }
+            });
+            if (finished) {
+                machines.push(null);
+            }
+        });
+    };
+
+    return (machines);
+}
+
+
+/**
+ * Lists all machines under your account, following pagination until every
+ * page has been fetched.
+ *
+ * Returns an array of objects.
+ *
+ * @param {String} account (optional) the login name of the account.
+ * @param {Object} options (optional) same filters as listMachines. Note that
+ *                 `limit` sets the page size.
+ * @param {Object} tags (optional) k/v hash of tags.
+ * @param {Function} callback of the form f(err, machines).
+ * @throws {TypeError} on bad input.
+ */
+function listAllMachines(account, options, tags, callback) {
+    if (typeof (account) === 'function') {
+        callback = account;
+        tags = {};
+        options = {};
+        account = this.account;
+    }
+    if (typeof (options) === 'function') {
+        callback = options;
+        tags = {};
+        options = account;
+        account = this.account;
+    }
+    if (typeof (tags) === 'function') {
+        callback = tags;
+        if (typeof (account) === 'object' && !account.login) {
+            tags = options;
+            options = account;
+            account = this.account;
+        } else {
+            tags = {};
+        }
+    }
+
+    validate.callback(callback);
+
+    var all = [];
+    var done = false;
+
+    function finish(err) {
+        if (done) {
+            return;
+        }
+        done = true;
+        callback(err, (err ? undefined : all));
+    }
+
+    var machines = this.createListMachinesStream(account, options, tags);
+    machines.on('data', function (machine) {
+        all.push(machine);
+    });
+    machines.on('error', finish);
+    machines.on('end', function () {
+        finish(null);
+    });
+}
+
+
+
+module.exports = {
+    createListMachinesStream: createListMachinesStream,
+    listAllMachines: listAllMachines
+};
@@ -0,0 +1,27 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Shared timing of polling waits
+ */
+
+
+
+/**
+ * How long to wait before the next poll of a wait that began at `start`
+ * (ms since the epoch) and gives up after `timeout` ms: `interval`, or only
+ * what's left of the timeout if that's less, so the last poll is made at
+ * the deadline rather than an interval before it. Returns -1 once the time
+ * is up.
+ */
+function nextPoll(start, interval, timeout) {
+    var left = timeout - (Date.now() - start);
+    return (left <= 0 ? -1 : Math.min(interval, left));
+}
+
+
+
+module.exports = {
+    nextPoll: nextPoll
+};
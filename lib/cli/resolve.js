@@ -0,0 +1,201 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Resolution of names and short ids to UUIDs for the CloudAPI object
+ */
+
+var sprintf = require('util').format;
+var validate = require('./validate');
+
+
+
+// --- Globals
+
+
+
+// In either case, as people may paste them; CloudAPI's are lowercase.
+var UUID_RE =
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// The start of a UUID, as short ids are.
+var PREFIX_RE = /^[0-9a-f][0-9a-f-]*$/i;
+
+/*
+ * For each kind of resource: the method listing them, how many (empty)
+ * options objects it takes after the account, and the field holding their
+ * name (fwrules have none).
+ */
+var KINDS = {
+    machine: {list: 'listAllMachines', options: 2, name: 'name'},
+    image: {list: 'listImages', options: 1, name: 'name'},
+    'package': {list: 'listPackages', options: 0, name: 'name'},
+    network: {list: 'listNetworks', options: 0, name: 'name'},
+    fwrule: {list: 'listFirewallRules', options: 0, name: null},
+    user: {list: 'listUsers', options: 0, name: 'login'},
+    role: {list: 'listRoles', options: 0, name: 'name'},
+    policy: {list: 'listPolicies', options: 0, name: 'name'}
+};
+
+
+
+// --- Internal Helpers
+
+
+
+function describe(kind, o) {
+    var name = o[KINDS[kind].name];
+    if (kind === 'image') {
+        name += '@' + o.version;
+    }
+    return (name ? sprintf('%s (%s)', o.id, name) : o.id);
+}
+
+
+/*
+ * Finds what `name` stands for among `items`: an exact name (for images,
+ * "name@version", or just "name" for its latest version), else a unique id
+ * prefix. Returns an id, or an Error of code 'NotFound' or 'Ambiguous'
+ * (with the matching items as `candidates`).
+ */
+function match(kind, items, name) {
+    var field = KINDS[kind].name;
+    var found = [];
+
+    if (kind === 'image') {
+        var at = name.lastIndexOf('@');
+        found = items.filter(function (o) {
+            return (at === -1 ? o.name === name :
+                o.name === name.slice(0, at) &&
+                o.version === name.slice(at + 1));
+        });
+        if (at === -1 && found.length > 1) {
+            // The latest version, as long as there's only one such image.
+            found.sort(function (a, b) {
+                return (a.published_at < b.published_at ? 1 :
+                    (a.published_at > b.published_at ? -1 : 0));
+            });
+            found = found.filter(function (o) {
+                return (o.version === found[0].version);
+            });
+        }
+    } else if (field) {
+        found = items.filter(function (o) {
+            return (o[field] === name);
+        });
+    }
+
+    if (!found.length && PREFIX_RE.test(name)) {
+        var prefix = name.toLowerCase();
+        found = items.filter(function (o) {
+            return (o.id.toLowerCase().indexOf(prefix) === 0);
+        });
+    }
+
+    var e;
+    if (found.length === 1) {
+        return (found[0].id);
+    } else if (!found.length) {
+        e = new Error(sprintf('no %s %s', kind, name));
+        e.code = 'NotFound';
+    } else {
+        e = new Error(sprintf('%s %s is ambiguous; it could be any of: %s',
+            kind, name, found.map(function (o) {
+                return (describe(kind, o));
+            }).join(', ')));
+        e.code = 'Ambiguous';
+        e.candidates = found;
+    }
+    return (e);
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Resolves a machine, image, package, network, fwrule, user, role or
+ * policy given by UUID, unique UUID prefix or name to its UUID. Images can
+ * also be given as "name@version"; a bare image name stands for its latest
+ * version. Users are named by login.
+ *
+ * UUIDs, in either case, are returned lowercased; anything else is looked
+ * up in the listing of that kind of resource, fetched once however many
+ * names are given. Prefixes match in either case too.
+ *
+ * Returns a UUID, or an array of them if `names` is an array.
+ *
+ * @param {String} account (optional) the login name of the account.
+ * @param {String} kind one of "machine", "image", "package", "network",
+ *                 "fwrule", "user", "role" or "policy".
+ * @param {String} names the name, or an array of names, to resolve.
+ * @param {Function} callback of the form f(err, id), where err has code
+ *                   'NotFound' or 'Ambiguous' (with the matching resources
+ *                   as `err.candidates`) for names that don't resolve.
+ * @throws {TypeError} on bad input.
+ */
+function resolve(account, kind, names, callback) {
+    var self = this;
+
+    if (typeof (names) === 'function') {
+        callback = names;
+        names = kind;
+        kind = account;
+        account = this.account;
+    }
+
+    account = validate.account(account);
+    if (!KINDS.hasOwnProperty(kind)) {
+        throw new TypeError('kind must be one of: ' +
+            Object.keys(KINDS).join(', '));
+    }
+    var list = Array.isArray(names) ? names : [names];
+    list.forEach(function (name) {
+        if (typeof (name) !== 'string' || !name) {
+            throw new TypeError('names (string|array of strings) required');
+        }
+    });
+    validate.callback(callback);
+
+    function done(ids) {
+        var errs = ids.filter(function (id) {
+            return (id instanceof Error);
+        });
+        if (errs.length) {
+            return callback(errs[0]);
+        }
+        return callback(null, Array.isArray(names) ? ids : ids[0]);
+    }
+
+    if (list.every(function (name) {
+        return (UUID_RE.test(name));
+    })) {
+        return setImmediate(done, list.map(function (name) {
+            return (name.toLowerCase());
+        }));
+    }
+
+    var args = [account];
+    while (args.length <= KINDS[kind].options) {
+        args.push({});
+    }
+    args.push(function (err, items) {
+        if (err) {
+            return callback(err);
+        }
+        return done(list.map(function (name) {
+            return (UUID_RE.test(name) ? name.toLowerCase() :
+                match(kind, items, name));
+        }));
+    });
+    return self[KINDS[kind].list].apply(self, args);
+}
+
+
+
+module.exports = {
+    resolve: resolve
+};
@@ -0,0 +1,167 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Machine state polling methods for the CloudAPI object
+ */
+
+var sprintf = require('util').format;
+var nextPoll = require('./poll').nextPoll;
+var validate = require('./validate');
+
+
+
+// --- Globals
+
+
+
+var WAIT_DEFAULTS = {
+    timeout: 10 * 60 * 1000,
+    interval: 2000,
+    backoff: 1.5,
+    maxInterval: 30 * 1000
+};
+
+
+
+// --- Exports
+
+
+
+/**
+ * Polls a machine until it reaches one of the given states.
+ *
+ * Lifecycle calls (createMachine, startMachine, stopMachine, ...) return as
+ * soon as CloudAPI accepts the job; use this to wait for the job to finish.
+ * The special state "deleted" is also reached when CloudAPI answers 404/410
+ * for the machine. A machine going to "failed" ends the wait with an error,
+ * unless "failed" is one of the awaited states.
+ *
+ * A machine is still running for a moment after CloudAPI accepts a reboot,
+ * so waiting for "running" would end at once: with `leave`, the machine
+ * must first be seen in some other state, or (as a quick reboot can be over
+ * between two polls) with another `updated` time than it was first seen
+ * with. Some changes don't go through a state at all (a resize keeps the
+ * machine running); `until` says when the machine has changed.
+ *
+ * Returns the machine as last seen.
+ *
+ * @param {String} account (optional) the login name of the account.
+ * @param {String} machine either the id, or can be the object returned in list
+ *                 or create.
+ * @param {String} states a state or array of states to wait for.
+ * @param {Object} options (optional) object containing:
+ *                   - {Number} timeout ms to wait in total (default 10 min).
+ *                   - {Number} interval ms between the first polls
+ *                     (default 2s).
+ *                   - {Number} backoff factor the interval grows by after
+ *                     each poll (default 1.5).
+ *                   - {Number} maxInterval cap on the interval (default 30s).
+ *                   - {Boolean} leave wait for the machine to be out of
+ *                     `states` before waiting for it to be in one of them
+ *                     (default false).
+ *                   - {Function} until f(machine) that must also return
+ *                     true for the wait to end.
+ * @param {Function} callback of the form f(err, machine).
+ * @throws {TypeError} on bad input.
+ */
+function waitForMachineState(account, machine, states, options, callback) {
+    var self = this;
+
+    if (typeof (states) === 'function') {
+        callback = states;
+        options = {};
+        states = machine;
+        machine = account;
+        account = this.account;
+    } else if (typeof (options) === 'function') {
+        callback = options;
+        if (typeof (states) === 'object' && !Array.isArray(states)) {
+            options = states;
+            states = machine;
+            machine = account;
+            account = this.account;
+        } else {
+            options = {};
+        }
+    }
+
+    account = validate.account(account);
+    if (!machine ||
+      (typeof (machine) !== 'object' && typeof (machine) !== 'string'))
+        throw new TypeError('machine (object|string) required');
+    if (typeof (states) === 'string')
+        states = [states];
+    if (!Array.isArray(states) || states.length === 0)
+        throw new TypeError('states (string|array) required');
+    validate.options(options);
+    if (options.until !== undefined && typeof (options.until) !== 'function')
+        throw new TypeError('options.until (function) required');
+    validate.callback(callback);
+
+    var id = (typeof (machine) === 'object' ? machine.id : machine);
+    var opts = {};
+    Object.keys(WAIT_DEFAULTS).forEach(function (k) {
+        opts[k] = (options[k] !== undefined ? options[k] : WAIT_DEFAULTS[k]);
+    });
+
+    var start = Date.now();
+    var interval = opts.interval;
+    var left = !options.leave;
+    var updated;
+
+    function poll() {
+        self.getMachine(account, id, false, function (err, m) {
+            if (err) {
+                if ((err.statusCode === 404 || err.statusCode === 410) &&
+                    states.indexOf('deleted') !== -1) {
+                    return callback(null,
+                        err.body && err.body.id ? err.body :
+                        {id: id, state: 'deleted'});
+                }
+                return callback(err);
+            }
+
+            if (updated === undefined) {
+                updated = m.updated;
+            }
+            if (states.indexOf(m.state) === -1 || m.updated !== updated) {
+                left = true;
+            }
+            if (left && states.indexOf(m.state) !== -1 &&
+                (!options.until || options.until(m))) {
+                return callback(null, m);
+            }
+
+            var e;
+            if (m.state === 'failed') {
+                e = new Error(sprintf('machine %s failed', id));
+                e.code = 'MachineFailed';
+                return callback(e);
+            }
+
+            var delay = nextPoll(start, interval, opts.timeout);
+            if (delay < 0) {
+                e = new Error(sprintf(
+                    'timed out waiting for machine %s to %s %s (state: %s)',
+                    id, (left ? 'be' : 'leave and come back to'),
+                    states.join(' or '), m.state));
+                e.code = 'Timeout';
+                return callback(e);
+            }
+
+            setTimeout(poll, delay);
+            interval = Math.min(interval * opts.backoff, opts.maxInterval);
+            return (null);
+        }, true);
+    }
+
+    poll();
+}
+
+
+
+module.exports = {
+    waitForMachineState: waitForMachineState
+};
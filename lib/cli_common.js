@@ -6,9 +6,14 @@ var path = require('path');
 var url = require('url');
 var format = require('util').format;
 
-var nopt = require('nopt');
+var dashdash = require('dashdash');
 
+var filter = require('./filter');
 var flushingexit = require('./flushingexit');
+var fwrule = require('./fwrule');
+var output = require('./output');
+var pkg = require('../package.json');
+var profiles = require('./profiles');
 var smartdc = require('../lib/index');
 var CloudAPI = smartdc.CloudAPI;
 
@@ -27,6 +32,8 @@ var URL_RE = '^https?\://.+';
 var MasterOptions = {
     // generic
     account: 'account name (i.e. customer)',
+    profile: 'named profile to take connection options from ' +
+        '(see sdc-profile)',
     debug: 'equivalent to --verbose',
     help: 'print out this usage',
     keyId: 'the fingerprint of your ssh key (use ssh-keygen -l to determine)',
@@ -38,7 +45,10 @@ var MasterOptions = {
     // firewall
     enabled: 'enable entity',
     rule: 'firewall rule',
+    validate: 'check the rule before sending it (default: true; ' +
+        'see sdc-fwlint)',
     // instance
+    all: 'fetch every page of instances (--limit sets the page size)',
     metadata: 'metadata associated with this instance',
     'metadata-file':
         'metadata (loaded from a file) associated with this instance',
@@ -75,7 +85,90 @@ var MasterOptions = {
     far: 'CSV of existing machine UUIDs to try to place new machine far from',
     'strict-locality': 'Whether near/far locality is a hint or a requirement',
     'api-version': 'Specify which version of the API should be used',
-    brand: 'filter by brand (default: all) (API v8.0+)'
+    wait: 'wait for the instance to reach its target state',
+    'wait-timeout': 'seconds to --wait before giving up (default: 600)',
+    'all-datacenters': 'query every datacenter and merge the results',
+    concurrency: 'how many machines to work on at once (default: 1)',
+    'stop-on-error':
+        'work on no more machines once one has failed (default: go on)',
+    brand: 'filter by brand (default: all) (API v8.0+)',
+    // output
+    json: 'output JSON (the default when stdout isn\'t a terminal)',
+    jsonl: 'output one JSON object per line',
+    csv: 'output CSV',
+    output: 'comma-separated fields to output (default: a set per command)',
+    'no-header': 'leave out the table header',
+    sort: 'comma-separated fields to sort by, "-field" for descending',
+    filter: 'only output items matching an expression, e.g. "memory>=4096"'
+};
+
+// Environment variables standing in for options that aren't given.
+var ENV_VARS = {
+    account: 'SDC_ACCOUNT',
+    'api-version': 'SDC_API_VERSION',
+    keyId: 'SDC_KEY_ID',
+    profile: 'SDC_PROFILE',
+    url: 'SDC_URL',
+    user: 'SDC_USER'
+};
+
+// The connection and general options every command takes, in the same
+// form as each command's own `Options` and `ShortOptions`.
+var CONNECTION_OPTIONS = {
+    'help': Boolean,
+    'version': Boolean,
+    'debug': Boolean,
+    'api-version': String,
+    'profile': String,
+    'account': String,
+    'user': String,
+    'url': url,
+    'verbose': Boolean,
+    'keyId': String,
+    'role': String
+};
+
+var CONNECTION_SHORT_OPTIONS = {
+    'h': ['--help'],
+    '?': ['--help'],
+    'd': ['--debug'],
+    'a': ['--account'],
+    'A': ['--user'],
+    'u': ['--url'],
+    'v': ['--verbose'],
+    'k': ['--keyId']
+};
+
+// The output options of list commands.
+var OUTPUT_OPTIONS = {
+    'json': Boolean,
+    'jsonl': Boolean,
+    'csv': Boolean,
+    'output': String,
+    'no-header': Boolean,
+    'sort': String,
+    'filter': String
+};
+
+var OUTPUT_SHORT_OPTIONS = {
+    'o': ['--output'],
+    'H': ['--no-header'],
+    's': ['--sort']
+};
+
+// How the options selecting machines read for the lifecycle commands.
+var SELECTOR_HELP = {
+    name: 'select the machines whose name matches this glob (e.g. "web*")',
+    state: 'select the machines in this state',
+    tag: 'select the machines with this key=value tag (may be repeated)'
+};
+
+// What the lifecycle actions read like once done.
+var ACTION_DONE = {
+    start: 'started',
+    stop: 'stopped',
+    reboot: 'rebooted',
+    'delete': 'deleted'
 };
 
 // --- Internal Functions
@@ -123,15 +216,334 @@ function buildDetailedUsageString(options, override) {
     var str = '\n\n';
     Object.keys(options).forEach(function (k) {
         if (MasterOptions[k] !== undefined) {
-            str += '\t' + k + ' - ' + MasterOptions[k] + '\n';
+            str += '\t' + k + ' - ' + MasterOptions[k] +
+                (ENV_VARS[k] ? ' (env: ' + ENV_VARS[k] + ')' : '') + '\n';
         }
     });
     return str;
 }
 
 
+/*
+ * Maps an option type as used in `Options` (String, Boolean, Number, url,
+ * path, or [Type, Array] for repeatable options) to a dashdash type.
+ */
+function optionType(type) {
+    var array = false;
+
+    if (Array.isArray(type)) {
+        array = (type.indexOf(Array) !== -1);
+        type = type[0];
+    }
+
+    var t;
+    if (type === Boolean) {
+        t = 'bool';
+    } else if (type === Number) {
+        t = 'number';
+    } else {
+        t = 'string';
+    }
+
+    return (array ? 'arrayOf' + t[0].toUpperCase() + t.slice(1) : t);
+}
+
+
+/*
+ * Rewrites the boolean forms dashdash doesn't know: "--foo false" and
+ * "--no-foo" become a negation of foo, and "--foo true" plain "--foo".
+ * Returns {argv, negated}, where negated lists the negated option names.
+ */
+function normalizeBooleans(args, specs) {
+    var bools = {};
+    specs.forEach(function (spec) {
+        if (spec.type === 'bool') {
+            spec.names.forEach(function (n) {
+                bools[n] = true;
+            });
+        }
+    });
+
+    var argv = [];
+    var negated = [];
+    var i;
+    for (i = 0; i < args.length; i++) {
+        var arg = args[i];
+        var m = /^--(no-)?(.+)$/.exec(arg);
+        // The whole name, as options like --no-header are named so.
+        var name = m && (m[1] || '') + m[2];
+
+        if (arg === '--') {
+            break;
+        } else if (m && m[1] && bools[m[2]] && !bools[name]) {
+            negated.push(m[2]);
+        } else if (m && bools[name] &&
+            (args[i + 1] === 'true' || args[i + 1] === 'false')) {
+            if (args[++i] === 'false') {
+                negated.push(name);
+            } else {
+                argv.push(arg);
+            }
+        } else {
+            argv.push(arg);
+        }
+    }
+
+    return ({argv: argv.concat(args.slice(i)), negated: negated});
+}
+
+
 // --- Exported API
 
+/**
+ * Builds dashdash option specs from a command's `Options` and `ShortOptions`
+ * (see e.g. bin/sdc-listmachines). Help comes from the shared option
+ * descriptions, and the connection options can be given as SDC_*
+ * environment variables.
+ *
+ * @param {Object} options map of long option names to types.
+ * @param {Object} shortOptions map of short option letters to
+ *                 ['--long-name'].
+ * @return {Array} of dashdash option specs.
+ */
+function optionSpecs(options, shortOptions) {
+    assert.ok(options);
+    shortOptions = shortOptions || {};
+
+    var aliases = {};
+    Object.keys(shortOptions).forEach(function (k) {
+        var target = shortOptions[k];
+        assert.ok(Array.isArray(target) && target.length === 1 &&
+            /^--/.test(target[0]), 'short option ' + k);
+        var n = target[0].slice(2);
+        (aliases[n] = aliases[n] || []).push(k);
+    });
+
+    return (Object.keys(options).map(function (k) {
+        var spec = {
+            names: [k].concat(aliases[k] || []),
+            type: optionType(options[k]),
+            help: MasterOptions[k]
+        };
+        if (ENV_VARS[k]) {
+            spec.env = ENV_VARS[k];
+        }
+        return (spec);
+    }));
+}
+
+
+/**
+ * Parses a command line against a command's `Options` and `ShortOptions`.
+ *
+ * Returns an object keyed by the long option names, plus `argv.remain`,
+ * the non-option arguments, and `fromEnv`, the options that were taken from
+ * the environment.
+ *
+ * @param {Object} options map of long option names to types.
+ * @param {Object} shortOptions map of short option letters to
+ *                 ['--long-name'].
+ * @param {Array} argv full process argv.
+ * @throws {Error} on unknown options or bad option values.
+ */
+function parseOptions(options, shortOptions, argv) {
+    var specs = optionSpecs(options, shortOptions);
+    var args = normalizeBooleans(argv.slice(2), specs);
+    var opts = dashdash.createParser({options: specs}).parse({
+        argv: args.argv,
+        slice: 0
+    });
+
+    var names = {};
+    var parsed = {};
+    specs.forEach(function (spec) {
+        var name = spec.names[0];
+        var key = name.replace(/-/g, '_');
+
+        names[key] = name;
+        if (opts[key] !== undefined) {
+            parsed[name] = opts[key];
+        }
+    });
+    args.negated.forEach(function (name) {
+        parsed[name] = false;
+    });
+
+    parsed.fromEnv = opts._order.filter(function (o) {
+        return (o.from === 'env');
+    }).map(function (o) {
+        return (names[o.key]);
+    });
+    parsed.argv = {
+        remain: opts._args,
+        original: argv.slice(2)
+    };
+
+    return (parsed);
+}
+
+
+/**
+ * Fills in connection options from the selected profile (see
+ * lib/profiles.js) for options parsed by dashdash, e.g. by a cmdln command.
+ *
+ * @param opts {Object} The parsed options. Updated in place.
+ * @throws {Error} if the selected profile doesn't exist.
+ */
+function applyProfile(opts) {
+    var fromEnv = (opts._order || []).filter(function (o) {
+        return (o.from === 'env');
+    }).map(function (o) {
+        return (o.key);
+    });
+
+    return profiles.applyProfile(opts, {
+        fromEnv: fromEnv,
+        underscores: true
+    });
+}
+
+
+/**
+ * Checks the connection options (keyId, account, url and user) once flags,
+ * environment and profile have been applied, and sets up `opts.sign`.
+ *
+ * @param opts {Object} The parsed options. Updated in place.
+ * @return {Error} describing the first problem found, or null.
+ */
+function validateConnection(opts) {
+    if (typeof (opts.keyId) === 'undefined') {
+        return new Error(
+            'Either --keyId or (env) SDC_KEY_ID must be specified');
+    }
+
+    if (!opts.keyId.match(SSH_HEX_KEY_ID_RE) &&
+      !opts.keyId.match(SSH_BASE64_KEY_ID_RE)) {
+        return new Error(
+            '--keyId or (env) SDC_KEY_ID must be a valid SSH key ID');
+    }
+
+    if (!opts.account) {
+        return new Error(
+            'Either --account or (env) SDC_ACCOUNT must be specified');
+    }
+
+    var halves = opts.account.split('/');
+    if (halves.length === 2) {
+        opts.account = halves[0];
+
+        if (!opts.user) {
+            opts.user = halves[1];
+        }
+
+        console.warn('Warning: The given --account or SDC_ACCOUNT ' +
+                     'appears to be an account/user combination. Please ' +
+                     'split between --account and --user (or SDC_ACCOUNT ' +
+                     'and SDC_USER) to avoid unexpected behaviours');
+    }
+
+    if (!opts.url) {
+        return new Error(
+            'Either --url or (env) SDC_URL must be specified');
+    }
+
+    if (!opts.url.match(URL_RE)) {
+        return new Error(
+            '--url or (env) SDC_URL must be a valid URL');
+    }
+
+    opts.sign = smartdc.cliSigner({
+        keyId: opts.keyId,
+        user: opts.account,
+        subuser: opts.user
+    });
+
+    return (null);
+}
+
+
+/**
+ * `init` for cmdln commands: applies the profile, validates the connection
+ * options and defines a lazily created `this.cloudapi` client.
+ *
+ * @param opts {Object} The options parsed by cmdln.
+ * @param args {Array} The remaining arguments.
+ * @param callback {Function} of the form f(err), or f(false) to stop.
+ */
+function checkRequiredOptions(opts, args, callback) {
+    var self = this;
+
+    if (opts.version) {
+        flushingexit.emit(this.name, pkg.version);
+        return callback(false);
+    }
+
+    this.opts = opts;
+
+    // As cmdln's own `init` does: "cmd --help [subcmd]" prints help, then
+    // stops.
+    if (opts.help) {
+        return this.do_help('help', opts, args.slice(0, 1), function (err) {
+            callback(err || false);
+        });
+    }
+
+    // Help needs no credentials, as with the other commands.
+    var wantsHelp = (opts.help || !args.length || args[0] === 'help' ||
+        args.some(function (a) {
+            return (a === '-h' || a === '--help' || a === '-?');
+        }));
+    if (wantsHelp) {
+        return callback();
+    }
+
+    try {
+        applyProfile(opts);
+    } catch (e) {
+        return callback(e);
+    }
+
+    if (opts.debug || opts.verbose) {
+        process.env.DEBUG = 1;
+    }
+
+    var err = validateConnection(opts);
+    if (err) {
+        return callback(err);
+    }
+
+    this.__defineGetter__('cloudapi', function () {
+        if (self._cloudapi === undefined) {
+            self._cloudapi = module.exports.newClient(opts);
+        }
+        return (self._cloudapi);
+    });
+
+    return callback();
+}
+
+
+/**
+ * We want to support the passing of multiple types of arrays to command args.
+ * This here churns through the various possibilities (same flag multiple times,
+ * passing in CSV, JSON) and returns a proper array.
+ *
+ * @param obj {Object} Array containing command-line args from the same flag
+ */
+function argToArray(obj) {
+    if (!obj || obj.length !== 1)
+        return obj;
+
+    obj = obj[0];
+
+    try {
+        return JSON.parse(obj);
+    } catch (e) {}
+
+    return obj.split(',');
+}
+
+
 /**
  * Print a CLI error for the given error object.
  *
@@ -140,16 +552,15 @@ function buildDetailedUsageString(options, override) {
  *      - `command` {String} The CLI command name. Else a guess is made.
  */
 function printErr(err) {
-    var code = (err.body && err.body.code ? err.body.code : err.code);
+    var code = err.restCode || err.code;
     // if there's no message, it's not certain there will be syscall, but
     // worth a try, since that's a common class of error
-    var msg = (err.body && err.body.message ? err.body.message :
-            (err.message ? err.message : err.syscall));
+    var msg = err.message || err.syscall;
     var cmd = path.basename(process.argv[1]);
     var details;
 
-    if (err.body && err.body.errors) {
-        details = err.body.errors.map(function (e) {
+    if (err.errors && err.errors.length) {
+        details = err.errors.map(function (e) {
             return e.code + ', ' + e.field + ': ' + e.message;
         }).join(', ');
     }
@@ -202,6 +613,316 @@ function parseMetadata(metas, fromFiles) {
     return (out);
 }
 
+/**
+ * Returns a callback for a machine lifecycle action (start, stop, ...). When
+ * `--wait` was given, it polls the machine until it is in one of `states`
+ * and prints it; otherwise it behaves like the common callback.
+ *
+ * @param {Object} client CloudAPI client.
+ * @param {Object} parsed parsed CLI options.
+ * @param {String} machine machine id, or null to take it from the action's
+ *                 response (e.g. createMachine).
+ * @param {Array} states states to wait for.
+ * @param {Object} wait (optional) the `leave` and `until` options of
+ *                 waitForMachineState, for actions the machine is already
+ *                 in one of `states` for (reboot, resize, ...).
+ */
+function machineCallback(client, parsed, machine, states, wait) {
+    return function (err, obj) {
+        if (err || !parsed.wait) {
+            return module.exports.callback(err, obj);
+        }
+
+        var opts = {};
+        Object.keys(wait || {}).forEach(function (k) {
+            opts[k] = wait[k];
+        });
+        if (parsed['wait-timeout'] !== undefined) {
+            opts.timeout = parsed['wait-timeout'] * 1000;
+        }
+
+        return client.waitForMachineState(machine || obj.id, states, opts,
+                function (err2, m) {
+            if (err2) {
+                return module.exports.callback(err2);
+            }
+            return module.exports.callback(null,
+                (m.state === 'deleted' ? null : m));
+        });
+    };
+}
+
+/**
+ * Builds a selector (see CloudAPI.selectMachines) from the machines given
+ * on the command line and the --name, --state and --tag options, exiting
+ * with usage if there's none of them.
+ *
+ * @param {Object} parsed parsed CLI options.
+ * @param {String} usageStr usage, for when no machine is given.
+ * @return {Object} the selector.
+ */
+function machineSelector(parsed, usageStr) {
+    var selector = {};
+
+    if (parsed.argv.remain.length) {
+        selector.machines = parsed.argv.remain;
+    }
+    if (parsed.name !== undefined) {
+        selector.name = parsed.name;
+    }
+    if (parsed.state !== undefined) {
+        selector.state = parsed.state;
+    }
+    if (parsed.tag) {
+        selector.tags = parseMetadata(parsed.tag, false);
+    }
+    if (!Object.keys(selector).length) {
+        usage(usageStr, 1, 'machine (or --name, --state or --tag) required');
+    }
+    return (selector);
+}
+
+/**
+ * Runs a machine lifecycle action (see CloudAPI.forEachMachine) for the
+ * start, stop, reboot and delete commands, then exits.
+ *
+ * A single machine given on its own is handled as it always has been (see
+ * machineCallback). Several machines, or any of --name, --state, --tag,
+ * --concurrency or --stop-on-error, run the action on every machine
+ * selected, printing each result as it comes and a summary at the end;
+ * the exit status is 3 if the action failed on any machine.
+ *
+ * @param {Object} parsed parsed CLI options.
+ * @param {String} action "start", "stop", "reboot" or "delete".
+ * @param {Array} states states a single machine is waited for in.
+ * @param {String} usageStr usage, for when no machine is given.
+ */
+function machineAction(parsed, action, states, usageStr) {
+    var cmd = path.basename(process.argv[1]);
+    var names = parsed.argv.remain;
+    var selector = machineSelector(parsed, usageStr);
+
+    if (parsed.concurrency !== undefined &&
+        !(parsed.concurrency >= 1 &&
+        Math.floor(parsed.concurrency) === parsed.concurrency)) {
+        usage(usageStr, 1, '--concurrency must be a positive integer');
+    }
+
+    var client = module.exports.newClient(parsed);
+    var bulk = (names.length !== 1 || Object.keys(selector).length > 1 ||
+        parsed.concurrency !== undefined || parsed['stop-on-error']);
+
+    if (!bulk) {
+        return resolve(client, 'machine', names[0], function (machine) {
+            client[action + 'Machine'](machine,
+                machineCallback(client, parsed, machine, states,
+                    {leave: (action === 'reboot')}));
+        });
+    }
+
+    function describe(m) {
+        return (m.name ? m.name + ' (' + m.id + ')' : m.id);
+    }
+
+    return client.selectMachines(selector, function (err, machines) {
+        if (err) {
+            return module.exports.callback(err);
+        }
+        if (!machines.length) {
+            console.error('%s: no machines selected', cmd);
+            return flushingexit.exit(1);
+        }
+
+        var opts = {
+            concurrency: parsed.concurrency || 1,
+            stopOnError: parsed['stop-on-error'],
+            wait: parsed.wait,
+            onResult: function (m, err2) {
+                if (err2) {
+                    console.error('%s: failed to %s %s: %s', cmd, action,
+                        describe(m), err2.message || err2.code);
+                } else {
+                    flushingexit.emit(ACTION_DONE[action] + ' ' +
+                        describe(m));
+                }
+            }
+        };
+        if (parsed['wait-timeout'] !== undefined) {
+            opts.waitTimeout = parsed['wait-timeout'] * 1000;
+        }
+
+        return client.forEachMachine(machines, action, opts,
+                function (err2, results) {
+            if (err2) {
+                return module.exports.callback(err2);
+            }
+
+            flushingexit.emit(format('%s %d of %d machines, %d failed' +
+                '%s.', ACTION_DONE[action], results.done.length,
+                machines.length, results.failed.length,
+                (results.skipped.length ?
+                ', ' + results.skipped.length + ' skipped' : '')));
+            return flushingexit.exit(results.done.length === machines.length ?
+                0 : 3);
+        });
+    });
+}
+
+/**
+ * Resolves the names, UUID prefixes or UUIDs given on the command line for
+ * some kind of resource (see CloudAPI.resolve), exiting with the error if
+ * any of them doesn't resolve to exactly one.
+ *
+ * @param {Object} client CloudAPI client.
+ * @param {String} kind e.g. "machine" or "image".
+ * @param {String} names a name, or an array of names.
+ * @param {Function} callback of the form f(ids), with an id or an array of
+ *                   ids, as `names` was given.
+ */
+function resolve(client, kind, names, callback) {
+    client.resolve(kind, names, function (err, ids) {
+        if (err) {
+            return module.exports.callback(err);
+        }
+        return callback(ids);
+    });
+}
+
+/*
+ * Checks the --rule of parsed options, if any, unless --no-validate is
+ * given, exiting with where the rule is wrong if it's invalid.
+ */
+function checkRule(opts) {
+    if (!opts.rule || opts.validate === false) {
+        return;
+    }
+
+    try {
+        fwrule.parse(opts.rule);
+    } catch (e) {
+        console.error('%s: invalid rule:\n%s', path.basename(process.argv[1]),
+            fwrule.formatError(opts.rule, e));
+        flushingexit.exit(1);
+    }
+}
+
+/*
+ * Compiles the --filter expression of parsed options, if any, exiting with
+ * a usage error if it's invalid.
+ */
+function compileFilter(opts) {
+    if (!opts.filter) {
+        return (null);
+    }
+
+    try {
+        return (filter.compile(opts.filter));
+    } catch (e) {
+        console.error('%s: %s', path.basename(process.argv[1]), e.message);
+        return (flushingexit.exit(1));
+    }
+}
+
+/**
+ * Prints list results as chosen by the output options (see OUTPUT_OPTIONS):
+ * JSON, JSON lines or CSV if asked for, else a table when stdout is a
+ * terminal or -H is given, and JSON otherwise. Results are first cut down
+ * to those matching --filter, if given.
+ *
+ * @param {Object} obj the results.
+ * @param {Object} opts parsed options.
+ * @param {Array} columns default table columns.
+ */
+function printOutput(obj, opts, columns) {
+    var noHeader = opts['no-header'] || opts.no_header;
+    var mode = 'json';
+
+    obj = filter.filterItems(obj, compileFilter(opts));
+
+    if (opts.json) {
+        mode = 'json';
+    } else if (opts.jsonl) {
+        mode = 'jsonl';
+    } else if (opts.csv) {
+        mode = 'csv';
+    } else if (process.stdout.isTTY || noHeader) {
+        mode = 'table';
+    }
+
+    var str = output.formatOutput(obj, {
+        mode: mode,
+        columns: columns,
+        fields: output.parseFields(opts.output),
+        sort: output.parseFields(opts.sort),
+        noHeader: noHeader
+    });
+    if (str) {
+        flushingexit.emit(str);
+    }
+}
+
+/**
+ * Returns a callback for list commands, printing the results per the output
+ * options; errors are handled as by the common callback.
+ *
+ * @param {Object} opts parsed options.
+ * @param {Array} columns default table columns.
+ */
+function outputCallback(opts, columns) {
+    compileFilter(opts);
+
+    return function (err, obj) {
+        if (err) {
+            return module.exports.callback(err);
+        }
+
+        printOutput(obj, opts, columns);
+        return flushingexit.exit(0);
+    };
+}
+
+/**
+ * Returns a callback for MultiDatacenterClient calls: it prints the merged
+ * results, with a datacenter column, and reports every datacenter that
+ * failed on stderr, exiting with 3 if any did.
+ *
+ * @param {Object} opts parsed options.
+ * @param {Array} columns default table columns.
+ */
+function multiCallback(opts, columns) {
+    compileFilter(opts);
+
+    return function (err, results, failures) {
+        if (err) {
+            return module.exports.callback(err);
+        }
+
+        printOutput(results, opts, ['datacenter'].concat(columns));
+        (failures || []).forEach(function (f) {
+            console.error('%s: datacenter %s failed: %s',
+                path.basename(process.argv[1]), f.datacenter,
+                f.error.message || f.error.code);
+        });
+
+        return flushingexit.exit(failures && failures.length ? 3 : 0);
+    };
+}
+
+/**
+ * Returns a callback for list commands that print plain JSON: it prints the
+ * results matching --filter, if given, as the common callback does.
+ *
+ * @param {Object} opts parsed options.
+ */
+function filterCallback(opts) {
+    var predicate = compileFilter(opts);
+
+    return function (err, obj) {
+        return module.exports.callback(err,
+            (err ? obj : filter.filterItems(obj, predicate)));
+    };
+}
+
 function mergeObjects(a, b) {
     var out = {};
     var k;
@@ -220,6 +941,12 @@ function mergeObjects(a, b) {
 
 module.exports = {
 
+    DEFAULT_OPTIONS: optionSpecs(CONNECTION_OPTIONS, CONNECTION_SHORT_OPTIONS),
+
+    OUTPUT_OPTIONS: OUTPUT_OPTIONS,
+    OUTPUT_SHORT_OPTIONS: OUTPUT_SHORT_OPTIONS,
+    OUTPUT_OPTION_SPECS: optionSpecs(OUTPUT_OPTIONS, OUTPUT_SHORT_OPTIONS),
+
     printErr: printErr,
 
     emit: flushingexit.emit,
@@ -264,87 +991,45 @@ module.exports = {
         if (!usageStr)
             usageStr = buildUsageString(options);
 
-        var parsed = nopt(options, shortOptions, process.argv, 2);
+        // Every command takes the connection options, whether or not it
+        // lists them.
+        options = mergeObjects(CONNECTION_OPTIONS, options);
+        shortOptions = mergeObjects(CONNECTION_SHORT_OPTIONS, shortOptions);
+
+        var parsed;
+        try {
+            parsed = parseOptions(options, shortOptions, process.argv);
+        } catch (e) {
+            usage(usageStr, 1, e.message);
+        }
 
         if (parsed.help)
             usage(usageStr);
 
         if (parsed.version) {
-            try {
-                console.log('smartdc %s', require('../package.json').version);
-                return process.exit(0);
-            } catch (ex) {
-                console.error('error reading version: %s', ex.message);
-                return process.exit(1);
-            }
+            flushingexit.emit('smartdc ' + pkg.version);
+            return flushingexit.exit(0);
         }
 
-        if (!parsed.keyId && process.env.SDC_KEY_ID) {
-            parsed.keyId = process.env.SDC_KEY_ID;
-        }
-
-        if (typeof (parsed.keyId) === 'undefined') {
-            usage(usageStr, 1,
-                'Either --keyId or (env) SDC_KEY_ID must be specified');
-        }
-
-        if (!parsed.keyId.match(SSH_HEX_KEY_ID_RE) &&
-          !parsed.keyId.match(SSH_BASE64_KEY_ID_RE)) {
-            usage(usageStr, 1,
-                '--keyId or (env) SDC_KEY_ID must be a valid SSH key ID');
-        }
-
-        if (!parsed.account) {
-            parsed.account = process.env.SDC_ACCOUNT;
+        try {
+            profiles.applyProfile(parsed, {fromEnv: parsed.fromEnv});
+        } catch (e) {
+            usage(usageStr, 1, e.message);
         }
 
-        if (!parsed.account) {
-            usage(usageStr, 1,
-                'Either --account or (env) SDC_ACCOUNT must be specified');
+        var err = validateConnection(parsed);
+        if (err) {
+            usage(usageStr, 1, err.message);
         }
 
-        var halves = parsed.account.split('/');
-        if (halves.length === 2) {
-            parsed.account = halves[0];
-
-            if (!parsed.user && !process.env.SDC_USER) {
-                parsed.user = halves[1];
+        if (parsed.filter) {
+            try {
+                filter.compile(parsed.filter);
+            } catch (e) {
+                usage(usageStr, 1, e.message);
             }
-
-            console.warn('Warning: The given --account or SDC_ACCOUNT ' +
-                         'appears to be an account/user combination. Please ' +
-                         'split between --account and --user (or SDC_ACCOUNT ' +
-                         'and SDC_USER) to avoid unexpected behaviours');
-        }
-
-        if (!parsed['api-version']) {
-            parsed['api-version'] = process.env.SDC_API_VERSION;
-        }
-
-        if (!parsed.url) {
-            parsed.url = process.env.SDC_URL;
-        }
-
-        if (!parsed.url) {
-            usage(usageStr, 1,
-                'Either --url or (env) SDC_URL must be specified');
         }
 
-        if (!parsed.url.match(URL_RE)) {
-            usage(usageStr, 1,
-                '--url or (env) SDC_URL must be a valid URL');
-        }
-
-        if (!parsed.user && process.env.SDC_USER) {
-            parsed.user = process.env.SDC_USER;
-        }
-
-        parsed.sign = smartdc.cliSigner({
-            keyId: parsed.keyId,
-            user: parsed.account,
-            subuser: parsed.user
-        });
-
         return callback(parsed);
     },
 
@@ -372,7 +1057,47 @@ module.exports = {
         }
     },
 
+
+    newMultiClient: function (parsed) {
+        return new smartdc.MultiDatacenterClient({
+            client: module.exports.newClient(parsed)
+        });
+    },
+
+    optionSpecs: optionSpecs,
+
+
+    parseOptions: parseOptions,
+
+
+    applyProfile: applyProfile,
+
+
+    validateConnection: validateConnection,
+
+
+    checkRequiredOptions: checkRequiredOptions,
+
+
+    argToArray: argToArray,
+
+
     parseMetadata: parseMetadata,
 
+    machineCallback: machineCallback,
+    machineAction: machineAction,
+    machineSelector: machineSelector,
+    checkRule: checkRule,
+    SELECTOR_HELP: SELECTOR_HELP,
+    resolve: resolve,
+
+    printOutput: printOutput,
+
+    outputCallback: outputCallback,
+
+    multiCallback: multiCallback,
+
+    filterCallback: filterCallback,
+
     mergeObjects: mergeObjects
 };
@@ -14,18 +14,15 @@ var restify = require('restify');
 var bunyan = require('bunyan');
 var clone = require('clone');
 var auth = require('smartdc-auth');
+var errors = require('./errors');
+var filter = require('./filter');
+var fixtures = require('./fixtures');
+var RetryPolicy = require('./retry').RetryPolicy;
 
 
 // --- Globals
 
 
-var log = bunyan.createLogger({
-    level: 'fatal',
-    name: 'smartdc',
-    stream: process.stderr,
-    serializers: restify.bunyan.serializers
-});
-
 var API_VERSION = '~7.2';
 var VERSION = require('../package.json').version;
 var RESTIFY_VERSION = 'unknown';
@@ -67,6 +64,18 @@ var ROLE = ROLES + '/%s';
 var SUB_KEYS = USER + '/keys';
 var SUB_KEY = SUB_KEYS + '/%s';
 
+/*
+ * Collections whose members are also listed elsewhere: changing a firewall
+ * rule changes what /:account/machines/:id/fwrules returns, and changing a
+ * machine what /:account/fwrules/:id/machines does. Fabric networks, made
+ * and deleted under /:account/fabrics, are in /:account/networks as well.
+ */
+var CACHE_RELATED = {
+    fabrics: 'networks',
+    fwrules: 'machines',
+    machines: 'fwrules'
+};
+
 
 // --- Internal Helpers
 
@@ -147,6 +156,107 @@ function _addToQuery(req, obj) {
 }
 
 
+/*
+ * Returns a copy of the options of an update without its `ifMatch` (see
+ * _ifMatch), which isn't part of the request body.
+ */
+function _withoutIfMatch(opts) {
+    if (opts.ifMatch !== undefined && typeof (opts.ifMatch) !== 'string') {
+        throw new TypeError('opts.ifMatch must be a string');
+    }
+
+    var body = {};
+    Object.keys(opts).forEach(function (k) {
+        if (k !== 'ifMatch') {
+            body[k] = opts[k];
+        }
+    });
+    return (body);
+}
+
+
+/*
+ * Makes an update conditional on the resource still having the ETag a
+ * previous GET returned: if it has changed since, CloudAPI fails the
+ * request with a PreconditionFailedError (412) instead of overwriting
+ * someone else's change.
+ */
+function _ifMatch(req, etag) {
+    if (etag !== undefined) {
+        req.headers['if-match'] = etag;
+    }
+}
+
+
+/*
+ * Computes pagination details from the `x-resource-count` and
+ * `x-query-limit` headers CloudAPI sets on paginated listings. Returns
+ * undefined for responses that aren't paginated.
+ */
+function _pagination(query, headers) {
+    if (!headers || !headers['x-resource-count'])
+        return (undefined);
+
+    var page = {
+        offset: Number((query && query.offset) || 0),
+        limit: undefined,
+        count: parseInt(headers['x-resource-count'], 10),
+        done: true
+    };
+
+    if (headers['x-query-limit']) {
+        page.limit = parseInt(headers['x-query-limit'], 10);
+        page.done = (page.count < page.limit + page.offset);
+    }
+
+    return (page);
+}
+
+
+/*
+ * The cache key of a GET request: its path and (sorted) query, which
+ * includes `as-role` when the client assumes a role.
+ */
+function _cacheKey(req) {
+    var query = req.query || {};
+    var keys = Object.keys(query).sort();
+    if (!keys.length)
+        return (req.path);
+
+    return (req.path + '?' + keys.map(function (k) {
+        return (qs.escape(k) + '=' + qs.escape(String(query[k])));
+    }).join('&'));
+}
+
+
+/*
+ * Tells whether a cached response for `cached` (a path) may be stale after
+ * a request changed `changed`. That's the case for the changed path itself,
+ * its ancestors (down to the collection, e.g. /:account/machines), its
+ * descendants, its siblings under the same resource (a machine's tags,
+ * metadata, snapshots, ... and the machine itself), and related listings
+ * (see CACHE_RELATED). A change to the account itself only affects the
+ * account.
+ */
+function _cacheStale(cached, changed) {
+    var c = cached.split('/');
+    var m = changed.split('/');
+
+    if (c[1] !== m[1])
+        return (false);
+    if (m.length <= 2)
+        return (cached === changed);
+    if (c[2] !== m[2]) {
+        return (CACHE_RELATED[m[2]] === c[2] &&
+            (m[2] === 'fabrics' || c[4] === m[2]));
+    }
+    if (c.length <= 3 || m.length <= 3)
+        return (true);
+
+    return (c[3] === m[3]);
+}
+
+
 // --- Exported CloudAPI Client
 
 
@@ -164,14 +274,26 @@ function _addToQuery(req, obj) {
  * @param {Object} options object (required):
  *        - {String} url (required) CloudAPI location.
  *        - {String} account (optional) the login name to use (default my).
- *        - {Number} logLevel (optional) an enum value for the logging level.
+ *        - {Object} log (optional) bunyan logger to log through. The client
+ *          logs via a child carrying its url, account and role.
+ *        - {Number} logLevel (optional) an enum value for the logging level
+ *          of this client's logger.
  *        - {String} version (optional) api version (default ~7.2).
  *        - {Function} sign (required) callback function to use for signing
- *          (authenticated requests)
+ *          (authenticated requests). Not needed with `replay`.
  *        - {Boolean} noCache (optional) disable client caching (default false).
  *        - {Boolean} cacheSize (optional) number of cache entries (default 1k).
  *        - {Boolean} cacheExpiry (optional) entry age in seconds (default 60).
  *        - {String} userAgent (optional)
+ *        - {Object} retryPolicy (optional) a RetryPolicy, the options for a
+ *          new one (see lib/retry.js), or false to never retry. By default
+ *          idempotent requests are retried on 429/5xx and dropped
+ *          connections.
+ *        - {String} record (optional) path of a fixture file to record every
+ *          request and response to, scrubbed of credentials (see
+ *          lib/fixtures.js).
+ *        - {String} replay (optional) path of a fixture file to answer
+ *          requests from, instead of the network. Requests aren't signed.
  *        ...
  * @throws {TypeError} on bad input.
  * @constructor
@@ -179,12 +301,34 @@ function _addToQuery(req, obj) {
 function CloudAPI(options) {
     assert.object(options, 'options');
     assert.string(options.url, 'options.url');
-    assert.func(options.sign, 'options.sign');
+    assert.optionalString(options.record, 'options.record');
+    assert.optionalString(options.replay, 'options.replay');
+    if (!options.replay)
+        assert.func(options.sign, 'options.sign');
     assert.optionalString(options.account, 'options.account');
+    assert.optionalObject(options.log, 'options.log');
+    if (options.record && options.replay)
+        throw new TypeError('options.record and options.replay are exclusive');
+
+    this.account = options.account || 'my';
 
+    // Each client logs through its own child logger, so that clients in the
+    // same process can run at different levels and their records can be
+    // told apart.
+    var parentLog = options.log || bunyan.createLogger({
+        level: 'fatal',
+        name: 'smartdc',
+        stream: process.stderr,
+        serializers: restify.bunyan.serializers
+    });
+    this.log = parentLog.child({
+        url: options.url,
+        account: this.account,
+        role: options.asRole
+    });
     if (options.logLevel)
-        log.level(options.logLevel);
-    options.log = log;
+        this.log.level(options.logLevel);
+    options.log = this.log;
 
     if (options.api_version)
         options.version = options.api_version;
@@ -192,14 +336,25 @@ function CloudAPI(options) {
     if (!options.version)
         options.version = API_VERSION;
 
-    this.account = options.account || 'my';
     this.sign = options.sign;
 
     options.contentType = 'application/json';
 
-    options.retryCallback = function checkFor500(code) {
-        return (code === 500);
-    };
+    if (options.retryPolicy === false) {
+        this.retryPolicy = null;
+    } else if (options.retryPolicy &&
+        typeof (options.retryPolicy.getDelay) === 'function') {
+        this.retryPolicy = options.retryPolicy;
+    } else {
+        this.retryPolicy = new RetryPolicy(options.retryPolicy);
+    }
+
+    // The retry policy (even `false`, "never retry") covers connection
+    // errors too, so restify's own connect retries are off unless explicitly
+    // configured.
+    if (options.retry === undefined) {
+        options.retry = false;
+    }
 
     if (options.asRole) {
         this.asRole = options.asRole;
@@ -221,7 +376,22 @@ function CloudAPI(options) {
     }
 
     this.client = restify.createJsonClient(options);
+
+    // Fixture recording or replay (see lib/fixtures.js), shared with the
+    // clients created by createClientForDatacenter.
+    this.recorder = options.recorder ||
+        (options.record ? new fixtures.Recorder(options.record) : null);
+    this.player = options.player ||
+        (options.replay ? new fixtures.Player(options.replay) : null);
+    delete options.recorder;
+    delete options.player;
+
+    // Clients created from this one (see createClientForDatacenter) get
+    // their own child of the same parent logger, so don't deep-copy it.
+    options.log = undefined;
     this.options = clone(options);
+    this.options.log = parentLog;
+    options.log = this.log;
 
     // Initialize the cache
     if (!options.noCache) {
@@ -229,9 +399,31 @@ function CloudAPI(options) {
         this.cacheExpiry = (options.cacheExpiry || 60) * 1000;
         this.cache = createCache(this.cacheSize);
     }
+    this.cacheStats = {hits: 0, misses: 0, revalidations: 0, invalidations: 0};
 }
 
 
+/**
+ * Returns the hit and miss counts of this client's cache.
+ *
+ * @return {Object} with `enabled`, `size` (entries cached), `max` (cache
+ *         size), `hits`, `misses`, `revalidations` (misses answered with a
+ *         304 Not Modified, so served from the cache after all) and
+ *         `invalidations` (entries dropped after a POST, PUT or DELETE).
+ */
+CloudAPI.prototype.getCacheStats = function getCacheStats() {
+    return ({
+        enabled: Boolean(this.cache),
+        size: (this.cache ? this.cache.itemCount : 0),
+        max: (this.cache ? this.cacheSize : 0),
+        hits: this.cacheStats.hits,
+        misses: this.cacheStats.misses,
+        revalidations: this.cacheStats.revalidations,
+        invalidations: this.cacheStats.invalidations
+    });
+};
+
+
 /**
  * Looks up your account record.
  *
@@ -867,14 +1059,20 @@ function createClientForDatacenter(account, datacenter, callback, noCache) {
             return callback(self._error(err));
 
         if (!datacenters[datacenter]) {
-            var e = new restify.ResourceNotFoundError(
-                'datacenter ' + datacenter + ' not found');
-            e.name = 'CloudApiError';
-            return callback(e);
+            return callback(new errors.ResourceNotFoundError({
+                message: 'datacenter ' + datacenter + ' not found',
+                restCode: 'ResourceNotFound'
+            }));
         }
 
+        var log = self.options.log;
+        self.options.log = undefined;
         var opts = clone(self.options);
+        self.options.log = log;
+        opts.log = log;
         opts.url = datacenters[datacenter];
+        opts.recorder = self.recorder;
+        opts.player = self.player;
 
         return callback(null, new CloudAPI(opts));
     });
@@ -1009,15 +1207,18 @@ function countMachines(account, options, callback) {
         _addToQuery(req, options);
         req.cacheTTL = (15 * 1000);
 
-        return self.client.head(req, function (err, request, res) {
+        return self._retry('HEAD', req, function (cb) {
+            self._send('HEAD', req, undefined, cb);
+        }, function (err, request, res) {
+            self._recordResponse(req, res);
             if (err) {
-                return callback(self._error(err));
+                return callback(self._error(err, res));
             }
             var headers = res.headers;
             var done = true;
             var count = parseInt(headers['x-resource-count'], 10);
 
-            log.debug('CloudAPI._head(%s) -> err=%o, count=%d, done=%s',
+            self.log.debug('CloudAPI._head(%s) -> err=%o, count=%d, done=%s',
                 req.path, err, count, done);
             return callback(err, count, done);
         });
@@ -1104,23 +1305,21 @@ function listMachines(account, options, tags, callback) {
     return self._request(sprintf(MACHINES, account), null, function reqCb(req) {
         _addToQuery(req, options);
 
-        return self.client.get(req, function getCb(err, request, res, obj) {
+        return self._retry('GET', req, function (cb) {
+            self._send('GET', req, undefined, cb);
+        }, function getCb(err, request, res, obj) {
+            self._recordResponse(req, res);
             if (err) {
-                log.error({err: err}, sprintf('CloudAPI._get(%s)', req.path));
-                return callback(self._error(err));
+                self.log.error({err: err},
+                    sprintf('CloudAPI._get(%s)', req.path));
+                return callback(self._error(err, res));
             }
 
-            var done = true;
-            if (typeof (req.query.offset) === 'undefined') {
-                req.query.offset = 0;
-            }
-            if (res.headers['x-resource-count'] &&
-                        res.headers['x-query-limit'])
-                done = (parseInt(res.headers['x-resource-count'], 10) <
-                parseInt(res.headers['x-query-limit'], 10) + req.query.offset);
+            var page = _pagination(req.query, res.headers);
+            var done = (page ? page.done : true);
 
-            log.debug({err: err, obj: obj, done: done}, 'CloudAPI._get(%s)',
-                req.path);
+            self.log.debug({err: err, obj: obj, done: done},
+                'CloudAPI._get(%s)', req.path);
             return callback(err, obj, done);
         });
     });
@@ -2334,6 +2533,9 @@ CloudAPI.prototype.GetFirewallRule = getFirewallRule;
  * @param {Object} opts object containing:
  *                   - {Boolean} enabled (optional) default to false.
  *                   - {String} rule (required) the fwrule text.
+ *                   - {String} ifMatch (optional) the ETag the rule was
+ *                     read with; the update fails with a
+ *                     PreconditionFailedError if it has changed since.
  * @param {Function} callback of the form f(err, fwrule).
  * @throws {TypeError} on bad input.
  */
@@ -2367,10 +2569,12 @@ function updateFirewallRule(account, fwrule, opts, callback) {
         };
     }
 
+    var body = _withoutIfMatch(opts);
     var name = (typeof (fwrule) === 'object' ? fwrule.id : fwrule);
     var path = sprintf(FWRULE, account, name);
 
-    return self._request(path, opts, function reqCb(req) {
+    return self._request(path, body, function reqCb(req) {
+        _ifMatch(req, opts.ifMatch);
         return self._post(req, callback);
     });
 }
@@ -2733,6 +2937,9 @@ CloudAPI.prototype.GetUser = getUser;
  *                   - {String} state (optional) for the user.
  *                   - {String} country (optional) for the user.
  *                   - {String} phone (optional) for the user.
+ *                   - {String} ifMatch (optional) the ETag the user was
+ *                     read with; the update fails with a
+ *                     PreconditionFailedError if it has changed since.
  * @param {Function} callback of the form f(err, user).
  * @param {Boolean} noCache optional flag to force skipping the cache.
  * @throws {TypeError} on bad input.
@@ -2758,9 +2965,11 @@ function updateUser(account, opts, callback, noCache) {
         account = account.login;
     }
 
+    var body = _withoutIfMatch(opts);
     var path = sprintf(USER, account, opts.id);
 
-    return self._request(path, opts, function reqCb(req) {
+    return self._request(path, body, function reqCb(req) {
+        _ifMatch(req, opts.ifMatch);
         return self._post(req, callback);
     });
 }
@@ -3184,6 +3393,9 @@ CloudAPI.prototype.GetPolicy = getPolicy;
  *                   - {String} name (optional) for the policy.
  *                   - {String} rules (optional) for the policy.
  *                   - {String} description (optional) for the policy.
+ *                   - {String} ifMatch (optional) the ETag the policy was
+ *                     read with; the update fails with a
+ *                     PreconditionFailedError if it has changed since.
  * @param {Function} callback of the form f(err, policy).
  * @param {Boolean} noCache optional flag to force skipping the cache.
  * @throws {TypeError} on bad input.
@@ -3209,9 +3421,11 @@ function updatePolicy(account, opts, callback, noCache) {
         account = account.login;
     }
 
+    var body = _withoutIfMatch(opts);
     var path = sprintf(POLICY, account, opts.id);
 
-    return self._request(path, opts, function reqCb(req) {
+    return self._request(path, body, function reqCb(req) {
+        _ifMatch(req, opts.ifMatch);
         return self._post(req, callback);
     });
 }
@@ -3538,7 +3752,8 @@ CloudAPI.prototype.DeleteRole = deleteRole;
  * @param {String} account (optional) the login name of the account.
  * @param {String} resource (required) path to the resource to retrieve
  *                 role tags for.
- * @param {Function} callback of the form f(err, roleTags).
+ * @param {Function} callback of the form f(err, roleTags, headers), where
+ *                   headers.etag can be given to setRoleTags as `ifMatch`.
  * @throws {TypeError} on bad input.
  */
 function getRoleTags(account, resource, cb) {
@@ -3595,7 +3810,7 @@ function getRoleTags(account, resource, cb) {
             } else {
                 var roleTags = (!headers['role-tag']) ? [] :
                     headers['role-tag'].split(',');
-                return cb(null, roleTags);
+                return cb(null, roleTags, headers);
             }
         }, false);
     });
@@ -3614,17 +3829,33 @@ CloudAPI.prototype.GetRoleTags = getRoleTags;
  * @param {String} resource (required) path to the resource to retrieve
  *                 role tags for.
  * @param {Object} roleTags (required) Array of role tags.
+ * @param {Object} options (optional) object containing:
+ *                   - {String} ifMatch (optional) the ETag the resource was
+ *                     read with (see getRoleTags); the update fails with a
+ *                     PreconditionFailedError if it has changed since.
  * @param {Function} callback of the form f(err, roleTags).
  * @throws {TypeError} on bad input.
  */
-function setRoleTags(account, resource, roleTags, cb) {
+function setRoleTags(account, resource, roleTags, options, cb) {
     var self = this;
+    var args = Array.prototype.slice.call(arguments);
 
-    if (typeof (roleTags) === 'function') {
-        cb = roleTags;
-        roleTags = resource;
-        resource = account;
-        account = this.account;
+    cb = args.pop();
+    options = (args.length === 4 ||
+        (args.length === 3 && Array.isArray(args[1])) ? args.pop() : {});
+    if (args.length === 2) {
+        args.unshift(this.account);
+    }
+    account = args[0];
+    resource = args[1];
+    roleTags = args[2];
+
+    if (!options || typeof (options) !== 'object') {
+        throw new TypeError('options (object) required');
+    }
+    if (options.ifMatch !== undefined &&
+        typeof (options.ifMatch) !== 'string') {
+        throw new TypeError('options.ifMatch must be a string');
     }
 
     if (!roleTags || typeof (roleTags) !== 'object') {
@@ -3672,6 +3903,7 @@ function setRoleTags(account, resource, roleTags, cb) {
     return self._request(resource, {
         'role-tag': roleTags
     }, function reqCb(req) {
+        _ifMatch(req, options.ifMatch);
         return self._put(req, cb);
     });
 }
@@ -3896,44 +4128,58 @@ function _updateMachine(account, machine, action, params, callback) {
 };
 
 
+/*
+ * Converts a failed request into one of the typed errors in lib/errors.js,
+ * preserving the status code, CloudAPI error code, request id and any
+ * field-level errors. Errors that never got a response (connection refused,
+ * timeouts, ...) are returned unchanged.
+ */
 CloudAPI.prototype._error =
-function _error(err) {
+function _error(err, res) {
     assert.ok(err);
+
+    if (err instanceof errors.CloudApiError)
+        return err;
+
     // Handle self-signed certificates:
     if (/DEPTH_ZERO_SELF_SIGNED_CERT/.test(String(err))) {
-        err.details = {
-            code: 'InternalError',
-            message: 'DEPTH_ZERO_SELF_SIGNED_CERT'
-        };
-        err.httpCode = 500;
+        return errors.createError({
+            restCode: 'InternalError',
+            message: 'DEPTH_ZERO_SELF_SIGNED_CERT',
+            cause: err
+        });
     }
 
-    function _newError(code, message) {
-        var e = new Error();
-        e.name = 'CloudApiError';
-        e.code = code;
-        e.message = message;
-        return e;
-    }
+    var statusCode = err.statusCode || err.httpCode ||
+        (res && res.statusCode);
+    if (!statusCode)
+        return err;
 
-    if (err.details && err.httpCode >= 500) {
+    // Older restify versions hang the error body off `err.details`.
+    var body = err.body;
+    if ((!body || !body.code) && err.details) {
         if (err.details.code && err.details.message) {
-            return _newError(err.details.code, err.details.message);
+            body = err.details;
         } else if (err.details.object && err.details.object.code) {
-            return _newError(err.details.object.code,
-                                err.details.object.message);
+            body = err.details.object;
         } else if (err.details.body || typeof (err.details) === 'string') {
             try {
-                var response = JSON.parse(err.details.body || err.details);
-                if (response && response.code && response.message)
-                    return _newError(response.code, response.message);
+                body = JSON.parse(err.details.body || err.details);
             } catch (e) {
-                log.warn({err: err, exception: e}, 'Invalid JSON for err');
+                this.log.warn({err: err, exception: e},
+                    'Invalid JSON for err');
             }
         }
     }
 
-    return err;
+    return errors.createError({
+        statusCode: statusCode,
+        restCode: (body && body.code) || err.restCode,
+        message: err.message,
+        body: body,
+        headers: res && res.headers,
+        cause: err
+    });
 };
 
 
@@ -3943,27 +4189,57 @@ function _get(req, callback, noCache) {
     assert.ok(callback);
 
     var self = this;
+    var key = _cacheKey(req);
+    var stale = null;
 
     // Check the cache first
     if (!noCache) {
-        var cached = this._cacheGet(req.path, req.cacheTTL);
+        var cached = this._cacheGet(key, req.cacheTTL);
         if (cached && cached.obj) {
-            log.debug('Getting %s from cache', req.path);
+            self.log.debug('Getting %s from cache', req.path);
+            self._recordResponse(req, {headers: cached.headers});
             if (cached.obj instanceof Error)
                 return callback(cached.obj);
 
             return callback(null, cached.obj, cached.headers);
         }
+
+        // An expired entry can still be revalidated, rather than fetched
+        // again, if the server gave it a validator.
+        stale = this._cachePeek(key);
+        if (stale && stale.headers && stale.headers.etag) {
+            req.headers['if-none-match'] = stale.headers.etag;
+        } else if (stale && stale.headers && stale.headers['last-modified']) {
+            req.headers['if-modified-since'] = stale.headers['last-modified'];
+        } else {
+            stale = null;
+        }
     }
 
     // Issue HTTP request
-    return this.client.get(req, function getCb(err, request, res, obj) {
+    return this._retry('GET', req, function (cb) {
+        self._send('GET', req, undefined, cb);
+    }, function getCb(err, request, res, obj) {
+        self._recordResponse(req, res);
+        if (!err && stale && res && res.statusCode === 304) {
+            var headers = {};
+            [stale.headers, res.headers].forEach(function (h) {
+                Object.keys(h || {}).forEach(function (k) {
+                    headers[k] = h[k];
+                });
+            });
+            self.cacheStats.revalidations++;
+            self._cachePut(key, {obj: stale.obj, headers: headers});
+            self.log.debug('CloudAPI._get(%s): not modified', req.path);
+            return callback(null, stale.obj, headers);
+        }
+
         if (err) {
-            err = self._error(err);
-            log.error({err: err}, sprintf('CloudAPI._get(%s)', req.path));
+            err = self._error(err, res);
+            self.log.error({err: err}, sprintf('CloudAPI._get(%s)', req.path));
         } else if (obj) {
-            self._cachePut(req.path, {obj: obj, headers: res && res.headers});
-            log.debug({obj: obj}, sprintf('CloudAPI._get(%s)', req.path));
+            self._cachePut(key, {obj: obj, headers: res && res.headers});
+            self.log.debug({obj: obj}, sprintf('CloudAPI._get(%s)', req.path));
         }
 
         return callback(err, obj, res && res.headers);
@@ -3981,12 +4257,16 @@ function _post(req, callback) {
     delete req.body;
 
     // Issue HTTP request
-    return this.client.post(req, body, function postCb(err, request, res, obj) {
+    return this._retry('POST', req, function (cb) {
+        self._send('POST', req, body, cb);
+    }, function postCb(err, request, res, obj) {
+        self._recordResponse(req, res);
+        self._cacheInvalidate(req.path);
         if (err) {
-            err = self._error(err);
-            log.error({err: err}, sprintf('CloudAPI._post(%s)', req.path));
+            err = self._error(err, res);
+            self.log.error({err: err}, sprintf('CloudAPI._post(%s)', req.path));
         } else {
-            log.debug({obj: obj}, sprintf('CloudAPI._post(%s)', req.path));
+            self.log.debug({obj: obj}, sprintf('CloudAPI._post(%s)', req.path));
         }
         return callback(err, obj);
     });
@@ -4003,12 +4283,16 @@ function _put(req, callback) {
     delete req.body;
 
     // Issue HTTP request
-    return this.client.put(req, body, function putCb(err, request, res, obj) {
+    return this._retry('PUT', req, function (cb) {
+        self._send('PUT', req, body, cb);
+    }, function putCb(err, request, res, obj) {
+        self._recordResponse(req, res);
+        self._cacheInvalidate(req.path);
         if (err) {
-            err = self._error(err);
-            log.error({err: err}, sprintf('CloudAPI._put(%s)', req.path));
+            err = self._error(err, res);
+            self.log.error({err: err}, sprintf('CloudAPI._put(%s)', req.path));
         } else {
-            log.debug({obj: obj}, sprintf('CloudAPI._put(%s)', req.path));
+            self.log.debug({obj: obj}, sprintf('CloudAPI._put(%s)', req.path));
         }
         return callback(err, obj, res && res.headers);
     });
@@ -4023,13 +4307,16 @@ function _del(req, callback) {
     var self = this;
 
     // Issue HTTP request
-    return this.client.del(req, function delCb(err, request, res, obj) {
+    return this._retry('DELETE', req, function (cb) {
+        self._send('DELETE', req, undefined, cb);
+    }, function delCb(err, request, res, obj) {
+        self._recordResponse(req, res);
+        self._cacheInvalidate(req.path);
         if (err) {
-            err = self._error(err);
-            log.debug({err: err}, 'CloudAPI._del(%s) -> err', req.path);
+            err = self._error(err, res);
+            self.log.debug({err: err}, 'CloudAPI._del(%s) -> err', req.path);
         } else {
-            self._cachePut(req.path, null);
-            log.debug('CloudAPI._del(%s)', req.path);
+            self.log.debug('CloudAPI._del(%s)', req.path);
         }
 
         return callback(err);
@@ -4037,6 +4324,70 @@ function _del(req, callback) {
 };
 
 
+/*
+ * Issues one HTTP request through the restify client, recording it if this
+ * client has a `record` file. When replaying fixtures, the request is
+ * answered from them instead.
+ */
+CloudAPI.prototype._send =
+function _send(method, req, body, callback) {
+    var self = this;
+
+    if (this.player) {
+        return this.player.replay(method, req, body, callback);
+    }
+
+    function onResponse(err, request, res, obj) {
+        if (self.recorder) {
+            self.recorder.record(method, req, body, err, res, obj);
+        }
+        callback(err, request, res, obj);
+    }
+
+    switch (method) {
+    case 'POST':
+        return self.client.post(req, body, onResponse);
+    case 'PUT':
+        return self.client.put(req, body, onResponse);
+    case 'DELETE':
+        return self.client.del(req, onResponse);
+    case 'HEAD':
+        return self.client.head(req, onResponse);
+    default:
+        return self.client.get(req, onResponse);
+    }
+};
+
+
+/*
+ * Runs `attempt` (which issues one HTTP request and calls back with restify's
+ * (err, req, res, obj)) until it succeeds or the retry policy gives up, then
+ * passes the last result on to `callback`.
+ */
+CloudAPI.prototype._retry =
+function _retry(method, req, attempt, callback) {
+    var self = this;
+    var attempts = 0;
+
+    function tryOnce() {
+        attempts++;
+        attempt(function (err, request, res, obj) {
+            var delay = (err && self.retryPolicy ?
+                self.retryPolicy.getDelay(attempts, err, res, method) : -1);
+            if (delay < 0) {
+                return callback(err, request, res, obj);
+            }
+
+            self.log.warn({err: err, attempt: attempts, delay: delay},
+                'CloudAPI: retrying %s %s', method, req.path);
+            return setTimeout(tryOnce, delay);
+        });
+    }
+
+    tryOnce();
+};
+
+
 CloudAPI.prototype._request =
 function _request(path, body, callback) {
     assert.ok(path);
@@ -4065,7 +4416,12 @@ function _request(path, body, callback) {
         obj.body = body;
     }
 
-    _signRequest({
+    // Replayed requests never leave the process, so need no signature.
+    if (this.player) {
+        return callback(obj);
+    }
+
+    return _signRequest({
         headers: obj.headers,
         sign: self.sign
     }, function onSignRequest(err) {
@@ -4078,24 +4434,36 @@ function _request(path, body, callback) {
 };
 
 
+/*
+ * Promise-mode calls run against a per-call context (see `_promisify`) that
+ * carries a `_response` slot; this fills it in so the promise can resolve
+ * with headers and pagination details. Plain callback calls don't track
+ * anything, so concurrent requests on the same client never share state.
+ */
+CloudAPI.prototype._recordResponse =
+function _recordResponse(req, res) {
+    if (!this._response)
+        return;
+
+    this._response.query = req.query;
+    this._response.statusCode = (res ? res.statusCode : undefined);
+    this._response.headers = (res && res.headers) || {};
+};
+
+
 CloudAPI.prototype._cachePut =
 function _cachePut(key, value) {
     assert.ok(key);
+    assert.ok(value);
 
     if (!this.cache)
         return false;
 
-    if (value === null) {
-        // Do a purge
-        log.debug('CloudAPI._cachePut(%s): purging', key);
-        return this.cache.set(key, null);
-    }
-
     var obj = {
         value: value,
         ctime: new Date().getTime()
     };
-    log.debug({obj: obj}, 'CloudAPI._cachePut(%s)', key);
+    this.log.debug({obj: obj}, 'CloudAPI._cachePut(%s)', key);
     this.cache.set(key, obj);
     return true;
 };
@@ -4116,16 +4484,54 @@ function _cacheGet(key, expiry) {
         assert.ok(obj.value);
         var now = new Date().getTime();
         if ((now - obj.ctime) <= maxAge) {
-            log.debug({obj: obj}, 'CloudAPI._cacheGet(%s): cache hit', key);
+            this.log.debug({obj: obj}, 'CloudAPI._cacheGet(%s): cache hit',
+                key);
+            this.cacheStats.hits++;
             return obj.value;
         }
     }
 
-    log.debug('CloudAPI._cacheGet(%s): cache miss', key);
+    this.log.debug('CloudAPI._cacheGet(%s): cache miss', key);
+    this.cacheStats.misses++;
     return null;
 };
 
 
+/*
+ * Returns the cached value for `key` whatever its age, e.g. to revalidate it.
+ */
+CloudAPI.prototype._cachePeek =
+function _cachePeek(key) {
+    assert.ok(key);
+
+    var obj = (this.cache ? this.cache.get(key) : null);
+    return (obj ? obj.value : null);
+};
+
+
+/*
+ * Drops every cached response a POST, PUT or DELETE of `path` may have made
+ * stale (see _cacheStale), whatever their query.
+ */
+CloudAPI.prototype._cacheInvalidate =
+function _cacheInvalidate(path) {
+    assert.ok(path);
+
+    if (!this.cache)
+        return;
+
+    var self = this;
+    this.cache.keys().forEach(function (key) {
+        if (_cacheStale(key.split('?')[0], path)) {
+            self.log.debug('CloudAPI._cacheInvalidate(%s): purging %s',
+                path, key);
+            self.cache.del(key);
+            self.cacheStats.invalidations++;
+        }
+    });
+};
+
+
 // --- Additional methods from other files
 
 
@@ -4134,11 +4540,176 @@ for (var _proto in cli) {
 }
 
 
+// --- Client-side filtering
+
+
+/*
+ * Wraps a list method so that it takes a `filter` expression (see
+ * lib/filter.js) in its options object, e.g.
+ *
+ *      client.listMachines({filter: 'memory>=4096'}, cb);
+ *      client.listKeys({filter: 'name=~/^laptop/'}, cb);
+ *
+ * The filter is taken out of the options before the request is made (so
+ * CloudAPI never sees it) and applied to the array the method calls back
+ * with. Only the options argument is looked at: it follows the account if
+ * one is given (a string, or an object with a `login`), so the tags of
+ * `listMachines(options, tags, cb)` are never mistaken for a filter. Methods
+ * without an options argument take it in place of the account. Results that
+ * aren't arrays are passed on as they are.
+ *
+ * Filtering a single page of listMachines leaves fewer machines than were
+ * fetched, so don't page through filtered results by offset: use
+ * listAllMachines or createListMachinesStream instead.
+ */
+function _filterable(method, hasOptions) {
+    return function filteredList() {
+        var args = Array.prototype.slice.call(arguments);
+
+        var i;
+        var optsIndex = 0;
+        if (hasOptions && (typeof (args[0]) === 'string' ||
+            (args[0] && typeof (args[0]) === 'object' && args[0].login))) {
+            optsIndex = 1;
+        }
+        var given = args[optsIndex];
+        if (!given || typeof (given) !== 'object' || Array.isArray(given) ||
+            given.filter === undefined) {
+            return (method.apply(this, args));
+        }
+
+        var opts = {};
+        Object.keys(given).forEach(function (k) {
+            if (k !== 'filter')
+                opts[k] = given[k];
+        });
+        var predicate = filter.compile(given.filter);
+
+        if (optsIndex === 0 && Object.keys(opts).length === 0) {
+            args.shift();
+        } else {
+            args[optsIndex] = opts;
+        }
+
+        for (i = 0; i < args.length; i++) {
+            if (typeof (args[i]) === 'function') {
+                var callback = args[i];
+                args[i] = function filteredCb(err, obj) {
+                    var cbArgs = Array.prototype.slice.call(arguments);
+                    if (!err)
+                        cbArgs[1] = filter.filterItems(obj, predicate);
+                    return (callback.apply(this, cbArgs));
+                };
+                break;
+            }
+        }
+
+        return (method.apply(this, args));
+    };
+}
+
+// The list methods that take an options argument after the account.
+var LIST_OPTIONS_METHODS = [
+    'listAllMachines',
+    'listFabricNetworks',
+    'listImages',
+    'listMachines'
+];
+
+Object.keys(CloudAPI.prototype).forEach(function (name) {
+    if (!/^[lL]ist[A-Z]/.test(name))
+        return;
+    var lower = name.charAt(0).toLowerCase() + name.slice(1);
+    CloudAPI.prototype[name] = _filterable(CloudAPI.prototype[name],
+        LIST_OPTIONS_METHODS.indexOf(lower) !== -1);
+});
+
+
+// --- Promise support
+
+
+/*
+ * Wraps a public method so that, when called without a callback, it returns a
+ * Promise instead of throwing. The promise resolves with an object of the
+ * form:
+ *
+ *      {
+ *          body: <whatever the callback would have been given>,
+ *          statusCode: <HTTP status code, undefined for cached responses>,
+ *          headers: <HTTP response headers>,
+ *          pagination: <{offset, limit, count, done}, for paginated lists>
+ *      }
+ *
+ * and rejects with the error the callback would have been given (including
+ * TypeErrors for bad input). Callers that pass a callback get exactly the
+ * old behavior.
+ *
+ * Since the trailing `noCache` flag can only be given after the callback, it
+ * isn't available in promise mode; create the client with `noCache: true`
+ * instead.
+ */
+function _promisify(method) {
+    return function promiseOrCallback() {
+        var self = this;
+        var args = Array.prototype.slice.call(arguments);
+
+        var hasCallback = args.some(function (arg) {
+            return (typeof (arg) === 'function');
+        });
+        if (hasCallback || typeof (Promise) === 'undefined')
+            return (method.apply(self, args));
+
+        // Trailing undefined args would otherwise sit in the callback's spot.
+        while (args.length && args[args.length - 1] === undefined)
+            args.pop();
+
+        var ctx = Object.create(self);
+        ctx._response = {};
+
+        return new Promise(function (resolve, reject) {
+            args.push(function promiseCb(err, body) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                var res = ctx._response;
+                resolve({
+                    body: body,
+                    statusCode: res.statusCode,
+                    headers: res.headers || {},
+                    pagination: _pagination(res.query, res.headers)
+                });
+            });
+
+            method.apply(ctx, args);
+        });
+    };
+}
+
+
+// Public methods that never take a callback, and so are left alone.
+var SYNC_METHODS = [
+    'createListMachinesStream',
+    'getCacheStats'
+];
+
+Object.keys(CloudAPI.prototype).forEach(function (name) {
+    var method = CloudAPI.prototype[name];
+    if (name[0] === '_' || typeof (method) !== 'function' ||
+        SYNC_METHODS.indexOf(name) !== -1)
+        return;
+
+    CloudAPI.prototype[name] = _promisify(method);
+});
+
+
 // --- Exports
 
 
 module.exports = {
     CloudAPI: CloudAPI,
+    SYNC_METHODS: SYNC_METHODS,
 
     createClient: function createClient(options) {
         return new CloudAPI(options);
@@ -0,0 +1,232 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Error classes for failed CloudAPI requests
+ */
+
+var util = require('util');
+
+
+
+// --- Base class
+
+
+
+/**
+ * Base class for every error returned for a CloudAPI response.
+ *
+ * `code` is kept as an alias of `restCode` for callers written against the
+ * older, untyped errors.
+ *
+ * @param {Object} options object containing:
+ *                   - {String} message human readable message.
+ *                   - {Number} statusCode HTTP status code (optional).
+ *                   - {String} restCode CloudAPI error code, e.g.
+ *                     "ResourceNotFound" (optional).
+ *                   - {String} requestId CloudAPI request id (optional).
+ *                   - {Array} errors field-level errors, each of the form
+ *                     {field, code, message} (optional).
+ *                   - {Object} body the parsed response body (optional).
+ *                   - {Error} cause the underlying error (optional).
+ * @constructor
+ */
+function CloudApiError(options) {
+    options = options || {};
+
+    Error.call(this);
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    }
+
+    this.message = options.message || '';
+    this.statusCode = options.statusCode;
+    this.restCode = options.restCode;
+    this.code = options.restCode;
+    this.requestId = options.requestId;
+    this.errors = options.errors || [];
+    this.body = options.body || {
+        code: options.restCode,
+        message: this.message
+    };
+    if (options.cause) {
+        this.cause = options.cause;
+    }
+}
+util.inherits(CloudApiError, Error);
+CloudApiError.prototype.name = 'CloudApiError';
+
+
+
+// --- Subclasses
+
+
+
+function InvalidArgumentError(options) {
+    CloudApiError.call(this, options);
+}
+util.inherits(InvalidArgumentError, CloudApiError);
+InvalidArgumentError.prototype.name = 'InvalidArgumentError';
+
+
+function InvalidCredentialsError(options) {
+    CloudApiError.call(this, options);
+}
+util.inherits(InvalidCredentialsError, CloudApiError);
+InvalidCredentialsError.prototype.name = 'InvalidCredentialsError';
+
+
+function NotAuthorizedError(options) {
+    CloudApiError.call(this, options);
+}
+util.inherits(NotAuthorizedError, CloudApiError);
+NotAuthorizedError.prototype.name = 'NotAuthorizedError';
+
+
+function ResourceNotFoundError(options) {
+    CloudApiError.call(this, options);
+}
+util.inherits(ResourceNotFoundError, CloudApiError);
+ResourceNotFoundError.prototype.name = 'ResourceNotFoundError';
+
+
+function ResourceGoneError(options) {
+    CloudApiError.call(this, options);
+}
+util.inherits(ResourceGoneError, CloudApiError);
+ResourceGoneError.prototype.name = 'ResourceGoneError';
+
+
+function ConflictError(options) {
+    CloudApiError.call(this, options);
+}
+util.inherits(ConflictError, CloudApiError);
+ConflictError.prototype.name = 'ConflictError';
+
+
+function PreconditionFailedError(options) {
+    CloudApiError.call(this, options);
+}
+util.inherits(PreconditionFailedError, CloudApiError);
+PreconditionFailedError.prototype.name = 'PreconditionFailedError';
+
+
+function RequestThrottledError(options) {
+    CloudApiError.call(this, options);
+}
+util.inherits(RequestThrottledError, CloudApiError);
+RequestThrottledError.prototype.name = 'RequestThrottledError';
+
+
+function InternalError(options) {
+    CloudApiError.call(this, options);
+}
+util.inherits(InternalError, CloudApiError);
+InternalError.prototype.name = 'InternalError';
+
+
+function ServiceUnavailableError(options) {
+    CloudApiError.call(this, options);
+}
+util.inherits(ServiceUnavailableError, CloudApiError);
+ServiceUnavailableError.prototype.name = 'ServiceUnavailableError';
+
+
+
+// --- Globals
+
+
+
+// CloudAPI error codes take precedence over the HTTP status, since some codes
+// (e.g. InvalidArgument, which restify sends as a 409) don't match the class
+// their status would suggest.
+var CLASS_BY_REST_CODE = {
+    BadRequest: InvalidArgumentError,
+    InvalidArgument: InvalidArgumentError,
+    InvalidContent: InvalidArgumentError,
+    InvalidHeader: InvalidArgumentError,
+    InvalidVersion: InvalidArgumentError,
+    MissingParameter: InvalidArgumentError,
+    ValidationFailed: InvalidArgumentError,
+    InvalidCredentials: InvalidCredentialsError,
+    NotAuthorized: NotAuthorizedError,
+    ResourceNotFound: ResourceNotFoundError,
+    Conflict: ConflictError,
+    PreconditionFailed: PreconditionFailedError,
+    RequestThrottled: RequestThrottledError,
+    InternalError: InternalError,
+    ServiceUnavailable: ServiceUnavailableError
+};
+
+var CLASS_BY_STATUS = {
+    400: InvalidArgumentError,
+    401: InvalidCredentialsError,
+    403: NotAuthorizedError,
+    404: ResourceNotFoundError,
+    409: ConflictError,
+    410: ResourceGoneError,
+    412: PreconditionFailedError,
+    422: InvalidArgumentError,
+    429: RequestThrottledError,
+    500: InternalError,
+    503: ServiceUnavailableError
+};
+
+
+
+// --- Exports
+
+
+
+/**
+ * Builds a typed error from a failed request.
+ *
+ * @param {Object} options object containing:
+ *                   - {Number} statusCode HTTP status code (optional).
+ *                   - {String} restCode CloudAPI error code (optional).
+ *                   - {String} message (optional).
+ *                   - {Object} body the parsed response body (optional).
+ *                   - {Object} headers the response headers (optional).
+ *                   - {Error} cause the underlying error (optional).
+ * @return {CloudApiError} an instance of the best matching subclass.
+ */
+function createError(options) {
+    var body = options.body;
+    if (!body || typeof (body) !== 'object') {
+        body = {};
+    }
+
+    var restCode = options.restCode || body.code;
+    var headers = options.headers || {};
+    var Klass = CLASS_BY_REST_CODE[restCode] ||
+        CLASS_BY_STATUS[options.statusCode] || CloudApiError;
+
+    return new Klass({
+        message: body.message || options.message ||
+            (options.cause && options.cause.message),
+        statusCode: options.statusCode,
+        restCode: restCode,
+        requestId: headers['x-request-id'] || headers['request-id'],
+        errors: body.errors,
+        body: options.body,
+        cause: options.cause
+    });
+}
+
+
+module.exports = {
+    CloudApiError: CloudApiError,
+    ConflictError: ConflictError,
+    InternalError: InternalError,
+    InvalidArgumentError: InvalidArgumentError,
+    InvalidCredentialsError: InvalidCredentialsError,
+    NotAuthorizedError: NotAuthorizedError,
+    PreconditionFailedError: PreconditionFailedError,
+    RequestThrottledError: RequestThrottledError,
+    ResourceGoneError: ResourceGoneError,
+    ResourceNotFoundError: ResourceNotFoundError,
+    ServiceUnavailableError: ServiceUnavailableError,
+
+    createError: createError
+};
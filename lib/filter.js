@@ -0,0 +1,394 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Client-side filter expressions for list results
+ *
+ * A filter is a boolean expression over the fields of each listed object:
+ *
+ *      memory>=4096 && tags.role=~/^db/
+ *      state!=running || !(name=~/^test-/i)
+ *      firewall_enabled
+ *
+ * Grammar:
+ *
+ *      expr        := and ('||' and)*
+ *      and         := not ('&&' not)*
+ *      not         := '!' not | primary
+ *      primary     := '(' expr ')' | field [op value]
+ *      op          := '==' | '=' | '!=' | '>=' | '<=' | '>' | '<' | '=~' | '!~'
+ *      value       := number | 'string' | "string" | /regex/flags
+ *                     | true | false | null | bare-word
+ *
+ * Fields are dotted paths into nested objects (e.g. "tags.role"). A field on
+ * its own tests that the field is set and truthy. Numbers compare
+ * numerically, everything else as strings. Against an array field, a
+ * comparison holds if it holds for any element ("!=" and "!~": for every
+ * element).
+ */
+
+var assert = require('assert-plus');
+
+var getField = require('./output').getField;
+
+
+
+// --- Globals
+
+
+
+// Longest first, so that e.g. ">=" isn't read as ">".
+var OPERATORS = ['==', '!=', '>=', '<=', '=~', '!~', '=', '>', '<'];
+
+var FIELD_RE = /^[A-Za-z_][A-Za-z0-9_.\-]*/;
+var NUMBER_RE = /^-?\d+(\.\d+)?(?![^\s()&|])/;
+var BARE_RE = /^[^\s()&|]+/;
+var FLAGS_RE = /^[gimuy]*/;
+
+
+
+// --- Parser
+
+
+
+function Parser(source) {
+    this.source = source;
+    this.pos = 0;
+}
+
+
+Parser.prototype.error = function error(msg) {
+    return (new Error('invalid filter "' + this.source + '": ' + msg +
+        ' at position ' + (this.pos + 1)));
+};
+
+
+Parser.prototype.skipSpace = function skipSpace() {
+    while (this.pos < this.source.length &&
+        /\s/.test(this.source[this.pos])) {
+        this.pos++;
+    }
+};
+
+
+Parser.prototype.rest = function rest() {
+    this.skipSpace();
+    return (this.source.slice(this.pos));
+};
+
+
+Parser.prototype.accept = function accept(token) {
+    if (this.rest().slice(0, token.length) === token) {
+        this.pos += token.length;
+        return (true);
+    }
+    return (false);
+};
+
+
+Parser.prototype.parse = function parse() {
+    var node = this.parseOr();
+    if (this.rest().length) {
+        throw this.error('unexpected "' + this.rest()[0] + '"');
+    }
+    return (node);
+};
+
+
+Parser.prototype.parseOr = function parseOr() {
+    var node = this.parseAnd();
+    while (this.accept('||')) {
+        node = {type: 'or', left: node, right: this.parseAnd()};
+    }
+    return (node);
+};
+
+
+Parser.prototype.parseAnd = function parseAnd() {
+    var node = this.parseNot();
+    while (this.accept('&&')) {
+        node = {type: 'and', left: node, right: this.parseNot()};
+    }
+    return (node);
+};
+
+
+Parser.prototype.parseNot = function parseNot() {
+    if (this.accept('!')) {
+        return ({type: 'not', expr: this.parseNot()});
+    }
+    return (this.parsePrimary());
+};
+
+
+Parser.prototype.parsePrimary = function parsePrimary() {
+    if (this.accept('(')) {
+        var node = this.parseOr();
+        if (!this.accept(')')) {
+            throw this.error('expected ")"');
+        }
+        return (node);
+    }
+
+    var m = FIELD_RE.exec(this.rest());
+    if (!m) {
+        throw this.error(this.rest().length ?
+            'expected a field name' : 'unexpected end');
+    }
+    this.pos += m[0].length;
+    var field = m[0];
+
+    var i;
+    for (i = 0; i < OPERATORS.length; i++) {
+        if (this.accept(OPERATORS[i])) {
+            return ({
+                type: 'compare',
+                field: field,
+                op: (OPERATORS[i] === '=' ? '==' : OPERATORS[i]),
+                value: this.parseValue(OPERATORS[i])
+            });
+        }
+    }
+
+    return ({type: 'exists', field: field});
+};
+
+
+Parser.prototype.parseValue = function parseValue(op) {
+    var rest = this.rest();
+    var regexOp = (op === '=~' || op === '!~');
+    var m;
+
+    if (rest[0] === '"' || rest[0] === '\'') {
+        var str = this.parseQuoted(rest[0]);
+        return (regexOp ? this.makeRegExp(str, '') : str);
+    }
+
+    if (rest[0] === '/') {
+        if (!regexOp) {
+            throw this.error('a regular expression needs "=~" or "!~"');
+        }
+        return (this.parseRegExp());
+    }
+
+    if (!regexOp && (m = NUMBER_RE.exec(rest))) {
+        this.pos += m[0].length;
+        return (Number(m[0]));
+    }
+
+    m = BARE_RE.exec(rest);
+    if (!m) {
+        throw this.error('expected a value');
+    }
+    this.pos += m[0].length;
+
+    if (regexOp) {
+        return (this.makeRegExp(m[0], ''));
+    }
+    switch (m[0]) {
+    case 'true':
+        return (true);
+    case 'false':
+        return (false);
+    case 'null':
+        return (null);
+    default:
+        return (m[0]);
+    }
+};
+
+
+Parser.prototype.parseQuoted = function parseQuoted(quote) {
+    var out = '';
+
+    this.pos++;
+    while (this.pos < this.source.length) {
+        var c = this.source[this.pos++];
+        if (c === quote) {
+            return (out);
+        }
+        if (c === '\\' && this.pos < this.source.length) {
+            c = this.source[this.pos++];
+        }
+        out += c;
+    }
+
+    throw this.error('unterminated string');
+};
+
+
+Parser.prototype.parseRegExp = function parseRegExp() {
+    var src = '';
+
+    this.pos++;
+    while (this.pos < this.source.length) {
+        var c = this.source[this.pos++];
+        if (c === '/') {
+            var flags = FLAGS_RE.exec(this.source.slice(this.pos))[0];
+            this.pos += flags.length;
+            return (this.makeRegExp(src, flags));
+        }
+        if (c === '\\' && this.pos < this.source.length) {
+            c += this.source[this.pos++];
+        }
+        src += c;
+    }
+
+    throw this.error('unterminated regular expression');
+};
+
+
+Parser.prototype.makeRegExp = function makeRegExp(src, flags) {
+    try {
+        return (new RegExp(src, flags));
+    } catch (e) {
+        throw this.error(e.message);
+    }
+};
+
+
+
+// --- Evaluation
+
+
+
+function compareOne(actual, op, expected) {
+    if (expected instanceof RegExp) {
+        if (actual === undefined || actual === null) {
+            return (op === '!~');
+        }
+        expected.lastIndex = 0;
+        return (expected.test(String(actual)) === (op === '=~'));
+    }
+
+    if (op === '==' || op === '!=') {
+        var equal;
+        if (expected === null) {
+            equal = (actual === undefined || actual === null);
+        } else if (actual === undefined || actual === null) {
+            equal = false;
+        } else if (typeof (expected) === 'number') {
+            equal = (actual !== '' && Number(actual) === expected);
+        } else {
+            equal = (String(actual) === String(expected));
+        }
+        return (equal === (op === '=='));
+    }
+
+    if (actual === undefined || actual === null) {
+        return (false);
+    }
+
+    var a = actual;
+    var b = expected;
+    if (typeof (expected) === 'number') {
+        a = Number(actual);
+        if (actual === '' || isNaN(a)) {
+            return (false);
+        }
+    } else {
+        a = String(actual);
+        b = String(expected);
+    }
+
+    switch (op) {
+    case '>':
+        return (a > b);
+    case '>=':
+        return (a >= b);
+    case '<':
+        return (a < b);
+    case '<=':
+        return (a <= b);
+    default:
+        throw new Error('unknown filter operator: ' + op);
+    }
+}
+
+
+function compare(actual, op, expected) {
+    if (!Array.isArray(actual)) {
+        return (compareOne(actual, op, expected));
+    }
+
+    if (op === '!=' || op === '!~') {
+        return (actual.every(function (a) {
+            return (compareOne(a, op, expected));
+        }));
+    }
+    return (actual.some(function (a) {
+        return (compareOne(a, op, expected));
+    }));
+}
+
+
+function evaluate(node, obj) {
+    switch (node.type) {
+    case 'or':
+        return (evaluate(node.left, obj) || evaluate(node.right, obj));
+    case 'and':
+        return (evaluate(node.left, obj) && evaluate(node.right, obj));
+    case 'not':
+        return (!evaluate(node.expr, obj));
+    case 'exists':
+        return (Boolean(getField(obj, node.field)));
+    case 'compare':
+        return (compare(getField(obj, node.field), node.op, node.value));
+    default:
+        throw new Error('unknown filter node: ' + node.type);
+    }
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Compiles a filter expression (see the grammar above) into a predicate.
+ *
+ * @param {String} source the filter expression.
+ * @return {Function} of the form f(obj), returning true for objects that
+ *         match. Its `source` property is the expression.
+ * @throws {Error} if the expression is invalid.
+ */
+function compile(source) {
+    assert.string(source, 'source');
+
+    var ast = new Parser(source).parse();
+    var predicate = function filterPredicate(obj) {
+        return (evaluate(ast, obj));
+    };
+    predicate.source = source;
+
+    return (predicate);
+}
+
+
+/**
+ * Returns the items that match a filter.
+ *
+ * @param {Array} items objects to filter. Anything else is returned as is.
+ * @param {Object} filter a filter expression, or a predicate function.
+ * @return {Array} the matching items.
+ * @throws {Error} if the expression is invalid.
+ */
+function filterItems(items, filter) {
+    if (!Array.isArray(items) || !filter) {
+        return (items);
+    }
+
+    var predicate = (typeof (filter) === 'function' ? filter :
+        compile(filter));
+    return (items.filter(function (item) {
+        return (predicate(item));
+    }));
+}
+
+
+module.exports = {
+    compile: compile,
+    filterItems: filterItems
+};
@@ -0,0 +1,283 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Record and replay of CloudAPI HTTP interactions
+ *
+ * A client created with a `record` file appends every request it sends, with
+ * the response it got, to that file:
+ *
+ *      {
+ *          "version": 1,
+ *          "interactions": [ {
+ *              "request": {method, path, query, headers, body},
+ *              "response": {statusCode, headers, body}
+ *          }, ... ]
+ *      }
+ *
+ * (or, for requests that got no response, an "error" of the form
+ * {name, code, message} instead of "response"). Authorization headers and
+ * credentials (passwords, machine credentials metadata) are scrubbed before
+ * anything is written.
+ *
+ * A client created with a `replay` file answers its requests from it instead
+ * of the network. Each request gets the next unused interaction with the
+ * same method, path, query and body, so that repeated requests (e.g. polling
+ * a machine) see the responses in the order they were recorded. Once all of
+ * them are used, the last one is repeated.
+ */
+
+var assert = require('assert-plus');
+var fs = require('fs');
+var http = require('http');
+var qs = require('querystring');
+
+
+
+// --- Globals
+
+
+
+var FORMAT_VERSION = 1;
+
+var SCRUBBED = '[scrubbed]';
+
+var SCRUBBED_HEADERS = ['authorization', 'x-auth-token'];
+
+// Paths of the fields scrubbed from bodies, as dot-separated keys from the
+// top of the body or of each of its array items. Request bodies may have the
+// path as a key of its own, as "metadata.credentials" is in CreateMachine.
+var SCRUBBED_FIELDS = [
+    'password',
+    'password_confirmation',
+    // ListMachineMetadata and GetMachineMetadata, with credentials=true.
+    'credentials',
+    'metadata.credentials'
+];
+
+
+
+// --- Internal Helpers
+
+
+
+/*
+ * Returns a deep copy of a body with credentials replaced by SCRUBBED.
+ * `prefix` is the path of `obj` in the body, e.g. "metadata.".
+ */
+function _scrub(obj, prefix) {
+    prefix = prefix || '';
+
+    if (Array.isArray(obj)) {
+        return (obj.map(function (item) {
+            return (_scrub(item, prefix));
+        }));
+    }
+    if (!obj || typeof (obj) !== 'object') {
+        return (obj);
+    }
+
+    var out = {};
+    Object.keys(obj).forEach(function (k) {
+        out[k] = (SCRUBBED_FIELDS.indexOf(prefix + k) === -1 ?
+            _scrub(obj[k], prefix + k + '.') : SCRUBBED);
+    });
+    return (out);
+}
+
+
+function _scrubHeaders(headers) {
+    var out = {};
+    Object.keys(headers || {}).forEach(function (k) {
+        out[k] = (SCRUBBED_HEADERS.indexOf(k.toLowerCase()) === -1 ?
+            headers[k] : SCRUBBED);
+    });
+    return (out);
+}
+
+
+/*
+ * JSON.stringify, with object keys sorted so that equal bodies give equal
+ * strings.
+ */
+function _stableStringify(obj) {
+    if (Array.isArray(obj)) {
+        return ('[' + obj.map(_stableStringify).join(',') + ']');
+    }
+    if (!obj || typeof (obj) !== 'object') {
+        return (JSON.stringify(obj === undefined ? null : obj));
+    }
+
+    return ('{' + Object.keys(obj).sort().map(function (k) {
+        return (JSON.stringify(k) + ':' + _stableStringify(obj[k]));
+    }).join(',') + '}');
+}
+
+
+/*
+ * The key interactions are matched on: method, path, query and (scrubbed)
+ * body.
+ */
+function _key(method, path, query, body) {
+    var q = {};
+    Object.keys(query || {}).sort().forEach(function (k) {
+        q[k] = query[k];
+    });
+
+    return ([method, path, qs.stringify(q), _stableStringify(body)].join(' '));
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Records the interactions of one or more clients to a fixture file. The
+ * file is (re)written after each interaction.
+ *
+ * @param {String} file path of the fixture file, overwritten if it exists.
+ * @throws {TypeError} on bad input.
+ * @constructor
+ */
+function Recorder(file) {
+    assert.string(file, 'file');
+
+    this.file = file;
+    this.interactions = [];
+}
+
+
+/**
+ * Records one request and its outcome, as passed to a restify client
+ * callback.
+ *
+ * @param {String} method HTTP method.
+ * @param {Object} req the request options (path, query, headers).
+ * @param {Object} body the request body, if any.
+ * @param {Error} err the error the request failed with, if any.
+ * @param {Object} res the response, if any.
+ * @param {Object} obj the parsed response body, if any.
+ * @throws {Error} if the fixture file can't be written.
+ */
+Recorder.prototype.record =
+function record(method, req, body, err, res, obj) {
+    var interaction = {
+        request: {
+            method: method,
+            path: req.path,
+            query: req.query || {},
+            headers: _scrubHeaders(req.headers),
+            body: _scrub(body)
+        }
+    };
+
+    if (res) {
+        interaction.response = {
+            statusCode: res.statusCode,
+            headers: _scrubHeaders(res.headers),
+            body: _scrub(obj !== undefined ? obj : (err && err.body))
+        };
+    } else {
+        interaction.error = {
+            name: err && err.name,
+            code: err && err.code,
+            message: err && err.message
+        };
+    }
+
+    this.interactions.push(interaction);
+    fs.writeFileSync(this.file, JSON.stringify({
+        version: FORMAT_VERSION,
+        interactions: this.interactions
+    }, null, 2) + '\n');
+};
+
+
+/**
+ * Answers requests from a fixture file written by a Recorder.
+ *
+ * @param {String} file path of the fixture file.
+ * @throws {Error} if the file can't be read or isn't a fixture file.
+ * @constructor
+ */
+function Player(file) {
+    assert.string(file, 'file');
+
+    var data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!data || data.version !== FORMAT_VERSION ||
+        !Array.isArray(data.interactions)) {
+        throw new Error(file + ' is not a version ' + FORMAT_VERSION +
+            ' fixture file');
+    }
+
+    var queues = {};
+    data.interactions.forEach(function (i) {
+        var r = i.request;
+        var key = _key(r.method, r.path, r.query, r.body);
+        (queues[key] = queues[key] || []).push(i);
+    });
+
+    this.file = file;
+    this.queues = queues;
+}
+
+
+/**
+ * Answers one request, calling back as a restify client would.
+ *
+ * If no interaction matches, calls back with an error of code
+ * 'FixtureNotFound' and no response.
+ *
+ * @param {String} method HTTP method.
+ * @param {Object} req the request options (path, query).
+ * @param {Object} body the request body, if any.
+ * @param {Function} callback of the form f(err, req, res, obj).
+ */
+Player.prototype.replay = function replay(method, req, body, callback) {
+    var key = _key(method, req.path, req.query, _scrub(body));
+    var queue = this.queues[key];
+
+    if (!queue) {
+        var e = new Error('no fixture in ' + this.file + ' for ' + method +
+            ' ' + req.path);
+        e.code = 'FixtureNotFound';
+        setImmediate(callback, e, null);
+        return;
+    }
+
+    var interaction = (queue.length > 1 ? queue.shift() : queue[0]);
+    var err = null;
+    var res = null;
+    var obj;
+
+    if (interaction.response) {
+        res = {
+            statusCode: interaction.response.statusCode,
+            headers: interaction.response.headers
+        };
+        obj = interaction.response.body;
+
+        if (res.statusCode >= 400) {
+            err = new Error((obj && obj.message) ||
+                http.STATUS_CODES[res.statusCode]);
+            err.statusCode = res.statusCode;
+            err.body = obj;
+            err.restCode = obj && obj.code;
+        }
+    } else {
+        err = new Error(interaction.error.message);
+        err.name = interaction.error.name;
+        err.code = interaction.error.code;
+    }
+
+    setImmediate(callback, err, null, res, obj);
+};
+
+
+module.exports = {
+    Recorder: Recorder,
+    Player: Player
+};
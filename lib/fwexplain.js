@@ -0,0 +1,401 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Explains whether firewall rules let traffic from one machine reach another
+ * (see sdc-fwexplain)
+ *
+ * A flow from machine A to machine B passes two firewalls: A's, on the way
+ * out, and B's, on the way in. A machine's firewall only has the rules that
+ * name it on their own side, through "vm", "tag" or "all vms": A's has the
+ * rules whose FROM names A, B's those whose TO names B. The other side of
+ * a rule may name the peer any way, including by "any", "ip" or "subnet"
+ * (which match its IPs).
+ *
+ * A machine with its firewall disabled lets everything through. Otherwise,
+ * outgoing traffic is let through unless a BLOCK rule matches it, and
+ * incoming traffic is blocked unless an ALLOW rule matches it. Only the
+ * matching rules of the highest PRIORITY count, and among those a BLOCK rule
+ * wins over an ALLOW rule.
+ *
+ * Only IPv4 subnets are matched; an IPv6 "subnet" target never matches.
+ */
+
+var assert = require('assert-plus');
+var net = require('net');
+var vasync = require('vasync');
+
+var fwrule = require('./fwrule');
+
+
+
+// --- Globals
+
+
+
+var PROTOCOLS = ['tcp', 'udp', 'icmp', 'icmp6'];
+
+
+
+// --- Internal Helpers
+
+
+
+function ipNumber(ip) {
+    return (ip.split('.').reduce(function (n, octet) {
+        return (n * 256 + (+octet));
+    }, 0));
+}
+
+
+function inSubnet(ip, subnet) {
+    var parts = subnet.split('/');
+    if (!net.isIPv4(ip) || !net.isIPv4(parts[0])) {
+        return (false);
+    }
+    var size = Math.pow(2, 32 - parts[1]);
+    return (Math.floor(ipNumber(ip) / size) ===
+        Math.floor(ipNumber(parts[0]) / size));
+}
+
+
+/*
+ * Says how one of the targets on a side of a rule matches a machine, e.g.
+ * "tag role=web", or returns null if none does. Only "vm", "tag" and "all
+ * vms" targets count if `own` is set, i.e. for the side that puts the rule
+ * in the machine's firewall.
+ */
+function matchSide(targets, machine, own) {
+    var ips = machine.ips || [];
+    var i;
+
+    for (i = 0; i < targets.length; i++) {
+        var t = targets[i];
+        var tags = machine.tags || {};
+
+        switch (t.type) {
+        case 'all vms':
+            return ('all vms');
+        case 'vm':
+            if (t.value === machine.id) {
+                return ('vm ' + t.value);
+            }
+            break;
+        case 'tag':
+            if (tags.hasOwnProperty(t.name) && (t.value === undefined ||
+                String(tags[t.name]) === t.value)) {
+                return ('tag ' + t.name + '=' + tags[t.name]);
+            }
+            break;
+        case 'any':
+            if (!own) {
+                return ('any');
+            }
+            break;
+        case 'ip':
+            if (!own && ips.indexOf(t.value) !== -1) {
+                return ('ip ' + t.value);
+            }
+            break;
+        default:
+            var ip = (own ? [] : ips).filter(function (a) {
+                return (inSubnet(a, t.value));
+            })[0];
+            if (ip) {
+                return ('subnet ' + t.value + ' (' + ip + ')');
+            }
+            break;
+        }
+    }
+
+    return (null);
+}
+
+
+/*
+ * Says why a parsed rule doesn't cover the protocol and port of a flow, or
+ * returns null if it does.
+ */
+function protocolMismatch(ast, flow) {
+    if (ast.protocol !== flow.protocol) {
+        return ('protocol is ' + ast.protocol + ', not ' + flow.protocol);
+    }
+
+    var list = (ast.ports || ast.types);
+    if (list === undefined || list === 'all') {
+        return (null);
+    }
+
+    var covered = list.some(function (p) {
+        if (typeof (p) === 'number') {
+            return (p === flow.port);
+        }
+        if (p.start !== undefined) {
+            return (p.start <= flow.port && flow.port <= p.end);
+        }
+        return (p.type === flow.port);
+    });
+    if (covered) {
+        return (null);
+    }
+
+    return ((ast.ports ? 'port ' : 'ICMP type ') + flow.port +
+        ' isn\'t one of ' + list.map(function (p) {
+            if (typeof (p) === 'number') {
+                return (p);
+            }
+            return (p.start !== undefined ? p.start + '-' + p.end : p.type);
+        }).join(', '));
+}
+
+
+/*
+ * The verdict of one machine's firewall, outbound or inbound.
+ */
+function verdict(machine, direction, matches) {
+    var result = {
+        machine: machine.id,
+        firewall_enabled: Boolean(machine.firewall_enabled),
+        rules: []
+    };
+
+    if (!result.firewall_enabled) {
+        result.allowed = true;
+        result.reason = 'the firewall is disabled';
+        return (result);
+    }
+
+    result.rules = matches.filter(function (m) {
+        return (m.on.indexOf(direction) !== -1);
+    });
+    var top = Math.max.apply(null, result.rules.map(function (m) {
+        return (m.priority);
+    }));
+    var ranked = result.rules.filter(function (m) {
+        return (m.priority === top);
+    });
+    var blocks = ranked.filter(function (m) {
+        return (m.action === 'block');
+    });
+    var allows = ranked.filter(function (m) {
+        return (m.action === 'allow');
+    });
+
+    if (blocks.length) {
+        result.allowed = false;
+        result.reason = 'blocked by rule ' + blocks[0].id;
+    } else if (allows.length) {
+        result.allowed = true;
+        result.reason = 'allowed by rule ' + allows[0].id;
+    } else {
+        result.allowed = (direction === 'outbound');
+        result.reason = (result.allowed ?
+            'outgoing traffic is allowed unless a rule blocks it' :
+            'incoming traffic is blocked unless a rule allows it');
+    }
+    return (result);
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Works out whether firewall rules let a flow through, and why.
+ *
+ * Returns an object of the form:
+ *
+ *      {
+ *          allowed: true,
+ *          outbound: {machine, firewall_enabled, allowed, reason, rules},
+ *          inbound: {machine, firewall_enabled, allowed, reason, rules},
+ *          unmatched: [ {id, rule, reason} ]
+ *      }
+ *
+ * where `rules` are the rules matching the flow in that machine's firewall,
+ * as {id, rule, action, priority, from, to, on}, `from` and `to` saying how
+ * each side of the rule matches (e.g. "tag role=web"), `priority` being 0
+ * for rules without one, and `unmatched` has the other rules given, with
+ * why they don't match (including being disabled or invalid).
+ *
+ * @param {Object} flow object containing:
+ *                   - {Object} from the source machine, as from getMachine.
+ *                   - {Object} to the destination machine.
+ *                   - {Array} rules firewall rule objects, as from
+ *                     listMachineRules.
+ *                   - {String} protocol "tcp", "udp", "icmp" or "icmp6".
+ *                   - {Number} port the port, or ICMP type for icmp and
+ *                     icmp6.
+ * @return {Object} as above.
+ * @throws {TypeError} on bad input.
+ */
+function explainFlow(flow) {
+    assert.object(flow, 'flow');
+    assert.object(flow.from, 'flow.from');
+    assert.object(flow.to, 'flow.to');
+    assert.arrayOfObject(flow.rules, 'flow.rules');
+    assert.string(flow.protocol, 'flow.protocol');
+    assert.ok(PROTOCOLS.indexOf(flow.protocol) !== -1,
+        'flow.protocol must be one of: ' + PROTOCOLS.join(', '));
+    assert.number(flow.port, 'flow.port');
+
+    var matches = [];
+    var unmatched = [];
+
+    flow.rules.forEach(function (r) {
+        function skip(reason) {
+            unmatched.push({id: r.id, rule: r.rule, reason: reason});
+        }
+
+        if (!r.enabled) {
+            return (skip('the rule is disabled'));
+        }
+
+        var ast;
+        try {
+            ast = fwrule.parse(r.rule);
+        } catch (e) {
+            return (skip('the rule can\'t be parsed: ' + e.message));
+        }
+
+        var mismatch = protocolMismatch(ast, flow);
+        if (mismatch) {
+            return (skip(mismatch));
+        }
+
+        var from = matchSide(ast.from, flow.from, false);
+        if (!from) {
+            return (skip('FROM doesn\'t match ' + (flow.from.name ||
+                flow.from.id)));
+        }
+        var to = matchSide(ast.to, flow.to, false);
+        if (!to) {
+            return (skip('TO doesn\'t match ' + (flow.to.name ||
+                flow.to.id)));
+        }
+
+        var on = [];
+        if (matchSide(ast.from, flow.from, true)) {
+            on.push('outbound');
+        }
+        if (matchSide(ast.to, flow.to, true)) {
+            on.push('inbound');
+        }
+        if (!on.length) {
+            return (skip('the rule is in neither machine\'s firewall'));
+        }
+
+        return (matches.push({
+            id: r.id,
+            rule: r.rule,
+            action: ast.action,
+            priority: ast.priority || 0,
+            from: from,
+            to: to,
+            on: on
+        }));
+    });
+
+    var result = {
+        outbound: verdict(flow.from, 'outbound', matches),
+        inbound: verdict(flow.to, 'inbound', matches),
+        unmatched: unmatched
+    };
+    result.allowed = (result.outbound.allowed && result.inbound.allowed);
+    return (result);
+}
+
+
+/**
+ * Fetches two machines and the firewall rules of each, then explains
+ * whether a flow from one to the other gets through (see explainFlow).
+ *
+ * Calls back with explainFlow's result, plus `from` and `to`, the machines.
+ *
+ * @param {Object} client a CloudAPI client.
+ * @param {Object} options object containing:
+ *                   - {String} from the source machine's UUID.
+ *                   - {String} to the destination machine's UUID.
+ *                   - {String} protocol "tcp", "udp", "icmp" or "icmp6".
+ *                   - {Number} port the port, or ICMP type.
+ * @param {Function} callback of the form f(err, result).
+ * @throws {TypeError} on bad input.
+ */
+function explain(client, options, callback) {
+    assert.object(client, 'client');
+    assert.object(options, 'options');
+    assert.string(options.from, 'options.from');
+    assert.string(options.to, 'options.to');
+    assert.func(callback, 'callback');
+
+    var account = client.account;
+    var ids = [options.from, options.to];
+
+    vasync.parallel({funcs: [
+        function machines(cb) {
+            vasync.forEachParallel({
+                inputs: ids,
+                func: function (id, mcb) {
+                    client.getMachine(account, id, false, mcb, true);
+                }
+            }, cb);
+        },
+        function rules(cb) {
+            vasync.forEachParallel({
+                inputs: ids,
+                func: function (id, rcb) {
+                    client.listMachineRules(account, id, rcb, true);
+                }
+            }, cb);
+        }
+    ]}, function (err, res) {
+        if (err) {
+            return callback(err);
+        }
+
+        // By index: `successes` are in the order the calls finished.
+        function results(op) {
+            return (op.result.operations.map(function (o) {
+                return (o.result);
+            }));
+        }
+
+        var machines = results(res.operations[0]);
+        var seen = {};
+        var rules = [];
+        results(res.operations[1]).forEach(function (list) {
+            list.forEach(function (r) {
+                if (!seen[r.id]) {
+                    seen[r.id] = true;
+                    rules.push(r);
+                }
+            });
+        });
+
+        var result;
+        try {
+            result = explainFlow({
+                from: machines[0],
+                to: machines[1],
+                rules: rules,
+                protocol: options.protocol,
+                port: options.port
+            });
+        } catch (e) {
+            return callback(e);
+        }
+
+        result.from = machines[0];
+        result.to = machines[1];
+        return callback(null, result);
+    });
+}
+
+
+module.exports = {
+    explainFlow: explainFlow,
+    explain: explain
+};
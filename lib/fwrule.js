@@ -0,0 +1,565 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Parser for the CloudAPI firewall rule language (see sdc-fwlint)
+ *
+ * A rule reads:
+ *
+ *      FROM <targets> TO <targets> <ALLOW|BLOCK> <protocol> <ports or types>
+ *          [PRIORITY <n>]
+ *
+ * where targets are a target, or several ORed in parentheses:
+ *
+ *      any | all vms | vm <uuid> | ip <address> | subnet <cidr> |
+ *      tag <name> [= <value>]
+ *
+ * (tag names and values may be double-quoted), the protocol is one of tcp,
+ * udp, icmp, icmp6, ah or esp, and what follows it is, for tcp and udp:
+ *
+ *      PORT all | PORT <n> | (PORT <n> AND PORT <n> ...) |
+ *      PORTS <n or n-m>, ...
+ *
+ * for icmp and icmp6:
+ *
+ *      TYPE all | TYPE <n> [CODE <n>] | (TYPE <n> [CODE <n>] AND ...)
+ *
+ * and nothing for ah and esp. The priority, 0 (the default) to 100, ranks
+ * the rule above those of lower priority. Keywords aren't case sensitive.
+ *
+ * parse turns a rule into an object (the AST):
+ *
+ *      {
+ *          from: [ {type: 'any'} ],
+ *          to: [ {type: 'tag', name: 'role', value: 'web'} ],
+ *          action: 'allow',
+ *          protocol: 'tcp',
+ *          ports: [ 80, {start: 8000, end: 8080} ]
+ *      }
+ *
+ * with targets {type: 'all vms'}, {type: 'vm', value: uuid}, {type: 'ip',
+ * value} and {type: 'subnet', value} too, `ports` being 'all' or an array
+ * for tcp and udp, and `types` being 'all' or an array of {type, code} for
+ * icmp, and `priority` only there if the rule gives one. stringify does the
+ * reverse, writing rules in one canonical form.
+ */
+
+var assert = require('assert-plus');
+var net = require('net');
+
+
+
+// --- Globals
+
+
+
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+var PROTOCOLS = {
+    tcp: 'ports',
+    udp: 'ports',
+    icmp: 'types',
+    icmp6: 'types',
+    ah: null,
+    esp: null
+};
+
+// Tag names and values written without quotes.
+var BARE_RE = /^[A-Za-z0-9_.\-]+$/;
+
+// Words with a meaning of their own, which must be quoted as tag names or
+// values.
+var KEYWORDS = ['all', 'allow', 'and', 'any', 'block', 'code', 'from', 'ip',
+    'or', 'port', 'ports', 'priority', 'subnet', 'tag', 'to', 'type', 'vm',
+    'vms'];
+
+var MAX_PRIORITY = 100;
+
+
+
+// --- Internal Helpers
+
+
+
+/*
+ * Makes a syntax error pointing at `offset` (0-based) in the rule.
+ */
+function ruleError(offset, msg) {
+    var e = new Error('column ' + (offset + 1) + ': ' + msg);
+    e.code = 'InvalidRule';
+    e.offset = offset;
+    return (e);
+}
+
+
+/*
+ * Splits a rule into tokens: {type, value, offset}, of type "word", "string"
+ * (double-quoted, with backslash escapes) or "punct" (one of "(),=").
+ */
+function tokenize(str) {
+    var tokens = [];
+    var i = 0;
+
+    while (i < str.length) {
+        var c = str[i];
+        var start = i;
+
+        if (/\s/.test(c)) {
+            i++;
+        } else if ('(),='.indexOf(c) !== -1) {
+            tokens.push({type: 'punct', value: c, offset: i});
+            i++;
+        } else if (c === '"') {
+            var value = '';
+            i++;
+            while (i < str.length && str[i] !== '"') {
+                if (str[i] === '\\' && i + 1 < str.length) {
+                    i++;
+                }
+                value += str[i];
+                i++;
+            }
+            if (i >= str.length) {
+                throw ruleError(start, 'unterminated string');
+            }
+            i++;
+            tokens.push({type: 'string', value: value, offset: start});
+        } else {
+            while (i < str.length && !/[\s(),="]/.test(str[i])) {
+                i++;
+            }
+            tokens.push({type: 'word', value: str.slice(start, i),
+                offset: start});
+        }
+    }
+
+    return (tokens);
+}
+
+
+/*
+ * Parses a whole number within [min, max] from a token.
+ */
+function parseNumber(tok, what, min, max) {
+    if (!/^\d+$/.test(tok.value) || +tok.value < min || +tok.value > max) {
+        throw ruleError(tok.offset, 'invalid ' + what + ' "' + tok.value +
+            '" (must be ' + min + '-' + max + ')');
+    }
+    return (+tok.value);
+}
+
+
+/*
+ * Consumes tokens in order; see parse.
+ */
+function Parser(str) {
+    this.str = str;
+    this.tokens = tokenize(str);
+    this.pos = 0;
+}
+
+
+Parser.prototype.peek = function peek() {
+    return (this.tokens[this.pos]);
+};
+
+
+/*
+ * Whether the next token is `value`: a keyword (case insensitive) or
+ * punctuation.
+ */
+Parser.prototype.at = function at(value) {
+    var tok = this.peek();
+    return (tok !== undefined && tok.type !== 'string' &&
+        tok.value.toLowerCase() === value);
+};
+
+
+/*
+ * Consumes the next token if it's `value` (see at), saying whether it was.
+ */
+Parser.prototype.accept = function accept(value) {
+    if (!this.at(value)) {
+        return (false);
+    }
+    this.pos++;
+    return (true);
+};
+
+
+Parser.prototype.next = function next(what) {
+    var tok = this.tokens[this.pos];
+    if (tok === undefined) {
+        throw ruleError(this.str.length, 'expected ' + what +
+            ', got the end of the rule');
+    }
+    this.pos++;
+    return (tok);
+};
+
+
+Parser.prototype.expect = function expect(value, what) {
+    var tok = this.next(what || value.toUpperCase());
+    if (tok.type === 'string' || tok.value.toLowerCase() !== value) {
+        throw ruleError(tok.offset, 'expected ' +
+            (what || value.toUpperCase()) + ', got "' + tok.value + '"');
+    }
+    return (tok);
+};
+
+
+/*
+ * A tag name or value: a quoted string, or a word that isn't a keyword.
+ */
+Parser.prototype.name = function name(what) {
+    var tok = this.next(what);
+    if (tok.type === 'punct' || (tok.type === 'word' &&
+        KEYWORDS.indexOf(tok.value.toLowerCase()) !== -1)) {
+        throw ruleError(tok.offset, 'expected ' + what + ', got "' +
+            tok.value + '" (quote it if it\'s meant as one)');
+    }
+    return (tok.value);
+};
+
+
+Parser.prototype.target = function target() {
+    var tok = this.next('a target (any, all vms, vm, ip, subnet or tag)');
+    var kind = (tok.type === 'word' ? tok.value.toLowerCase() : null);
+    var value;
+
+    switch (kind) {
+    case 'any':
+        return ({type: 'any'});
+
+    case 'all':
+        this.expect('vms', 'VMS');
+        return ({type: 'all vms'});
+
+    case 'vm':
+        value = this.next('a machine UUID');
+        if (!UUID_RE.test(value.value)) {
+            throw ruleError(value.offset, 'invalid machine UUID "' +
+                value.value + '"');
+        }
+        return ({type: 'vm', value: value.value.toLowerCase()});
+
+    case 'ip':
+        value = this.next('an IP address');
+        if (!net.isIP(value.value)) {
+            throw ruleError(value.offset, 'invalid IP address "' +
+                value.value + '"');
+        }
+        return ({type: 'ip', value: value.value});
+
+    case 'subnet':
+        value = this.next('a subnet');
+        var m = /^([^\/]+)\/(\d+)$/.exec(value.value);
+        var family = m && net.isIP(m[1]);
+        if (!family || +m[2] > (family === 4 ? 32 : 128)) {
+            throw ruleError(value.offset, 'invalid subnet "' + value.value +
+                '" (expected e.g. 10.0.0.0/24)');
+        }
+        return ({type: 'subnet', value: value.value});
+
+    case 'tag':
+        var t = {type: 'tag', name: this.name('a tag name')};
+        if (this.accept('=')) {
+            t.value = this.name('a tag value');
+        }
+        return (t);
+
+    default:
+        throw ruleError(tok.offset, 'expected a target (any, all vms, vm, ' +
+            'ip, subnet or tag), got "' + tok.value + '"');
+    }
+};
+
+
+/*
+ * A target, or targets ORed in parentheses.
+ */
+Parser.prototype.targets = function targets() {
+    if (!this.accept('(')) {
+        return ([this.target()]);
+    }
+
+    var list = [this.target()];
+    while (this.accept('or')) {
+        list.push(this.target());
+    }
+    this.expect(')', 'OR or ")"');
+    return (list);
+};
+
+
+Parser.prototype.port = function port() {
+    return (parseNumber(this.next('a port'), 'port', 1, 65535));
+};
+
+
+/*
+ * A port or, after PORTS, a port range ("n-m").
+ */
+Parser.prototype.portOrRange = function portOrRange() {
+    var tok = this.next('a port or port range');
+    var m = /^(\d+)-(\d+)$/.exec(tok.value);
+    if (!m) {
+        return (parseNumber(tok, 'port', 1, 65535));
+    }
+
+    var range = {
+        start: parseNumber({value: m[1], offset: tok.offset}, 'port', 1,
+            65535),
+        end: parseNumber({value: m[2], offset: tok.offset}, 'port', 1, 65535)
+    };
+    if (range.start > range.end) {
+        throw ruleError(tok.offset, 'port range "' + tok.value +
+            '" ends before it starts');
+    }
+    return (range);
+};
+
+
+Parser.prototype.ports = function ports() {
+    var list = [];
+
+    if (this.accept('(')) {
+        do {
+            this.expect('port');
+            list.push(this.port());
+        } while (this.accept('and'));
+        this.expect(')', 'AND or ")"');
+        return (list);
+    }
+
+    if (this.accept('ports')) {
+        do {
+            list.push(this.portOrRange());
+        } while (this.accept(','));
+        return (list);
+    }
+
+    this.expect('port', 'PORT or PORTS');
+    if (this.accept('all')) {
+        return ('all');
+    }
+    return ([this.port()]);
+};
+
+
+Parser.prototype.icmpType = function icmpType() {
+    var t = {type: parseNumber(this.next('an ICMP type'), 'ICMP type', 0,
+        255)};
+    if (this.accept('code')) {
+        t.code = parseNumber(this.next('an ICMP code'), 'ICMP code', 0, 255);
+    }
+    return (t);
+};
+
+
+Parser.prototype.types = function types() {
+    var list = [];
+
+    if (this.accept('(')) {
+        do {
+            this.expect('type');
+            list.push(this.icmpType());
+        } while (this.accept('and'));
+        this.expect(')', 'AND or ")"');
+        return (list);
+    }
+
+    this.expect('type');
+    if (this.accept('all')) {
+        return ('all');
+    }
+    return ([this.icmpType()]);
+};
+
+
+Parser.prototype.rule = function rule() {
+    var ast = {};
+
+    this.expect('from');
+    ast.from = this.targets();
+    this.expect('to');
+    ast.to = this.targets();
+
+    var tok = this.next('ALLOW or BLOCK');
+    ast.action = tok.value.toLowerCase();
+    if (tok.type === 'string' ||
+        (ast.action !== 'allow' && ast.action !== 'block')) {
+        throw ruleError(tok.offset, 'expected ALLOW or BLOCK, got "' +
+            tok.value + '"');
+    }
+
+    tok = this.next('a protocol');
+    ast.protocol = tok.value.toLowerCase();
+    if (tok.type === 'string' || !PROTOCOLS.hasOwnProperty(ast.protocol)) {
+        throw ruleError(tok.offset, 'expected a protocol (' +
+            Object.keys(PROTOCOLS).join(', ') + '), got "' + tok.value + '"');
+    }
+
+    if (PROTOCOLS[ast.protocol] === 'ports') {
+        ast.ports = this.ports();
+    } else if (PROTOCOLS[ast.protocol] === 'types') {
+        ast.types = this.types();
+    }
+
+    if (this.accept('priority')) {
+        ast.priority = parseNumber(this.next('a priority'), 'priority', 0,
+            MAX_PRIORITY);
+    }
+
+    tok = this.peek();
+    if (tok !== undefined) {
+        throw ruleError(tok.offset, 'unexpected "' + tok.value +
+            '" after the end of the rule');
+    }
+
+    // The rule must say which machines' firewalls it goes in.
+    if (!ast.from.concat(ast.to).some(function (t) {
+        return (t.type === 'vm' || t.type === 'tag' || t.type === 'all vms');
+    })) {
+        throw ruleError(0, 'the rule affects no machines: FROM or TO ' +
+            'must have a vm, tag or all vms target');
+    }
+
+    return (ast);
+};
+
+
+function quote(str) {
+    if (BARE_RE.test(str) && KEYWORDS.indexOf(str.toLowerCase()) === -1) {
+        return (str);
+    }
+    return ('"' + str.replace(/(["\\])/g, '\\$1') + '"');
+}
+
+
+function stringifyTargets(targets) {
+    var strs = targets.map(function (t) {
+        switch (t.type) {
+        case 'any':
+        case 'all vms':
+            return (t.type);
+        case 'tag':
+            return ('tag ' + quote(t.name) +
+                (t.value === undefined ? '' : ' = ' + quote(t.value)));
+        case 'vm':
+        case 'ip':
+        case 'subnet':
+            return (t.type + ' ' + t.value);
+        default:
+            throw new TypeError('unknown target type: ' + t.type);
+        }
+    });
+
+    return (strs.length === 1 ? strs[0] : '(' + strs.join(' OR ') + ')');
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Parses a firewall rule into its AST (see the top of this file).
+ *
+ * @param {String} str the rule.
+ * @return {Object} the AST.
+ * @throws {Error} of code 'InvalidRule', with the `offset` of the problem in
+ *         the rule, if it isn't valid.
+ */
+function parse(str) {
+    assert.string(str, 'str');
+
+    return (new Parser(str).rule());
+}
+
+
+/**
+ * Writes a firewall rule from its AST, in canonical form, e.g.
+ * 'FROM any TO tag role = web ALLOW tcp PORT 443'.
+ *
+ * @param {Object} ast as from parse.
+ * @return {String} the rule.
+ * @throws {TypeError} on a bad AST.
+ */
+function stringify(ast) {
+    assert.object(ast, 'ast');
+    assert.arrayOfObject(ast.from, 'ast.from');
+    assert.arrayOfObject(ast.to, 'ast.to');
+    assert.string(ast.action, 'ast.action');
+    assert.string(ast.protocol, 'ast.protocol');
+    if (!PROTOCOLS.hasOwnProperty(ast.protocol)) {
+        throw new TypeError('unknown protocol: ' + ast.protocol);
+    }
+    assert.optionalNumber(ast.priority, 'ast.priority');
+
+    var priority = (ast.priority === undefined ? '' :
+        ' PRIORITY ' + ast.priority);
+    var str = 'FROM ' + stringifyTargets(ast.from) + ' TO ' +
+        stringifyTargets(ast.to) + ' ' + ast.action.toUpperCase() + ' ' +
+        ast.protocol;
+
+    if (PROTOCOLS[ast.protocol] === 'ports') {
+        if (ast.ports === 'all') {
+            return (str + ' PORT all' + priority);
+        }
+        assert.ok(Array.isArray(ast.ports) && ast.ports.length,
+            'ast.ports must be "all" or a non-empty array');
+        if (ast.ports.length === 1 && typeof (ast.ports[0]) === 'number') {
+            return (str + ' PORT ' + ast.ports[0] + priority);
+        }
+        return (str + ' PORTS ' + ast.ports.map(function (p) {
+            return (typeof (p) === 'number' ? p : p.start + '-' + p.end);
+        }).join(', ') + priority);
+    }
+
+    if (PROTOCOLS[ast.protocol] === 'types') {
+        if (ast.types === 'all') {
+            return (str + ' TYPE all' + priority);
+        }
+        assert.arrayOfObject(ast.types, 'ast.types');
+        var types = ast.types.map(function (t) {
+            return ('TYPE ' + t.type +
+                (t.code === undefined ? '' : ' CODE ' + t.code));
+        });
+        return (str + ' ' + (types.length === 1 ? types[0] :
+            '(' + types.join(' AND ') + ')') + priority);
+    }
+
+    return (str + priority);
+}
+
+
+/**
+ * Describes an error from parse, showing where in the rule it is:
+ *
+ *      FROM any TO tag role ALLOW tcp PORT 70000
+ *                                          ^ invalid port "70000" ...
+ *
+ * @param {String} str the rule.
+ * @param {Error} err the error.
+ * @return {String} the description.
+ */
+function formatError(str, err) {
+    assert.string(str, 'str');
+    assert.object(err, 'err');
+
+    if (err.offset === undefined) {
+        return (err.message);
+    }
+    return (str + '\n' + new Array(err.offset + 1).join(' ') + '^ ' +
+        err.message.replace(/^column \d+: /, ''));
+}
+
+
+module.exports = {
+    parse: parse,
+    stringify: stringify,
+    formatError: formatError
+};
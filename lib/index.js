@@ -1,11 +1,17 @@
 // Copyright (c) 2013, Joyent, Inc. All rights reserved.
 
 var cloudapi = require('./cloudapi');
+var errors = require('./errors');
+var multidc = require('./multidc');
+var retry = require('./retry');
 var auth = require('smartdc-auth');
 
 module.exports = {
     CloudAPI: cloudapi.CloudAPI,
     createClient: cloudapi.createClient,
+    errors: errors,
+    MultiDatacenterClient: multidc.MultiDatacenterClient,
+    RetryPolicy: retry.RetryPolicy,
     cliSigner: auth.cliSigner,
     privateKeySigner: auth.privateKeySigner,
     sshAgentSigner: auth.sshAgentSigner,
@@ -0,0 +1,210 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * A client that runs CloudAPI calls across every datacenter at once
+ */
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var cloudapi = require('./cloudapi');
+var CloudAPI = cloudapi.CloudAPI;
+
+
+
+// --- Exported MultiDatacenterClient
+
+
+
+/**
+ * Constructor.
+ *
+ * Wraps a CloudAPI client: the datacenters it lists (see listDatacenters)
+ * each get a child client, made with createClientForDatacenter, and every
+ * list* and get* CloudAPI method that takes a callback (so not
+ * getCacheStats) can then be run against all of them in parallel. Such
+ * calls take the same arguments as on CloudAPI and call back with
+ * f(err, results, failures), where:
+ *
+ *  - results has the merged results of every datacenter that answered. For
+ *    list calls it is a flat array of their items, for other calls an array
+ *    with one result per datacenter. Each result object has a `datacenter`
+ *    property set to the name of the datacenter it came from.
+ *  - failures is an array of {datacenter, error}, one per datacenter whose
+ *    call failed (or threw), or for which no client could be made (e.g. a
+ *    name in `datacenters` that isn't listed). A failing datacenter doesn't
+ *    abort the others.
+ *  - err is only set if the datacenters themselves can't be listed.
+ *
+ * @param {Object} options object (required):
+ *        - {Object} client (required) the CloudAPI client to start from.
+ *        - {Array} datacenters (optional) names of the datacenters to use
+ *          (default: all of them).
+ *        - {Number} concurrency (optional) max datacenters to call at once
+ *          (default 5).
+ * @throws {TypeError} on bad input.
+ * @constructor
+ */
+function MultiDatacenterClient(options) {
+    assert.object(options, 'options');
+    assert.object(options.client, 'options.client');
+    assert.optionalArrayOfString(options.datacenters, 'options.datacenters');
+    assert.optionalNumber(options.concurrency, 'options.concurrency');
+
+    this.client = options.client;
+    this.datacenters = options.datacenters;
+    this.concurrency = options.concurrency || 5;
+    this.log = options.client.log.child({component: 'multidc'});
+    this._clients = null;
+    this._complete = false;
+}
+
+
+/**
+ * Creates the per-datacenter clients. Clients are made once; datacenters
+ * whose client couldn't be made (including names in `datacenters` that
+ * aren't listed) are tried again on the next call.
+ *
+ * @param {Function} callback of the form f(err, clients, failures), where
+ *                   clients maps datacenter names to CloudAPI clients and
+ *                   failures is an array of {datacenter, error}, one per
+ *                   datacenter left out. err is only set if the
+ *                   datacenters can't be listed.
+ */
+MultiDatacenterClient.prototype.getClients =
+function getClients(callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+
+    if (self._clients && self._complete) {
+        return callback(null, self._clients, []);
+    }
+
+    return self.client.listDatacenters(function (err, datacenters) {
+        if (err) {
+            return callback(err);
+        }
+
+        var names = self.datacenters || Object.keys(datacenters);
+        var clients = self._clients || {};
+        var failures = [];
+
+        return vasync.forEachParallel({
+            inputs: names.filter(function (name) {
+                return (!clients[name]);
+            }),
+            func: function createClient(name, cb) {
+                self.client.createClientForDatacenter(name,
+                        function (err2, client) {
+                    if (err2) {
+                        self.log.debug({err: err2, datacenter: name},
+                            'createClientForDatacenter failed');
+                        failures.push({datacenter: name, error: err2});
+                    } else {
+                        clients[name] = client;
+                    }
+                    cb();
+                });
+            }
+        }, function () {
+            self._clients = clients;
+            self._complete = (failures.length === 0);
+            return callback(null, clients, failures);
+        });
+    });
+};
+
+
+/**
+ * Calls the named CloudAPI method on every datacenter, at most
+ * `concurrency` at a time.
+ *
+ * @param {String} method name of the CloudAPI method.
+ * @param {Array} args arguments for the method, without the callback.
+ * @param {Function} callback of the form f(err, results, failures).
+ */
+MultiDatacenterClient.prototype.call =
+function call(method, args, callback) {
+    var self = this;
+
+    assert.string(method, 'method');
+    assert.ok(Array.isArray(args), 'args must be an array');
+    assert.func(callback, 'callback');
+
+    self.getClients(function (err, clients, failures) {
+        if (err) {
+            return callback(err);
+        }
+
+        var results = [];
+        var queue = vasync.queue(function (name, cb) {
+            var dcArgs = args.concat(function (err2, obj) {
+                if (err2) {
+                    self.log.debug({err: err2, datacenter: name},
+                        '%s failed', method);
+                    failures.push({datacenter: name, error: err2});
+                } else if (Array.isArray(obj)) {
+                    obj.forEach(function (item) {
+                        results.push(_annotate(item, name));
+                    });
+                } else {
+                    results.push(_annotate(obj, name));
+                }
+                cb();
+            });
+            try {
+                clients[name][method].apply(clients[name], dcArgs);
+            } catch (e) {
+                // Bad arguments throw: fail the datacenter, not the caller.
+                self.log.debug({err: e, datacenter: name},
+                    '%s threw', method);
+                failures.push({datacenter: name, error: e});
+                cb();
+            }
+        }, self.concurrency);
+
+        queue.on('end', function () {
+            callback(null, results, failures);
+        });
+        Object.keys(clients).sort().forEach(function (name) {
+            queue.push(name);
+        });
+        return queue.close();
+    });
+};
+
+
+function _annotate(obj, datacenter) {
+    if (obj === null || typeof (obj) !== 'object') {
+        return ({datacenter: datacenter, value: obj});
+    }
+    obj.datacenter = datacenter;
+    return (obj);
+}
+
+
+Object.keys(CloudAPI.prototype).forEach(function (name) {
+    if (!/^(list|get)[A-Z]/.test(name) ||
+        cloudapi.SYNC_METHODS.indexOf(name) !== -1) {
+        return;
+    }
+
+    MultiDatacenterClient.prototype[name] = function () {
+        var args = Array.prototype.slice.call(arguments);
+        var callback = args.pop();
+        return this.call(name, args, callback);
+    };
+});
+
+
+
+// --- Exports
+
+
+
+module.exports = {
+    MultiDatacenterClient: MultiDatacenterClient
+};
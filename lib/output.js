@@ -0,0 +1,282 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Formatting of list results as tables, CSV, JSON or JSON lines
+ */
+
+var assert = require('assert-plus');
+
+
+
+// --- Internal Helpers
+
+
+
+/*
+ * Renders a field value for a table cell.
+ */
+function cell(value) {
+    if (value === undefined || value === null) {
+        return ('-');
+    }
+    if (Array.isArray(value)) {
+        return (value.map(cell).join(','));
+    }
+    if (typeof (value) === 'object') {
+        return (JSON.stringify(value));
+    }
+    return (String(value));
+}
+
+
+/*
+ * Renders a field value for a CSV cell (RFC 4180): missing values are empty,
+ * and cells holding a comma, quote or newline are quoted.
+ */
+function csvCell(value) {
+    var str = (value === undefined || value === null ? '' : cell(value));
+    if (/[",\r\n]/.test(str)) {
+        str = '"' + str.replace(/"/g, '""') + '"';
+    }
+    return (str);
+}
+
+
+function compare(a, b) {
+    if (a === b) {
+        return (0);
+    }
+    if (a === undefined || a === null) {
+        return (1);
+    }
+    if (b === undefined || b === null) {
+        return (-1);
+    }
+    if (typeof (a) === 'number' && typeof (b) === 'number') {
+        return (a - b);
+    }
+    a = cell(a);
+    b = cell(b);
+    return (a < b ? -1 : (a > b ? 1 : 0));
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Splits a comma-separated list of fields, e.g. from `-o id,name`.
+ *
+ * @param {String} str list of fields, or an array of them.
+ * @return {Array} of field names.
+ */
+function parseFields(str) {
+    if (!str) {
+        return ([]);
+    }
+    if (Array.isArray(str)) {
+        str = str.join(',');
+    }
+    return (str.split(',').map(function (f) {
+        return (f.trim());
+    }).filter(function (f) {
+        return (f.length > 0);
+    }));
+}
+
+
+/**
+ * Returns the value of a field of an object. Fields may be dotted paths into
+ * nested objects, e.g. "locality.near".
+ *
+ * @param {Object} obj the object.
+ * @param {String} field the field name.
+ */
+function getField(obj, field) {
+    if (obj && Object.prototype.hasOwnProperty.call(obj, field)) {
+        return (obj[field]);
+    }
+
+    return (field.split('.').reduce(function (o, k) {
+        return ((o === undefined || o === null) ? undefined : o[k]);
+    }, obj));
+}
+
+
+/**
+ * Sorts items, in place, by the given fields. A field prefixed with "-" sorts
+ * in descending order.
+ *
+ * @param {Array} items objects to sort.
+ * @param {Array} fields sort fields, most significant first.
+ * @return {Array} items.
+ */
+function sortItems(items, fields) {
+    assert.arrayOfObject(items, 'items');
+    assert.arrayOfString(fields, 'fields');
+
+    if (!fields.length) {
+        return (items);
+    }
+
+    var keys = fields.map(function (f) {
+        var desc = (f[0] === '-');
+        return ({field: (desc ? f.slice(1) : f), sign: (desc ? -1 : 1)});
+    });
+
+    return (items.sort(function (a, b) {
+        var i;
+        for (i = 0; i < keys.length; i++) {
+            var c = compare(getField(a, keys[i].field),
+                getField(b, keys[i].field));
+            if (c !== 0) {
+                return (keys[i].sign * c);
+            }
+        }
+        return (0);
+    }));
+}
+
+
+/**
+ * Formats items as a table with one column per field. Headers are the
+ * upper-cased field names.
+ *
+ * @param {Array} items objects to format.
+ * @param {Object} options object containing:
+ *                   - {Array} columns fields to show (required).
+ *                   - {Boolean} noHeader leave out the header row.
+ * @return {String} the table, one line per item.
+ */
+function formatTable(items, options) {
+    assert.arrayOfObject(items, 'items');
+    assert.object(options, 'options');
+    assert.arrayOfString(options.columns, 'options.columns');
+
+    var rows = items.map(function (item) {
+        return (options.columns.map(function (c) {
+            return (cell(getField(item, c)));
+        }));
+    });
+    if (!options.noHeader) {
+        rows.unshift(options.columns.map(function (c) {
+            return (c.toUpperCase());
+        }));
+    }
+
+    var widths = options.columns.map(function (c, i) {
+        return (rows.reduce(function (w, row) {
+            return (Math.max(w, row[i].length));
+        }, 0));
+    });
+
+    return (rows.map(function (row) {
+        return (row.map(function (v, i) {
+            if (i === row.length - 1) {
+                return (v);
+            }
+            return (v + new Array(widths[i] - v.length + 1).join(' '));
+        }).join('  '));
+    }).join('\n'));
+}
+
+
+/**
+ * Formats items as CSV with one column per field, headed by the field names.
+ *
+ * @param {Array} items objects to format.
+ * @param {Object} options object containing:
+ *                   - {Array} columns fields to show (required).
+ *                   - {Boolean} noHeader leave out the header row.
+ * @return {String} the CSV, one line per item.
+ */
+function formatCsv(items, options) {
+    assert.arrayOfObject(items, 'items');
+    assert.object(options, 'options');
+    assert.arrayOfString(options.columns, 'options.columns');
+
+    var rows = items.map(function (item) {
+        return (options.columns.map(function (c) {
+            return (csvCell(getField(item, c)));
+        }).join(','));
+    });
+    if (!options.noHeader) {
+        rows.unshift(options.columns.map(csvCell).join(','));
+    }
+
+    return (rows.join('\n'));
+}
+
+
+/**
+ * Formats list results for output.
+ *
+ * @param {Object} obj the results: an array, or a single object.
+ * @param {Object} options object containing:
+ *                   - {String} mode one of 'table', 'csv', 'json' or
+ *                     'jsonl'.
+ *                   - {Array} columns default table columns (required).
+ *                   - {Array} fields fields to show instead of the
+ *                     default columns (optional). In JSON modes, objects
+ *                     are cut down to these fields.
+ *                   - {Array} sort fields to sort by (optional).
+ *                   - {Boolean} noHeader leave out the table (or CSV)
+ *                     header.
+ * @return {String} the formatted output.
+ */
+function formatOutput(obj, options) {
+    assert.object(options, 'options');
+    assert.string(options.mode, 'options.mode');
+    assert.arrayOfString(options.columns, 'options.columns');
+
+    var fields = options.fields || [];
+    var items = (Array.isArray(obj) ? obj.slice() : [obj]);
+    sortItems(items, options.sort || []);
+
+    if (fields.length && options.mode !== 'table' &&
+        options.mode !== 'csv') {
+        items = items.map(function (item) {
+            var picked = {};
+            fields.forEach(function (f) {
+                picked[f] = getField(item, f);
+            });
+            return (picked);
+        });
+    }
+
+    switch (options.mode) {
+    case 'table':
+        return (formatTable(items, {
+            columns: (fields.length ? fields : options.columns),
+            noHeader: options.noHeader
+        }));
+    case 'csv':
+        return (formatCsv(items, {
+            columns: (fields.length ? fields : options.columns),
+            noHeader: options.noHeader
+        }));
+    case 'jsonl':
+        return (items.map(function (item) {
+            return (JSON.stringify(item));
+        }).join('\n'));
+    case 'json':
+        return (JSON.stringify(Array.isArray(obj) ? items : items[0],
+            null, 2));
+    default:
+        throw new TypeError('unknown output mode: ' + options.mode);
+    }
+}
+
+
+module.exports = {
+    formatCsv: formatCsv,
+    formatOutput: formatOutput,
+    formatTable: formatTable,
+    getField: getField,
+    parseFields: parseFields,
+    sortItems: sortItems
+};
@@ -0,0 +1,248 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Named connection profiles for the sdc-* commands
+ *
+ * Profiles are kept in a JSON file (by default ~/.sdc/profiles.json) of the
+ * form:
+ *
+ *      {
+ *          "current": "staging",
+ *          "profiles": {
+ *              "staging": {
+ *                  "url": "https://cloudapi.staging.example.com",
+ *                  "account": "acme",
+ *                  "keyId": "a3:..."
+ *              }
+ *          }
+ *      }
+ */
+
+var assert = require('assert-plus');
+var fs = require('fs');
+var path = require('path');
+
+
+
+// --- Globals
+
+
+
+// Profile fields, and the environment variable each one stands in for.
+var FIELDS = {
+    account: 'SDC_ACCOUNT',
+    url: 'SDC_URL',
+    keyId: 'SDC_KEY_ID',
+    user: 'SDC_USER',
+    role: null,
+    'api-version': 'SDC_API_VERSION'
+};
+
+var NAME_RE = /^[a-zA-Z0-9._-]+$/;
+
+
+
+// --- Exports
+
+
+
+/**
+ * Returns the path of the profiles file: $SDC_PROFILES_FILE if set, else
+ * ~/.sdc/profiles.json.
+ */
+function profilesPath() {
+    if (process.env.SDC_PROFILES_FILE) {
+        return (process.env.SDC_PROFILES_FILE);
+    }
+
+    var home = process.env.HOME || process.env.USERPROFILE || '';
+    return (path.join(home, '.sdc', 'profiles.json'));
+}
+
+
+/**
+ * Reads the profiles file. A missing file reads as having no profiles.
+ *
+ * @param {String} file (optional) path of the file (default profilesPath()).
+ * @return {Object} of the form {current, profiles}.
+ * @throws {Error} if the file can't be read or parsed.
+ */
+function loadProfiles(file) {
+    file = file || profilesPath();
+
+    var data;
+    try {
+        data = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT') {
+            return ({current: null, profiles: {}});
+        }
+        throw e;
+    }
+
+    var config;
+    try {
+        config = JSON.parse(data);
+    } catch (e) {
+        throw new Error('invalid profiles file ' + file + ': ' + e.message);
+    }
+
+    return ({
+        current: config.current || null,
+        profiles: config.profiles || {}
+    });
+}
+
+
+/**
+ * Writes the profiles file, readable only by its owner, creating its
+ * directory if needed.
+ *
+ * @param {Object} config of the form {current, profiles}.
+ * @param {String} file (optional) path of the file (default profilesPath()).
+ * @throws {Error} if the file can't be written.
+ */
+function saveProfiles(config, file) {
+    assert.object(config, 'config');
+    assert.object(config.profiles, 'config.profiles');
+    file = file || profilesPath();
+
+    try {
+        fs.mkdirSync(path.dirname(file), parseInt('0700', 8));
+    } catch (e) {
+        if (e.code !== 'EEXIST') {
+            throw e;
+        }
+    }
+
+    fs.writeFileSync(file, JSON.stringify({
+        current: config.current || null,
+        profiles: config.profiles
+    }, null, 4) + '\n', {mode: parseInt('0600', 8)});
+}
+
+
+/**
+ * Checks a profile name and the profile itself.
+ *
+ * @param {String} name profile name.
+ * @param {Object} profile (optional) profile fields.
+ * @throws {Error} on bad input.
+ */
+function validateProfile(name, profile) {
+    if (typeof (name) !== 'string' || !NAME_RE.test(name)) {
+        throw new Error('invalid profile name "' + name + '" (use letters, ' +
+            'digits, ".", "_" and "-")');
+    }
+
+    if (profile === undefined) {
+        return;
+    }
+
+    Object.keys(profile).forEach(function (k) {
+        if (!FIELDS.hasOwnProperty(k)) {
+            throw new Error('unknown profile field "' + k + '"');
+        }
+    });
+    if (!profile.url || !profile.account || !profile.keyId) {
+        throw new Error('profile "' + name + '" needs a url, account ' +
+            'and keyId');
+    }
+}
+
+
+/**
+ * Picks the profile to use: the one named, else $SDC_PROFILE, else the
+ * current profile (if any).
+ *
+ * @param {String} name (optional) profile name, e.g. from --profile.
+ * @param {String} file (optional) path of the profiles file.
+ * @return {Object} of the form {name, profile, explicit}, or null if no
+ *         profile applies. `explicit` is false for the current profile.
+ * @throws {Error} if the named profile doesn't exist.
+ */
+function selectProfile(name, file) {
+    var explicit = true;
+
+    name = name || process.env.SDC_PROFILE;
+    var config = loadProfiles(file);
+
+    if (!name) {
+        name = config.current;
+        explicit = false;
+    }
+    if (!name) {
+        return (null);
+    }
+
+    if (!config.profiles.hasOwnProperty(name)) {
+        throw new Error('profile "' + name + '" not found in ' +
+            (file || profilesPath()));
+    }
+
+    return ({name: name, profile: config.profiles[name], explicit: explicit});
+}
+
+
+/**
+ * Fills in connection options (account, url, keyId, user, role and
+ * api-version) from the selected profile (see selectProfile).
+ *
+ * Options given as flags always win. A profile selected explicitly (with
+ * --profile or $SDC_PROFILE) takes precedence over the SDC_* environment
+ * variables; the current profile only fills in what those leave unset.
+ *
+ * @param {Object} opts parsed options, with the profile name, if any, as
+ *                 `opts.profile`. Updated in place.
+ * @param {Object} options (optional) object containing:
+ *                   - {Array} fromEnv option keys whose value in `opts`
+ *                     came from the environment (default none).
+ *                   - {Boolean} underscores whether option keys use "_"
+ *                     rather than "-" (as with dashdash).
+ * @return {Object} opts.
+ * @throws {Error} if the selected profile doesn't exist.
+ */
+function applyProfile(opts, options) {
+    assert.object(opts, 'opts');
+    options = options || {};
+    var fromEnv = options.fromEnv || [];
+
+    var selected = selectProfile(opts.profile);
+    if (!selected) {
+        return (opts);
+    }
+
+    Object.keys(FIELDS).forEach(function (field) {
+        var key = (options.underscores ? field.replace(/-/g, '_') : field);
+        var value = selected.profile[field];
+
+        if (value === undefined) {
+            return;
+        }
+        if (opts[key] !== undefined && fromEnv.indexOf(key) === -1) {
+            return;
+        }
+        if (!selected.explicit && FIELDS[field] &&
+            process.env[FIELDS[field]] !== undefined) {
+            return;
+        }
+
+        opts[key] = value;
+    });
+    opts.profile = selected.name;
+
+    return (opts);
+}
+
+
+module.exports = {
+    FIELDS: FIELDS,
+    applyProfile: applyProfile,
+    loadProfiles: loadProfiles,
+    profilesPath: profilesPath,
+    saveProfiles: saveProfiles,
+    selectProfile: selectProfile,
+    validateProfile: validateProfile
+};
@@ -0,0 +1,166 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Retry policy for CloudAPI requests
+ */
+
+var assert = require('assert-plus');
+
+
+
+// --- Globals
+
+
+
+var DEFAULTS = {
+    retries: 3,
+    minTimeout: 500,
+    maxTimeout: 10 * 1000,
+    factor: 2,
+    maxRetryAfter: 60 * 1000,
+    statusCodes: [429, 500, 502, 503, 504],
+    methods: ['GET', 'HEAD', 'PUT', 'DELETE']
+};
+
+// Errors after which the request may or may not have reached CloudAPI, so
+// they are only retried for the methods the policy allows.
+var TRANSIENT_ERRORS = [
+    'ECONNRESET',
+    'EPIPE',
+    'ETIMEDOUT',
+    'RequestTimeoutError'
+];
+
+// Errors that mean the request was never sent, so retrying is safe for any
+// method, including POST.
+var UNSENT_ERRORS = [
+    'ECONNREFUSED',
+    'ENOTFOUND',
+    'EAI_AGAIN',
+    'ConnectTimeoutError'
+];
+
+
+
+// --- Internal Helpers
+
+
+
+/*
+ * Returns the delay asked for by a `Retry-After` header (either a number of
+ * seconds or an HTTP date), or undefined if there isn't a usable one.
+ */
+function _retryAfter(res) {
+    var value = res && res.headers && res.headers['retry-after'];
+    if (!value)
+        return (undefined);
+
+    if (/^\d+$/.test(value))
+        return (parseInt(value, 10) * 1000);
+
+    var when = Date.parse(value);
+    if (isNaN(when))
+        return (undefined);
+
+    return (Math.max(0, when - Date.now()));
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Decides whether, and after how long, a failed request is retried.
+ *
+ * By default only idempotent methods (GET, HEAD, PUT, DELETE) are retried
+ * after a response error or a dropped connection, so that e.g. a POST to
+ * createMachine is never sent twice. Add 'POST' to `methods` to opt in to
+ * retrying non-idempotent requests. Requests that never left the client
+ * (connection refused, DNS failure, connect timeout) are retried whatever
+ * the method.
+ *
+ * Any object with a `getDelay` method of the same signature can be used as a
+ * policy instead.
+ *
+ * @param {Object} options (optional) object containing:
+ *                   - {Number} retries max retries per request (default 3).
+ *                   - {Number} minTimeout ms before the first retry
+ *                     (default 500).
+ *                   - {Number} maxTimeout cap on the backoff in ms
+ *                     (default 10s).
+ *                   - {Number} factor backoff multiplier (default 2).
+ *                   - {Number} maxRetryAfter longest `Retry-After` in ms the
+ *                     policy will wait for; longer ones fail (default 60s).
+ *                   - {Array} statusCodes HTTP statuses to retry
+ *                     (default 429, 500, 502, 503, 504).
+ *                   - {Array} methods HTTP methods to retry
+ *                     (default GET, HEAD, PUT, DELETE).
+ * @constructor
+ */
+function RetryPolicy(options) {
+    var self = this;
+
+    options = options || {};
+    assert.object(options, 'options');
+    assert.optionalNumber(options.retries, 'options.retries');
+    assert.optionalNumber(options.minTimeout, 'options.minTimeout');
+    assert.optionalNumber(options.maxTimeout, 'options.maxTimeout');
+    assert.optionalNumber(options.factor, 'options.factor');
+    assert.optionalNumber(options.maxRetryAfter, 'options.maxRetryAfter');
+    assert.optionalArrayOfNumber(options.statusCodes, 'options.statusCodes');
+    assert.optionalArrayOfString(options.methods, 'options.methods');
+
+    Object.keys(DEFAULTS).forEach(function (k) {
+        self[k] = (options[k] !== undefined ? options[k] : DEFAULTS[k]);
+    });
+    this.methods = this.methods.map(function (m) {
+        return (m.toUpperCase());
+    });
+}
+
+
+/**
+ * Returns how many ms to wait before retrying a failed request, or -1 if it
+ * shouldn't be retried.
+ *
+ * @param {Number} attempt how many attempts have been made so far.
+ * @param {Error} err the error the attempt failed with.
+ * @param {Object} res the HTTP response, if there was one.
+ * @param {String} method the HTTP method of the request.
+ */
+RetryPolicy.prototype.getDelay = function getDelay(attempt, err, res, method) {
+    if (!err || attempt > this.retries)
+        return (-1);
+
+    var statusCode = err.statusCode || (res && res.statusCode);
+    var errName = err.code || err.name;
+    var idempotent = (this.methods.indexOf(method.toUpperCase()) !== -1);
+    var retryable;
+
+    if (statusCode) {
+        retryable = idempotent && this.statusCodes.indexOf(statusCode) !== -1;
+    } else if (UNSENT_ERRORS.indexOf(errName) !== -1) {
+        retryable = true;
+    } else {
+        retryable = idempotent && TRANSIENT_ERRORS.indexOf(errName) !== -1;
+    }
+
+    if (!retryable)
+        return (-1);
+
+    var retryAfter = _retryAfter(res);
+    if (retryAfter !== undefined)
+        return (retryAfter <= this.maxRetryAfter ? retryAfter : -1);
+
+    return (Math.min(this.minTimeout * Math.pow(this.factor, attempt - 1),
+        this.maxTimeout));
+};
+
+
+module.exports = {
+    RetryPolicy: RetryPolicy
+};
@@ -0,0 +1,430 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Rolling changes across machines (see sdc-rollout)
+ *
+ * runRollout reboots, resizes or restarts from a snapshot (stopping them
+ * first) a list of machines a batch at a time. Every machine of a batch must
+ * be running again, and pass the health check if one is given, before the
+ * next batch starts; once more machines have failed than the threshold
+ * allows, the rollout stops after the current batch.
+ *
+ * The health check is either a TCP port probe of the machine's primary IP,
+ * or a metadata key: the machine is healthy once something on it (e.g. a
+ * boot script, through mdata-put) sets the key, to the given value if there
+ * is one. So that a value set before the change doesn't count, a key that is
+ * already set is overwritten with a marker of the rollout's own before the
+ * machine is changed; if the machine then fails, and the marker is still
+ * there, the old value is put back.
+ */
+
+var assert = require('assert-plus');
+var crypto = require('crypto');
+var net = require('net');
+var vasync = require('vasync');
+
+var nextPoll = require('./cli/poll').nextPoll;
+
+
+
+// --- Globals
+
+
+
+var ACTIONS = ['reboot', 'resize', 'snapshot'];
+
+var DEFAULTS = {
+    batchSize: 1,
+    maxFailures: 0,
+    interval: 5000,
+    waitTimeout: 10 * 60 * 1000,
+    healthTimeout: 5 * 60 * 1000
+};
+
+// How long a single TCP probe may take to connect.
+var PROBE_TIMEOUT = 5000;
+
+
+
+// --- Internal Helpers
+
+
+
+/*
+ * Calls `check` every `interval` ms until it calls back with a truthy
+ * value, which `callback` then gets, or with an error, or until `timeout`
+ * ms have gone by, which is an error of code 'Timeout' saying what was
+ * awaited.
+ */
+function _poll(check, what, interval, timeout, callback) {
+    var start = Date.now();
+
+    function attempt() {
+        check(function (err, value) {
+            if (err || value) {
+                return callback(err, value);
+            }
+            var delay = nextPoll(start, interval, timeout);
+            if (delay < 0) {
+                var e = new Error('timed out waiting for ' + what);
+                e.code = 'Timeout';
+                return callback(e);
+            }
+            return setTimeout(attempt, delay);
+        });
+    }
+
+    attempt();
+}
+
+
+/*
+ * Calls back with true if a TCP connection to host:port can be made.
+ */
+function _probe(host, port, callback) {
+    var done = false;
+    var socket = net.connect({host: host, port: port});
+
+    function finish(ok) {
+        if (!done) {
+            done = true;
+            socket.destroy();
+            callback(null, ok);
+        }
+    }
+
+    socket.setTimeout(PROBE_TIMEOUT, finish.bind(null, false));
+    socket.on('connect', finish.bind(null, true));
+    socket.on('error', finish.bind(null, false));
+}
+
+
+/*
+ * Carries out the rollout's action on one machine (stopping it first to
+ * start it from a snapshot), then waits for it to be running (on the new
+ * package, for a resize) and healthy.
+ */
+function _rollOne(client, machine, opts, callback) {
+    var account = client.account;
+    var health = opts.health;
+    var name = machine.name || machine.id;
+    var marker = 'sdc-rollout ' + crypto.randomBytes(8).toString('hex');
+    // The health check key's value, if the marker replaced one.
+    var saved;
+
+    vasync.pipeline({funcs: [
+        function markKey(_, cb) {
+            if (!health || health.metadata === undefined) {
+                return cb();
+            }
+            return client.listMachineMetadata(account, machine.id, false,
+                    function (err, md) {
+                if (err || md[health.metadata] === undefined) {
+                    return cb(err);
+                }
+                saved = {value: md[health.metadata]};
+                var update = {};
+                update[health.metadata] = marker;
+                return client.updateMachineMetadata(account, machine.id,
+                        update, function (err2) {
+                    cb(err2);
+                });
+            }, true);
+        },
+
+        // A machine must be stopped to start from a snapshot; make sure
+        // there is one before stopping it.
+        function checkSnapshot(_, cb) {
+            if (opts.action !== 'snapshot') {
+                return cb();
+            }
+            return client.getMachineSnapshot(account, machine.id,
+                    opts.snapshot, function (err) {
+                cb(err);
+            }, true);
+        },
+
+        function stop(_, cb) {
+            if (opts.action !== 'snapshot' || machine.state === 'stopped') {
+                return cb();
+            }
+            return client.stopMachine(account, machine.id, function (err) {
+                cb(err);
+            });
+        },
+
+        function waitStopped(_, cb) {
+            if (opts.action !== 'snapshot') {
+                return cb();
+            }
+            return client.waitForMachineState(account, machine.id, 'stopped', {
+                interval: opts.interval,
+                backoff: 1,
+                timeout: opts.waitTimeout
+            }, function (err) {
+                cb(err);
+            });
+        },
+
+        function act(_, cb) {
+            switch (opts.action) {
+            case 'reboot':
+                client.rebootMachine(account, machine.id, cb);
+                break;
+            case 'resize':
+                client.resizeMachine(account, machine.id,
+                    {'package': opts['package']}, cb);
+                break;
+            default:
+                client.startMachineFromSnapshot(account, machine.id,
+                    opts.snapshot, cb);
+                break;
+            }
+        },
+
+        // The machine is still running when the action is accepted: it
+        // must go through another state (or, for a resize, get the new
+        // package) before it's running again.
+        function waitRunning(_, cb) {
+            var resize = (opts.action === 'resize');
+
+            client.waitForMachineState(account, machine.id, 'running', {
+                interval: opts.interval,
+                backoff: 1,
+                timeout: opts.waitTimeout,
+                leave: !resize,
+                until: function (m) {
+                    return (!resize || m['package'] === opts.packageName);
+                }
+            }, function (err, m) {
+                if (m) {
+                    machine = m;
+                }
+                cb(err);
+            });
+        },
+
+        function checkHealth(_, cb) {
+            if (!health) {
+                return cb();
+            }
+
+            if (health.port !== undefined) {
+                return _poll(function (pcb) {
+                    if (!machine.primaryIp) {
+                        return pcb(new Error('machine ' + name +
+                            ' has no primary IP to probe'));
+                    }
+                    return _probe(machine.primaryIp, health.port, pcb);
+                }, name + ' to accept connections on port ' + health.port,
+                    opts.interval, opts.healthTimeout, cb);
+            }
+
+            return _poll(function (pcb) {
+                client.listMachineMetadata(account, machine.id, false,
+                        function (err, md) {
+                    if (err) {
+                        return pcb(err);
+                    }
+                    var value = md[health.metadata];
+                    return pcb(null, value !== undefined && value !== marker &&
+                        (health.value === undefined ||
+                        value === health.value));
+                }, true);
+            }, name + ' to set metadata ' + health.metadata +
+                (health.value === undefined ? '' : '=' + health.value),
+                opts.interval, opts.healthTimeout, cb);
+        }
+    ]}, function (err) {
+        if (!err || !saved) {
+            return callback(err);
+        }
+        return _restoreKey(client, machine, health.metadata, marker,
+                saved.value, function () {
+            callback(err);
+        });
+    });
+}
+
+
+/*
+ * Puts back the value the marker replaced, unless something else has been
+ * set since. Errors are ignored: the machine has failed already.
+ */
+function _restoreKey(client, machine, key, marker, value, callback) {
+    client.listMachineMetadata(client.account, machine.id, false,
+            function (err, md) {
+        if (err || md[key] !== marker) {
+            return callback();
+        }
+        var update = {};
+        update[key] = value;
+        return client.updateMachineMetadata(client.account, machine.id,
+                update, function () {
+            callback();
+        });
+    }, true);
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Splits machines into batches of `size`.
+ *
+ * @param {Array} machines the machines, in rollout order.
+ * @param {Number} size machines per batch.
+ * @return {Array} of arrays of machines.
+ */
+function makeBatches(machines, size) {
+    assert.ok(Array.isArray(machines), 'machines (array) required');
+    assert.number(size, 'size');
+    assert.ok(size >= 1, 'size >= 1');
+
+    var batches = [];
+    var i;
+    for (i = 0; i < machines.length; i += size) {
+        batches.push(machines.slice(i, i + size));
+    }
+    return (batches);
+}
+
+
+/**
+ * Rolls a change out to machines, a batch at a time.
+ *
+ * Calls back with {done, failed, skipped, aborted}: the machines rolled out
+ * to, {machine, error} for those that failed, the machines not tried
+ * because the rollout was aborted, and whether more machines failed than
+ * `maxFailures` allows.
+ *
+ * @param {Object} client a CloudAPI client.
+ * @param {Array} machines machine objects (e.g. from selectMachines), in
+ *                rollout order.
+ * @param {Object} options object containing:
+ *                   - {String} action "reboot", "resize" or "snapshot"
+ *                     (required).
+ *                   - {String} package the package to resize to (name or
+ *                     UUID), for "resize".
+ *                   - {String} snapshot the name of the snapshot to start
+ *                     from, for "snapshot".
+ *                   - {Number} batchSize machines per batch (default 1).
+ *                   - {Number} maxFailures how many machines may fail
+ *                     before the rollout is aborted (default 0).
+ *                   - {Object} health (optional) the health check: either
+ *                     {port} or {metadata, value (optional)}.
+ *                   - {Number} waitTimeout ms each machine may take to be
+ *                     running again (default 10 min).
+ *                   - {Number} healthTimeout ms each machine may take to
+ *                     pass the health check (default 5 min).
+ *                   - {Number} interval ms between polls (default 5s).
+ *                   - {Function} onBatch called as f(index, machines) as
+ *                     each batch starts.
+ *                   - {Function} onResult called as f(machine, err) as
+ *                     each machine is done or has failed.
+ * @param {Function} callback of the form f(err, results).
+ * @throws {TypeError} on bad input.
+ */
+function runRollout(client, machines, options, callback) {
+    assert.object(client, 'client');
+    assert.arrayOfObject(machines, 'machines');
+    assert.object(options, 'options');
+    assert.string(options.action, 'options.action');
+    assert.ok(ACTIONS.indexOf(options.action) !== -1,
+        'options.action must be one of: ' + ACTIONS.join(', '));
+    if (options.action === 'resize') {
+        assert.string(options['package'], 'options.package');
+    } else if (options.action === 'snapshot') {
+        assert.string(options.snapshot, 'options.snapshot');
+    }
+    assert.optionalObject(options.health, 'options.health');
+    if (options.health) {
+        assert.ok(options.health.port !== undefined ||
+            typeof (options.health.metadata) === 'string',
+            'options.health must have a port or a metadata key');
+    }
+    assert.optionalFunc(options.onBatch, 'options.onBatch');
+    assert.optionalFunc(options.onResult, 'options.onResult');
+    assert.func(callback, 'callback');
+
+    var opts = {};
+    Object.keys(options).forEach(function (k) {
+        opts[k] = options[k];
+    });
+    Object.keys(DEFAULTS).forEach(function (k) {
+        if (opts[k] === undefined) {
+            opts[k] = DEFAULTS[k];
+        }
+        assert.number(opts[k], 'options.' + k);
+    });
+
+    var results = {done: [], failed: [], skipped: [], aborted: false};
+    var batches = makeBatches(machines, opts.batchSize);
+
+    function rollBatch(batch, index, cb) {
+        if (results.aborted) {
+            results.skipped = results.skipped.concat(batch);
+            return cb();
+        }
+
+        if (opts.onBatch) {
+            opts.onBatch(index, batch);
+        }
+        return vasync.forEachParallel({
+            inputs: batch,
+            func: function (machine, mcb) {
+                _rollOne(client, machine, opts, function (err) {
+                    if (err) {
+                        results.failed.push({machine: machine, error: err});
+                    } else {
+                        results.done.push(machine);
+                    }
+                    if (opts.onResult) {
+                        opts.onResult(machine, err);
+                    }
+                    mcb();
+                });
+            }
+        }, function () {
+            results.aborted = (results.failed.length > opts.maxFailures);
+            cb();
+        });
+    }
+
+    function start() {
+        vasync.forEachPipeline({
+            inputs: batches.map(function (batch, i) {
+                return ({batch: batch, index: i});
+            }),
+            func: function (b, cb) {
+                rollBatch(b.batch, b.index, cb);
+            }
+        }, function () {
+            callback(null, results);
+        });
+    }
+
+    if (opts.action !== 'resize') {
+        return start();
+    }
+
+    // Machines give their package by name.
+    return client.getPackage(opts['package'], function (err, pkg) {
+        if (err) {
+            return callback(err);
+        }
+        opts.packageName = pkg.name;
+        return start();
+    });
+}
+
+
+module.exports = {
+    makeBatches: makeBatches,
+    runRollout: runRollout
+};
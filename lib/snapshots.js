@@ -0,0 +1,378 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Snapshot retention policies (see sdc-snapshot-policy)
+ *
+ * A policy snapshots machines under timestamped names, "<prefix><time>"
+ * (e.g. "auto-20190301T120000Z"), and prunes the snapshots it made before
+ * according to a retention spec such as "hourly=24,daily=7,weekly=4": the
+ * newest snapshot of each of the last 24 hours that have one is kept, and
+ * so is the newest of each of the last 7 days and 4 weeks (which start on
+ * Mondays, UTC). Every other snapshot named by the policy is deleted;
+ * snapshots named otherwise are never touched. Only snapshots that have
+ * been created count: a failed or unfinished one neither takes the place
+ * of a good one nor gets deleted, and the new snapshot must have been
+ * created before any is deleted.
+ */
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var nextPoll = require('./cli/poll').nextPoll;
+
+
+
+// --- Globals
+
+
+
+var DEFAULT_PREFIX = 'auto-';
+
+var PERIODS = ['hourly', 'daily', 'weekly'];
+
+// The time in a snapshot name, e.g. "20190301T120000Z".
+var TIME_RE = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/;
+
+var DAY = 24 * 3600 * 1000;
+
+var WAIT_DEFAULTS = {
+    interval: 2000,
+    timeout: 10 * 60 * 1000
+};
+
+
+
+// --- Internal Helpers
+
+
+
+/*
+ * The period of a time a snapshot stands for, under a retention period.
+ */
+function periodKey(period, time) {
+    switch (period) {
+    case 'hourly':
+        return (Math.floor(time / 3600000));
+    case 'daily':
+        return (Math.floor(time / DAY));
+    default:
+        // 1970-01-01 was a Thursday, so weeks start on Monday.
+        return (Math.floor((Math.floor(time / DAY) + 3) / 7));
+    }
+}
+
+
+/*
+ * Polls a machine's snapshot until it's created, calling back with it, or
+ * with an error if it fails or takes longer than `opts.timeout` ms.
+ */
+function waitCreated(client, machine, name, opts, callback) {
+    var start = Date.now();
+
+    function poll() {
+        client.getMachineSnapshot(client.account, machine.id, name,
+                function (err, s) {
+            var e;
+            if (err) {
+                return callback(err);
+            }
+            if (s.state === 'created') {
+                return callback(null, s);
+            }
+            if (s.state === 'failed') {
+                e = new Error('snapshot ' + name + ' failed');
+                e.code = 'SnapshotFailed';
+                return callback(e);
+            }
+            var delay = nextPoll(start, opts.interval, opts.timeout);
+            if (delay < 0) {
+                e = new Error('timed out waiting for snapshot ' + name +
+                    ' to be created (state: ' + s.state + ')');
+                e.code = 'Timeout';
+                return callback(e);
+            }
+            return setTimeout(poll, delay);
+        }, true);
+    }
+
+    poll();
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Names a snapshot taken at `date`.
+ *
+ * @param {Date} date the time of the snapshot.
+ * @param {String} prefix (optional) defaults to "auto-".
+ * @return {String} e.g. "auto-20190301T120000Z".
+ */
+function snapshotName(date, prefix) {
+    assert.date(date, 'date');
+    assert.optionalString(prefix, 'prefix');
+
+    return ((prefix === undefined ? DEFAULT_PREFIX : prefix) +
+        date.toISOString().replace(/[-:]|\.\d+/g, ''));
+}
+
+
+/**
+ * Parses the time out of a snapshot name given by snapshotName.
+ *
+ * @param {String} name the snapshot name.
+ * @param {String} prefix (optional) defaults to "auto-".
+ * @return {Date} or null, for a name that isn't one of the policy's.
+ */
+function parseSnapshotName(name, prefix) {
+    assert.string(name, 'name');
+    assert.optionalString(prefix, 'prefix');
+
+    if (prefix === undefined) {
+        prefix = DEFAULT_PREFIX;
+    }
+    if (name.slice(0, prefix.length) !== prefix) {
+        return (null);
+    }
+
+    var m = TIME_RE.exec(name.slice(prefix.length));
+    if (!m) {
+        return (null);
+    }
+    return (new Date(Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +m[6])));
+}
+
+
+/**
+ * Parses a retention spec, e.g. "hourly=24,daily=7,weekly=4".
+ *
+ * Periods left out keep nothing, but at least one must keep something.
+ *
+ * @param {String} str the spec.
+ * @return {Object} of the form {hourly, daily, weekly}.
+ * @throws {Error} on a bad spec.
+ */
+function parseRetention(str) {
+    assert.string(str, 'str');
+
+    var retention = {};
+    PERIODS.forEach(function (p) {
+        retention[p] = 0;
+    });
+
+    str.split(',').forEach(function (part) {
+        var m = /^\s*(\w+)=(\d+)\s*$/.exec(part);
+        if (!m || PERIODS.indexOf(m[1]) === -1) {
+            throw new Error('invalid retention "' + part.trim() +
+                '"; expected ' + PERIODS.join(', ') + '=N');
+        }
+        retention[m[1]] = parseInt(m[2], 10);
+    });
+
+    if (!PERIODS.some(function (p) {
+        return (retention[p] > 0);
+    })) {
+        throw new Error('retention must keep some snapshots');
+    }
+
+    return (retention);
+}
+
+
+/**
+ * Sorts a machine's snapshots into those a retention spec keeps and those
+ * it prunes, newest first. Snapshots not named by the policy, or not in
+ * the "created" state, are in neither.
+ *
+ * @param {Array} snapshots snapshot objects, as from listMachineSnapshots.
+ * @param {Object} retention as from parseRetention.
+ * @param {String} prefix (optional) defaults to "auto-".
+ * @return {Object} of the form {keep, prune}, arrays of snapshots.
+ */
+function selectPrunable(snapshots, retention, prefix) {
+    assert.arrayOfObject(snapshots, 'snapshots');
+    assert.object(retention, 'retention');
+
+    var ours = [];
+    snapshots.forEach(function (s) {
+        var time = parseSnapshotName(s.name, prefix);
+        if (time && s.state === 'created') {
+            ours.push({snapshot: s, time: time.getTime()});
+        }
+    });
+    ours.sort(function (a, b) {
+        return (b.time - a.time);
+    });
+
+    var kept = {};
+    PERIODS.forEach(function (p) {
+        var seen = [];
+        ours.forEach(function (o, i) {
+            var key = periodKey(p, o.time);
+            if (seen.length < (retention[p] || 0) &&
+                seen.indexOf(key) === -1) {
+                seen.push(key);
+                kept[i] = true;
+            }
+        });
+    });
+
+    var result = {keep: [], prune: []};
+    ours.forEach(function (o, i) {
+        result[kept[i] ? 'keep' : 'prune'].push(o.snapshot);
+    });
+    return (result);
+}
+
+
+/**
+ * Applies a snapshot policy to machines, one at a time: snapshots each
+ * machine (unless `create` is false) and waits for the snapshot to be
+ * created, then deletes the snapshots the retention spec prunes, counting
+ * the new one.
+ *
+ * A failure on one machine doesn't stop the others. Calls back with an
+ * array of {machine, created, pruned, error} per machine: the name of the
+ * snapshot made (or that would be, with `dryRun`), the names of those
+ * deleted (or that would be) and what went wrong, if anything.
+ *
+ * @param {Object} client a CloudAPI client.
+ * @param {Array} machines machine objects (e.g. from selectMachines).
+ * @param {Object} options object containing:
+ *                   - {Object} retention as from parseRetention (required).
+ *                   - {String} prefix of the snapshot names (default
+ *                     "auto-").
+ *                   - {Boolean} create whether to snapshot the machines
+ *                     (default true), or only prune.
+ *                   - {Boolean} dryRun change nothing (default false).
+ *                   - {Date} now the time to name new snapshots after
+ *                     (default: now).
+ *                   - {Number} interval ms between polls of a new
+ *                     snapshot (default 2s).
+ *                   - {Number} timeout ms a new snapshot may take to be
+ *                     created (default 10 min).
+ *                   - {Function} onResult called as f(result) as each
+ *                     machine is done.
+ * @param {Function} callback of the form f(err, results).
+ * @throws {TypeError} on bad input.
+ */
+function runPolicy(client, machines, options, callback) {
+    assert.object(client, 'client');
+    assert.arrayOfObject(machines, 'machines');
+    assert.object(options, 'options');
+    assert.object(options.retention, 'options.retention');
+    assert.optionalString(options.prefix, 'options.prefix');
+    assert.optionalBool(options.create, 'options.create');
+    assert.optionalBool(options.dryRun, 'options.dryRun');
+    if (options.now !== undefined) {
+        assert.date(options.now, 'options.now');
+    }
+    assert.optionalNumber(options.interval, 'options.interval');
+    assert.optionalNumber(options.timeout, 'options.timeout');
+    assert.optionalFunc(options.onResult, 'options.onResult');
+    assert.func(callback, 'callback');
+
+    var name = snapshotName(options.now || new Date(), options.prefix);
+    var create = (options.create !== false);
+    var results = [];
+    var wait = {};
+    Object.keys(WAIT_DEFAULTS).forEach(function (k) {
+        wait[k] = (options[k] === undefined ? WAIT_DEFAULTS[k] : options[k]);
+    });
+
+    function apply(machine, cb) {
+        var result = {machine: machine, created: null, pruned: []};
+
+        vasync.pipeline({arg: {}, funcs: [
+            function list(ctx, next) {
+                client.listMachineSnapshots(machine.id, function (err, s) {
+                    ctx.snapshots = s;
+                    next(err);
+                });
+            },
+
+            function snapshot(ctx, next) {
+                if (!create) {
+                    return next();
+                }
+                result.created = name;
+                if (options.dryRun) {
+                    ctx.snapshots.push({name: name, state: 'created'});
+                    return next();
+                }
+                return client.createMachineSnapshot(machine.id, {name: name},
+                        function (err) {
+                    if (err) {
+                        result.created = null;
+                    }
+                    next(err);
+                });
+            },
+
+            function awaitSnapshot(ctx, next) {
+                if (!create || options.dryRun) {
+                    return next();
+                }
+                return waitCreated(client, machine, name, wait,
+                        function (err, s) {
+                    if (s) {
+                        ctx.snapshots.push(s);
+                    }
+                    next(err);
+                });
+            },
+
+            function prune(ctx, next) {
+                var doomed = selectPrunable(ctx.snapshots, options.retention,
+                    options.prefix).prune;
+                vasync.forEachPipeline({
+                    inputs: doomed,
+                    func: function (s, pcb) {
+                        if (options.dryRun) {
+                            result.pruned.push(s.name);
+                            return pcb();
+                        }
+                        return client.deleteMachineSnapshot(machine.id,
+                                s.name, function (err) {
+                            if (!err) {
+                                result.pruned.push(s.name);
+                            }
+                            pcb(err);
+                        });
+                    }
+                }, next);
+            }
+        ]}, function (err) {
+            if (err) {
+                result.error = err;
+            }
+            results.push(result);
+            if (options.onResult) {
+                options.onResult(result);
+            }
+            cb();
+        });
+    }
+
+    vasync.forEachPipeline({
+        inputs: machines,
+        func: apply
+    }, function () {
+        callback(null, results);
+    });
+}
+
+
+module.exports = {
+    DEFAULT_PREFIX: DEFAULT_PREFIX,
+    snapshotName: snapshotName,
+    parseSnapshotName: parseSnapshotName,
+    parseRetention: parseRetention,
+    selectPrunable: selectPrunable,
+    runPolicy: runPolicy
+};
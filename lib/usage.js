@@ -0,0 +1,289 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Usage reports (see sdc-usage)
+ *
+ * For a "YYYY-MM" period, getUsage gives one record per machine that
+ * existed during it, and getMachineUsage the record of one machine:
+ *
+ *      {period, machine, name, package, hours}
+ *
+ * That shape comes from the test suite's mock CloudAPI; it hasn't been
+ * checked against a recording of a real CloudAPI (see the client's `record`
+ * option), so records without a `machine` and numeric `hours` are an error
+ * rather than left out of the report.
+ *
+ * collectUsage gathers these records over a range of periods, for the whole
+ * account or some of its machines, and adds each machine's tags to them.
+ * summarizeUsage totals their hours by any combination of machine, package,
+ * period and tag, e.g. for chargeback by "tag.costcenter".
+ */
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var output = require('./output');
+
+
+
+// --- Globals
+
+
+
+var PERIOD_RE = /^([0-9]{4})-([0-9]{1,2})$/;
+
+// The longest range of periods a report may cover: ten years.
+var MAX_PERIODS = 120;
+
+var GROUPS = ['machine', 'package', 'period'];
+var TAG_GROUP_RE = /^tag\.(.+)$/;
+
+
+
+// --- Internal Helpers
+
+
+
+/*
+ * Parses a "YYYY-MM" period into a month count (years * 12 + month - 1),
+ * or throws.
+ */
+function _month(period) {
+    var m = PERIOD_RE.exec(period);
+    if (!m || Number(m[2]) < 1 || Number(m[2]) > 12) {
+        throw new Error('invalid period "' + period + '" (expected YYYY-MM)');
+    }
+    return (Number(m[1]) * 12 + Number(m[2]) - 1);
+}
+
+
+function _period(month) {
+    var mm = month % 12 + 1;
+    return (Math.floor(month / 12) + '-' + (mm < 10 ? '0' : '') + mm);
+}
+
+
+function _round(hours) {
+    return (Math.round(hours * 100) / 100);
+}
+
+
+/*
+ * Returns an error if `r` isn't a usage record as described above.
+ */
+function _checkRecord(r) {
+    if (r && typeof (r) === 'object' && typeof (r.machine) === 'string' &&
+        typeof (r.hours) === 'number') {
+        return (null);
+    }
+    return (new Error('unexpected usage record from CloudAPI (expected ' +
+        '{period, machine, name, package, hours}): ' + JSON.stringify(r)));
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Parses a period, "YYYY-MM", or an inclusive range of them,
+ * "YYYY-MM..YYYY-MM".
+ *
+ * @param {String} str the period or range.
+ * @return {Array} of "YYYY-MM" periods, oldest first.
+ * @throws {Error} if it isn't a valid period or range.
+ */
+function parsePeriods(str) {
+    assert.string(str, 'str');
+
+    var ends = str.split('..');
+    if (ends.length > 2) {
+        throw new Error('invalid period range "' + str +
+            '" (expected YYYY-MM..YYYY-MM)');
+    }
+
+    var from = _month(ends[0]);
+    var to = _month(ends[ends.length - 1]);
+    if (to < from) {
+        throw new Error('period range "' + str + '" ends before it starts');
+    }
+    if (to - from >= MAX_PERIODS) {
+        throw new Error('period range "' + str + '" is longer than ' +
+            MAX_PERIODS + ' months');
+    }
+
+    var periods = [];
+    var month;
+    for (month = from; month <= to; month++) {
+        periods.push(_period(month));
+    }
+    return (periods);
+}
+
+
+/**
+ * Parses a comma-separated list of the fields to total usage by: "machine",
+ * "package", "period" or "tag.NAME".
+ *
+ * @param {String} str the fields, e.g. "period,tag.costcenter".
+ * @return {Array} of fields; ["machine"] if none are given.
+ * @throws {Error} on unknown fields.
+ */
+function parseGroups(str) {
+    var groups = output.parseFields(str);
+
+    groups.forEach(function (g) {
+        if (GROUPS.indexOf(g) === -1 && !TAG_GROUP_RE.test(g)) {
+            throw new Error('cannot group usage by "' + g + '" (expected ' +
+                GROUPS.join(', ') + ' or tag.NAME)');
+        }
+    });
+
+    return (groups.length ? groups : ['machine']);
+}
+
+
+/**
+ * Fetches the usage records of a range of periods, each with the `tags` of
+ * its machine ({} for machines deleted since).
+ *
+ * @param {Object} client a CloudAPI client.
+ * @param {Object} options object containing:
+ *                   - {Array} periods "YYYY-MM" periods (required).
+ *                   - {Array} machines machine UUIDs to get the usage of,
+ *                     instead of the whole account's (optional).
+ * @param {Function} callback of the form f(err, records).
+ * @throws {TypeError} on bad input.
+ */
+function collectUsage(client, options, callback) {
+    assert.object(client, 'client');
+    assert.object(options, 'options');
+    assert.arrayOfString(options.periods, 'options.periods');
+    assert.optionalArrayOfString(options.machines, 'options.machines');
+    assert.func(callback, 'callback');
+
+    var records = [];
+    var tags = {};
+
+    function add(cb, err, res) {
+        if (err) {
+            return cb(err);
+        }
+        var res2 = (Array.isArray(res) ? res : [res]);
+        for (var i = 0; i < res2.length; i++) {
+            var e = _checkRecord(res2[i]);
+            if (e) {
+                return cb(e);
+            }
+            if (res2[i].hours > 0) {
+                records.push(res2[i]);
+            }
+        }
+        return cb();
+    }
+
+    var inputs = [];
+    options.periods.forEach(function (period) {
+        if (options.machines) {
+            options.machines.forEach(function (machine) {
+                inputs.push({period: period, machine: machine});
+            });
+        } else {
+            inputs.push({period: period});
+        }
+    });
+
+    client.listAllMachines({}, function (err, machines) {
+        if (err) {
+            return callback(err);
+        }
+        machines.forEach(function (m) {
+            tags[m.id] = m.tags || {};
+        });
+
+        return vasync.forEachPipeline({
+            inputs: inputs,
+            func: function (input, cb) {
+                if (input.machine) {
+                    client.getMachineUsage(input.machine, input.period,
+                        add.bind(null, cb));
+                } else {
+                    client.getUsage(input.period, add.bind(null, cb));
+                }
+            }
+        }, function (err2) {
+            if (err2) {
+                return callback(err2);
+            }
+
+            records.forEach(function (r) {
+                r.tags = tags[r.machine] || {};
+            });
+            return callback(null, records);
+        });
+    });
+}
+
+
+/**
+ * Totals the hours of usage records by the given fields. Each row has the
+ * fields it's grouped by ("tag.NAME" fields are null for machines without
+ * that tag), the machine `name` if grouped by machine, the number of
+ * `machines` and their total `hours`.
+ *
+ * @param {Array} records usage records, as from collectUsage.
+ * @param {Array} groups fields to group by, as from parseGroups.
+ * @return {Array} of rows, sorted by the group fields.
+ */
+function summarizeUsage(records, groups) {
+    assert.arrayOfObject(records, 'records');
+    assert.arrayOfString(groups, 'groups');
+
+    var rows = {};
+    var keys = [];
+
+    records.forEach(function (r) {
+        var values = groups.map(function (g) {
+            var tag = TAG_GROUP_RE.exec(g);
+            var v = (tag ? (r.tags || {})[tag[1]] : r[g]);
+            return (v === undefined ? null : v);
+        });
+        var key = JSON.stringify(values);
+
+        var row = rows[key];
+        if (!row) {
+            row = rows[key] = {};
+            groups.forEach(function (g, i) {
+                row[g] = values[i];
+                if (g === 'machine') {
+                    row.name = r.name;
+                }
+            });
+            row.machines = [];
+            row.hours = 0;
+            keys.push(key);
+        }
+        if (row.machines.indexOf(r.machine) === -1) {
+            row.machines.push(r.machine);
+        }
+        row.hours += r.hours;
+    });
+
+    return (output.sortItems(keys.map(function (key) {
+        var row = rows[key];
+        row.machines = row.machines.length;
+        row.hours = _round(row.hours);
+        return (row);
+    }), groups));
+}
+
+
+module.exports = {
+    parsePeriods: parsePeriods,
+    parseGroups: parseGroups,
+    collectUsage: collectUsage,
+    summarizeUsage: summarizeUsage
+};
@@ -7,8 +7,24 @@ var util = require('util');
 var uuid = require('node-uuid');
 var fs = require('fs');
 var exec = require('child_process').exec;
+var path = require('path');
 var smartdc = require('../lib');
+var mock = require('./lib/mock-cloudapi');
 var sdc;
+var server;
+
+// The environment as it was before setup, restored in teardown: all test
+// files run in one process.
+var ENV = {
+    SDC_URL: process.env.SDC_URL,
+    POLL_INTERVAL: process.env.POLL_INTERVAL
+};
+
+// Without an SDC_URL, run against a mock CloudAPI (by default with a test key).
+var MOCK = !process.env.SDC_URL;
+var KEY_FILE = process.env.SSH_KEY || (MOCK ?
+    path.join(__dirname, '.ssh', 'id_rsa') :
+    process.env.HOME + '/.ssh/id_rsa');
 
 var PACKAGE, IMAGE, MACHINE, NETWORK, NIC;
 
@@ -36,8 +52,26 @@ var META_CREDS_TWO = {
 };
 
 
+test('setup mock CloudAPI', {skip: !MOCK}, function (t) {
+    server = mock.createServer({
+        account: process.env.SDC_ACCOUNT || 'test',
+        keys: [ {
+            name: 'id_rsa',
+            key: fs.readFileSync(KEY_FILE + '.pub', 'utf8')
+        } ]
+    });
+    server.listen(0, function () {
+        process.env.SDC_URL = server.url;
+        if (!process.env.POLL_INTERVAL) {
+            process.env.POLL_INTERVAL = String(server.delay);
+        }
+        t.end();
+    });
+});
+
+
 test('setup', function (t) {
-    var f = process.env.SSH_KEY || process.env.HOME + '/.ssh/id_rsa';
+    var f = KEY_FILE;
     var cmd = 'ssh-keygen -l -f ' +
                 f + ' ' +
                 '| awk \'{print $2}\'';
@@ -53,8 +87,10 @@ test('setup', function (t) {
             sdc = smartdc.createClient({
                 connectTimeout: 1000,
                 logLevel: (process.env.LOG_LEVEL || 'info'),
-                retry: false,
-                sign: smartdc.cliSigner({
+                retryPolicy: false,
+                // The mock's key isn't in ~/.ssh, where cliSigner looks.
+                sign: (MOCK ? smartdc.privateKeySigner : smartdc.cliSigner)({
+                    key: key,
                     keyId: stdout.replace('\n', ''),
                     user: user
                 }),
@@ -685,5 +721,18 @@ test('machine audit', function (t) {
 
 test('teardown', function (t) {
     sdc.client.close();
-    t.end();
+    Object.keys(ENV).forEach(function (k) {
+        if (ENV[k] === undefined) {
+            delete process.env[k];
+        } else {
+            process.env[k] = ENV[k];
+        }
+    });
+    if (!server) {
+        t.end();
+        return;
+    }
+    server.close(function () {
+        t.end();
+    });
 });
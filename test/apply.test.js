@@ -0,0 +1,248 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var smartdc = require('../lib');
+var apply = require('../lib/apply');
+var cli = require('./lib/cli');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+var MANIFEST = {
+    vlans: [ {
+        vlan_id: 10,
+        name: 'backend',
+        networks: [ {
+            name: 'backend-net',
+            subnet: '10.10.0.0/24',
+            provision_start_ip: '10.10.0.10',
+            provision_end_ip: '10.10.0.250'
+        } ]
+    } ],
+    fwrules: [ {
+        rule: 'FROM any TO tag role = web ALLOW tcp PORT 443'
+    } ],
+    machines: [ {
+        name: 'web0',
+        image: 'base-64-lts',
+        'package': 'g4-highcpu-1G',
+        networks: ['external', 'backend-net'],
+        tags: {role: 'web'},
+        metadata: {env: 'prod'}
+    }, {
+        name: 'web1',
+        image: 'base-64-lts',
+        'package': 'g4-highcpu-1G'
+    } ]
+};
+
+var server;
+var sdc;
+
+
+function summary(plan) {
+    return (plan.actions.map(function (a) {
+        return (a.op + ' ' + a.kind + ' ' + a.name);
+    }));
+}
+
+
+function planAndApply(t, manifest, options, callback) {
+    apply.createPlan(sdc, manifest, options, function (err, plan) {
+        t.ifError(err);
+        apply.applyPlan(sdc, plan, function (err2, done) {
+            t.ifError(err2);
+            t.equal(done.length, plan.actions.length);
+            // Let the machine changes take effect.
+            setTimeout(callback, server.delay * 3, plan);
+        });
+    });
+}
+
+
+test('setup', function (t) {
+    server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ],
+        delay: 20
+    });
+    server.listen(0, function () {
+        sdc = smartdc.createClient({
+            url: server.url,
+            account: 'test',
+            noCache: true,
+            retryPolicy: false,
+            sign: smartdc.privateKeySigner({
+                key: fs.readFileSync(KEY, 'utf8'),
+                user: 'test'
+            })
+        });
+        t.end();
+    });
+});
+
+
+test('validateManifest', function (t) {
+    t.equal(apply.validateManifest(MANIFEST), MANIFEST);
+    [
+        [[], /must be an object/],
+        [{servers: []}, /unknown section "servers"/],
+        [{machines: [ {name: 'a', image: 'b'} ]}, /"package" is required/],
+        [{fwrules: [ {rule: 'x', enabled: 'yes'} ]}, /must be a boolean/],
+        [{vlans: [ {vlan_id: 4096, name: 'v'} ]}, /integer from 0 to 4095/],
+        [{fwrules: [ {rule: 'A  b'}, {rule: 'a B'} ]}, /duplicate rule/]
+    ].forEach(function (c) {
+        t.throws(function () {
+            apply.validateManifest(c[0]);
+        }, c[1]);
+    });
+    t.end();
+});
+
+
+test('plan and apply', function (t) {
+    planAndApply(t, MANIFEST, {}, function (plan) {
+        t.deepEqual(summary(plan), [
+            'create vlan 10 "backend"',
+            'create network "backend-net"',
+            'create fwrule "FROM any TO tag role = web ALLOW tcp PORT 443"',
+            'create machine "web0"',
+            'create machine "web1"'
+        ]);
+
+        sdc.listMachines({name: 'web0'}, function (err, machines) {
+            t.ifError(err);
+            t.equal(machines[0].tags.role, 'web');
+            t.equal(machines[0].metadata.env, 'prod');
+            t.equal(machines[0].ips.length, 2);
+            t.end();
+        });
+    });
+});
+
+
+test('converged', function (t) {
+    apply.createPlan(sdc, MANIFEST, function (err, plan) {
+        t.ifError(err);
+        t.equal(plan.actions.length, 0);
+        t.equal(apply.formatPlan(plan), 'No changes.');
+        t.end();
+    });
+});
+
+
+test('update and prune', function (t) {
+    var manifest = {
+        fwrules: [ {
+            rule: 'FROM any TO tag "role" = "web" ALLOW tcp PORT 443',
+            enabled: false
+        } ],
+        machines: [ {
+            name: 'web0',
+            image: 'base-64-lts',
+            'package': 'g4-highcpu-4G',
+            tags: {role: 'web', tier: 'front'}
+        } ]
+    };
+
+    planAndApply(t, manifest, {prune: true}, function (plan) {
+        t.deepEqual(summary(plan), [
+            'update fwrule "FROM any TO tag role = web ALLOW tcp PORT 443"',
+            'update machine "web0"',
+            'delete machine "web1"'
+        ]);
+        t.deepEqual(plan.actions[1].changes.map(function (c) {
+            return (c.field);
+        }), ['package', 'tags.tier']);
+        t.ok(/^Plan: 0 to create, 2 to update, 1 to delete\.$/m.test(
+            apply.formatPlan(plan)));
+
+        apply.createPlan(sdc, manifest, {prune: true}, function (err, p) {
+            t.ifError(err);
+            t.equal(p.actions.length, 0);
+            t.end();
+        });
+    });
+});
+
+
+test('plan errors', function (t) {
+    apply.createPlan(sdc, {
+        machines: [ {
+            name: 'web0',
+            image: 'ubuntu-16.04',
+            'package': 'g4-highcpu-4G'
+        }, {
+            name: 'db0',
+            image: 'nope',
+            'package': 'g4-highcpu-4G'
+        } ]
+    }, function (err, plan) {
+        t.ifError(err);
+        t.equal(plan.actions.length, 0);
+        t.equal(plan.errors.length, 2);
+        t.ok(/web0.*image/.test(plan.errors[0]));
+        t.ok(/db0.*no image "nope"/.test(plan.errors[1]));
+        t.throws(function () {
+            apply.applyPlan(sdc, plan, function () {});
+        }, /plan has errors/);
+        t.end();
+    });
+});
+
+
+test('sdc-apply asks before deleting', function (t) {
+    var file = path.join(cli.homeDir(), 'manifest.json');
+    var WEB0 = {
+        name: 'web0',
+        image: 'base-64-lts',
+        'package': 'g4-highcpu-4G',
+        tags: {role: 'web', tier: 'front'}
+    };
+
+    function sdcApply(manifest, args, callback) {
+        fs.writeFileSync(file, JSON.stringify(manifest));
+        cli.run(server, 'sdc-apply', args.concat(file), callback);
+    }
+
+    // Creating needs no --yes.
+    sdcApply({machines: [WEB0, {
+        name: 'db0',
+        image: 'base-64-lts',
+        'package': 'g4-highcpu-1G'
+    } ]}, [], function (err, stdout, stderr) {
+        t.ifError(err, stderr);
+        t.ok(/^created machine "db0" \(/m.test(stdout), stdout);
+
+        // stdin isn't a terminal here, so nothing asks.
+        sdcApply({machines: [WEB0]}, ['--prune'],
+                function (err2, stdout2, stderr2) {
+            t.equal((err2 ? err2.code : 0), 1);
+            t.ok(/^- machine "db0"$/m.test(stdout2), 'the plan is shown');
+            t.ok(/the plan deletes 1 resource\(s\); pass --yes/.test(
+                stderr2), stderr2);
+            t.ok(/nothing was changed/.test(stderr2));
+            t.equal(stdout2.indexOf('deleted'), -1);
+
+            sdcApply({machines: [WEB0]}, ['--prune', '-y'],
+                    function (err3, stdout3, stderr3) {
+                t.ifError(err3, stderr3);
+                t.ok(/^deleted machine "db0"/m.test(stdout3), stdout3);
+                fs.unlinkSync(file);
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('teardown', function (t) {
+    sdc.client.close();
+    server.close(function () {
+        t.end();
+    });
+});
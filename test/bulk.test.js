@@ -0,0 +1,182 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var smartdc = require('../lib');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+var NO_SUCH = '00000000-0000-0000-0000-000000000000';
+
+var server;
+var sdc;
+var machines = {};
+
+
+function names(list) {
+    return (list.map(function (m) {
+        return (m.name);
+    }).sort());
+}
+
+
+test('setup', function (t) {
+    server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ],
+        delay: 20
+    });
+    server.listen(0, function () {
+        sdc = smartdc.createClient({
+            url: server.url,
+            account: 'test',
+            noCache: true,
+            retryPolicy: false,
+            sign: smartdc.privateKeySigner({
+                key: fs.readFileSync(KEY, 'utf8'),
+                user: 'test'
+            })
+        });
+
+        sdc.listImages(function (err, images) {
+            t.ifError(err);
+            ['web0', 'web1', 'web2', 'db0'].forEach(function (name) {
+                sdc.createMachine({
+                    image: images[0].id,
+                    'package': 'g4-highcpu-1G',
+                    name: name,
+                    'tag.role': name.slice(0, -1)
+                }, function (err2, m) {
+                    t.ifError(err2);
+                    machines[name] = m;
+                    if (Object.keys(machines).length === 4) {
+                        setTimeout(t.end.bind(t), server.delay * 3);
+                    }
+                });
+            });
+        });
+    });
+});
+
+
+test('selectMachines', function (t) {
+    sdc.selectMachines({name: 'web*'}, function (err, web) {
+        t.ifError(err);
+        t.deepEqual(names(web), ['web0', 'web1', 'web2']);
+
+        sdc.selectMachines({tags: {role: 'db'}, state: 'running'},
+                function (err2, db) {
+            t.ifError(err2);
+            t.deepEqual(names(db), ['db0']);
+
+            sdc.selectMachines({
+                machines: ['web2', machines.web0.id.slice(0, 8), 'db0'],
+                name: 'web?'
+            }, function (err3, some) {
+                t.ifError(err3);
+                t.deepEqual(some.map(function (m) {
+                    return (m.name);
+                }), ['web2', 'web0'], 'in the order given');
+
+                sdc.selectMachines({machines: ['web0', NO_SUCH]},
+                        function (err4) {
+                    t.equal(err4.code, 'NotFound');
+                    t.throws(function () {
+                        sdc.selectMachines({}, function () {});
+                    }, /selector must have one of/);
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('forEachMachine', function (t) {
+    var seen = [];
+
+    sdc.selectMachines({tags: {role: 'web'}}, function (err, web) {
+        t.ifError(err);
+        sdc.forEachMachine(web, 'stop', {
+            concurrency: 2,
+            wait: true,
+            onResult: function (m, err2) {
+                t.ifError(err2);
+                seen.push(m.name);
+            }
+        }, function (err2, results) {
+            t.ifError(err2);
+            t.equal(results.done.length, 3);
+            t.equal(results.failed.length, 0);
+            t.deepEqual(seen.sort(), ['web0', 'web1', 'web2']);
+
+            sdc.selectMachines({state: 'stopped'}, function (err3, stopped) {
+                t.ifError(err3);
+                t.deepEqual(names(stopped), ['web0', 'web1', 'web2']);
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('forEachMachine reboot waits for the reboot', function (t) {
+    var list = [machines.web0.id, machines.db0.id];
+
+    sdc.forEachMachine(list, 'start', {wait: true}, function (err) {
+        t.ifError(err);
+        sdc.forEachMachine(list, 'reboot', {wait: true},
+                function (err2, results) {
+            t.ifError(err2);
+            t.deepEqual(results.done, list);
+            list.forEach(function (id) {
+                var audit = server._audit[id];
+                t.equal(audit[audit.length - 1].action, 'reboot',
+                    'rebooted ' + id);
+                t.equal(server.machines[id].state, 'running');
+            });
+            t.end();
+        });
+    });
+});
+
+
+test('forEachMachine failures', function (t) {
+    var list = [NO_SUCH, machines.web0.id, machines.web1.id];
+
+    sdc.forEachMachine(list, 'start', function (err, results) {
+        t.ifError(err);
+        t.deepEqual(results.done, [machines.web0.id, machines.web1.id]);
+        t.equal(results.failed.length, 1);
+        t.equal(results.failed[0].machine, NO_SUCH);
+        t.equal(results.failed[0].error.statusCode, 404);
+
+        sdc.forEachMachine(list, 'reboot', {stopOnError: true},
+                function (err2, results2) {
+            t.ifError(err2);
+            t.equal(results2.done.length, 0);
+            t.equal(results2.failed.length, 1);
+            t.deepEqual(results2.skipped, list.slice(1));
+
+            t.throws(function () {
+                sdc.forEachMachine(list, 'resize', function () {});
+            }, /action must be one of/);
+            t.throws(function () {
+                sdc.forEachMachine(list, 'stop', {concurrency: 0},
+                    function () {});
+            }, /concurrency/);
+            t.end();
+        });
+    });
+});
+
+
+test('teardown', function (t) {
+    sdc.client.close();
+    server.close(function () {
+        t.end();
+    });
+});
@@ -0,0 +1,267 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var smartdc = require('../lib');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+var server;
+var sdc;
+var machine;
+var rule;
+
+
+// Machine tag and metadata changes, as in CloudAPI, take effect a little
+// after the request returns.
+function settle(callback) {
+    setTimeout(callback, server.delay * 3);
+}
+
+test('setup', function (t) {
+    server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ],
+        delay: 20
+    });
+    server.listen(0, function () {
+        sdc = smartdc.createClient({
+            url: server.url,
+            account: 'test',
+            retryPolicy: false,
+            sign: smartdc.privateKeySigner({
+                key: fs.readFileSync(KEY, 'utf8'),
+                user: 'test'
+            })
+        });
+
+        sdc.listPackages(function (err, pkgs) {
+            t.ifError(err);
+            sdc.listImages(function (err2, images) {
+                t.ifError(err2);
+                sdc.createMachine({
+                    image: images[0].id,
+                    'package': pkgs[0].id,
+                    name: 'cache0',
+                    'tag.role': 'web'
+                }, function (err3, m) {
+                    t.ifError(err3);
+                    machine = m;
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('hits, and keys on the query', function (t) {
+    var before = sdc.getCacheStats();
+    t.equal(before.enabled, true);
+
+    sdc.listImages({name: 'base-64-lts'}, function (err, images) {
+        t.ifError(err);
+        t.equal(images.length, 1);
+        sdc.listImages({name: 'nope'}, function (err2, none) {
+            t.ifError(err2);
+            t.equal(none.length, 0, 'different query, not a cached hit');
+            sdc.listImages({name: 'base-64-lts'}, function (err3, again) {
+                t.ifError(err3);
+                t.deepEqual(again, images);
+
+                var stats = sdc.getCacheStats();
+                t.equal(stats.hits, before.hits + 1);
+                t.equal(stats.misses, before.misses + 2);
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('mutations invalidate tags and metadata', function (t) {
+    sdc.listMachineTags(machine.id, function (err, tags) {
+        t.ifError(err);
+        t.deepEqual(tags, {role: 'web'});
+        sdc.addMachineTags(machine.id, {tier: 'front'}, function (err2) {
+            t.ifError(err2);
+            t.ok(sdc.getCacheStats().invalidations > 0);
+            settle(sdc.listMachineTags.bind(sdc, machine.id,
+                    function (err3, tags2) {
+                t.ifError(err3);
+                t.deepEqual(tags2, {role: 'web', tier: 'front'});
+
+                sdc.listMachineMetadata(machine.id, function (err4, md) {
+                    t.ifError(err4);
+                    t.equal(md.env, undefined);
+                    sdc.updateMachineMetadata(machine.id, {env: 'prod'},
+                            function (err5) {
+                        t.ifError(err5);
+                        settle(sdc.getMachine.bind(sdc, machine.id,
+                                function (err6, m) {
+                            t.ifError(err6);
+                            t.equal(m.tags.tier, 'front');
+                            t.equal(m.metadata.env, 'prod');
+                            t.end();
+                        }));
+                    });
+                });
+            }));
+        });
+    });
+});
+
+
+test('mutations invalidate firewall rules', function (t) {
+    sdc.createFirewallRule({
+        rule: 'FROM any TO tag role = web ALLOW tcp PORT 80',
+        enabled: true
+    }, function (err, r) {
+        t.ifError(err);
+        rule = r;
+        sdc.listFirewallRules(function (err2, rules) {
+            t.ifError(err2);
+            t.equal(rules[0].enabled, true);
+            sdc.listMachineRules(machine.id, function (err3, mr) {
+                t.ifError(err3);
+                t.equal(mr.length, 1);
+                sdc.updateFirewallRule(rule.id, {
+                    rule: rule.rule,
+                    enabled: false
+                }, function (err4) {
+                    t.ifError(err4);
+                    sdc.listFirewallRules(function (err5, rules2) {
+                        t.ifError(err5);
+                        t.equal(rules2[0].enabled, false);
+                        sdc.listMachineRules(machine.id, function (err6, mr2) {
+                            t.ifError(err6);
+                            t.equal(mr2[0].enabled, false);
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+test('fabric network changes invalidate the networks', function (t) {
+    function names(networks) {
+        return (networks.map(function (n) {
+            return (n.name);
+        }).sort());
+    }
+
+    sdc.createFabricVlan({vlan_id: 42, name: 'v42'}, function (err) {
+        t.ifError(err);
+        sdc.listNetworks(function (err2, nets) {
+            t.ifError(err2);
+            t.deepEqual(names(nets), ['external', 'internal']);
+            sdc.createFabricNetwork({
+                vlan_id: 42,
+                name: 'fab0',
+                subnet: '10.42.0.0/24',
+                provision_start_ip: '10.42.0.5',
+                provision_end_ip: '10.42.0.250'
+            }, function (err3, net) {
+                t.ifError(err3);
+                sdc.listNetworks(function (err4, nets2) {
+                    t.ifError(err4);
+                    t.deepEqual(names(nets2), ['external', 'fab0', 'internal'],
+                        'a new fabric network is listed');
+                    sdc.deleteFabricNetwork(42, net.id, function (err5) {
+                        t.ifError(err5);
+                        sdc.listNetworks(function (err6, nets3) {
+                            t.ifError(err6);
+                            t.deepEqual(names(nets3), names(nets),
+                                'a deleted one isn\'t');
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+test('expired entries are revalidated', function (t) {
+    var client = smartdc.createClient({
+        url: server.url,
+        account: 'test',
+        retryPolicy: false,
+        cacheExpiry: 0.01,
+        sign: smartdc.privateKeySigner({
+            key: fs.readFileSync(KEY, 'utf8'),
+            user: 'test'
+        })
+    });
+
+    client.listPackages(function (err, pkgs, headers) {
+        t.ifError(err);
+        t.ok(headers.etag);
+        setTimeout(function () {
+            client.listPackages(function (err2, pkgs2, headers2) {
+                t.ifError(err2);
+                t.deepEqual(pkgs2, pkgs);
+                t.equal(headers2.etag, headers.etag);
+                t.equal(client.getCacheStats().revalidations, 1);
+                client.client.close();
+                t.end();
+            });
+        }, 50);
+    });
+});
+
+
+test('updates with If-Match', function (t) {
+    sdc.getFirewallRule(rule.id, function (err, r, headers) {
+        t.ifError(err);
+        var etag = headers.etag;
+        t.ok(etag);
+
+        sdc.updateFirewallRule(rule.id, {
+            rule: r.rule,
+            description: 'web',
+            ifMatch: etag
+        }, function (err2, updated) {
+            t.ifError(err2);
+            t.equal(updated.description, 'web');
+
+            sdc.updateFirewallRule(rule.id, {
+                rule: r.rule,
+                description: 'lost',
+                ifMatch: etag
+            }, function (err3) {
+                t.ok(err3 instanceof smartdc.errors.PreconditionFailedError);
+                t.equal(err3.statusCode, 412);
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('deletes invalidate the collection', function (t) {
+    sdc.deleteFirewallRule(rule.id, function (err) {
+        t.ifError(err);
+        sdc.listFirewallRules(function (err2, rules) {
+            t.ifError(err2);
+            t.equal(rules.length, 0);
+            t.end();
+        });
+    });
+});
+
+
+test('teardown', function (t) {
+    sdc.client.close();
+    server.close(function () {
+        t.end();
+    });
+});
@@ -0,0 +1,107 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var smartdc = require('../lib');
+var cli = require('./lib/cli');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+var server;
+var sdc;
+var machine;
+var resource;
+
+
+function sdcChmod(args, callback) {
+    cli.run(server, 'sdc-chmod', args, callback);
+}
+
+
+/*
+ * Changes the machine's state just before the role tags are written, as a
+ * machine starting or stopping meanwhile would.
+ */
+function changeOnPut(req, res, next) {
+    var m = machine && server.machines[machine.id];
+    if (req.method === 'PUT' && m) {
+        m.state = (m.state === 'stopped' ? 'running' : 'stopped');
+    }
+    next();
+}
+
+
+test('setup', function (t) {
+    server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ]
+    });
+    server.server.pre(changeOnPut);
+
+    server.listen(0, function () {
+        sdc = smartdc.createClient({
+            url: server.url,
+            account: 'test',
+            noCache: true,
+            retryPolicy: false,
+            sign: smartdc.privateKeySigner({
+                key: fs.readFileSync(KEY, 'utf8'),
+                user: 'test'
+            })
+        });
+
+        sdc.createRole({name: 'ops'}, function (err) {
+            t.ifError(err);
+            sdc.createRole({name: 'dev'}, function (err2) {
+                t.ifError(err2);
+                sdc.listImages(function (err3, images) {
+                    t.ifError(err3);
+                    sdc.createMachine({
+                        image: images[0].id,
+                        'package': 'g4-highcpu-1G'
+                    }, function (err4, m) {
+                        t.ifError(err4);
+                        machine = m;
+                        resource = '/test/machines/' + m.id;
+                        server.roleTags[resource] = ['ops'];
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+test('sdc-chmod doesn\'t mind a machine changing state', function (t) {
+    sdcChmod(['--', '+dev', resource], function (err, stdout, stderr) {
+        t.ifError(err, stderr);
+        t.deepEqual(JSON.parse(stdout), ['ops', 'dev']);
+        t.deepEqual(server.roleTags[resource], ['ops', 'dev']);
+        t.end();
+    });
+});
+
+
+test('sdc-chmod --if-match fails on a change', function (t) {
+    sdcChmod(['--if-match', '--', '-dev', resource],
+            function (err, stdout, stderr) {
+        t.equal(err ? err.code : 0, 1);
+        t.ok(/has changed/.test(stderr), stderr);
+        t.deepEqual(server.roleTags[resource], ['ops', 'dev'],
+            'the tags are left alone');
+        t.end();
+    });
+});
+
+
+test('teardown', function (t) {
+    sdc.client.close();
+    server.close(function () {
+        t.end();
+    });
+});
@@ -0,0 +1,242 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+var common = require('../lib/cli_common');
+var cli = require('./lib/cli');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+var OPTIONS = {
+    'account': String,
+    'url': url,
+    'limit': Number,
+    'tag': [String, Array],
+    'wait': Boolean,
+    'no-header': Boolean,
+    'help': Boolean
+};
+
+var ENV_VARS = ['SDC_ACCOUNT', 'SDC_API_VERSION', 'SDC_KEY_ID', 'SDC_PROFILE',
+    'SDC_URL', 'SDC_USER'];
+
+var env = {};
+
+var SHORT_OPTIONS = {
+    'a': ['--account'],
+    't': ['--tag'],
+    'w': ['--wait'],
+    'H': ['--no-header']
+};
+
+
+/*
+ * Parses args with the SDC_* environment variables set to `vars` only.
+ */
+function parse(args, vars) {
+    var saved = {};
+    vars = vars || {};
+    ENV_VARS.forEach(function (k) {
+        saved[k] = process.env[k];
+        if (vars[k] === undefined) {
+            delete process.env[k];
+        } else {
+            process.env[k] = vars[k];
+        }
+    });
+    try {
+        return (common.parseOptions(OPTIONS, SHORT_OPTIONS,
+            ['node', 'sdc-test'].concat(args)));
+    } finally {
+        Object.keys(saved).forEach(function (k) {
+            if (saved[k] === undefined) {
+                delete process.env[k];
+            } else {
+                process.env[k] = saved[k];
+            }
+        });
+    }
+}
+
+
+test('optionSpecs', function (t) {
+    var specs = common.optionSpecs(OPTIONS, SHORT_OPTIONS);
+    var byName = {};
+    specs.forEach(function (s) {
+        byName[s.names[0]] = s;
+    });
+
+    t.deepEqual(byName.account.names, ['account', 'a']);
+    t.equal(byName.account.type, 'string');
+    t.equal(byName.account.env, 'SDC_ACCOUNT');
+    t.ok(byName.account.help, 'help from the shared descriptions');
+    t.equal(byName.url.env, 'SDC_URL');
+    t.equal(byName.limit.type, 'number');
+    t.equal(byName.limit.env, undefined);
+    t.equal(byName.tag.type, 'arrayOfString');
+    t.equal(byName.wait.type, 'bool');
+
+    t.throws(function () {
+        common.optionSpecs(OPTIONS, {x: '--wait'});
+    }, /short option x/);
+    t.end();
+});
+
+
+test('parseOptions', function (t) {
+    var p = parse(['-a', 'acme', '--limit', '5', '-t', 'a=1', '--tag', 'b=2',
+        '-wH', 'rest', '--', '--not-an-option']);
+    t.equal(p.account, 'acme');
+    t.equal(p.limit, 5);
+    t.deepEqual(p.tag, ['a=1', 'b=2']);
+    t.equal(p.wait, true);
+    t.equal(p['no-header'], true, 'long names keep their dashes');
+    t.deepEqual(p.argv.remain, ['rest', '--not-an-option']);
+    t.deepEqual(p.fromEnv, []);
+
+    t.equal(parse(['--no-wait']).wait, false);
+    t.equal(parse(['--wait', 'false']).wait, false);
+    p = parse(['--wait', 'true', 'x']);
+    t.equal(p.wait, true);
+    t.deepEqual(p.argv.remain, ['x']);
+    t.equal(parse(['--no-header']).header, undefined,
+        '--no-header is an option of its own');
+    p = parse(['--no-header', 'false', 'x']);
+    t.equal(p['no-header'], false);
+    t.deepEqual(p.argv.remain, ['x']);
+
+    p = parse(['--url', 'https://flag'], {SDC_URL: 'https://env',
+        SDC_ACCOUNT: 'envacct'});
+    t.equal(p.url, 'https://flag', 'flags beat the environment');
+    t.equal(p.account, 'envacct');
+    t.deepEqual(p.fromEnv, ['account']);
+    t.end();
+});
+
+
+test('parseOptions rejects what nopt let through', function (t) {
+    t.throws(function () {
+        parse(['--bogus']);
+    }, /unknown option: "--bogus"/);
+    t.throws(function () {
+        parse(['--acc', 'acme']);
+    }, /unknown option: "--acc"/, 'no abbreviations');
+    t.throws(function () {
+        parse(['--limit', 'ten']);
+    }, /arg for "--limit" is not a number/);
+    t.end();
+});
+
+
+test('validateConnection', function (t) {
+    var keyId = cli.keyId();
+
+    // The signer set up looks for the key in ~/.ssh.
+    env.HOME = process.env.HOME;
+    env.SSH_AUTH_SOCK = process.env.SSH_AUTH_SOCK;
+    process.env.HOME = cli.homeDir();
+    delete process.env.SSH_AUTH_SOCK;
+
+    function check(opts) {
+        var err = common.validateConnection(opts);
+        return (err ? err.message : null);
+    }
+
+    t.equal(check({account: 'a', url: 'https://x'}),
+        'Either --keyId or (env) SDC_KEY_ID must be specified');
+    t.equal(check({keyId: 'nope', account: 'a', url: 'https://x'}),
+        '--keyId or (env) SDC_KEY_ID must be a valid SSH key ID');
+    t.equal(check({keyId: keyId, url: 'https://x'}),
+        'Either --account or (env) SDC_ACCOUNT must be specified');
+    t.equal(check({keyId: keyId, account: 'a'}),
+        'Either --url or (env) SDC_URL must be specified');
+    t.equal(check({keyId: keyId, account: 'a', url: 'x'}),
+        '--url or (env) SDC_URL must be a valid URL');
+
+    var warn = console.warn;
+    var warned = [];
+    console.warn = function (msg) {
+        warned.push(msg);
+    };
+    var opts = {keyId: keyId, account: 'acme/bob', url: 'https://x'};
+    var err = common.validateConnection(opts);
+    console.warn = warn;
+
+    t.equal(err, null);
+    t.equal(opts.account, 'acme');
+    t.equal(opts.user, 'bob');
+    t.ok(/account\/user combination/.test(warned[0]));
+    t.equal(typeof (opts.sign), 'function');
+    t.end();
+});
+
+
+test('both kinds of commands check options the same way', function (t) {
+    var server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ]
+    });
+    var noKey = {SDC_KEY_ID: undefined};
+
+    server.listen(0, function () {
+        var cases = [
+            // [command and args, env, exit code, stderr, stdout]
+            [['sdc-listkeys'], noKey, 1,
+                /^Either --keyId or \(env\) SDC_KEY_ID must be specified/],
+            [['sdc-user', 'list'], noKey, 1,
+                /^sdc-user: error: Either --keyId or \(env\) SDC_KEY_ID/],
+            [['sdc-listkeys', '--bogus'], {}, 1, /unknown option: "--bogus"/],
+            [['sdc-user', 'list', '--bogus'], {}, 1,
+                /unknown option: "--bogus"/],
+            [['sdc-listkeys', '--help'], noKey, 0, /^$/, /^sdc-listkeys /],
+            [['sdc-user', '--help'], noKey, 0, /^$/, /^SmartDC Account Users/],
+            [['sdc-user', 'list', '--help'], noKey, 0, /^$/,
+                /^List your Account Users/],
+            [['sdc-user', 'help', 'list'], noKey, 0, /^$/,
+                /^List your Account Users/],
+            [['sdc-role'], noKey, 1, /no command given/],
+            [['sdc-listkeys', '-o', 'name', '--no-header', 'false'], {}, 0,
+                /^$/, /^\[\s*{\s*"name": "id_rsa"\s*}\s*\]$/],
+            [['sdc-user', 'list', '-o', 'login'], {}, 0, /^$/, /^\[\]$/]
+        ];
+
+        function next() {
+            var c = cases.shift();
+            if (!c) {
+                return server.close(function () {
+                    t.end();
+                });
+            }
+
+            var name = c[0].join(' ');
+            return cli.run(server, c[0][0], c[0].slice(1), c[1],
+                    function (err, stdout, stderr) {
+                t.equal((err ? err.code : 0), c[2], name + ': exit ' + c[2]);
+                t.ok(c[3].test(stderr), name + ': ' + stderr);
+                if (c[4]) {
+                    t.ok(c[4].test(stdout.trim()), name + ': ' + stdout);
+                }
+                next();
+            });
+        }
+
+        next();
+    });
+});
+
+
+test('teardown', function (t) {
+    Object.keys(env).forEach(function (k) {
+        if (env[k] === undefined) {
+            delete process.env[k];
+        } else {
+            process.env[k] = env[k];
+        }
+    });
+    t.end();
+});
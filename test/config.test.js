@@ -0,0 +1,188 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var cli = require('./lib/cli');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+var server;
+var nets = {};
+// Whether the mock keeps config keys sent as null, as a CloudAPI that can't
+// remove them would.
+var keepNull = false;
+
+
+function sdcConfig(args, callback) {
+    cli.run(server, 'sdc-config', args, callback);
+}
+
+
+test('setup', function (t) {
+    server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ]
+    });
+    Object.keys(server.networks).forEach(function (id) {
+        nets[server.networks[id].name] = id;
+    });
+    server.config.default_network = nets.external;
+    server.server.pre(function (req, res, next) {
+        if (!keepNull || req.method !== 'PUT' ||
+            !/\/config$/.test(req.path())) {
+            return (next());
+        }
+        var before = JSON.parse(JSON.stringify(server.config));
+        var send = res.send;
+        res.send = function keepSend(body) {
+            Object.keys(before).forEach(function (k) {
+                if (server.config[k] === undefined) {
+                    server.config[k] = before[k];
+                }
+            });
+            return (send.apply(res, arguments));
+        };
+        return (next());
+    });
+    server.listen(0, function () {
+        t.end();
+    });
+});
+
+
+test('sdc-config get', function (t) {
+    sdcConfig(['get'], function (err, stdout, stderr) {
+        t.ifError(err, stderr);
+        t.deepEqual(JSON.parse(stdout), {default_network: nets.external});
+
+        sdcConfig(['get', 'default_network'], function (err2, stdout2) {
+            t.ifError(err2);
+            t.equal(JSON.parse(stdout2), nets.external);
+
+            sdcConfig(['get', 'nope'], function (err3, stdout3, stderr3) {
+                t.equal(err3.code, 1);
+                t.ok(/nope is not set/.test(stderr3), stderr3);
+
+                sdcConfig(['get', 'a', 'b'], function (err4, s4, stderr4) {
+                    t.equal(err4.code, 1);
+                    t.ok(/only one key may be given/.test(stderr4), stderr4);
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('sdc-config set prints what changed', function (t) {
+    sdcConfig(['set', 'default_network=internal'],
+            function (err, stdout, stderr) {
+        t.ifError(err, stderr);
+        t.equal(stdout.trim(), '~ default_network: "' + nets.external +
+            '" -> "' + nets.internal + '"', 'the name becomes a UUID');
+        t.equal(server.config.default_network, nets.internal);
+
+        sdcConfig(['set', 'default_network=' + nets.external.slice(0, 8)],
+                function (err2, stdout2) {
+            t.ifError(err2);
+            t.equal(server.config.default_network, nets.external,
+                'by UUID prefix');
+            t.ok(/^~ default_network: /.test(stdout2), stdout2);
+
+            sdcConfig(['set', 'default_network=' + nets.external],
+                    function (err3, stdout3) {
+                t.ifError(err3);
+                t.equal(stdout3.trim(), 'No changes.');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('sdc-config set checks the network exists', function (t) {
+    var missing = '00000000-0000-0000-0000-000000000000';
+
+    sdcConfig(['set', 'default_network=nope'],
+            function (err, stdout, stderr) {
+        t.ok(err, 'fails');
+        t.ok(/nope/.test(stderr), stderr);
+        t.equal(stdout, '');
+
+        sdcConfig(['set', 'default_network=' + missing],
+                function (err2, stdout2, stderr2) {
+            t.ok(err2, 'fails');
+            t.ok(new RegExp(missing).test(stderr2), stderr2);
+            t.equal(server.config.default_network, nets.external,
+                'the config is left alone');
+            t.end();
+        });
+    });
+});
+
+
+test('sdc-config unset', function (t) {
+    sdcConfig(['unset', 'default_network'], function (err, stdout, stderr) {
+        t.ifError(err, stderr);
+        t.equal(stdout.trim(), '- default_network: "' + nets.external + '"');
+        t.equal(server.config.default_network, undefined);
+
+        sdcConfig(['unset', 'default_network'], function (err2, stdout2) {
+            t.ifError(err2);
+            t.equal(stdout2.trim(), 'No changes.', 'already unset');
+            server.config.default_network = nets.external;
+            t.end();
+        });
+    });
+});
+
+
+test('sdc-config unset fails if CloudAPI keeps the key', function (t) {
+    keepNull = true;
+    sdcConfig(['unset', 'default_network'], function (err, stdout, stderr) {
+        keepNull = false;
+        t.ok(err, 'fails');
+        t.equal(stdout.trim(), 'No changes.');
+        t.ok(/CloudAPI kept default_network; it may not support removing it/
+            .test(stderr), stderr);
+        t.equal(server.config.default_network, nets.external);
+        t.end();
+    });
+});
+
+
+test('sdc-config set and unset usage', function (t) {
+    var cases = [
+        // [args, stderr]
+        [['set'], /key=value must be specified/],
+        [['set', 'default_network'], /expected key=value, got "default/],
+        [['set', '=x'], /expected key=value, got "=x"/],
+        [['unset'], /key must be specified/]
+    ];
+
+    function next() {
+        var c = cases.shift();
+        if (!c) {
+            return (t.end());
+        }
+
+        return sdcConfig(c[0], function (err, stdout, stderr) {
+            t.equal(err.code, 1, c[0].join(' '));
+            t.ok(c[1].test(stderr), stderr);
+            next();
+        });
+    }
+
+    next();
+});
+
+
+test('teardown', function (t) {
+    server.close(function () {
+        t.end();
+    });
+});
@@ -0,0 +1,162 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var smartdc = require('../lib');
+var errors = require('../lib/errors');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+var server;
+var sdc;
+
+
+test('createError picks a class by code, then by status', function (t) {
+    [
+        [{statusCode: 409, restCode: 'InvalidArgument'},
+            'InvalidArgumentError'],
+        [{statusCode: 409}, 'ConflictError'],
+        [{statusCode: 400, body: {code: 'MissingParameter'}},
+            'InvalidArgumentError'],
+        [{statusCode: 401}, 'InvalidCredentialsError'],
+        [{statusCode: 403}, 'NotAuthorizedError'],
+        [{statusCode: 404}, 'ResourceNotFoundError'],
+        [{statusCode: 410}, 'ResourceGoneError'],
+        [{statusCode: 412}, 'PreconditionFailedError'],
+        [{statusCode: 422}, 'InvalidArgumentError'],
+        [{statusCode: 429}, 'RequestThrottledError'],
+        [{statusCode: 500}, 'InternalError'],
+        [{statusCode: 503}, 'ServiceUnavailableError'],
+        [{statusCode: 502}, 'CloudApiError'],
+        [{statusCode: 418, restCode: 'Teapot'}, 'CloudApiError']
+    ].forEach(function (c) {
+        var err = errors.createError(c[0]);
+        t.ok(err instanceof errors[c[1]], JSON.stringify(c[0]) + ': ' + c[1]);
+        t.equal(err.name, c[1]);
+    });
+    t.end();
+});
+
+
+test('createError fields', function (t) {
+    var err = errors.createError({
+        statusCode: 409,
+        body: {
+            code: 'ValidationFailed',
+            message: 'Invalid parameters',
+            errors: [ {field: 'name', code: 'Invalid', message: 'too long'} ]
+        },
+        headers: {'x-request-id': 'req-1'}
+    });
+
+    t.ok(err instanceof errors.InvalidArgumentError);
+    t.ok(err instanceof errors.CloudApiError);
+    t.ok(err instanceof Error);
+    t.equal(err.message, 'Invalid parameters');
+    t.equal(err.statusCode, 409);
+    t.equal(err.restCode, 'ValidationFailed');
+    t.equal(err.code, 'ValidationFailed', 'code is an alias of restCode');
+    t.equal(err.requestId, 'req-1');
+    t.deepEqual(err.errors,
+        [ {field: 'name', code: 'Invalid', message: 'too long'} ]);
+    t.ok(/^InvalidArgumentError: Invalid parameters\n/.test(err.stack),
+        'the stack starts with the class and message');
+
+    var cause = new Error('socket hang up');
+    err = errors.createError({
+        statusCode: 503,
+        body: 'Service Unavailable',
+        headers: {'request-id': 'req-2'},
+        cause: cause
+    });
+    t.ok(err instanceof errors.ServiceUnavailableError);
+    t.equal(err.message, 'socket hang up', 'the message of the cause');
+    t.equal(err.cause, cause);
+    t.equal(err.requestId, 'req-2');
+    t.equal(err.body, 'Service Unavailable');
+    t.deepEqual(err.errors, []);
+
+    err = new errors.ConflictError({message: 'busy', restCode: 'Conflict'});
+    t.deepEqual(err.body, {code: 'Conflict', message: 'busy'},
+        'a body is made up if none is given');
+    t.end();
+});
+
+
+test('setup', function (t) {
+    server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ]
+    });
+    server.listen(0, function () {
+        sdc = smartdc.createClient({
+            url: server.url,
+            account: 'test',
+            noCache: true,
+            retryPolicy: false,
+            sign: smartdc.privateKeySigner({
+                key: fs.readFileSync(KEY, 'utf8'),
+                user: 'test'
+            })
+        });
+        t.end();
+    });
+});
+
+
+test('failed requests call back with typed errors', function (t) {
+    t.equal(smartdc.errors, errors, 'exported as smartdc.errors');
+
+    sdc.getMachine('00000000-0000-0000-0000-000000000000', function (err) {
+        t.ok(err instanceof errors.ResourceNotFoundError);
+        t.equal(err.statusCode, 404);
+        t.equal(err.restCode, 'ResourceNotFound');
+        t.ok(err.requestId, 'the request id is kept');
+
+        sdc.createMachine({name: 'noimage'}, function (err2) {
+            t.ok(err2 instanceof errors.InvalidArgumentError);
+            t.equal(err2.restCode, 'MissingParameter');
+            t.ok(/image/.test(err2.message), err2.message);
+
+            sdc.getAccount('someoneelse', function (err3) {
+                t.ok(err3 instanceof errors.NotAuthorizedError);
+                t.equal(err3.statusCode, 403);
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('bad credentials', function (t) {
+    var other = smartdc.createClient({
+        url: server.url,
+        account: 'test',
+        noCache: true,
+        retryPolicy: false,
+        sign: smartdc.privateKeySigner({
+            key: fs.readFileSync(KEY, 'utf8'),
+            user: 'nobody'
+        })
+    });
+
+    other.getAccount(function (err) {
+        t.ok(err instanceof errors.InvalidCredentialsError);
+        t.equal(err.statusCode, 401);
+        t.equal(err.code, 'InvalidCredentials');
+        other.client.close();
+        t.end();
+    });
+});
+
+
+test('teardown', function (t) {
+    sdc.client.close();
+    server.close(function () {
+        t.end();
+    });
+});
@@ -0,0 +1,166 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var filter = require('../lib/filter');
+var smartdc = require('../lib');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+
+var MACHINES = [ {
+    name: 'db0',
+    state: 'running',
+    memory: 8192,
+    ips: ['10.0.0.5', '165.225.1.1'],
+    tags: {role: 'db-primary'}
+}, {
+    name: 'db1',
+    state: 'stopped',
+    memory: 4096,
+    ips: ['10.0.0.6'],
+    tags: {role: 'db-replica'}
+}, {
+    name: 'web0',
+    state: 'running',
+    memory: 1024,
+    ips: ['10.0.0.7'],
+    tags: {}
+} ];
+
+
+function names(expr) {
+    return (filter.filterItems(MACHINES, expr).map(function (m) {
+        return (m.name);
+    }));
+}
+
+
+test('comparisons', function (t) {
+    t.deepEqual(names('state==running'), ['db0', 'web0']);
+    t.deepEqual(names('state=running'), ['db0', 'web0']);
+    t.deepEqual(names('state!=running'), ['db1']);
+    t.deepEqual(names('memory>=4096'), ['db0', 'db1']);
+    t.deepEqual(names('memory<4096'), ['web0']);
+    t.deepEqual(names('name=="web0"'), ['web0']);
+    t.end();
+});
+
+
+test('regular expressions and nested fields', function (t) {
+    t.deepEqual(names('tags.role=~/^db/'), ['db0', 'db1']);
+    t.deepEqual(names('tags.role!~/replica$/'), ['db0', 'web0']);
+    t.deepEqual(names('name=~/^WEB/i'), ['web0']);
+    t.deepEqual(names('tags.role'), ['db0', 'db1']);
+    t.end();
+});
+
+
+test('array fields', function (t) {
+    t.deepEqual(names('ips=~/^165\\./'), ['db0']);
+    t.deepEqual(names('ips==10.0.0.6'), ['db1']);
+    t.deepEqual(names('ips!=10.0.0.6'), ['db0', 'web0']);
+    t.end();
+});
+
+
+test('boolean operators', function (t) {
+    t.deepEqual(names('memory>=4096 && tags.role=~/^db/'), ['db0', 'db1']);
+    t.deepEqual(names('state==stopped || memory<2048'), ['db1', 'web0']);
+    t.deepEqual(names('!(state==running && memory>2048)'), ['db1', 'web0']);
+    t.end();
+});
+
+
+test('predicates and non-arrays', function (t) {
+    var pred = filter.compile('memory>2048');
+    t.ok(pred(MACHINES[0]));
+    t.notOk(pred(MACHINES[2]));
+    t.equal(pred.source, 'memory>2048');
+    t.equal(filter.filterItems(MACHINES, pred).length, 2);
+    t.deepEqual(filter.filterItems({a: 1}, 'a==2'), {a: 1});
+    t.end();
+});
+
+
+test('syntax errors', function (t) {
+    ['', 'memory>=', '(state==running', 'name==/x/', 'name=~/[/',
+        'state==running)'].forEach(function (expr) {
+        t.throws(function () {
+            filter.compile(expr);
+        }, /invalid filter/, expr);
+    });
+    t.end();
+});
+
+
+test('list methods only take the filter from their options', function (t) {
+    var server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ]
+    });
+    MACHINES.forEach(function (m, i) {
+        server.machines[m.name] = {
+            id: m.name,
+            name: m.name,
+            state: m.state,
+            memory: m.memory,
+            metadata: {},
+            // A tag named like the option.
+            tags: (i === 2 ? {filter: 'x'} : m.tags)
+        };
+    });
+
+    server.listen(0, function () {
+        var sdc = smartdc.createClient({
+            url: server.url,
+            account: 'test',
+            noCache: true,
+            retryPolicy: false,
+            sign: smartdc.privateKeySigner({
+                key: fs.readFileSync(KEY, 'utf8'),
+                user: 'test'
+            })
+        });
+        var F = {filter: 'memory>=4096'};
+
+        var cases = [
+            // [method, args, names]
+            ['listMachines', [F], ['db0', 'db1']],
+            ['listMachines', ['test', F, {}], ['db0', 'db1']],
+            ['listMachines', [{login: 'test'}, F, {}], ['db0', 'db1']],
+            ['listMachines', [{}, {filter: 'x'}], ['web0']],
+            ['listMachines', [{state: 'running'}, {filter: 'x'}], ['web0']],
+            ['listMachines', ['test', {}, {filter: 'x'}], ['web0']],
+            ['listAllMachines', [{}, {filter: 'x'}], ['web0']],
+            ['listAllMachines', ['test', {filter: 'name=db1'}], ['db1']],
+            ['listKeys', [{filter: 'name=nope'}], []],
+            ['listImages', ['test', {filter: 'name=nope'}], []]
+        ];
+
+        function next() {
+            var c = cases.shift();
+            if (!c) {
+                sdc.client.close();
+                return server.close(function () {
+                    t.end();
+                });
+            }
+
+            var name = c[0] + '(' + JSON.stringify(c[1]).slice(1, -1) + ')';
+            return sdc[c[0]].apply(sdc, c[1].concat(function (err, items) {
+                t.ifError(err, name);
+                t.deepEqual(items.map(function (i) {
+                    return (i.name);
+                }).sort(), c[2], name);
+                next();
+            }));
+        }
+
+        next();
+    });
+});
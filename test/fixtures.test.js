@@ -0,0 +1,202 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var smartdc = require('../lib');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+var FILE = path.join(os.tmpdir(), 'smartdc-fixtures-' + process.pid + '.json');
+
+var server;
+var recorded = {};
+
+
+function createClient(options) {
+    options.url = options.url || 'http://127.0.0.1:1';
+    options.account = 'test';
+    options.noCache = true;
+    options.retryPolicy = false;
+    return (smartdc.createClient(options));
+}
+
+
+/*
+ * The session recorded and then replayed: calls back with what it saw.
+ */
+function session(sdc, callback) {
+    var seen = {};
+
+    sdc.listPackages(function (err, pkgs) {
+        if (err) {
+            return callback(err);
+        }
+        seen.packages = pkgs;
+
+        return sdc.listImages(function (err2, images) {
+            if (err2) {
+                return callback(err2);
+            }
+
+            return sdc.createMachine({
+                image: images[0].id,
+                'package': pkgs[0].id,
+                name: 'fixture0',
+                'metadata.credentials': {root: 'secret'}
+            }, function (err3, machine) {
+                if (err3) {
+                    return callback(err3);
+                }
+                seen.machine = machine;
+
+                return sdc.getMachine(machine.id, true, function (err4, m) {
+                    if (err4) {
+                        return callback(err4);
+                    }
+                    seen.credentials = m.metadata.credentials;
+
+                    return sdc.getMachine('nope', function (err5) {
+                        seen.notFound = err5;
+                        sdc.client.close();
+                        return callback(null, seen);
+                    });
+                });
+            });
+        });
+    });
+}
+
+
+test('setup', function (t) {
+    server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ]
+    });
+    server.listen(0, function () {
+        t.end();
+    });
+});
+
+
+test('credentials are scrubbed by path', function (t) {
+    var file = FILE + '.paths';
+    var sdc = createClient({
+        url: server.url,
+        record: file,
+        sign: smartdc.privateKeySigner({
+            key: fs.readFileSync(KEY, 'utf8'),
+            user: 'test'
+        })
+    });
+
+    sdc.listImages(function (err, images) {
+        t.ifError(err);
+        sdc.createMachine({
+            image: images[0].id,
+            'package': 'g4-highcpu-1G',
+            name: 'paths0',
+            'metadata.credentials': {root: 'secret'},
+            // Only credentials under metadata are secret.
+            'tag.credentials': 'none'
+        }, function (err2, machine) {
+            t.ifError(err2);
+            sdc.getMachine(machine.id, true, function (err3) {
+                t.ifError(err3);
+                sdc.client.close();
+
+                var text = fs.readFileSync(file, 'utf8');
+                var ia = JSON.parse(text).interactions;
+                fs.unlinkSync(file);
+
+                t.equal(text.indexOf('secret'), -1);
+                t.equal(ia[1].request.body['metadata.credentials'],
+                    '[scrubbed]', 'in the CreateMachine body');
+                t.equal(ia[1].request.body['tag.credentials'], 'none');
+                t.equal(ia[2].response.body.metadata.credentials,
+                    '[scrubbed]', 'in the machine');
+                t.equal(ia[2].response.body.tags.credentials, 'none',
+                    'a tag named credentials is left alone');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('record', function (t) {
+    var sdc = createClient({
+        url: server.url,
+        record: FILE,
+        sign: smartdc.privateKeySigner({
+            key: fs.readFileSync(KEY, 'utf8'),
+            user: 'test'
+        })
+    });
+
+    session(sdc, function (err, seen) {
+        t.ifError(err);
+        t.equal(seen.packages.length, 2);
+        t.equal(seen.machine.name, 'fixture0');
+        t.equal(seen.credentials.root, 'secret');
+        t.equal(seen.notFound.statusCode, 404);
+        recorded = seen;
+
+        server.close(function () {
+            t.end();
+        });
+    });
+});
+
+
+test('fixture file is scrubbed', function (t) {
+    var text = fs.readFileSync(FILE, 'utf8');
+    var data = JSON.parse(text);
+
+    t.equal(data.version, 1);
+    t.equal(data.interactions.length, 5);
+    t.equal(data.interactions[2].request.method, 'POST');
+    t.equal(data.interactions[2].response.statusCode, 201);
+    t.equal(data.interactions[0].request.headers.authorization,
+        '[scrubbed]');
+    t.equal(text.indexOf('Signature keyId'), -1);
+    t.equal(text.indexOf('secret'), -1);
+    t.end();
+});
+
+
+test('replay', function (t) {
+    // The server is gone, and the client has no signer.
+    var sdc = createClient({replay: FILE});
+
+    session(sdc, function (err, seen) {
+        t.ifError(err);
+        t.deepEqual(seen.packages, recorded.packages);
+        t.deepEqual(seen.machine, recorded.machine);
+        t.equal(seen.credentials, '[scrubbed]');
+        t.ok(seen.notFound instanceof smartdc.errors.ResourceNotFoundError);
+        t.equal(seen.notFound.restCode, 'ResourceNotFound');
+        t.end();
+    });
+});
+
+
+test('replay without a matching fixture', function (t) {
+    var sdc = createClient({replay: FILE});
+
+    sdc.listKeys(function (err) {
+        t.ok(err);
+        t.equal(err.code, 'FixtureNotFound');
+        sdc.client.close();
+        t.end();
+    });
+});
+
+
+test('teardown', function (t) {
+    fs.unlinkSync(FILE);
+    t.end();
+});
@@ -0,0 +1,294 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var smartdc = require('../lib');
+var fwexplain = require('../lib/fwexplain');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+var WEB = {
+    id: '6a2d2f07-0b3e-4c2b-9a6c-6f7a0c1d2e3f',
+    name: 'web0',
+    ips: ['203.0.113.10', '10.88.0.10'],
+    tags: {role: 'web', tier: 1},
+    firewall_enabled: true
+};
+
+var DB = {
+    id: '0c7f5a6e-3d4b-4f8a-8e2d-1b9c0a7e6f5d',
+    name: 'db0',
+    ips: ['10.88.0.20'],
+    tags: {role: 'db'},
+    firewall_enabled: true
+};
+
+
+function values(map) {
+    return (Object.keys(map).map(function (k) {
+        return (map[k]);
+    }));
+}
+
+
+function rule(id, str, enabled) {
+    return ({id: id, rule: str, enabled: (enabled !== false)});
+}
+
+
+function flow(rules, o) {
+    o = o || {};
+    return (fwexplain.explainFlow({
+        from: o.from || WEB,
+        to: o.to || DB,
+        rules: rules,
+        protocol: o.protocol || 'tcp',
+        port: (o.port === undefined ? 5432 : o.port)
+    }));
+}
+
+
+test('explainFlow: blocked by default, allowed by a rule', function (t) {
+    var res = flow([]);
+    t.equal(res.allowed, false);
+    t.equal(res.outbound.allowed, true);
+    t.equal(res.inbound.allowed, false);
+    t.ok(/blocked unless a rule allows/.test(res.inbound.reason));
+
+    res = flow([
+        rule('r1', 'FROM tag role = web TO tag role = db ALLOW tcp PORT 5432')
+    ]);
+    t.equal(res.allowed, true);
+    t.equal(res.inbound.reason, 'allowed by rule r1');
+    t.deepEqual(res.inbound.rules, [ {
+        id: 'r1',
+        rule: 'FROM tag role = web TO tag role = db ALLOW tcp PORT 5432',
+        action: 'allow',
+        priority: 0,
+        from: 'tag role=web',
+        to: 'tag role=db',
+        on: ['outbound', 'inbound']
+    } ]);
+    t.deepEqual(res.unmatched, []);
+    t.end();
+});
+
+
+test('explainFlow: targets', function (t) {
+    [
+        ['FROM any TO vm ' + DB.id + ' ALLOW tcp PORT all', 'any',
+            'vm ' + DB.id],
+        ['FROM ip 10.88.0.10 TO all vms ALLOW tcp PORTS 5000-6000',
+            'ip 10.88.0.10', 'all vms'],
+        ['FROM subnet 203.0.113.0/24 TO tag role ALLOW tcp PORT 5432',
+            'subnet 203.0.113.0/24 (203.0.113.10)', 'tag role=db'],
+        ['FROM (tag role = db OR tag tier = 1) TO tag role ALLOW tcp PORT 5432',
+            'tag tier=1', 'tag role=db']
+    ].forEach(function (c) {
+        var res = flow([ rule('r', c[0]) ]);
+        t.equal(res.allowed, true, c[0]);
+        t.equal(res.inbound.rules[0].from, c[1]);
+        t.equal(res.inbound.rules[0].to, c[2]);
+    });
+    t.end();
+});
+
+
+test('explainFlow: block beats allow, on either side', function (t) {
+    var res = flow([
+        rule('allow', 'FROM any TO tag role = db ALLOW tcp PORT 5432'),
+        rule('block', 'FROM subnet 10.0.0.0/8 TO all vms BLOCK tcp PORT all')
+    ]);
+    t.equal(res.allowed, false);
+    t.equal(res.inbound.reason, 'blocked by rule block');
+    t.equal(res.inbound.rules.length, 2);
+
+    res = flow([
+        rule('allow', 'FROM any TO tag role = db ALLOW tcp PORT 5432'),
+        rule('out', 'FROM tag role = web TO ip 10.88.0.20 BLOCK tcp PORT 5432')
+    ]);
+    t.equal(res.allowed, false);
+    t.equal(res.outbound.allowed, false);
+    t.equal(res.outbound.reason, 'blocked by rule out');
+    t.equal(res.inbound.allowed, true);
+    t.end();
+});
+
+
+test('explainFlow: higher priority rules win', function (t) {
+    var res = flow([
+        rule('block', 'FROM any TO all vms BLOCK tcp PORT all'),
+        rule('allow', 'FROM tag role = web TO tag role = db ALLOW tcp ' +
+            'PORT 5432 PRIORITY 10')
+    ]);
+    t.equal(res.allowed, true);
+    t.equal(res.inbound.reason, 'allowed by rule allow');
+    t.deepEqual(res.inbound.rules.map(function (m) {
+        return ([m.id, m.priority]);
+    }), [ ['block', 0], ['allow', 10] ]);
+
+    res = flow([
+        rule('block', 'FROM any TO all vms BLOCK tcp PORT all PRIORITY 10'),
+        rule('allow', 'FROM tag role = web TO tag role = db ALLOW tcp ' +
+            'PORT 5432 PRIORITY 10')
+    ]);
+    t.equal(res.allowed, false, 'block still beats allow at the same level');
+    t.equal(res.inbound.reason, 'blocked by rule block');
+    t.end();
+});
+
+
+test('explainFlow: disabled firewalls', function (t) {
+    var open = {id: DB.id, name: 'db0', ips: DB.ips, tags: DB.tags};
+    var res = flow([
+        rule('block', 'FROM any TO all vms BLOCK tcp PORT all')
+    ], {to: open});
+    t.equal(res.allowed, true);
+    t.equal(res.inbound.firewall_enabled, false);
+    t.equal(res.inbound.reason, 'the firewall is disabled');
+    t.deepEqual(res.inbound.rules, []);
+    t.end();
+});
+
+
+test('explainFlow: rules that don\'t apply', function (t) {
+    var res = flow([
+        rule('off', 'FROM any TO all vms ALLOW tcp PORT all', false),
+        rule('bad', 'FROM any TO all vms ALLOW tcp PORT 0'),
+        rule('udp', 'FROM any TO all vms ALLOW udp PORT 5432'),
+        rule('port', 'FROM any TO all vms ALLOW tcp (PORT 22 AND PORT 80)'),
+        rule('from', 'FROM ip 10.88.0.99 TO all vms ALLOW tcp PORT all'),
+        rule('to', 'FROM any TO tag role = cache ALLOW tcp PORT all'),
+        rule('none', 'FROM ip 10.88.0.10 TO (ip 10.88.0.20 OR tag x) ' +
+            'ALLOW tcp PORT all')
+    ]);
+
+    t.equal(res.allowed, false);
+    t.deepEqual(res.unmatched.map(function (u) {
+        return ([u.id, u.reason]);
+    }), [
+        ['off', 'the rule is disabled'],
+        ['bad', 'the rule can\'t be parsed: column 36: invalid port "0" ' +
+            '(must be 1-65535)'],
+        ['udp', 'protocol is udp, not tcp'],
+        ['port', 'port 5432 isn\'t one of 22, 80'],
+        ['from', 'FROM doesn\'t match web0'],
+        ['to', 'TO doesn\'t match db0'],
+        ['none', 'the rule is in neither machine\'s firewall']
+    ]);
+    t.end();
+});
+
+
+test('explainFlow: icmp types', function (t) {
+    var rules = [ rule('ping', 'FROM any TO all vms ALLOW icmp TYPE 8') ];
+    t.equal(flow(rules, {protocol: 'icmp', port: 8}).allowed, true);
+    t.equal(flow(rules, {protocol: 'icmp', port: 0}).unmatched[0].reason,
+        'ICMP type 0 isn\'t one of 8');
+    t.throws(function () {
+        flow(rules, {protocol: 'sctp'});
+    }, /flow.protocol must be one of/);
+    t.end();
+});
+
+
+test('explain', function (t) {
+    var server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ]
+    });
+
+    server.listen(0, function () {
+        var sdc = smartdc.createClient({
+            url: server.url,
+            account: 'test',
+            noCache: true,
+            retryPolicy: false,
+            sign: smartdc.privateKeySigner({
+                key: fs.readFileSync(KEY, 'utf8'),
+                user: 'test'
+            })
+        });
+
+        function done() {
+            sdc.client.close();
+            server.close(function () {
+                t.end();
+            });
+        }
+
+        // The answers for the source machine come last, and yet it's
+        // still the source (the reverse flow is blocked).
+        function slowFrom(from) {
+            server.server.pre(function (req, res, next) {
+                if (req.url.indexOf('/machines/' + from) !== -1) {
+                    return (setTimeout(next, 200));
+                }
+                return (next());
+            });
+
+            var to = values(server.machines).filter(function (m) {
+                return (m.id !== from);
+            })[0].id;
+            fwexplain.explain(sdc, {
+                from: from,
+                to: to,
+                protocol: 'tcp',
+                port: 5432
+            }, function (err, res) {
+                t.ifError(err);
+                t.equal(res.from.id, from);
+                t.equal(res.to.id, to);
+                t.equal(res.outbound.machine, from);
+                t.equal(res.allowed, true);
+                done();
+            });
+        }
+
+        sdc.listImages(function (err, images) {
+            t.ifError(err);
+            var ids = [];
+            ['web', 'db'].forEach(function (role) {
+                sdc.createMachine({
+                    image: images[0].id,
+                    'package': 'g4-highcpu-1G',
+                    name: role + '0',
+                    'tag.role': role,
+                    firewall_enabled: true
+                }, function (err2, m) {
+                    t.ifError(err2);
+                    ids[role === 'web' ? 0 : 1] = m.id;
+                    if (!ids[0] || !ids[1]) {
+                        return;
+                    }
+
+                    sdc.createFirewallRule({
+                        rule: 'FROM tag role = web TO tag role = db ALLOW ' +
+                            'tcp PORT 5432',
+                        enabled: true
+                    }, function (err3, r) {
+                        t.ifError(err3);
+                        fwexplain.explain(sdc, {
+                            from: ids[0],
+                            to: ids[1],
+                            protocol: 'tcp',
+                            port: 5432
+                        }, function (err4, res) {
+                            t.ifError(err4);
+                            t.equal(res.from.id, ids[0]);
+                            t.equal(res.to.id, ids[1]);
+                            t.equal(res.allowed, true);
+                            t.equal(res.inbound.reason,
+                                'allowed by rule ' + r.id);
+                            slowFrom(ids[0]);
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,212 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fwrule = require('../lib/fwrule');
+var cli = require('./lib/cli');
+
+
+var VM = '6a2d2f07-0b3e-4c2b-9a6c-6f7a0c1d2e3f';
+
+
+test('parse targets', function (t) {
+    var ast = fwrule.parse('from (tag "role" = "web server" OR vm ' +
+        VM.toUpperCase() + ' OR tag db) to (ip 10.0.0.1 or subnet ' +
+        'fd00::/64 OR all vms) allow tcp port 80');
+
+    t.deepEqual(ast, {
+        from: [
+            {type: 'tag', name: 'role', value: 'web server'},
+            {type: 'vm', value: VM},
+            {type: 'tag', name: 'db'}
+        ],
+        to: [
+            {type: 'ip', value: '10.0.0.1'},
+            {type: 'subnet', value: 'fd00::/64'},
+            {type: 'all vms'}
+        ],
+        action: 'allow',
+        protocol: 'tcp',
+        ports: [80]
+    });
+    t.end();
+});
+
+
+test('parse ports and types', function (t) {
+    [
+        ['PORT all', 'all'],
+        ['(PORT 80 AND PORT 443)', [80, 443]],
+        ['PORTS 53, 1000-2000,8080', [53, {start: 1000, end: 2000}, 8080]]
+    ].forEach(function (c) {
+        t.deepEqual(fwrule.parse('FROM any TO all vms BLOCK udp ' + c[0])
+            .ports, c[1], c[0]);
+    });
+
+    [
+        ['TYPE all', 'all'],
+        ['TYPE 8 CODE 0', [{type: 8, code: 0}]],
+        ['(TYPE 8 AND TYPE 0 CODE 0)', [{type: 8}, {type: 0, code: 0}]]
+    ].forEach(function (c) {
+        t.deepEqual(fwrule.parse('FROM any TO all vms ALLOW icmp6 ' + c[0])
+            .types, c[1], c[0]);
+    });
+
+    var ast = fwrule.parse('FROM tag vpn TO any ALLOW esp');
+    t.equal(ast.ports, undefined);
+    t.equal(ast.types, undefined);
+    t.equal(ast.priority, undefined);
+    t.end();
+});
+
+
+test('parse priorities', function (t) {
+    [
+        ['FROM any TO tag a ALLOW tcp PORT 22 PRIORITY 10', 10],
+        ['FROM any TO tag a ALLOW tcp PORTS 1-10, 80 priority 0', 0],
+        ['FROM any TO tag a BLOCK icmp (TYPE 8 AND TYPE 0) PRIORITY 100',
+            100],
+        ['FROM any TO tag a ALLOW esp PRIORITY 5', 5]
+    ].forEach(function (c) {
+        t.equal(fwrule.parse(c[0]).priority, c[1], c[0]);
+    });
+    t.end();
+});
+
+
+test('parse errors', function (t) {
+    [
+        ['TO any', 1, /expected FROM, got "TO"/],
+        ['FROM any TO any ALLOW tcp PORT 22', 1, /affects no machines/],
+        ['FROM any TO tag role ALLOW', 27,
+            /expected a protocol, got the end of the rule/],
+        ['FROM any TO tag "role ALLOW tcp PORT 22', 17, /unterminated/],
+        ['FROM any TO tag from ALLOW tcp PORT 22', 17,
+            /expected a tag name, got "from" \(quote it/],
+        ['FROM any TO (tag a OR tag b ALLOW tcp PORT 22', 29,
+            /expected OR or "\)"/],
+        ['FROM all TO tag a ALLOW tcp PORT 22', 10, /expected VMS/],
+        ['FROM vm 1234 TO any ALLOW tcp PORT 22', 9, /invalid machine UUID/],
+        ['FROM ip 10.0.0.256 TO all vms ALLOW tcp PORT 22', 9,
+            /invalid IP address/],
+        ['FROM subnet 10.0.0.0 TO all vms ALLOW tcp PORT 22', 13,
+            /invalid subnet/],
+        ['FROM any TO all vms PERMIT tcp PORT 22', 21,
+            /expected ALLOW or BLOCK/],
+        ['FROM any TO all vms ALLOW sctp PORT 22', 27,
+            /expected a protocol \(tcp, udp, icmp, icmp6, ah, esp\)/],
+        ['FROM any TO all vms ALLOW tcp TYPE 8', 31,
+            /expected PORT or PORTS/],
+        ['FROM any TO all vms ALLOW tcp PORT 65536', 36, /invalid port/],
+        ['FROM any TO all vms ALLOW tcp PORTS 10-1', 37, /ends before/],
+        ['FROM any TO all vms ALLOW icmp TYPE 8 CODE 256', 44,
+            /invalid ICMP code/],
+        ['FROM any TO all vms ALLOW ah PORT 22', 30, /unexpected "PORT"/],
+        ['FROM any TO all vms ALLOW tcp PORT 22 PRIORITY 101', 48,
+            /invalid priority "101" \(must be 0-100\)/],
+        ['FROM any TO all vms ALLOW tcp PORT 22 PRIORITY', 47,
+            /expected a priority, got the end of the rule/],
+        ['FROM any TO all vms ALLOW tcp PORT 22 PRIORITY 1 PRIORITY 2', 50,
+            /unexpected "PRIORITY"/],
+        ['FROM any TO tag priority ALLOW tcp PORT 22', 17,
+            /expected a tag name, got "priority"/]
+    ].forEach(function (c) {
+        try {
+            fwrule.parse(c[0]);
+            t.fail(c[0] + ' parsed');
+        } catch (e) {
+            t.equal(e.code, 'InvalidRule');
+            t.equal(e.offset + 1, c[1], c[0]);
+            t.ok(c[2].test(e.message), e.message);
+        }
+    });
+    t.end();
+});
+
+
+test('stringify', function (t) {
+    [
+        ['from any to tag "role" = "web" allow tcp port 443',
+            'FROM any TO tag role = web ALLOW tcp PORT 443'],
+        ['FROM (tag "a b" OR tag "to" = "x\\"y") TO all vms BLOCK udp ' +
+            '(PORT 53 AND PORT 54)',
+            'FROM (tag "a b" OR tag "to" = "x\\"y") TO all vms BLOCK udp ' +
+            'PORTS 53, 54'],
+        ['FROM all vms TO subnet 10.0.0.0/8 ALLOW icmp (TYPE 8 CODE 0 AND ' +
+            'TYPE 0)', null],
+        ['FROM any TO vm ' + VM + ' ALLOW tcp PORTS 1-1024', null],
+        ['FROM ip 10.1.1.1 TO all vms ALLOW ah', null],
+        ['from any to tag a allow tcp (port 22 and port 80) priority 7',
+            'FROM any TO tag a ALLOW tcp PORTS 22, 80 PRIORITY 7'],
+        ['FROM any TO all vms BLOCK tcp PORT all PRIORITY 0', null],
+        ['FROM any TO all vms ALLOW icmp TYPE 8 CODE 0 PRIORITY 100', null],
+        ['FROM tag "priority" TO tag vpn ALLOW esp PRIORITY 1', null]
+    ].forEach(function (c) {
+        var str = fwrule.stringify(fwrule.parse(c[0]));
+        t.equal(str, c[1] || c[0]);
+        t.deepEqual(fwrule.parse(str), fwrule.parse(c[0]), 'round trip');
+    });
+
+    t.equal(fwrule.stringify({
+        from: [ {type: 'any'} ],
+        to: [ {type: 'tag', name: 'role', value: 'db'} ],
+        action: 'allow',
+        protocol: 'tcp',
+        ports: [5432]
+    }), 'FROM any TO tag role = db ALLOW tcp PORT 5432');
+
+    t.throws(function () {
+        fwrule.stringify({from: [ {type: 'vms'} ], to: [], action: 'allow',
+            protocol: 'tcp', ports: 'all'});
+    }, /unknown target type: vms/);
+    t.end();
+});
+
+
+test('formatError', function (t) {
+    var rule = 'FROM any TO tag a ALLOW tcp PORT 0';
+    try {
+        fwrule.parse(rule);
+    } catch (e) {
+        t.equal(fwrule.formatError(rule, e), rule + '\n' +
+            '                                 ^ invalid port "0" ' +
+            '(must be 1-65535)');
+    }
+    t.equal(fwrule.formatError(rule, new Error('boom')), 'boom');
+    t.end();
+});
+
+
+test('sdc-fwlint', function (t) {
+    // sdc-fwlint doesn't talk to CloudAPI.
+    var server = {url: 'http://127.0.0.1:1'};
+    var cases = [
+        // [args, exit code, stdout, stderr]
+        [['FROM any TO tag a ALLOW tcp PORT 22 PRIORITY 10'], 0,
+            /^1 rules ok\.$/, /^$/],
+        [['FROM any TO tag a ALLOW tcp PORT 22 PRIORITY 200'], 1,
+            /^1 of 1 rules invalid\.$/, /invalid priority "200"/],
+        [['--bogus'], 1, /^$/, /^sdc-fwlint: error: unknown option/],
+        [['-f', '/nonexistent/rules'], 1, /^$/,
+            /^sdc-fwlint: error: ENOENT/]
+    ];
+
+    function next() {
+        var c = cases.shift();
+        if (!c) {
+            return (t.end());
+        }
+
+        return cli.run(server, 'sdc-fwlint', c[0],
+                function (err, stdout, stderr) {
+            var name = c[0].join(' ');
+            t.equal((err ? err.code : 0), c[1], name + ': exit ' + c[1]);
+            t.ok(c[2].test(stdout.trim()), name + ': ' + stdout);
+            t.ok(c[3].test(stderr.trim()), name + ': ' + stderr);
+            next();
+        });
+    }
+
+    next();
+});
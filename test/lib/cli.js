@@ -0,0 +1,157 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Runs the sdc-* commands against a mock CloudAPI, as its test account.
+ *
+ * The commands sign with a key from ~/.ssh, so they run with a HOME of their
+ * own holding the test key, and without an ssh-agent or profiles file:
+ *
+ *      var cli = require('./lib/cli');
+ *      cli.run(server, 'sdc-listmachines', ['-o', 'name'],
+ *          function (err, stdout, stderr) {
+ *          ...
+ *      });
+ */
+
+var execFile = require('child_process').execFile;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var sshpk = require('sshpk');
+
+
+
+// --- Globals
+
+
+
+var KEY = path.join(__dirname, '..', '.ssh', 'id_rsa');
+var BIN = path.join(__dirname, '..', '..', 'bin');
+
+var home;
+
+
+
+// --- Internal Helpers
+
+
+
+/*
+ * Removes a directory and everything in it.
+ */
+function removeTree(dir) {
+    fs.readdirSync(dir).forEach(function (f) {
+        var p = path.join(dir, f);
+        if (fs.lstatSync(p).isDirectory()) {
+            removeTree(p);
+        } else {
+            fs.unlinkSync(p);
+        }
+    });
+    fs.rmdirSync(dir);
+}
+
+
+function setupHome() {
+    if (home) {
+        return (home);
+    }
+
+    home = path.join(os.tmpdir(), 'smartdc-test-' + process.pid);
+    // Ahead of tape's own handler, which exits.
+    var listeners = process.listeners('exit');
+    process.removeAllListeners('exit');
+    process.on('exit', function () {
+        if (fs.existsSync(home)) {
+            removeTree(home);
+        }
+    });
+    listeners.forEach(function (l) {
+        process.on('exit', l);
+    });
+    [home, path.join(home, '.ssh')].forEach(function (dir) {
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir);
+        }
+    });
+    ['id_rsa', 'id_rsa.pub'].forEach(function (f) {
+        fs.writeFileSync(path.join(home, '.ssh', f),
+            fs.readFileSync(path.join(path.dirname(KEY), f)), {mode: 384});
+    });
+
+    return (home);
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * The HOME directory the commands run with.
+ */
+function homeDir() {
+    return (setupHome());
+}
+
+
+/**
+ * The id (MD5 fingerprint) of the key the commands sign with.
+ */
+function keyId() {
+    var pub = fs.readFileSync(KEY + '.pub', 'utf8');
+    return (sshpk.parseKey(pub, 'ssh').fingerprint('md5').toString());
+}
+
+
+/**
+ * Runs a command.
+ *
+ * @param {Object} server a listening mock CloudAPI.
+ * @param {String} cmd the command, e.g. "sdc-listmachines".
+ * @param {Array} args its arguments.
+ * @param {Object} env (optional) extra environment variables; undefined
+ *                   ones are unset.
+ * @param {Function} callback of the form f(err, stdout, stderr), `err` set
+ *                   if the command exits non-zero.
+ */
+function run(server, cmd, args, env, callback) {
+    if (typeof (env) === 'function') {
+        callback = env;
+        env = {};
+    }
+
+    var e = {};
+    Object.keys(process.env).forEach(function (k) {
+        e[k] = process.env[k];
+    });
+    delete e.SSH_AUTH_SOCK;
+    e.HOME = setupHome();
+    e.SDC_URL = server.url;
+    e.SDC_ACCOUNT = 'test';
+    e.SDC_KEY_ID = keyId();
+    e.SDC_PROFILES_FILE = path.join(e.HOME, 'profiles.json');
+    e.LOG_LEVEL = 'fatal';
+    Object.keys(env).forEach(function (k) {
+        if (env[k] === undefined) {
+            delete e[k];
+        } else {
+            e[k] = env[k];
+        }
+    });
+
+    execFile(process.execPath, [path.join(BIN, cmd)].concat(args), {
+        env: e,
+        timeout: 30000
+    }, callback);
+}
+
+
+module.exports = {
+    homeDir: homeDir,
+    keyId: keyId,
+    run: run
+};
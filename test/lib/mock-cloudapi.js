@@ -0,0 +1,2561 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * A fake, in-memory CloudAPI for testing the SDK and the sdc-* commands
+ * without a SmartDataCenter.
+ *
+ * It serves every path the client uses (see the path constants at the top of
+ * lib/cloudapi.js and lib/cli/paths.js) for a single account: keys, packages,
+ * images, datacenters, machines with their snapshots, tags, metadata, NICs,
+ * audit trail and usage, firewall rules, networks, fabric VLANs and networks,
+ * account config, users and their keys, roles, policies and role tags.
+ *
+ * Requests must be signed (HTTP signature scheme, as done by the client) with
+ * one of the account's keys, or one of a sub-user's keys, unless the server
+ * is created with `verifySignatures: false`.
+ *
+ * Like the real thing, machine changes are asynchronous: an action is
+ * accepted at once, takes effect after `delay` ms and is then recorded in
+ * the machine's audit trail (see getMachineAudit). New machines start out
+ * "provisioning", are "stopping" while they stop, and so on.
+ *
+ * GET responses carry an ETag and honor If-None-Match; updates of a single
+ * machine, firewall rule, user, policy or role honor If-Match.
+ *
+ * From a test:
+ *
+ *      var mock = require('./lib/mock-cloudapi');
+ *      var server = mock.createServer({
+ *          account: 'test',
+ *          keys: [ {name: 'id_rsa', key: fs.readFileSync(pubKeyFile, 'utf8')} ]
+ *      });
+ *      server.listen(0, function () {
+ *          // point a client at server.url
+ *      });
+ *
+ * To try the sdc-* commands against it, run it on its own:
+ *
+ *      $ node test/lib/mock-cloudapi.js [port]
+ *
+ * which serves the account $SDC_ACCOUNT (default "test"), signed into with
+ * the key $SSH_KEY (default ~/.ssh/id_rsa), and prints the SDC_URL to use.
+ */
+
+var assert = require('assert-plus');
+var crypto = require('crypto');
+var fs = require('fs');
+var restify = require('restify');
+var sshpk = require('sshpk');
+var util = require('util');
+var uuid = require('node-uuid');
+
+var sprintf = util.format;
+
+
+
+// --- Globals
+
+
+
+var DEFAULT_PACKAGES = [ {
+    name: 'g4-highcpu-1G',
+    memory: 1024,
+    disk: 25600,
+    swap: 4096,
+    vcpus: 1,
+    lwps: 4000,
+    version: '1.0.3',
+    group: 'Compute',
+    'default': true
+}, {
+    name: 'g4-highcpu-4G',
+    memory: 4096,
+    disk: 102400,
+    swap: 16384,
+    vcpus: 4,
+    lwps: 4000,
+    version: '1.0.3',
+    group: 'Compute',
+    'default': false
+} ];
+
+var DEFAULT_IMAGES = [ {
+    name: 'base-64-lts',
+    version: '16.4.1',
+    os: 'smartos',
+    type: 'smartmachine'
+}, {
+    name: 'ubuntu-16.04',
+    version: '20170403',
+    os: 'linux',
+    type: 'virtualmachine',
+    tags: {default_user: 'ubuntu'}
+} ];
+
+var DEFAULT_NETWORKS = [ {
+    name: 'external',
+    'public': true,
+    subnet: '203.0.113.0/24'
+}, {
+    name: 'internal',
+    'public': false,
+    subnet: '10.88.0.0/24'
+} ];
+
+var ROLE_TAG_RESOURCES = [
+    'machines', 'users', 'roles', 'packages', 'images', 'policies', 'keys',
+    'datacenters', 'fwrules', 'networks'
+];
+
+var ACCOUNT_FIELDS = [
+    'email', 'companyName', 'firstName', 'lastName', 'address', 'postalCode',
+    'city', 'state', 'country', 'phone'
+];
+
+var USER_FIELDS = ['login', 'email'].concat(ACCOUNT_FIELDS.slice(1));
+
+var IMAGE_FIELDS = [
+    'name', 'version', 'description', 'homepage', 'eula', 'acl', 'tags'
+];
+
+var PERIOD_RE = /^(\d{4})-(\d{2})$/;
+
+// API versions served, so requests with an Accept-Version header get routed.
+var VERSIONS = ['7.0.0', '7.1.0', '7.2.0', '7.3.0', '8.0.0'];
+
+
+
+// --- Internal Helpers
+
+
+
+function now() {
+    return (new Date().toISOString());
+}
+
+
+function pick(obj, fields) {
+    var out = {};
+    fields.forEach(function (f) {
+        if (obj[f] !== undefined) {
+            out[f] = obj[f];
+        }
+    });
+    return (out);
+}
+
+
+function values(map) {
+    return (Object.keys(map).map(function (k) {
+        return (map[k]);
+    }));
+}
+
+
+/*
+ * Finds an object of a map by id or, failing that, by name (or login).
+ */
+function lookup(map, idOrName) {
+    if (map.hasOwnProperty(idOrName)) {
+        return (map[idOrName]);
+    }
+    return (values(map).filter(function (o) {
+        return (o.name === idOrName || o.login === idOrName);
+    })[0]);
+}
+
+
+function notFound(what, id) {
+    return (new restify.ResourceNotFoundError(sprintf('%s %s not found',
+        what, id)));
+}
+
+
+function missing(param) {
+    return (new restify.MissingParameterError(sprintf('%s is missing',
+        param)));
+}
+
+
+/*
+ * Returns the n-th host address of an "a.b.c.d/len" subnet.
+ */
+function hostAddress(subnet, n) {
+    var base = subnet.split('/')[0].split('.').reduce(function (acc, o) {
+        return (acc * 256 + Number(o));
+    }, 0);
+    var addr = base + n;
+
+    return ([24, 16, 8, 0].map(function (shift) {
+        return (Math.floor(addr / Math.pow(2, shift)) % 256);
+    }).join('.'));
+}
+
+
+function netmask(subnet) {
+    var len = Number(subnet.split('/')[1]);
+    return ([0, 1, 2, 3].map(function (i) {
+        var bits = Math.max(0, Math.min(8, len - i * 8));
+        return (256 - Math.pow(2, 8 - bits));
+    }).join('.'));
+}
+
+
+/*
+ * Parses a key in OpenSSH format, as given to createKey.
+ */
+function parseKey(text) {
+    try {
+        return (sshpk.parseKey(text, 'ssh'));
+    } catch (e) {
+        return (null);
+    }
+}
+
+
+function keyObject(name, text, key) {
+    return ({
+        name: name,
+        fingerprint: key.fingerprint('md5').toString(),
+        key: text.trim()
+    });
+}
+
+
+/*
+ * Returns the machines a firewall rule applies to, going by the targets
+ * named on either side of it ("all vms", "vm <uuid>", "tag <name>" and
+ * "tag <name> = <value>").
+ */
+function ruleTargets(rule, machines) {
+    var m = /^\s*FROM\s+(.*)\s+TO\s+(.*)\s+(ALLOW|BLOCK)\s/i.exec(rule);
+    if (!m) {
+        return ([]);
+    }
+    var sides = m[1] + ' ' + m[2];
+
+    if (/\ball\s+vms\b/i.test(sides)) {
+        return (machines);
+    }
+
+    var ids = {};
+    var tags = [];
+    var re = /\bvm\s+([0-9a-f-]{36})/gi;
+    var t;
+    while ((t = re.exec(sides)) !== null) {
+        ids[t[1]] = true;
+    }
+    /* JSSTYLED */
+    re = /\btag\s+"?([^"\s()=]+)"?(?:\s*=\s*"?([^"\s()]+)"?)?/gi;
+    while ((t = re.exec(sides)) !== null) {
+        tags.push({name: t[1], value: t[2]});
+    }
+
+    return (machines.filter(function (machine) {
+        return (ids[machine.id] || tags.some(function (tag) {
+            return (machine.tags.hasOwnProperty(tag.name) &&
+                (tag.value === undefined ||
+                String(machine.tags[tag.name]) === tag.value));
+        }));
+    }));
+}
+
+
+
+// --- Exported MockCloudAPI
+
+
+
+/**
+ * Constructor.
+ *
+ * @param {Object} options (optional) object containing:
+ *        - {String} account login of the account served (default "test").
+ *        - {Array} keys the account's SSH keys, as {name, key} with the
+ *          public key in OpenSSH format (default none).
+ *        - {Boolean} verifySignatures whether requests must be signed by one
+ *          of those keys (default true).
+ *        - {Number} delay ms before machine changes take effect (default
+ *          100).
+ *        - {Object} datacenters map of datacenter names to URLs (default
+ *          a single "mock-1" datacenter served by this server).
+ *        - {Object} log bunyan logger (default: logs nothing).
+ * @throws {TypeError} on bad input.
+ * @constructor
+ */
+function MockCloudAPI(options) {
+    var self = this;
+
+    options = options || {};
+    assert.object(options, 'options');
+    assert.optionalString(options.account, 'options.account');
+    assert.optionalArrayOfObject(options.keys, 'options.keys');
+    assert.optionalBool(options.verifySignatures, 'options.verifySignatures');
+    assert.optionalNumber(options.delay, 'options.delay');
+    assert.optionalObject(options.datacenters, 'options.datacenters');
+    assert.optionalObject(options.log, 'options.log');
+
+    this.login = options.account || 'test';
+    this.verifySignatures = (options.verifySignatures !== false);
+    this.delay = (options.delay === undefined ? 100 : options.delay);
+    this.datacenters = options.datacenters;
+    this.log = options.log || restify.bunyan.createLogger({
+        name: 'mock-cloudapi',
+        level: 'fatal'
+    });
+    this.url = null;
+
+    var created = now();
+    this.account = {
+        id: uuid.v4(),
+        login: this.login,
+        email: this.login + '@example.com',
+        created: created,
+        updated: created
+    };
+    this.config = {};
+    this.keys = {};
+    this.packages = {};
+    this.images = {};
+    this.networks = {};
+    this.vlans = {};
+    this.machines = {};
+    this.fwrules = {};
+    this.users = {};
+    this.policies = {};
+    this.roles = {};
+    this.roleTags = {};
+
+    this._audit = {};
+    this._snapshots = {};
+    this._nics = {};
+    this._nextHost = {};
+    this._timers = [];
+
+    (options.keys || []).forEach(function (k) {
+        var key = parseKey(k.key);
+        assert.ok(key, 'invalid key ' + k.name);
+        self.keys[k.name] = keyObject(k.name, k.key, key);
+    });
+
+    DEFAULT_PACKAGES.forEach(function (p) {
+        var pkg = pick(p, Object.keys(p));
+        pkg.id = uuid.v4();
+        self.packages[pkg.id] = pkg;
+    });
+    DEFAULT_IMAGES.forEach(function (i) {
+        var image = pick(i, Object.keys(i));
+        image.id = uuid.v4();
+        image.requirements = {};
+        image['public'] = true;
+        image.state = 'active';
+        image.published_at = created;
+        self.images[image.id] = image;
+    });
+    DEFAULT_NETWORKS.forEach(function (n) {
+        var net = pick(n, Object.keys(n));
+        net.id = uuid.v4();
+        net.fabric = false;
+        self.networks[net.id] = net;
+    });
+    this.config.default_network = values(this.networks)[0].id;
+
+    this.server = restify.createServer({
+        name: 'mock-cloudapi',
+        log: this.log,
+        version: VERSIONS
+    });
+    // Like CloudAPI, say which request an answer is for, errors included.
+    this.server.pre(function requestId(req, res, next) {
+        res.header('x-request-id', req.getId());
+        next();
+    });
+    this.server.use(restify.queryParser({mapParams: false}));
+    this.server.use(restify.bodyParser({mapParams: false}));
+    this.server.use(restify.authorizationParser());
+    this.server.use(this._authenticate.bind(this));
+    this.server.use(this._setRoleTagHeader.bind(this));
+    this.server.use(this._conditional.bind(this));
+
+    this._addRoutes();
+}
+
+
+/**
+ * Starts serving.
+ *
+ * @param {Number} port port to listen on (0 for any free port).
+ * @param {Function} callback of the form f(), called once listening, when
+ *                   `url` is set.
+ */
+MockCloudAPI.prototype.listen = function listen(port, callback) {
+    var self = this;
+
+    assert.number(port, 'port');
+    assert.func(callback, 'callback');
+
+    self.server.listen(port, '127.0.0.1', function () {
+        self.url = sprintf('http://127.0.0.1:%d', self.server.address().port);
+        callback();
+    });
+};
+
+
+/**
+ * Stops serving, dropping any machine changes still pending.
+ *
+ * @param {Function} callback (optional) of the form f().
+ */
+MockCloudAPI.prototype.close = function close(callback) {
+    this._timers.forEach(clearTimeout);
+    this._timers = [];
+    this.server.close(callback);
+};
+
+
+/*
+ * Runs `change` after `delay` ms, then records `action` in the audit trail
+ * of the machine. With `via`, the machine is first put in that state after
+ * `delay` ms, and `change` runs after another `delay` ms: as with CloudAPI,
+ * a machine stopping or rebooting is still running when the request is
+ * answered.
+ */
+MockCloudAPI.prototype._later =
+function _later(req, machine, action, change, via) {
+    var self = this;
+    var caller = req.caller;
+    var params = pick(req.query, Object.keys(req.query));
+    if (req.body && typeof (req.body) === 'object') {
+        Object.keys(req.body).forEach(function (k) {
+            params[k] = req.body[k];
+        });
+    }
+
+    function done() {
+        if (change) {
+            change();
+        }
+        if (machine.state !== 'deleted' || action === 'destroy') {
+            machine.updated = now();
+        }
+        self._audit[machine.id].push({
+            action: action,
+            parameters: params,
+            success: 'yes',
+            time: now(),
+            caller: caller
+        });
+    }
+
+    self._schedule(via === undefined ? done : function () {
+        if (machine.state !== 'deleted') {
+            machine.state = via;
+            machine.updated = now();
+        }
+        self._schedule(done);
+    });
+};
+
+
+MockCloudAPI.prototype._schedule = function _schedule(func) {
+    var self = this;
+    var timer = setTimeout(function () {
+        self._timers.splice(self._timers.indexOf(timer), 1);
+        func();
+    }, self.delay);
+
+    self._timers.push(timer);
+};
+
+
+/*
+ * Checks the request signature against the account's keys (or, for keyIds
+ * of the form /:account/users/:login/keys/:fp, the sub-user's keys), and
+ * that the request is for this account.
+ */
+MockCloudAPI.prototype._authenticate =
+function _authenticate(req, res, next) {
+    var self = this;
+    var sig = req.authorization && req.authorization.signature;
+
+    req.caller = {type: 'signature', ip: req.connection.remoteAddress};
+    if (sig) {
+        req.caller.keyId = sig.params.keyId;
+    }
+
+    if (self.verifySignatures) {
+        if (!sig) {
+            return next(new restify.InvalidCredentialsError(
+                'Authorization header missing or not a signature'));
+        }
+
+        var m = /^\/([^\/]+)(?:\/users\/([^\/]+))?\/keys\/([^\/]+)$/.exec(
+            sig.params.keyId);
+        if (!m || m[1] !== self.login) {
+            return next(new restify.InvalidCredentialsError(
+                sprintf('Invalid keyId %s', sig.params.keyId)));
+        }
+
+        var keys = self.keys;
+        if (m[2]) {
+            var user = lookup(self.users, m[2]);
+            if (!user) {
+                return next(new restify.InvalidCredentialsError(
+                    sprintf('Unknown user %s', m[2])));
+            }
+            keys = user.keys;
+            req.caller.user = user.login;
+        }
+
+        var key;
+        try {
+            var fp = sshpk.parseFingerprint(m[3]);
+            key = values(keys).map(function (k) {
+                return (parseKey(k.key));
+            }).filter(function (k) {
+                return (fp.matches(k));
+            })[0];
+        } catch (e) {
+            key = null;
+        }
+        if (!key) {
+            return next(new restify.InvalidCredentialsError(
+                sprintf('Unknown key %s', sig.params.keyId)));
+        }
+
+        var hash = sig.params.algorithm.split('-')[1];
+        var verifier = crypto.createVerify(hash.toUpperCase());
+        verifier.update(sig.signingString);
+        if (!verifier.verify(key.toString('pem'), sig.params.signature,
+            'base64')) {
+            return next(new restify.InvalidCredentialsError(
+                'Invalid signature'));
+        }
+    }
+
+    var account = req.params.account;
+    if (account !== undefined && account !== self.login &&
+        account !== 'my') {
+        return next(new restify.NotAuthorizedError(sprintf(
+            '%s is not allowed to access %s', self.login, account)));
+    }
+
+    return next();
+};
+
+
+/*
+ * Role tags of a resource come back in the role-tag header of GETs.
+ */
+MockCloudAPI.prototype._setRoleTagHeader =
+function _setRoleTagHeader(req, res, next) {
+    var tags = this.roleTags[this._resource(req.path())];
+    if (req.method === 'GET' && tags && tags.length) {
+        res.header('role-tag', tags.join(','));
+    }
+    next();
+};
+
+
+/*
+ * GETs answered with a 200 carry an ETag, a digest of the body and role
+ * tags, and are answered with a 304 if it matches If-None-Match. A POST, PUT
+ * or DELETE of a resource _view knows, with If-Match, fails with a 412
+ * unless it matches the ETag a GET of the resource would get.
+ */
+MockCloudAPI.prototype._conditional =
+function _conditional(req, res, next) {
+    var self = this;
+    var resource = self._resource(req.path());
+
+    if (req.method === 'GET') {
+        var send = res.send;
+        res.send = function conditionalSend(code, body) {
+            var args = Array.prototype.slice.call(arguments);
+            if (typeof (code) !== 'number') {
+                body = code;
+                code = 200;
+            }
+            if (code !== 200 || !body || typeof (body) !== 'object' ||
+                body instanceof Error) {
+                return (send.apply(res, args));
+            }
+
+            var etag = self._etag(resource, body);
+            res.header('ETag', etag);
+            if (req.headers['if-none-match'] === etag) {
+                return (send.call(res, 304));
+            }
+            return (send.call(res, code, body));
+        };
+        return next();
+    }
+
+    var ifMatch = req.headers['if-match'];
+    if (ifMatch !== undefined && ifMatch !== '*') {
+        var current = self._view(resource);
+        if (current === null ||
+            (current && self._etag(resource, current) !== ifMatch)) {
+            return next(new restify.PreconditionFailedError(sprintf(
+                '%s has changed (If-Match: %s)', resource, ifMatch)));
+        }
+    }
+    return next();
+};
+
+
+MockCloudAPI.prototype._etag = function _etag(resource, body) {
+    var md5 = crypto.createHash('md5');
+    md5.update(JSON.stringify(body));
+    md5.update((this.roleTags[resource] || []).join(','));
+    return ('"' + md5.digest('hex') + '"');
+};
+
+
+/*
+ * What a GET of a single machine, rule, user, policy or role answers with
+ * (null if there's no such thing), or undefined for any other path.
+ */
+MockCloudAPI.prototype._view = function _view(resource) {
+    var p = resource.split('/');
+    if (p.length !== 4) {
+        return (undefined);
+    }
+
+    var o;
+    switch (p[2]) {
+    case 'machines':
+        o = this.machines[p[3]];
+        return (o && o.state !== 'deleted' ? this._machineView(o) : null);
+    case 'fwrules':
+        return (this.fwrules[p[3]] || null);
+    case 'users':
+        o = lookup(this.users, p[3]);
+        return (o ? userView(o) : null);
+    case 'policies':
+        return (lookup(this.policies, p[3]) || null);
+    case 'roles':
+        return (lookup(this.roles, p[3]) || null);
+    default:
+        return (undefined);
+    }
+};
+
+
+MockCloudAPI.prototype._resource = function _resource(path) {
+    var p = path.split('/');
+    if (p[1] === 'my') {
+        p[1] = this.login;
+    }
+    return (p.join('/'));
+};
+
+
+MockCloudAPI.prototype._addRoutes = function _addRoutes() {
+    var self = this;
+    var s = self.server;
+
+    function route(method, path, handler) {
+        s[method](path, handler.bind(self));
+    }
+
+    route('get', '/:account', self.getAccount);
+    route('post', '/:account', self.updateAccount);
+    route('get', '/:account/config', self.getConfig);
+    route('put', '/:account/config', self.updateConfig);
+
+    route('get', '/:account/keys', self.listKeys);
+    route('post', '/:account/keys', self.createKey);
+    route('get', '/:account/keys/:key', self.getKey);
+    route('del', '/:account/keys/:key', self.deleteKey);
+
+    route('get', '/:account/packages', self.listPackages);
+    route('get', '/:account/packages/:package', self.getPackage);
+
+    route('get', '/:account/images', self.listImages);
+    route('post', '/:account/images', self.createImage);
+    route('get', '/:account/images/:image', self.getImage);
+    route('post', '/:account/images/:image', self.imageAction);
+    route('del', '/:account/images/:image', self.deleteImage);
+
+    route('get', '/:account/datacenters', self.listDatacenters);
+
+    route('get', '/:account/machines', self.listMachines);
+    route('head', '/:account/machines', self.listMachines);
+    route('post', '/:account/machines', self.createMachine);
+    route('get', '/:account/machines/:machine', self.getMachine);
+    route('post', '/:account/machines/:machine', self.machineAction);
+    route('del', '/:account/machines/:machine', self.deleteMachine);
+    route('get', '/:account/machines/:machine/audit', self.getMachineAudit);
+    route('get', '/:account/machines/:machine/usage/:period',
+        self.getMachineUsage);
+    route('get', '/:account/machines/:machine/fwrules',
+        self.listMachineRules);
+
+    route('get', '/:account/machines/:machine/snapshots',
+        self.listSnapshots);
+    route('post', '/:account/machines/:machine/snapshots',
+        self.createSnapshot);
+    route('get', '/:account/machines/:machine/snapshots/:snapshot',
+        self.getSnapshot);
+    route('post', '/:account/machines/:machine/snapshots/:snapshot',
+        self.startFromSnapshot);
+    route('del', '/:account/machines/:machine/snapshots/:snapshot',
+        self.deleteSnapshot);
+
+    route('get', '/:account/machines/:machine/tags', self.listTags);
+    route('post', '/:account/machines/:machine/tags', self.addTags);
+    route('put', '/:account/machines/:machine/tags', self.replaceTags);
+    route('del', '/:account/machines/:machine/tags', self.deleteTags);
+    route('get', '/:account/machines/:machine/tags/:tag', self.getTag);
+    route('del', '/:account/machines/:machine/tags/:tag', self.deleteTags);
+
+    route('get', '/:account/machines/:machine/metadata', self.listMetadata);
+    route('post', '/:account/machines/:machine/metadata',
+        self.updateMetadata);
+    route('del', '/:account/machines/:machine/metadata',
+        self.deleteMetadata);
+    route('get', '/:account/machines/:machine/metadata/:key',
+        self.getMetadata);
+    route('del', '/:account/machines/:machine/metadata/:key',
+        self.deleteMetadata);
+
+    route('get', '/:account/machines/:machine/nics', self.listNics);
+    route('post', '/:account/machines/:machine/nics', self.createNic);
+    route('get', '/:account/machines/:machine/nics/:mac', self.getNic);
+    route('del', '/:account/machines/:machine/nics/:mac', self.deleteNic);
+
+    route('get', '/:account/usage/:period', self.getUsage);
+
+    route('get', '/:account/fwrules', self.listFwRules);
+    route('post', '/:account/fwrules', self.createFwRule);
+    route('get', '/:account/fwrules/:fwrule', self.getFwRule);
+    route('post', '/:account/fwrules/:fwrule', self.updateFwRule);
+    route('post', '/:account/fwrules/:fwrule/enable', self.enableFwRule);
+    route('post', '/:account/fwrules/:fwrule/disable', self.disableFwRule);
+    route('del', '/:account/fwrules/:fwrule', self.deleteFwRule);
+    route('get', '/:account/fwrules/:fwrule/machines', self.listRuleMachines);
+
+    route('get', '/:account/networks', self.listNetworks);
+    route('get', '/:account/networks/:network', self.getNetwork);
+
+    route('get', '/:account/fabrics/default/vlans', self.listVlans);
+    route('post', '/:account/fabrics/default/vlans', self.createVlan);
+    route('get', '/:account/fabrics/default/vlans/:vlan', self.getVlan);
+    route('put', '/:account/fabrics/default/vlans/:vlan', self.updateVlan);
+    route('del', '/:account/fabrics/default/vlans/:vlan', self.deleteVlan);
+    route('get', '/:account/fabrics/default/vlans/:vlan/networks',
+        self.listFabricNetworks);
+    route('post', '/:account/fabrics/default/vlans/:vlan/networks',
+        self.createFabricNetwork);
+    route('get', '/:account/fabrics/default/vlans/:vlan/networks/:network',
+        self.getFabricNetwork);
+    route('del', '/:account/fabrics/default/vlans/:vlan/networks/:network',
+        self.deleteFabricNetwork);
+
+    route('get', '/:account/users', self.listUsers);
+    route('post', '/:account/users', self.createUser);
+    route('get', '/:account/users/:user', self.getUser);
+    route('post', '/:account/users/:user', self.updateUser);
+    route('del', '/:account/users/:user', self.deleteUser);
+    route('post', '/:account/users/:user/change_password',
+        self.changeUserPassword);
+    route('get', '/:account/users/:user/keys', self.listUserKeys);
+    route('post', '/:account/users/:user/keys', self.createUserKey);
+    route('get', '/:account/users/:user/keys/:key', self.getUserKey);
+    route('del', '/:account/users/:user/keys/:key', self.deleteUserKey);
+
+    route('get', '/:account/policies', self.listPolicies);
+    route('post', '/:account/policies', self.createPolicy);
+    route('get', '/:account/policies/:policy', self.getPolicy);
+    route('post', '/:account/policies/:policy', self.updatePolicy);
+    route('del', '/:account/policies/:policy', self.deletePolicy);
+
+    route('get', '/:account/roles', self.listRoles);
+    route('post', '/:account/roles', self.createRole);
+    route('get', '/:account/roles/:role', self.getRole);
+    route('post', '/:account/roles/:role', self.updateRole);
+    route('del', '/:account/roles/:role', self.deleteRole);
+
+    route('put', '/:account', self.setRoleTags);
+    ROLE_TAG_RESOURCES.forEach(function (r) {
+        route('put', '/:account/' + r, self.setRoleTags);
+        route('put', '/:account/' + r + '/:id', self.setRoleTags);
+    });
+};
+
+
+
+// --- Account, config and keys
+
+
+
+MockCloudAPI.prototype.getAccount = function (req, res, next) {
+    res.send(this.account);
+    next();
+};
+
+
+MockCloudAPI.prototype.updateAccount = function (req, res, next) {
+    var self = this;
+    var body = req.body || {};
+
+    ACCOUNT_FIELDS.forEach(function (f) {
+        if (body[f] !== undefined) {
+            self.account[f] = body[f];
+        }
+    });
+    self.account.updated = now();
+
+    res.send(self.account);
+    next();
+};
+
+
+MockCloudAPI.prototype.getConfig = function (req, res, next) {
+    res.send(this.config);
+    next();
+};
+
+
+MockCloudAPI.prototype.updateConfig = function (req, res, next) {
+    var body = req.body || {};
+
+    if (body.default_network === null) {
+        delete this.config.default_network;
+    } else if (body.default_network !== undefined) {
+        if (!this.networks[body.default_network]) {
+            return next(notFound('network', body.default_network));
+        }
+        this.config.default_network = body.default_network;
+    }
+
+    res.send(this.config);
+    return next();
+};
+
+
+/*
+ * The key handlers are shared by account keys and sub-user keys, the latter
+ * having a `user` param.
+ */
+MockCloudAPI.prototype._keyring = function _keyring(req, next) {
+    if (!req.params.user) {
+        return (this.keys);
+    }
+
+    var user = lookup(this.users, req.params.user);
+    if (!user) {
+        next(notFound('user', req.params.user));
+        return (null);
+    }
+    return (user.keys);
+};
+
+
+MockCloudAPI.prototype.listKeys = function (req, res, next) {
+    var keys = this._keyring(req, next);
+    if (keys) {
+        res.send(values(keys));
+        next();
+    }
+};
+
+
+MockCloudAPI.prototype.createKey = function (req, res, next) {
+    var keys = this._keyring(req, next);
+    if (!keys) {
+        return;
+    }
+
+    var body = req.body || {};
+    if (!body.key) {
+        return next(missing('key'));
+    }
+    var key = parseKey(body.key);
+    if (!key) {
+        return next(new restify.InvalidArgumentError('key is invalid'));
+    }
+
+    var name = body.name || key.fingerprint('md5').toString();
+    if (keys[name]) {
+        return next(new restify.InvalidArgumentError(sprintf(
+            'key %s already exists', name)));
+    }
+
+    keys[name] = keyObject(name, body.key, key);
+    res.send(201, keys[name]);
+    return next();
+};
+
+
+MockCloudAPI.prototype.getKey = function (req, res, next) {
+    var keys = this._keyring(req, next);
+    if (!keys) {
+        return;
+    }
+
+    var key = keys[req.params.key] || values(keys).filter(function (k) {
+        return (k.fingerprint === req.params.key);
+    })[0];
+    if (!key) {
+        return next(notFound('key', req.params.key));
+    }
+
+    res.send(key);
+    return next();
+};
+
+
+MockCloudAPI.prototype.deleteKey = function (req, res, next) {
+    var keys = this._keyring(req, next);
+    if (!keys) {
+        return;
+    }
+
+    if (!keys[req.params.key]) {
+        return next(notFound('key', req.params.key));
+    }
+
+    delete keys[req.params.key];
+    res.send(204);
+    return next();
+};
+
+
+MockCloudAPI.prototype.listUserKeys = MockCloudAPI.prototype.listKeys;
+MockCloudAPI.prototype.createUserKey = MockCloudAPI.prototype.createKey;
+MockCloudAPI.prototype.getUserKey = MockCloudAPI.prototype.getKey;
+MockCloudAPI.prototype.deleteUserKey = MockCloudAPI.prototype.deleteKey;
+
+
+
+// --- Packages, images and datacenters
+
+
+
+MockCloudAPI.prototype.listPackages = function (req, res, next) {
+    res.send(values(this.packages));
+    next();
+};
+
+
+MockCloudAPI.prototype.getPackage = function (req, res, next) {
+    var pkg = lookup(this.packages, req.params['package']);
+    if (!pkg) {
+        return next(notFound('package', req.params['package']));
+    }
+
+    res.send(pkg);
+    return next();
+};
+
+
+MockCloudAPI.prototype.listImages = function (req, res, next) {
+    var q = req.query;
+
+    res.send(values(this.images).filter(function (image) {
+        return (['name', 'os', 'version', 'type', 'state'].every(function (f) {
+            return (q[f] === undefined || String(image[f]) === q[f]);
+        }) && (q['public'] === undefined ||
+            String(image['public']) === q['public']));
+    }));
+    next();
+};
+
+
+MockCloudAPI.prototype.getImage = function (req, res, next) {
+    var image = this.images[req.params.image];
+    if (!image) {
+        return next(notFound('image', req.params.image));
+    }
+
+    res.send(image);
+    return next();
+};
+
+
+MockCloudAPI.prototype.createImage = function (req, res, next) {
+    var body = req.body || {};
+
+    var missingParam = ['machine', 'name', 'version'].filter(function (p) {
+        return (!body[p]);
+    })[0];
+    if (missingParam) {
+        return next(missing(missingParam));
+    }
+
+    var machine = this.machines[body.machine];
+    if (!machine || machine.state === 'deleted') {
+        return next(notFound('machine', body.machine));
+    }
+
+    var from = this.images[machine.image] || {};
+    var image = pick(body, IMAGE_FIELDS);
+    image.id = uuid.v4();
+    image.os = from.os;
+    image.type = from.type;
+    image.requirements = {};
+    image['public'] = false;
+    image.owner = this.account.id;
+    image.origin = machine.image;
+    image.state = 'creating';
+    this.images[image.id] = image;
+
+    this._later(req, machine, 'create_image', function () {
+        image.state = 'active';
+        image.published_at = now();
+    });
+
+    res.send(201, image);
+    return next();
+};
+
+
+MockCloudAPI.prototype.imageAction = function (req, res, next) {
+    var image = this.images[req.params.image];
+    if (!image) {
+        return next(notFound('image', req.params.image));
+    }
+    if (image.owner !== this.account.id) {
+        return next(new restify.NotAuthorizedError(sprintf(
+            'image %s is not owned by %s', image.id, this.login)));
+    }
+
+    switch (req.query.action) {
+    case 'update':
+        var body = req.body || {};
+        IMAGE_FIELDS.forEach(function (f) {
+            if (body[f] !== undefined) {
+                image[f] = body[f];
+            }
+        });
+        res.send(image);
+        return next();
+    case 'export':
+        if (!req.query.manta_path) {
+            return next(missing('manta_path'));
+        }
+        var base = req.query.manta_path.replace(/\/$/, '') + '/' +
+            image.name + '-' + image.version;
+        res.send({
+            manta_url: 'https://us-east.manta.joyent.com',
+            image_path: base + '.zfs.gz',
+            manifest_path: base + '.imgmanifest'
+        });
+        return next();
+    default:
+        return next(new restify.InvalidArgumentError(sprintf(
+            '%s is not a valid action', req.query.action)));
+    }
+};
+
+
+MockCloudAPI.prototype.deleteImage = function (req, res, next) {
+    var image = this.images[req.params.image];
+    if (!image) {
+        return next(notFound('image', req.params.image));
+    }
+    if (image.owner !== this.account.id) {
+        return next(new restify.NotAuthorizedError(sprintf(
+            'image %s is not owned by %s', image.id, this.login)));
+    }
+
+    delete this.images[image.id];
+    res.send(204);
+    return next();
+};
+
+
+MockCloudAPI.prototype.listDatacenters = function (req, res, next) {
+    res.send(this.datacenters || {'mock-1': this.url});
+    next();
+};
+
+
+
+// --- Machines
+
+
+
+/*
+ * Looks up the machine of the request, passing an error to `next` if there
+ * is none (or if it's deleted).
+ */
+MockCloudAPI.prototype._machine = function _machine(req, next) {
+    var machine = this.machines[req.params.machine];
+
+    if (!machine) {
+        next(notFound('VM', req.params.machine));
+        return (null);
+    }
+    if (machine.state === 'deleted') {
+        next(new restify.GoneError(sprintf('VM %s has been destroyed',
+            machine.id)));
+        return (null);
+    }
+
+    return (machine);
+};
+
+
+/*
+ * Returns a copy of a machine for output, without its metadata credentials
+ * unless asked for.
+ */
+MockCloudAPI.prototype._machineView =
+function _machineView(machine, credentials) {
+    var out = pick(machine, Object.keys(machine));
+    out.metadata = pick(machine.metadata, Object.keys(machine.metadata));
+    out.tags = pick(machine.tags, Object.keys(machine.tags));
+    if (!credentials) {
+        delete out.metadata.credentials;
+    }
+    return (out);
+};
+
+
+MockCloudAPI.prototype._syncIps = function _syncIps(machine) {
+    var nics = this._nics[machine.id];
+
+    machine.ips = nics.map(function (n) {
+        return (n.ip);
+    });
+    machine.networks = nics.map(function (n) {
+        return (n.network);
+    });
+    machine.primaryIp = (nics.filter(function (n) {
+        return (n.primary);
+    })[0] || {}).ip;
+};
+
+
+MockCloudAPI.prototype._addNic = function _addNic(machine, network, state) {
+    var nics = this._nics[machine.id];
+    var n = this._nextHost[network.id] = (this._nextHost[network.id] || 9) + 1;
+    var subnet = network.subnet || '10.0.0.0/24';
+
+    var nic = {
+        mac: crypto.randomBytes(6).toString('hex').replace(/(..)(?!$)/g,
+            '$1:').replace(/^../, '90'),
+        ip: hostAddress(subnet, n),
+        netmask: netmask(subnet),
+        gateway: network.gateway || hostAddress(subnet, 1),
+        primary: (nics.length === 0),
+        network: network.id,
+        state: state
+    };
+    nics.push(nic);
+
+    return (nic);
+};
+
+
+MockCloudAPI.prototype.listMachines = function (req, res, next) {
+    var q = req.query;
+
+    // The query parser may have turned "tag.role=web" into {tag: {role}}.
+    var tagFilters = {};
+    Object.keys(q).forEach(function (k) {
+        if (k.indexOf('tag.') === 0) {
+            tagFilters[k.slice(4)] = q[k];
+        }
+    });
+    if (q.tag && typeof (q.tag) === 'object') {
+        Object.keys(q.tag).forEach(function (k) {
+            tagFilters[k] = q.tag[k];
+        });
+    }
+
+    var machines = values(this.machines).filter(function (m) {
+        if (m.state === 'deleted' && q.tombstone !== 'true') {
+            return (false);
+        }
+        if (q.memory !== undefined && m.memory !== Number(q.memory)) {
+            return (false);
+        }
+        if (q.tags === '*' && Object.keys(m.tags).length === 0) {
+            return (false);
+        }
+        return (['name', 'image', 'package', 'type', 'brand',
+            'state'].every(function (f) {
+            return (q[f] === undefined || m[f] === q[f]);
+        }) && Object.keys(tagFilters).every(function (k) {
+            return (String(m.tags[k]) === tagFilters[k]);
+        }));
+    });
+
+    var offset = Number(q.offset || 0);
+    var limit = Number(q.limit || 1000);
+
+    res.header('x-resource-count', machines.length);
+    res.header('x-query-limit', limit);
+    if (req.method === 'HEAD') {
+        res.send(200);
+        return next();
+    }
+
+    var self = this;
+    res.send(machines.slice(offset, offset + limit).map(function (m) {
+        return (self._machineView(m, q.credentials === 'true'));
+    }));
+    return next();
+};
+
+
+MockCloudAPI.prototype.createMachine = function (req, res, next) {
+    var self = this;
+    var body = req.body || {};
+
+    if (!body.image) {
+        return next(missing('image'));
+    }
+    if (!body['package']) {
+        return next(missing('package'));
+    }
+
+    var image = self.images[body.image];
+    if (!image || image.state !== 'active') {
+        return next(new restify.InvalidArgumentError(sprintf(
+            'image %s not found', body.image)));
+    }
+    var pkg = lookup(self.packages, body['package']);
+    if (!pkg) {
+        return next(new restify.InvalidArgumentError(sprintf(
+            'package %s not found', body['package'])));
+    }
+
+    var networks = body.networks || [];
+    if (typeof (networks) === 'string') {
+        networks = networks.split(',');
+    }
+    if (networks.length === 0) {
+        networks = values(self.networks).filter(function (n) {
+            return (!n.fabric);
+        }).map(function (n) {
+            return (n.id);
+        });
+    }
+    var unknown = networks.filter(function (n) {
+        return (!self.networks[n]);
+    })[0];
+    if (unknown) {
+        return next(new restify.InvalidArgumentError(sprintf(
+            'network %s not found', unknown)));
+    }
+
+    var id = uuid.v4();
+    var created = now();
+    var machine = {
+        id: id,
+        name: body.name || id.substr(0, 8),
+        type: image.type,
+        brand: (image.type === 'smartmachine' ? 'joyent' : 'kvm'),
+        state: 'provisioning',
+        image: image.id,
+        ips: [],
+        memory: pkg.memory,
+        disk: pkg.disk,
+        metadata: {
+            root_authorized_keys: values(self.keys).map(function (k) {
+                return (k.key);
+            }).join('\n')
+        },
+        tags: {},
+        created: created,
+        updated: created,
+        networks: [],
+        primaryIp: undefined,
+        firewall_enabled: (body.firewall_enabled === true ||
+            body.firewall_enabled === 'true'),
+        compute_node: '44454c4c-5400-1034-8052-b5c04f383432',
+        'package': pkg.name
+    };
+    Object.keys(body).forEach(function (k) {
+        if (k.indexOf('metadata.') === 0) {
+            machine.metadata[k.slice(9)] = body[k];
+        } else if (k.indexOf('tag.') === 0) {
+            machine.tags[k.slice(4)] = body[k];
+        }
+    });
+
+    self.machines[id] = machine;
+    self._audit[id] = [];
+    self._snapshots[id] = [];
+    self._nics[id] = [];
+    networks.forEach(function (n) {
+        self._addNic(machine, self.networks[n], 'provisioning');
+    });
+    self._syncIps(machine);
+
+    self._later(req, machine, 'provision', function () {
+        machine.state = 'running';
+        self._nics[id].forEach(function (nic) {
+            nic.state = 'running';
+        });
+    });
+
+    res.send(201, self._machineView(machine));
+    return next();
+};
+
+
+MockCloudAPI.prototype.getMachine = function (req, res, next) {
+    var machine = this.machines[req.params.machine];
+
+    if (!machine) {
+        return next(notFound('VM', req.params.machine));
+    }
+    if (machine.state === 'deleted') {
+        // As CloudAPI does, answer with the machine as it last was.
+        res.send(410, this._machineView(machine));
+        return next();
+    }
+
+    res.send(this._machineView(machine, req.query.credentials === 'true'));
+    return next();
+};
+
+
+MockCloudAPI.prototype.machineAction = function (req, res, next) {
+    var self = this;
+    var machine = self._machine(req, next);
+    if (!machine) {
+        return;
+    }
+
+    var q = req.query;
+    var action = q.action;
+    var change;
+    var via;
+
+    switch (action) {
+    case 'start':
+        change = function () {
+            machine.state = 'running';
+        };
+        break;
+    case 'stop':
+        via = 'stopping';
+        change = function () {
+            machine.state = 'stopped';
+        };
+        break;
+    case 'reboot':
+        via = 'stopping';
+        change = function () {
+            machine.state = 'running';
+        };
+        break;
+    case 'resize':
+        var pkg = lookup(self.packages, q['package'] || '');
+        if (!pkg) {
+            return next(new restify.InvalidArgumentError(sprintf(
+                'package %s not found', q['package'])));
+        }
+        change = function () {
+            machine['package'] = pkg.name;
+            machine.memory = pkg.memory;
+            machine.disk = pkg.disk;
+        };
+        break;
+    case 'rename':
+        if (!q.name) {
+            return next(missing('name'));
+        }
+        change = function () {
+            machine.name = q.name;
+        };
+        break;
+    case 'enable_firewall':
+    case 'disable_firewall':
+        change = function () {
+            machine.firewall_enabled = (action === 'enable_firewall');
+        };
+        break;
+    default:
+        return next(new restify.InvalidArgumentError(sprintf(
+            '%s is not a valid action', action)));
+    }
+
+    self._later(req, machine, action, change, via);
+    res.send(202);
+    return next();
+};
+
+
+MockCloudAPI.prototype.deleteMachine = function (req, res, next) {
+    var machine = this._machine(req, next);
+    if (!machine) {
+        return;
+    }
+
+    this._later(req, machine, 'destroy', function () {
+        machine.state = 'deleted';
+    }, 'stopping');
+
+    res.send(204);
+    return next();
+};
+
+
+MockCloudAPI.prototype.getMachineAudit = function (req, res, next) {
+    var machine = this.machines[req.params.machine];
+    if (!machine) {
+        return next(notFound('VM', req.params.machine));
+    }
+
+    // Most recent first.
+    res.send(this._audit[machine.id].slice().reverse());
+    return next();
+};
+
+
+/*
+ * Usage of a machine in a period ("YYYY-MM"): the hours it has existed
+ * during that period, with its package.
+ */
+MockCloudAPI.prototype._usage = function _usage(machine, period) {
+    var m = PERIOD_RE.exec(period);
+    var start = Date.UTC(Number(m[1]), Number(m[2]) - 1, 1);
+    var end = Date.UTC(Number(m[1]), Number(m[2]), 1);
+
+    var from = Math.max(start, new Date(machine.created).getTime());
+    var to = Math.min(end, (machine.state === 'deleted' ?
+        new Date(machine.updated).getTime() : Date.now()));
+
+    return ({
+        period: period,
+        machine: machine.id,
+        name: machine.name,
+        'package': machine['package'],
+        hours: Math.max(0, Math.round((to - from) / 36e5 * 100) / 100)
+    });
+};
+
+
+MockCloudAPI.prototype.getUsage = function (req, res, next) {
+    var self = this;
+    var period = req.params.period;
+
+    if (!PERIOD_RE.test(period)) {
+        return next(new restify.InvalidArgumentError(sprintf(
+            'period %s is not of the form YYYY-MM', period)));
+    }
+
+    res.send(values(self.machines).map(function (m) {
+        return (self._usage(m, period));
+    }).filter(function (u) {
+        return (u.hours > 0);
+    }));
+    return next();
+};
+
+
+MockCloudAPI.prototype.getMachineUsage = function (req, res, next) {
+    var machine = this.machines[req.params.machine];
+    if (!machine) {
+        return next(notFound('VM', req.params.machine));
+    }
+    if (!PERIOD_RE.test(req.params.period)) {
+        return next(new restify.InvalidArgumentError(sprintf(
+            'period %s is not of the form YYYY-MM', req.params.period)));
+    }
+
+    res.send(this._usage(machine, req.params.period));
+    return next();
+};
+
+
+
+// --- Snapshots
+
+
+
+MockCloudAPI.prototype._snapshot = function _snapshot(req, machine, next) {
+    var snapshot = this._snapshots[machine.id].filter(function (s) {
+        return (s.name === req.params.snapshot);
+    })[0];
+
+    if (!snapshot) {
+        next(notFound('snapshot', req.params.snapshot));
+    }
+    return (snapshot);
+};
+
+
+MockCloudAPI.prototype.listSnapshots = function (req, res, next) {
+    var machine = this._machine(req, next);
+    if (machine) {
+        res.send(this._snapshots[machine.id]);
+        next();
+    }
+};
+
+
+MockCloudAPI.prototype.createSnapshot = function (req, res, next) {
+    var machine = this._machine(req, next);
+    if (!machine) {
+        return;
+    }
+
+    var name = (req.body && req.body.name) ||
+        now().replace(/[^0-9]/g, '').slice(0, 14);
+    var snapshots = this._snapshots[machine.id];
+    if (snapshots.some(function (s) {
+        return (s.name === name);
+    })) {
+        return next(new restify.InvalidArgumentError(sprintf(
+            'snapshot %s already exists', name)));
+    }
+
+    var created = now();
+    var snapshot = {
+        name: name,
+        state: 'queued',
+        created: created,
+        updated: created
+    };
+    snapshots.push(snapshot);
+
+    this._later(req, machine, 'create_snapshot', function () {
+        snapshot.state = 'created';
+        snapshot.updated = now();
+    });
+
+    res.send(201, snapshot);
+    return next();
+};
+
+
+MockCloudAPI.prototype.getSnapshot = function (req, res, next) {
+    var machine = this._machine(req, next);
+    var snapshot = machine && this._snapshot(req, machine, next);
+    if (snapshot) {
+        res.send(snapshot);
+        next();
+    }
+};
+
+
+MockCloudAPI.prototype.startFromSnapshot = function (req, res, next) {
+    var machine = this._machine(req, next);
+    var snapshot = machine && this._snapshot(req, machine, next);
+    if (!snapshot) {
+        return;
+    }
+    if (machine.state !== 'stopped') {
+        return next(new restify.ConflictError(sprintf(
+            'VM %s must be stopped to start from a snapshot (state: %s)',
+            machine.id, machine.state)));
+    }
+
+    this._later(req, machine, 'start_from_snapshot', function () {
+        machine.state = 'running';
+    });
+
+    res.send(202);
+    return next();
+};
+
+
+MockCloudAPI.prototype.deleteSnapshot = function (req, res, next) {
+    var self = this;
+    var machine = self._machine(req, next);
+    var snapshot = machine && self._snapshot(req, machine, next);
+    if (!snapshot) {
+        return;
+    }
+
+    snapshot.state = 'deleting';
+    self._later(req, machine, 'delete_snapshot', function () {
+        var snapshots = self._snapshots[machine.id];
+        snapshots.splice(snapshots.indexOf(snapshot), 1);
+    });
+
+    res.send(204);
+    next();
+};
+
+
+
+// --- Tags and metadata
+
+
+
+MockCloudAPI.prototype.listTags = function (req, res, next) {
+    var machine = this._machine(req, next);
+    if (machine) {
+        res.send(machine.tags);
+        next();
+    }
+};
+
+
+MockCloudAPI.prototype.getTag = function (req, res, next) {
+    var machine = this._machine(req, next);
+    if (!machine) {
+        return;
+    }
+
+    if (!machine.tags.hasOwnProperty(req.params.tag)) {
+        return next(notFound('tag', req.params.tag));
+    }
+
+    res.send(String(machine.tags[req.params.tag]));
+    return next();
+};
+
+
+MockCloudAPI.prototype.addTags = function (req, res, next) {
+    var machine = this._machine(req, next);
+    if (!machine) {
+        return;
+    }
+
+    var tags = pick(machine.tags, Object.keys(machine.tags));
+    var body = req.body || {};
+    Object.keys(body).forEach(function (k) {
+        tags[k] = body[k];
+    });
+
+    this._later(req, machine, 'set_tags', function () {
+        machine.tags = tags;
+    });
+
+    res.send(tags);
+    next();
+};
+
+
+MockCloudAPI.prototype.replaceTags = function (req, res, next) {
+    var machine = this._machine(req, next);
+    if (!machine) {
+        return;
+    }
+
+    var tags = req.body || {};
+    this._later(req, machine, 'replace_tags', function () {
+        machine.tags = tags;
+    });
+
+    res.send(tags);
+    next();
+};
+
+
+MockCloudAPI.prototype.deleteTags = function (req, res, next) {
+    var machine = this._machine(req, next);
+    if (!machine) {
+        return;
+    }
+
+    var tag = req.params.tag;
+    if (tag !== undefined && !machine.tags.hasOwnProperty(tag)) {
+        return next(notFound('tag', tag));
+    }
+
+    this._later(req, machine, 'remove_tags', function () {
+        if (tag === undefined) {
+            machine.tags = {};
+        } else {
+            delete machine.tags[tag];
+        }
+    });
+
+    res.send(204);
+    return next();
+};
+
+
+MockCloudAPI.prototype.listMetadata = function (req, res, next) {
+    var machine = this._machine(req, next);
+    if (machine) {
+        res.send(this._machineView(machine,
+            req.query.credentials === 'true').metadata);
+        next();
+    }
+};
+
+
+MockCloudAPI.prototype.getMetadata = function (req, res, next) {
+    var machine = this._machine(req, next);
+    if (!machine) {
+        return;
+    }
+
+    var key = req.params.key;
+    if (!machine.metadata.hasOwnProperty(key) || key === 'credentials') {
+        return next(notFound('metadata key', key));
+    }
+
+    res.send(machine.metadata[key]);
+    return next();
+};
+
+
+MockCloudAPI.prototype.updateMetadata = function (req, res, next) {
+    var machine = this._machine(req, next);
+    if (!machine) {
+        return;
+    }
+
+    var metadata = pick(machine.metadata, Object.keys(machine.metadata));
+    var body = req.body || {};
+    Object.keys(body).forEach(function (k) {
+        metadata[k] = body[k];
+    });
+
+    this._later(req, machine, 'set_metadata', function () {
+        machine.metadata = metadata;
+    });
+
+    delete metadata.credentials;
+    res.send(metadata);
+    next();
+};
+
+
+MockCloudAPI.prototype.deleteMetadata = function (req, res, next) {
+    var machine = this._machine(req, next);
+    if (!machine) {
+        return;
+    }
+
+    var key = req.params.key;
+    if (key !== undefined && !machine.metadata.hasOwnProperty(key)) {
+        return next(notFound('metadata key', key));
+    }
+
+    this._later(req, machine, 'remove_metadata', function () {
+        if (key !== undefined) {
+            delete machine.metadata[key];
+            return;
+        }
+        Object.keys(machine.metadata).forEach(function (k) {
+            if (k !== 'root_authorized_keys') {
+                delete machine.metadata[k];
+            }
+        });
+    });
+
+    res.send(204);
+    return next();
+};
+
+
+
+// --- NICs
+
+
+
+MockCloudAPI.prototype._nic = function _nic(req, machine, next) {
+    var mac = req.params.mac.replace(/:/g, '');
+    var nic = this._nics[machine.id].filter(function (n) {
+        return (n.mac.replace(/:/g, '') === mac);
+    })[0];
+
+    if (!nic) {
+        next(notFound('nic', req.params.mac));
+    }
+    return (nic);
+};
+
+
+MockCloudAPI.prototype.listNics = function (req, res, next) {
+    var machine = this._machine(req, next);
+    if (machine) {
+        res.send(this._nics[machine.id]);
+        next();
+    }
+};
+
+
+MockCloudAPI.prototype.getNic = function (req, res, next) {
+    var machine = this._machine(req, next);
+    var nic = machine && this._nic(req, machine, next);
+    if (nic) {
+        res.send(nic);
+        next();
+    }
+};
+
+
+MockCloudAPI.prototype.createNic = function (req, res, next) {
+    var self = this;
+    var machine = self._machine(req, next);
+    if (!machine) {
+        return;
+    }
+
+    var body = req.body || {};
+    if (!body.network) {
+        return next(missing('network'));
+    }
+    var network = self.networks[body.network];
+    if (!network) {
+        return next(new restify.InvalidArgumentError(sprintf(
+            'network %s not found', body.network)));
+    }
+
+    var nic = self._addNic(machine, network, 'provisioning');
+    self._later(req, machine, 'add_nics', function () {
+        nic.state = 'running';
+        self._syncIps(machine);
+    });
+
+    res.send(201, nic);
+    return next();
+};
+
+
+MockCloudAPI.prototype.deleteNic = function (req, res, next) {
+    var self = this;
+    var machine = self._machine(req, next);
+    var nic = machine && self._nic(req, machine, next);
+    if (!nic) {
+        return;
+    }
+
+    self._later(req, machine, 'remove_nics', function () {
+        var nics = self._nics[machine.id];
+        nics.splice(nics.indexOf(nic), 1);
+        if (nic.primary && nics.length) {
+            nics[0].primary = true;
+        }
+        self._syncIps(machine);
+    });
+
+    res.send(204);
+    next();
+};
+
+
+
+// --- Firewall rules
+
+
+
+MockCloudAPI.prototype._fwrule = function _fwrule(req, next) {
+    var rule = this.fwrules[req.params.fwrule];
+    if (!rule) {
+        next(notFound('rule', req.params.fwrule));
+    }
+    return (rule);
+};
+
+
+MockCloudAPI.prototype._liveMachines = function _liveMachines() {
+    return (values(this.machines).filter(function (m) {
+        return (m.state !== 'deleted');
+    }));
+};
+
+
+MockCloudAPI.prototype.listFwRules = function (req, res, next) {
+    res.send(values(this.fwrules));
+    next();
+};
+
+
+MockCloudAPI.prototype.createFwRule = function (req, res, next) {
+    var body = req.body || {};
+
+    if (!body.rule) {
+        return next(missing('rule'));
+    }
+    if (!/^\s*FROM\s+.+\s+TO\s+.+\s+(ALLOW|BLOCK)\s+\S/i.test(body.rule)) {
+        return next(new restify.InvalidArgumentError(sprintf(
+            'rule is invalid: %s', body.rule)));
+    }
+
+    var rule = {
+        id: uuid.v4(),
+        rule: body.rule,
+        enabled: (body.enabled === true || body.enabled === 'true'),
+        global: false,
+        description: body.description
+    };
+    this.fwrules[rule.id] = rule;
+
+    res.send(201, rule);
+    return next();
+};
+
+
+MockCloudAPI.prototype.getFwRule = function (req, res, next) {
+    var rule = this._fwrule(req, next);
+    if (rule) {
+        res.send(rule);
+        next();
+    }
+};
+
+
+MockCloudAPI.prototype.updateFwRule = function (req, res, next) {
+    var rule = this._fwrule(req, next);
+    if (!rule) {
+        return;
+    }
+
+    var body = req.body || {};
+    if (body.rule !== undefined) {
+        if (!/^\s*FROM\s+.+\s+TO\s+.+\s+(ALLOW|BLOCK)\s+\S/i.test(
+            body.rule)) {
+            return next(new restify.InvalidArgumentError(sprintf(
+                'rule is invalid: %s', body.rule)));
+        }
+        rule.rule = body.rule;
+    }
+    if (body.enabled !== undefined) {
+        rule.enabled = (body.enabled === true || body.enabled === 'true');
+    }
+    if (body.description !== undefined) {
+        rule.description = body.description;
+    }
+
+    res.send(rule);
+    return next();
+};
+
+
+MockCloudAPI.prototype.enableFwRule = function (req, res, next) {
+    var rule = this._fwrule(req, next);
+    if (rule) {
+        rule.enabled = true;
+        res.send(rule);
+        next();
+    }
+};
+
+
+MockCloudAPI.prototype.disableFwRule = function (req, res, next) {
+    var rule = this._fwrule(req, next);
+    if (rule) {
+        rule.enabled = false;
+        res.send(rule);
+        next();
+    }
+};
+
+
+MockCloudAPI.prototype.deleteFwRule = function (req, res, next) {
+    var rule = this._fwrule(req, next);
+    if (rule) {
+        delete this.fwrules[rule.id];
+        res.send(204);
+        next();
+    }
+};
+
+
+MockCloudAPI.prototype.listRuleMachines = function (req, res, next) {
+    var self = this;
+    var rule = self._fwrule(req, next);
+    if (rule) {
+        res.send(ruleTargets(rule.rule, self._liveMachines()).map(
+            function (m) {
+            return (self._machineView(m));
+        }));
+        next();
+    }
+};
+
+
+MockCloudAPI.prototype.listMachineRules = function (req, res, next) {
+    var self = this;
+    var machine = self._machine(req, next);
+    if (machine) {
+        res.send(values(self.fwrules).filter(function (rule) {
+            return (ruleTargets(rule.rule, [machine]).length > 0);
+        }));
+        next();
+    }
+};
+
+
+
+// --- Networks and fabrics
+
+
+
+MockCloudAPI.prototype.listNetworks = function (req, res, next) {
+    var fabricOnly = (req.query.fabric === 'true');
+
+    res.send(values(this.networks).filter(function (n) {
+        return (!fabricOnly || n.fabric);
+    }));
+    next();
+};
+
+
+MockCloudAPI.prototype.getNetwork = function (req, res, next) {
+    var network = this.networks[req.params.network];
+    if (!network) {
+        return next(notFound('network', req.params.network));
+    }
+
+    res.send(network);
+    return next();
+};
+
+
+MockCloudAPI.prototype._vlan = function _vlan(req, next) {
+    var vlan = this.vlans[req.params.vlan];
+    if (!vlan) {
+        next(notFound('vlan', req.params.vlan));
+    }
+    return (vlan);
+};
+
+
+MockCloudAPI.prototype._vlanNetworks = function _vlanNetworks(vlan) {
+    return (values(this.networks).filter(function (n) {
+        return (n.fabric && n.vlan_id === vlan.vlan_id);
+    }));
+};
+
+
+MockCloudAPI.prototype.listVlans = function (req, res, next) {
+    res.send(values(this.vlans));
+    next();
+};
+
+
+MockCloudAPI.prototype.createVlan = function (req, res, next) {
+    var body = req.body || {};
+    var id = Number(body.vlan_id);
+
+    if (body.vlan_id === undefined) {
+        return next(missing('vlan_id'));
+    }
+    if (!body.name) {
+        return next(missing('name'));
+    }
+    if (isNaN(id) || id < 0 || id > 4095 || Math.floor(id) !== id) {
+        return next(new restify.InvalidArgumentError(
+            'vlan_id must be an integer from 0 to 4095'));
+    }
+    if (this.vlans[id]) {
+        return next(new restify.InvalidArgumentError(sprintf(
+            'VLAN %d already exists', id)));
+    }
+
+    this.vlans[id] = {
+        vlan_id: id,
+        name: body.name,
+        description: body.description
+    };
+
+    res.send(201, this.vlans[id]);
+    return next();
+};
+
+
+MockCloudAPI.prototype.getVlan = function (req, res, next) {
+    var vlan = this._vlan(req, next);
+    if (vlan) {
+        res.send(vlan);
+        next();
+    }
+};
+
+
+MockCloudAPI.prototype.updateVlan = function (req, res, next) {
+    var vlan = this._vlan(req, next);
+    if (!vlan) {
+        return;
+    }
+
+    var body = req.body || {};
+    ['name', 'description'].forEach(function (f) {
+        if (body[f] !== undefined) {
+            vlan[f] = body[f];
+        }
+    });
+
+    res.send(vlan);
+    next();
+};
+
+
+MockCloudAPI.prototype.deleteVlan = function (req, res, next) {
+    var vlan = this._vlan(req, next);
+    if (!vlan) {
+        return;
+    }
+
+    if (this._vlanNetworks(vlan).length) {
+        return next(new restify.ConflictError(sprintf(
+            'VLAN %d has networks', vlan.vlan_id)));
+    }
+
+    delete this.vlans[vlan.vlan_id];
+    res.send(204);
+    return next();
+};
+
+
+MockCloudAPI.prototype.listFabricNetworks = function (req, res, next) {
+    var vlan = this._vlan(req, next);
+    if (vlan) {
+        res.send(this._vlanNetworks(vlan));
+        next();
+    }
+};
+
+
+MockCloudAPI.prototype.createFabricNetwork = function (req, res, next) {
+    var vlan = this._vlan(req, next);
+    if (!vlan) {
+        return;
+    }
+
+    var body = req.body || {};
+    var missingParam = ['name', 'subnet', 'provision_start_ip',
+        'provision_end_ip'].filter(function (p) {
+        return (!body[p]);
+    })[0];
+    if (missingParam) {
+        return next(missing(missingParam));
+    }
+    if (!/^\d+\.\d+\.\d+\.\d+\/\d+$/.test(body.subnet)) {
+        return next(new restify.InvalidArgumentError(sprintf(
+            'subnet %s is invalid', body.subnet)));
+    }
+
+    var network = pick(body, ['name', 'description', 'subnet',
+        'provision_start_ip', 'provision_end_ip', 'gateway', 'resolvers',
+        'routes']);
+    network.id = uuid.v4();
+    network['public'] = false;
+    network.fabric = true;
+    network.vlan_id = vlan.vlan_id;
+    network.internet_nat = (body.internet_nat !== false);
+    this.networks[network.id] = network;
+
+    res.send(201, network);
+    return next();
+};
+
+
+MockCloudAPI.prototype.getFabricNetwork = function (req, res, next) {
+    var vlan = this._vlan(req, next);
+    if (!vlan) {
+        return;
+    }
+
+    var network = this.networks[req.params.network];
+    if (!network || network.vlan_id !== vlan.vlan_id) {
+        return next(notFound('network', req.params.network));
+    }
+
+    res.send(network);
+    return next();
+};
+
+
+MockCloudAPI.prototype.deleteFabricNetwork = function (req, res, next) {
+    var self = this;
+    var vlan = self._vlan(req, next);
+    if (!vlan) {
+        return;
+    }
+
+    var network = self.networks[req.params.network];
+    if (!network || network.vlan_id !== vlan.vlan_id) {
+        return next(notFound('network', req.params.network));
+    }
+    if (self.config.default_network === network.id) {
+        return next(new restify.ConflictError(sprintf(
+            'network %s is the default network', network.id)));
+    }
+    if (self._liveMachines().some(function (m) {
+        return (m.networks.indexOf(network.id) !== -1);
+    })) {
+        return next(new restify.ConflictError(sprintf(
+            'network %s is in use', network.id)));
+    }
+
+    delete self.networks[network.id];
+    res.send(204);
+    return next();
+};
+
+
+
+// --- Users, policies and roles
+
+
+
+MockCloudAPI.prototype._named = function _named(map, what, param, req, next) {
+    var obj = lookup(map, req.params[param]);
+    if (!obj) {
+        next(notFound(what, req.params[param]));
+    }
+    return (obj);
+};
+
+
+function userView(user) {
+    var out = pick(user, Object.keys(user));
+    delete out.keys;
+    return (out);
+}
+
+
+MockCloudAPI.prototype.listUsers = function (req, res, next) {
+    res.send(values(this.users).map(userView));
+    next();
+};
+
+
+MockCloudAPI.prototype.createUser = function (req, res, next) {
+    var body = req.body || {};
+
+    var missingParam = ['login', 'email', 'password'].filter(function (p) {
+        return (!body[p]);
+    })[0];
+    if (missingParam) {
+        return next(missing(missingParam));
+    }
+    if (lookup(this.users, body.login)) {
+        return next(new restify.InvalidArgumentError(sprintf(
+            'login %s is already taken', body.login)));
+    }
+
+    var created = now();
+    var user = pick(body, USER_FIELDS);
+    user.id = uuid.v4();
+    user.created = created;
+    user.updated = created;
+    user.keys = {};
+    this.users[user.id] = user;
+
+    res.send(201, userView(user));
+    return next();
+};
+
+
+MockCloudAPI.prototype.getUser = function (req, res, next) {
+    var user = this._named(this.users, 'user', 'user', req, next);
+    if (user) {
+        res.send(userView(user));
+        next();
+    }
+};
+
+
+MockCloudAPI.prototype.updateUser = function (req, res, next) {
+    var user = this._named(this.users, 'user', 'user', req, next);
+    if (!user) {
+        return;
+    }
+
+    var body = req.body || {};
+    USER_FIELDS.forEach(function (f) {
+        if (body[f] !== undefined) {
+            user[f] = body[f];
+        }
+    });
+    user.updated = now();
+
+    res.send(userView(user));
+    next();
+};
+
+
+MockCloudAPI.prototype.changeUserPassword = function (req, res, next) {
+    var user = this._named(this.users, 'user', 'user', req, next);
+    if (!user) {
+        return;
+    }
+
+    var body = req.body || {};
+    if (!body.password) {
+        return next(missing('password'));
+    }
+    if (body.password !== body.password_confirmation) {
+        return next(new restify.InvalidArgumentError(
+            'password and password_confirmation do not match'));
+    }
+    user.updated = now();
+
+    res.send(userView(user));
+    return next();
+};
+
+
+MockCloudAPI.prototype.deleteUser = function (req, res, next) {
+    var self = this;
+    var user = self._named(self.users, 'user', 'user', req, next);
+    if (!user) {
+        return;
+    }
+
+    delete self.users[user.id];
+    values(self.roles).forEach(function (role) {
+        ['members', 'default_members'].forEach(function (f) {
+            role[f] = (role[f] || []).filter(function (login) {
+                return (login !== user.login);
+            });
+        });
+    });
+
+    res.send(204);
+    next();
+};
+
+
+MockCloudAPI.prototype.listPolicies = function (req, res, next) {
+    res.send(values(this.policies));
+    next();
+};
+
+
+MockCloudAPI.prototype.createPolicy = function (req, res, next) {
+    var body = req.body || {};
+
+    if (!body.name) {
+        return next(missing('name'));
+    }
+    if (!body.rules) {
+        return next(missing('rules'));
+    }
+    if (lookup(this.policies, body.name)) {
+        return next(new restify.InvalidArgumentError(sprintf(
+            'policy %s already exists', body.name)));
+    }
+
+    var policy = {
+        id: uuid.v4(),
+        name: body.name,
+        rules: [].concat(body.rules),
+        description: body.description
+    };
+    this.policies[policy.id] = policy;
+
+    res.send(201, policy);
+    return next();
+};
+
+
+MockCloudAPI.prototype.getPolicy = function (req, res, next) {
+    var policy = this._named(this.policies, 'policy', 'policy', req, next);
+    if (policy) {
+        res.send(policy);
+        next();
+    }
+};
+
+
+MockCloudAPI.prototype.updatePolicy = function (req, res, next) {
+    var policy = this._named(this.policies, 'policy', 'policy', req, next);
+    if (!policy) {
+        return;
+    }
+
+    var body = req.body || {};
+    if (body.name !== undefined) {
+        policy.name = body.name;
+    }
+    if (body.rules !== undefined) {
+        policy.rules = [].concat(body.rules);
+    }
+    if (body.description !== undefined) {
+        policy.description = body.description;
+    }
+
+    res.send(policy);
+    next();
+};
+
+
+MockCloudAPI.prototype.deletePolicy = function (req, res, next) {
+    var policy = this._named(this.policies, 'policy', 'policy', req, next);
+    if (!policy) {
+        return;
+    }
+
+    delete this.policies[policy.id];
+    values(this.roles).forEach(function (role) {
+        role.policies = role.policies.filter(function (name) {
+            return (name !== policy.name);
+        });
+    });
+
+    res.send(204);
+    next();
+};
+
+
+/*
+ * Checks that the policies and members of a role exist.
+ */
+MockCloudAPI.prototype._checkRole = function _checkRole(role) {
+    var self = this;
+
+    var policy = (role.policies || []).filter(function (name) {
+        return (!lookup(self.policies, name));
+    })[0];
+    if (policy) {
+        return (new restify.InvalidArgumentError(sprintf(
+            'policy %s not found', policy)));
+    }
+
+    var member = (role.members || []).concat(
+        role.default_members || []).filter(function (login) {
+        return (!lookup(self.users, login));
+    })[0];
+    if (member) {
+        return (new restify.InvalidArgumentError(sprintf(
+            'user %s not found', member)));
+    }
+
+    return (null);
+};
+
+
+MockCloudAPI.prototype.listRoles = function (req, res, next) {
+    res.send(values(this.roles));
+    next();
+};
+
+
+MockCloudAPI.prototype.createRole = function (req, res, next) {
+    var body = req.body || {};
+
+    if (!body.name) {
+        return next(missing('name'));
+    }
+    if (lookup(this.roles, body.name)) {
+        return next(new restify.InvalidArgumentError(sprintf(
+            'role %s already exists', body.name)));
+    }
+
+    var role = {
+        id: uuid.v4(),
+        name: body.name,
+        policies: [].concat(body.policies || []),
+        members: [].concat(body.members || []),
+        default_members: [].concat(body.default_members || [])
+    };
+    var err = this._checkRole(role);
+    if (err) {
+        return next(err);
+    }
+    this.roles[role.id] = role;
+
+    res.send(201, role);
+    return next();
+};
+
+
+MockCloudAPI.prototype.getRole = function (req, res, next) {
+    var role = this._named(this.roles, 'role', 'role', req, next);
+    if (role) {
+        res.send(role);
+        next();
+    }
+};
+
+
+MockCloudAPI.prototype.updateRole = function (req, res, next) {
+    var role = this._named(this.roles, 'role', 'role', req, next);
+    if (!role) {
+        return;
+    }
+
+    var body = req.body || {};
+    var updated = pick(role, Object.keys(role));
+    if (body.name !== undefined) {
+        updated.name = body.name;
+    }
+    ['policies', 'members', 'default_members'].forEach(function (f) {
+        if (body[f] !== undefined) {
+            updated[f] = [].concat(body[f]);
+        }
+    });
+    var err = this._checkRole(updated);
+    if (err) {
+        return next(err);
+    }
+    this.roles[role.id] = updated;
+
+    res.send(updated);
+    return next();
+};
+
+
+MockCloudAPI.prototype.deleteRole = function (req, res, next) {
+    var role = this._named(this.roles, 'role', 'role', req, next);
+    if (role) {
+        delete this.roles[role.id];
+        res.send(204);
+        next();
+    }
+};
+
+
+MockCloudAPI.prototype.setRoleTags = function (req, res, next) {
+    var self = this;
+    var tags = (req.body || {})['role-tag'];
+
+    if (!Array.isArray(tags)) {
+        return next(missing('role-tag'));
+    }
+    var unknown = tags.filter(function (name) {
+        return (!lookup(self.roles, name));
+    })[0];
+    if (unknown) {
+        return next(new restify.InvalidArgumentError(sprintf(
+            'role %s not found', unknown)));
+    }
+
+    var resource = self._resource(req.path());
+    self.roleTags[resource] = tags;
+
+    res.send({name: resource, 'role-tag': tags});
+    return next();
+};
+
+
+
+// --- Exports
+
+
+
+module.exports = {
+    MockCloudAPI: MockCloudAPI,
+
+    createServer: function createServer(options) {
+        return new MockCloudAPI(options);
+    }
+};
+
+
+
+// --- Mainline
+
+
+
+if (require.main === module) {
+    var keyFile = process.env.SSH_KEY || process.env.HOME + '/.ssh/id_rsa';
+    var mock = new MockCloudAPI({
+        account: process.env.SDC_ACCOUNT,
+        keys: [ {
+            name: 'id_rsa',
+            key: fs.readFileSync(keyFile + '.pub', 'utf8')
+        } ],
+        log: restify.bunyan.createLogger({
+            name: 'mock-cloudapi',
+            level: process.env.LOG_LEVEL || 'info'
+        })
+    });
+
+    mock.listen(Number(process.argv[2] || 0), function () {
+        console.log('SDC_URL=%s', mock.url);
+    });
+}
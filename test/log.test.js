@@ -0,0 +1,140 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var bunyan = require('bunyan');
+var fs = require('fs');
+var path = require('path');
+var smartdc = require('../lib');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+var server;
+
+
+function client(opts) {
+    opts.url = opts.url || server.url;
+    opts.noCache = true;
+    opts.retryPolicy = false;
+    opts.sign = smartdc.privateKeySigner({
+        key: fs.readFileSync(KEY, 'utf8'),
+        user: 'test'
+    });
+    return (smartdc.createClient(opts));
+}
+
+
+function logger() {
+    var ring = new bunyan.RingBuffer({limit: 100});
+    var log = bunyan.createLogger({
+        name: 'test',
+        streams: [ {level: 'trace', type: 'raw', stream: ring} ]
+    });
+    return ({log: log, records: ring.records});
+}
+
+
+test('setup', function (t) {
+    server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ]
+    });
+    server.listen(0, function () {
+        t.end();
+    });
+});
+
+
+test('clients log through a child of the given logger', function (t) {
+    var l = logger();
+    var sdc = client({account: 'test', asRole: 'ops', log: l.log});
+
+    t.notEqual(sdc.log, l.log);
+    t.equal(sdc.log.fields.url, server.url);
+    t.equal(sdc.log.fields.account, 'test');
+    t.equal(sdc.log.fields.role, 'ops');
+
+    sdc.getMachine('00000000-0000-0000-0000-000000000000', function (err) {
+        t.equal(err.statusCode, 404);
+
+        var mine = l.records.filter(function (r) {
+            return (r.level === bunyan.ERROR && /CloudAPI\._get/.test(r.msg));
+        });
+        t.ok(mine.length, 'the failed request is logged');
+        mine.forEach(function (r) {
+            t.equal(r.name, 'test');
+            t.equal(r.url, server.url);
+            t.equal(r.account, 'test');
+            t.equal(r.role, 'ops');
+        });
+        sdc.client.close();
+        t.end();
+    });
+});
+
+
+test('logLevel only affects its own client', function (t) {
+    var l = logger();
+    var quiet = client({account: 'test', log: l.log, logLevel: 'fatal'});
+    var loud = client({account: 'my', log: l.log, logLevel: 'debug'});
+
+    t.equal(quiet.log.level(), bunyan.FATAL);
+    t.equal(loud.log.level(), bunyan.DEBUG);
+    t.equal(l.log.level(), bunyan.TRACE, 'the parent is left alone');
+
+    quiet.getAccount(function (err) {
+        t.ifError(err);
+        loud.getAccount(function (err2) {
+            t.ifError(err2);
+            t.equal(l.records.filter(function (r) {
+                return (r.account === 'test');
+            }).length, 0, 'nothing from the quiet client');
+            t.ok(l.records.filter(function (r) {
+                return (r.account === 'my' && r.level === bunyan.DEBUG);
+            }).length, 'debug records from the loud client');
+
+            quiet.client.close();
+            loud.client.close();
+            t.end();
+        });
+    });
+});
+
+
+test('clients without a logger get their own', function (t) {
+    var a = client({account: 'test'});
+    var b = client({account: 'test', logLevel: 'info'});
+
+    t.equal(a.log.level(), bunyan.FATAL, 'fatal by default');
+    t.equal(b.log.level(), bunyan.INFO);
+    a.client.close();
+    b.client.close();
+    t.end();
+});
+
+
+test('createClientForDatacenter shares the parent logger', function (t) {
+    var l = logger();
+    var sdc = client({account: 'test', log: l.log, logLevel: 'info'});
+
+    sdc.createClientForDatacenter('mock-1', function (err, dc) {
+        t.ifError(err);
+        t.equal(dc.options.log, l.log, 'the same logger, not a copy');
+        t.equal(sdc.options.log, l.log);
+        t.notEqual(dc.log, sdc.log);
+        t.equal(dc.log.fields.account, 'test');
+        t.equal(dc.log.level(), bunyan.INFO);
+        sdc.client.close();
+        dc.client.close();
+        t.end();
+    });
+});
+
+
+test('teardown', function (t) {
+    server.close(function () {
+        t.end();
+    });
+});
@@ -0,0 +1,263 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var smartdc = require('../lib');
+var cli = require('./lib/cli');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+// Nothing listens there.
+var DOWN = 'http://127.0.0.1:1';
+
+var east;
+var west;
+var sdc;
+var inflight = 0;
+var maxInflight = 0;
+
+
+function createServer(cb) {
+    var server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ]
+    });
+    server.server.pre(function (req, res, next) {
+        if (!/\/machines/.test(req.url)) {
+            return (next());
+        }
+        maxInflight = Math.max(maxInflight, ++inflight);
+        return (setTimeout(function () {
+            inflight--;
+            next();
+        }, 50));
+    });
+    server.listen(0, function () {
+        cb(server);
+    });
+}
+
+
+function client(url) {
+    return (smartdc.createClient({
+        url: url,
+        account: 'test',
+        noCache: true,
+        retryPolicy: false,
+        sign: smartdc.privateKeySigner({
+            key: fs.readFileSync(KEY, 'utf8'),
+            user: 'test'
+        })
+    }));
+}
+
+
+function machine(server, name) {
+    server.machines[name] = {
+        id: name,
+        name: name,
+        state: 'running',
+        memory: 1024,
+        metadata: {},
+        tags: {}
+    };
+}
+
+
+function closeAll(multi) {
+    Object.keys(multi._clients || {}).forEach(function (name) {
+        multi._clients[name].client.close();
+    });
+}
+
+
+test('setup', function (t) {
+    createServer(function (s1) {
+        createServer(function (s2) {
+            east = s1;
+            west = s2;
+            east.datacenters = {east: east.url, west: west.url, down: DOWN};
+            machine(east, 'e0');
+            machine(east, 'e1');
+            machine(west, 'w0');
+            sdc = client(east.url);
+            t.end();
+        });
+    });
+});
+
+
+test('list calls merge every datacenter\'s results', function (t) {
+    var multi = new smartdc.MultiDatacenterClient({client: sdc});
+
+    multi.listMachines({}, function (err, machines, failures) {
+        t.ifError(err);
+        t.deepEqual(machines.map(function (m) {
+            return (m.datacenter + ':' + m.name);
+        }).sort(), ['east:e0', 'east:e1', 'west:w0']);
+
+        t.equal(failures.length, 1, 'the datacenter that is down');
+        t.equal(failures[0].datacenter, 'down');
+        t.equal(failures[0].error.code, 'ECONNREFUSED');
+
+        multi.getAccount(function (err2, accounts, failures2) {
+            t.ifError(err2);
+            t.deepEqual(accounts.map(function (a) {
+                return (a.datacenter + ':' + a.login);
+            }).sort(), ['east:test', 'west:test'], 'one result per datacenter');
+            t.equal(failures2.length, 1);
+            closeAll(multi);
+            t.end();
+        });
+    });
+});
+
+
+test('unknown datacenters are failures, not errors', function (t) {
+    var multi = new smartdc.MultiDatacenterClient({
+        client: sdc,
+        datacenters: ['east', 'north']
+    });
+
+    multi.listMachines(function (err, machines, failures) {
+        t.ifError(err);
+        t.deepEqual(machines.map(function (m) {
+            return (m.name);
+        }).sort(), ['e0', 'e1'], 'the other datacenters still answer');
+        t.equal(failures.length, 1);
+        t.equal(failures[0].datacenter, 'north');
+        t.ok(failures[0].error instanceof
+            smartdc.errors.ResourceNotFoundError);
+        t.ok(/datacenter north not found/.test(failures[0].error.message));
+
+        var eastClient = multi._clients.east;
+        east.datacenters.north = west.url;
+        multi.listMachines(function (err2, machines2, failures2) {
+            t.ifError(err2);
+            t.deepEqual(failures2, [], 'the missing client is made now');
+            t.deepEqual(machines2.map(function (m) {
+                return (m.datacenter + ':' + m.name);
+            }).sort(), ['east:e0', 'east:e1', 'north:w0']);
+            t.equal(multi._clients.east, eastClient, 'clients are kept');
+            delete east.datacenters.north;
+            closeAll(multi);
+            t.end();
+        });
+    });
+});
+
+
+test('failing to make a client is a failure of its datacenter', function (t) {
+    var multi = new smartdc.MultiDatacenterClient({client: sdc});
+    var create = sdc.createClientForDatacenter;
+
+    sdc.createClientForDatacenter = function (name, cb) {
+        if (name === 'west') {
+            return (cb(new Error('no route to west')));
+        }
+        return (create.call(sdc, name, cb));
+    };
+
+    multi.getClients(function (err, clients, failures) {
+        sdc.createClientForDatacenter = create;
+        t.ifError(err);
+        t.deepEqual(Object.keys(clients).sort(), ['down', 'east']);
+        t.deepEqual(failures.map(function (f) {
+            return ([f.datacenter, f.error.message]);
+        }), [ ['west', 'no route to west'] ]);
+        closeAll(multi);
+        t.end();
+    });
+});
+
+
+test('a call that throws is a failure of each datacenter', function (t) {
+    var multi = new smartdc.MultiDatacenterClient({
+        client: sdc,
+        datacenters: ['east', 'west']
+    });
+
+    multi.getRoleTags('no-slash', function (err, tags, failures) {
+        t.ifError(err);
+        t.deepEqual(tags, []);
+        t.deepEqual(failures.map(function (f) {
+            return ([f.datacenter, f.error.name]);
+        }), [ ['east', 'TypeError'], ['west', 'TypeError'] ]);
+        closeAll(multi);
+        t.end();
+    });
+});
+
+
+test('synchronous methods aren\'t wrapped', function (t) {
+    var multi = new smartdc.MultiDatacenterClient({client: sdc});
+    t.equal(multi.getCacheStats, undefined);
+    t.equal(typeof (multi.getMachine), 'function');
+    t.end();
+});
+
+
+test('the datacenters can\'t be listed', function (t) {
+    var down = client(DOWN);
+    var multi = new smartdc.MultiDatacenterClient({client: down});
+
+    multi.listMachines(function (err, machines, failures) {
+        t.equal(err.code, 'ECONNREFUSED');
+        t.equal(machines, undefined);
+        t.equal(failures, undefined);
+        down.client.close();
+        t.end();
+    });
+});
+
+
+test('concurrency', function (t) {
+    var multi = new smartdc.MultiDatacenterClient({
+        client: sdc,
+        datacenters: ['east', 'west'],
+        concurrency: 1
+    });
+
+    maxInflight = 0;
+    multi.listMachines(function (err, machines) {
+        t.ifError(err);
+        t.equal(machines.length, 3);
+        t.equal(maxInflight, 1, 'one datacenter at a time');
+        closeAll(multi);
+
+        t.throws(function () {
+            return new smartdc.MultiDatacenterClient({client: sdc,
+                concurrency: '2'});
+        }, /options.concurrency/);
+        t.end();
+    });
+});
+
+
+test('sdc-listmachines --all-datacenters', function (t) {
+    cli.run(east, 'sdc-listmachines', ['--all-datacenters', '-o',
+            'datacenter,name', '-s', 'name'], function (err, stdout, stderr) {
+        t.equal(err.code, 3, 'exits 3 as a datacenter failed');
+        t.deepEqual(JSON.parse(stdout), [
+            {datacenter: 'east', name: 'e0'},
+            {datacenter: 'east', name: 'e1'},
+            {datacenter: 'west', name: 'w0'}
+        ]);
+        t.ok(/datacenter down failed/.test(stderr), stderr);
+        t.end();
+    });
+});
+
+
+test('teardown', function (t) {
+    sdc.client.close();
+    east.close(function () {
+        west.close(function () {
+            t.end();
+        });
+    });
+});
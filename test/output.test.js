@@ -0,0 +1,253 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var output = require('../lib/output');
+var cli = require('./lib/cli');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+var MACHINES = [ {
+    id: 'b1',
+    name: 'web1',
+    state: 'running',
+    memory: 1024,
+    ips: ['10.0.0.7', '165.225.1.2'],
+    tags: {role: 'web'}
+}, {
+    id: 'a0',
+    name: 'db0',
+    state: 'stopped',
+    memory: 8192,
+    ips: [],
+    tags: {role: 'db'}
+}, {
+    id: 'c2',
+    name: 'web0',
+    state: 'running',
+    memory: 1024,
+    tags: {}
+} ];
+
+
+function names(items) {
+    return (items.map(function (m) {
+        return (m.name);
+    }));
+}
+
+
+test('parseFields', function (t) {
+    t.deepEqual(output.parseFields('id, name,,state '),
+        ['id', 'name', 'state']);
+    t.deepEqual(output.parseFields(['id,name', 'memory']),
+        ['id', 'name', 'memory']);
+    t.deepEqual(output.parseFields(undefined), []);
+    t.deepEqual(output.parseFields(''), []);
+    t.end();
+});
+
+
+test('getField', function (t) {
+    t.equal(output.getField(MACHINES[0], 'name'), 'web1');
+    t.equal(output.getField(MACHINES[0], 'tags.role'), 'web');
+    t.equal(output.getField(MACHINES[2], 'tags.role.x'), undefined);
+    t.equal(output.getField(MACHINES[2], 'ips.0'), undefined);
+    t.equal(output.getField({'a.b': 1, a: {b: 2}}, 'a.b'), 1,
+        'a dotted key wins over the path');
+    t.end();
+});
+
+
+test('sortItems', function (t) {
+    var items = MACHINES.slice();
+    t.equal(output.sortItems(items, []), items);
+    t.deepEqual(names(items), ['web1', 'db0', 'web0'], 'no fields, no sort');
+
+    t.deepEqual(names(output.sortItems(items, ['name'])),
+        ['db0', 'web0', 'web1']);
+    t.deepEqual(names(output.sortItems(items, ['-memory', 'name'])),
+        ['db0', 'web0', 'web1']);
+    t.deepEqual(names(output.sortItems(items, ['memory', '-name'])),
+        ['web1', 'web0', 'db0'], 'numbers sort as numbers');
+    t.deepEqual(names(output.sortItems(items, ['tags.role', 'name'])),
+        ['db0', 'web1', 'web0'], 'missing values sort last');
+
+    t.throws(function () {
+        output.sortItems(items, 'name');
+    }, /fields \(\[string\]\) required/);
+    t.end();
+});
+
+
+test('formatTable', function (t) {
+    t.equal(output.formatTable(MACHINES, {
+        columns: ['name', 'memory', 'ips', 'tags']
+    }), [
+        'NAME  MEMORY  IPS                   TAGS',
+        'web1  1024    10.0.0.7,165.225.1.2  {"role":"web"}',
+        'db0   8192                          {"role":"db"}',
+        'web0  1024    -                     {}'
+    ].join('\n'));
+
+    t.equal(output.formatTable(MACHINES, {
+        columns: ['id', 'tags.role'],
+        noHeader: true
+    }), 'b1  web\na0  db\nc2  -');
+
+    t.equal(output.formatTable([], {columns: ['id', 'name']}), 'ID  NAME');
+    t.end();
+});
+
+
+test('formatCsv', function (t) {
+    t.equal(output.formatCsv([
+        {name: 'a', note: 'x, "y"'},
+        {name: 'b', note: null},
+        {name: 'c', note: 'two\nlines'}
+    ], {columns: ['name', 'note']}),
+        'name,note\na,"x, ""y"""\nb,\nc,"two\nlines"');
+
+    t.equal(output.formatCsv(MACHINES.slice(0, 1), {
+        columns: ['ips'],
+        noHeader: true
+    }), '"10.0.0.7,165.225.1.2"');
+    t.end();
+});
+
+
+test('formatOutput', function (t) {
+    var opts = {mode: 'table', columns: ['name', 'state']};
+
+    t.equal(output.formatOutput(MACHINES, opts),
+        'NAME  STATE\nweb1  running\ndb0   stopped\nweb0  running');
+
+    opts.fields = ['id'];
+    opts.sort = ['id'];
+    opts.noHeader = true;
+    t.equal(output.formatOutput(MACHINES, opts), 'a0\nb1\nc2');
+    t.deepEqual(names(MACHINES), ['web1', 'db0', 'web0'],
+        'the results are not sorted in place');
+
+    t.equal(output.formatOutput(MACHINES, {
+        mode: 'jsonl',
+        columns: ['name'],
+        fields: ['name', 'tags.role'],
+        sort: ['-name']
+    }), [
+        '{"name":"web1","tags.role":"web"}',
+        '{"name":"web0"}',
+        '{"name":"db0","tags.role":"db"}'
+    ].join('\n'));
+
+    t.deepEqual(JSON.parse(output.formatOutput(MACHINES[1], {
+        mode: 'json',
+        columns: ['name'],
+        fields: ['name', 'memory']
+    })), {name: 'db0', memory: 8192}, 'a single object stays one');
+
+    t.deepEqual(JSON.parse(output.formatOutput(MACHINES, {
+        mode: 'json',
+        columns: ['name']
+    })), MACHINES, 'JSON is whole objects without fields');
+
+    t.equal(output.formatOutput(MACHINES[0], {
+        mode: 'csv',
+        columns: ['name', 'memory']
+    }), 'name,memory\nweb1,1024');
+
+    t.throws(function () {
+        output.formatOutput(MACHINES, {mode: 'yaml', columns: ['name']});
+    }, /unknown output mode: yaml/);
+    t.end();
+});
+
+
+test('-o and -s on every list command', function (t) {
+    var server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ],
+        delay: 20
+    });
+
+    function lines(stdout) {
+        return (stdout.trim().split('\n').map(function (l) {
+            return (JSON.parse(l));
+        }));
+    }
+
+    server.listen(0, function () {
+        var cmds = [
+            ['sdc-listmachines', 'name,state', 'name'],
+            ['sdc-listimages', 'name,version', '-version'],
+            ['sdc-listpackages', 'name,memory', '-memory'],
+            ['sdc-listnetworks', 'name,public', 'name'],
+            ['sdc-listkeys', 'name', 'name'],
+            ['sdc-listfirewallrules', 'id,enabled', 'id']
+        ];
+
+        function next() {
+            var c = cmds.shift();
+            if (!c) {
+                return (listMachines());
+            }
+
+            return cli.run(server, c[0], ['--jsonl', '-o', c[1], '-s', c[2]],
+                    function (err, stdout, stderr) {
+                t.ifError(err, c[0] + ' ' + stderr);
+                var fields = c[1].split(',');
+                var sort = c[2].replace(/^-/, '');
+                var items = (stdout.trim() ? lines(stdout) : []);
+                items.forEach(function (item, i) {
+                    t.deepEqual(Object.keys(item), fields, c[0]);
+                    if (i > 0) {
+                        var a = items[i - 1][sort];
+                        var b = item[sort];
+                        t.ok(c[2][0] === '-' ? a >= b : a <= b,
+                            c[0] + ' sorted by ' + c[2]);
+                    }
+                });
+                next();
+            });
+        }
+
+        // --offset and --state keep working in their long forms.
+        function listMachines() {
+            cli.run(server, 'sdc-listmachines',
+                ['--state', 'stopped', '--offset', '0', '-o', 'name,state'],
+                function (err, stdout, stderr) {
+                t.ifError(err, stderr);
+                t.deepEqual(JSON.parse(stdout), [
+                    {name: 'db0', state: 'stopped'}
+                ]);
+                server.close(function () {
+                    t.end();
+                });
+            });
+        }
+
+        server.machines.a0 = {
+            id: 'a0',
+            name: 'db0',
+            state: 'stopped',
+            type: 'smartmachine',
+            memory: 1024,
+            metadata: {},
+            tags: {}
+        };
+        server.machines.b1 = {
+            id: 'b1',
+            name: 'web0',
+            state: 'running',
+            type: 'smartmachine',
+            memory: 1024,
+            metadata: {},
+            tags: {}
+        };
+        next();
+    });
+});
@@ -0,0 +1,176 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var restify = require('restify');
+var smartdc = require('../lib');
+var cli = require('./lib/cli');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+var NAMES = ['db0', 'db1', 'web0', 'web1', 'web2'];
+
+var server;
+var sdc;
+var failPage = false;
+
+
+function names(machines) {
+    return (machines.map(function (m) {
+        return (m.name);
+    }).sort());
+}
+
+
+test('setup', function (t) {
+    server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ],
+        delay: 20
+    });
+    server.server.pre(function (req, res, next) {
+        if (failPage && /\/machines\?.*offset=2/.test(req.url)) {
+            return (next(new restify.InternalError('page 2 failed')));
+        }
+        return (next());
+    });
+    server.listen(0, function () {
+        sdc = smartdc.createClient({
+            url: server.url,
+            account: 'test',
+            noCache: true,
+            retryPolicy: false,
+            sign: smartdc.privateKeySigner({
+                key: fs.readFileSync(KEY, 'utf8'),
+                user: 'test'
+            })
+        });
+
+        sdc.listImages(function (err, images) {
+            t.ifError(err);
+            var created = 0;
+            NAMES.forEach(function (name) {
+                sdc.createMachine({
+                    image: images[0].id,
+                    'package': 'g4-highcpu-1G',
+                    name: name,
+                    'tag.role': name.slice(0, -1)
+                }, function (err2) {
+                    t.ifError(err2);
+                    if (++created === NAMES.length) {
+                        t.end();
+                    }
+                });
+            });
+        });
+    });
+});
+
+
+test('createListMachinesStream walks every page', function (t) {
+    var pages = [];
+    var machines = [];
+    var s = sdc.createListMachinesStream({limit: 2});
+
+    s.on('page', function (page, info) {
+        pages.push([page.length, info.offset, info.done]);
+    });
+    s.on('data', function (m) {
+        machines.push(m);
+    });
+    s.on('end', function () {
+        t.deepEqual(pages, [ [2, 0, false], [2, 2, false], [1, 4, true] ]);
+        t.deepEqual(names(machines), NAMES);
+        t.end();
+    });
+});
+
+
+test('createListMachinesStream filters and starts at offset', function (t) {
+    sdc.listMachines(function (err, all) {
+        t.ifError(err);
+
+        var machines = [];
+        var s = sdc.createListMachinesStream({
+            limit: 2,
+            offset: 3,
+            filter: 'name=~/^web/'
+        });
+        s.on('data', function (m) {
+            machines.push(m);
+        });
+        s.on('end', function () {
+            t.deepEqual(names(machines), names(all.slice(3).filter(
+                function (m) {
+                return (/^web/.test(m.name));
+            })));
+            t.end();
+        });
+    });
+});
+
+
+test('createListMachinesStream emits listing errors', function (t) {
+    failPage = true;
+    var count = 0;
+    var s = sdc.createListMachinesStream({limit: 2});
+    s.on('data', function () {
+        count++;
+    });
+    s.on('end', function () {
+        t.fail('ended');
+    });
+    s.on('error', function (err) {
+        t.equal(err.statusCode, 500);
+        t.equal(count, 2, 'the first page came through');
+
+        sdc.listAllMachines({limit: 2}, function (err2, machines) {
+            t.equal(err2.statusCode, 500);
+            t.equal(machines, undefined);
+            failPage = false;
+            t.end();
+        });
+    });
+});
+
+
+test('listAllMachines', function (t) {
+    sdc.listAllMachines({limit: 2}, {role: 'web'}, function (err, machines) {
+        t.ifError(err);
+        t.deepEqual(names(machines), ['web0', 'web1', 'web2']);
+
+        sdc.listAllMachines(function (err2, all) {
+            t.ifError(err2);
+            t.deepEqual(names(all), NAMES);
+            t.end();
+        });
+    });
+});
+
+
+test('sdc-listmachines --all', function (t) {
+    cli.run(server, 'sdc-listmachines', ['--all', '--limit', '2', '-o', 'name'],
+            function (err, stdout, stderr) {
+        t.ifError(err, stderr);
+        t.deepEqual(names(JSON.parse(stdout)), NAMES);
+
+        cli.run(server, 'sdc-listmachines', ['--limit', '2'],
+                function (err2, stdout2) {
+            t.ifError(err2);
+            t.equal(JSON.parse(stdout2).length, 2, 'one page without --all');
+            t.end();
+        });
+    });
+});
+
+
+test('teardown', function (t) {
+    sdc.client.close();
+    server.close(function () {
+        t.end();
+    });
+});
@@ -0,0 +1,265 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var profiles = require('../lib/profiles');
+var cli = require('./lib/cli');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+var ENV = ['SDC_PROFILES_FILE', 'SDC_PROFILE', 'SDC_ACCOUNT', 'SDC_URL',
+    'SDC_KEY_ID', 'SDC_USER', 'SDC_API_VERSION'];
+
+var DIR = path.join(cli.homeDir(), 'sdc');
+var FILE = path.join(DIR, 'profiles.json');
+
+var STAGING = {url: 'https://staging', account: 'acme', keyId: 'aa:bb'};
+var PROD = {url: 'https://prod', account: 'acme', keyId: 'cc:dd',
+    role: 'ops'};
+
+var saved = {};
+
+
+/*
+ * Runs `func` with the SDC_* environment variables set to `env` only.
+ */
+function withEnv(env, func) {
+    ENV.forEach(function (k) {
+        if (env[k] === undefined) {
+            delete process.env[k];
+        } else {
+            process.env[k] = env[k];
+        }
+    });
+    return (func());
+}
+
+
+test('setup', function (t) {
+    ENV.forEach(function (k) {
+        saved[k] = process.env[k];
+    });
+    withEnv({SDC_PROFILES_FILE: FILE}, function () {});
+    t.end();
+});
+
+
+test('profilesPath', function (t) {
+    t.equal(profiles.profilesPath(), FILE);
+    delete process.env.SDC_PROFILES_FILE;
+    t.equal(profiles.profilesPath(),
+        path.join(process.env.HOME, '.sdc', 'profiles.json'));
+    process.env.SDC_PROFILES_FILE = FILE;
+    t.end();
+});
+
+
+test('loadProfiles and saveProfiles', function (t) {
+    t.deepEqual(profiles.loadProfiles(), {current: null, profiles: {}},
+        'no file, no profiles');
+
+    profiles.saveProfiles({current: 'staging', profiles: {staging: STAGING}});
+    t.equal(fs.statSync(DIR).mode & parseInt('777', 8), parseInt('700', 8));
+    t.equal(fs.statSync(FILE).mode & parseInt('777', 8), parseInt('600', 8),
+        'only its owner can read it');
+    t.deepEqual(profiles.loadProfiles(FILE),
+        {current: 'staging', profiles: {staging: STAGING}});
+
+    fs.writeFileSync(FILE, '{"profiles":');
+    t.throws(function () {
+        profiles.loadProfiles();
+    }, /invalid profiles file .*profiles.json/);
+
+    t.throws(function () {
+        profiles.saveProfiles({current: 'x'});
+    }, /config.profiles/);
+    t.end();
+});
+
+
+test('validateProfile', function (t) {
+    profiles.validateProfile('staging-2.x_y', STAGING);
+    profiles.validateProfile('name-only');
+
+    t.throws(function () {
+        profiles.validateProfile('has space', STAGING);
+    }, /invalid profile name "has space"/);
+    t.throws(function () {
+        profiles.validateProfile('p', {url: 'u', account: 'a', keyId: 'k',
+            password: 'x'});
+    }, /unknown profile field "password"/);
+    t.throws(function () {
+        profiles.validateProfile('p', {url: 'u', account: 'a'});
+    }, /profile "p" needs a url, account and keyId/);
+    t.end();
+});
+
+
+test('selectProfile', function (t) {
+    profiles.saveProfiles({
+        current: 'staging',
+        profiles: {staging: STAGING, prod: PROD}
+    });
+
+    t.deepEqual(profiles.selectProfile(),
+        {name: 'staging', profile: STAGING, explicit: false});
+    t.deepEqual(profiles.selectProfile('prod'),
+        {name: 'prod', profile: PROD, explicit: true});
+
+    process.env.SDC_PROFILE = 'prod';
+    t.equal(profiles.selectProfile().name, 'prod');
+    t.equal(profiles.selectProfile('staging').name, 'staging',
+        'a name beats SDC_PROFILE');
+    delete process.env.SDC_PROFILE;
+
+    t.throws(function () {
+        profiles.selectProfile('dev');
+    }, /profile "dev" not found in .*profiles.json/);
+
+    profiles.saveProfiles({profiles: {prod: PROD}});
+    t.equal(profiles.selectProfile(), null, 'no current profile');
+    t.end();
+});
+
+
+test('applyProfile', function (t) {
+    profiles.saveProfiles({
+        current: 'staging',
+        profiles: {staging: STAGING, prod: PROD}
+    });
+
+    t.deepEqual(profiles.applyProfile({}), {
+        url: 'https://staging',
+        account: 'acme',
+        keyId: 'aa:bb',
+        profile: 'staging'
+    });
+    t.equal(profiles.applyProfile({url: 'https://flag'}).url, 'https://flag',
+        'flags win');
+
+    withEnv({SDC_PROFILES_FILE: FILE, SDC_URL: 'https://env'}, function () {
+        var opts = profiles.applyProfile({url: 'https://env'},
+            {fromEnv: ['url']});
+        t.equal(opts.url, 'https://env',
+            'the current profile doesn\'t override the environment');
+        t.equal(opts.keyId, 'aa:bb', 'but fills in the rest');
+
+        opts = profiles.applyProfile({url: 'https://env', profile: 'prod'},
+            {fromEnv: ['url']});
+        t.equal(opts.url, 'https://prod',
+            'a chosen profile overrides the environment');
+        t.equal(opts.role, 'ops');
+    });
+
+    profiles.saveProfiles({profiles: {
+        v: {url: 'u', account: 'a', keyId: 'k', 'api-version': '~8'}
+    }});
+    t.equal(profiles.applyProfile({profile: 'v'},
+        {underscores: true}).api_version, '~8');
+    t.deepEqual(profiles.applyProfile({}), {}, 'no profile applies');
+    t.throws(function () {
+        profiles.applyProfile({profile: 'gone'});
+    }, /profile "gone" not found/);
+    t.end();
+});
+
+
+test('sdc-profile and --profile', function (t) {
+    var server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ]
+    });
+    var env = {SDC_PROFILES_FILE: FILE};
+    // Nothing to go on but the profile.
+    var bare = {
+        SDC_PROFILES_FILE: FILE,
+        SDC_URL: undefined,
+        SDC_ACCOUNT: undefined,
+        SDC_KEY_ID: undefined
+    };
+
+    fs.unlinkSync(FILE);
+    server.listen(0, function () {
+        cli.run(server, 'sdc-profile', ['create', 'mock'], env,
+                function (err, stdout, stderr) {
+            t.ifError(err, stderr);
+            t.deepEqual(JSON.parse(stdout), {
+                name: 'mock',
+                current: true,
+                url: server.url,
+                account: 'test',
+                keyId: cli.keyId()
+            }, 'made from the environment, and current as the first');
+
+            cli.run(server, 'sdc-listkeys', ['-o', 'name'], bare,
+                    function (err2, stdout2, stderr2) {
+                t.ifError(err2, stderr2);
+                t.deepEqual(JSON.parse(stdout2), [ {name: 'id_rsa'} ],
+                    'the current profile connects');
+                other();
+            });
+        });
+
+        function other() {
+            cli.run(server, 'sdc-profile', ['create', 'other', '-u',
+                    'http://127.0.0.1:1'], env, function (err) {
+                t.ifError(err);
+                cli.run(server, 'sdc-profile', ['list'], env,
+                        function (err2, stdout) {
+                    t.ifError(err2);
+                    t.deepEqual(JSON.parse(stdout).map(function (p) {
+                        return ([p.name, p.current, p.url]);
+                    }), [
+                        ['mock', true, server.url],
+                        ['other', false, 'http://127.0.0.1:1']
+                    ]);
+                    use();
+                });
+            });
+        }
+
+        function use() {
+            cli.run(server, 'sdc-profile', ['use', 'other'], env,
+                    function (err) {
+                t.ifError(err);
+                cli.run(server, 'sdc-listkeys', ['--profile', 'mock', '-o',
+                        'name'], bare, function (err2, stdout) {
+                    t.ifError(err2, '--profile picks another profile');
+                    t.deepEqual(JSON.parse(stdout), [ {name: 'id_rsa'} ]);
+                    remove();
+                });
+            });
+        }
+
+        function remove() {
+            cli.run(server, 'sdc-profile', ['create', 'mock'], env,
+                    function (err, stdout, stderr) {
+                t.ok(/Profile "mock" already exists/.test(stderr), stderr);
+                cli.run(server, 'sdc-profile', ['rm', 'other'], env,
+                        function (err2) {
+                    t.ifError(err2);
+                    t.deepEqual(profiles.loadProfiles().current, null,
+                        'deleting the current profile unsets it');
+                    cli.run(server, 'sdc-profile', ['show'], env,
+                            function (err3, stdout3, stderr3) {
+                        t.ok(/there is no current profile/.test(stderr3),
+                            stderr3);
+                        server.close(function () {
+                            t.end();
+                        });
+                    });
+                });
+            });
+        }
+    });
+});
+
+
+test('teardown', function (t) {
+    withEnv(saved, function () {});
+    t.end();
+});
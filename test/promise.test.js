@@ -0,0 +1,143 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var smartdc = require('../lib');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+var server;
+var sdc;
+var image;
+
+
+test('setup', function (t) {
+    server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ],
+        delay: 20
+    });
+    server.listen(0, function () {
+        sdc = smartdc.createClient({
+            url: server.url,
+            account: 'test',
+            noCache: true,
+            retryPolicy: false,
+            sign: smartdc.privateKeySigner({
+                key: fs.readFileSync(KEY, 'utf8'),
+                user: 'test'
+            })
+        });
+        t.end();
+    });
+});
+
+
+test('resolves with the body, status and headers', function (t) {
+    var p = sdc.getAccount();
+    t.ok(p instanceof Promise);
+    p.then(function (res) {
+        t.equal(res.body.login, 'test');
+        t.equal(res.statusCode, 200);
+        t.ok(res.headers['content-type']);
+        t.equal(res.pagination, undefined, 'not a paginated listing');
+        return (sdc.listImages());
+    }).then(function (res) {
+        t.ok(Array.isArray(res.body));
+        image = res.body[0].id;
+        t.end();
+    }).catch(function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
+test('callbacks work as before', function (t) {
+    var ret = sdc.getAccount(function (err, account) {
+        t.ifError(err);
+        t.equal(account.login, 'test');
+        t.end();
+    });
+    t.notOk(ret instanceof Promise);
+});
+
+
+test('paginated listings carry pagination', function (t) {
+    var created = 0;
+    [0, 1, 2].forEach(function (i) {
+        sdc.createMachine({
+            image: image,
+            'package': 'g4-highcpu-1G',
+            name: 'p' + i
+        }).then(function () {
+            if (++created < 3) {
+                return (null);
+            }
+            return sdc.listMachines({limit: 2}).then(function (res) {
+                t.equal(res.body.length, 2);
+                t.deepEqual(res.pagination,
+                    {offset: 0, limit: 2, count: 3, done: false});
+                return (sdc.listMachines({limit: 2, offset: 2}));
+            }).then(function (res) {
+                t.equal(res.body.length, 1);
+                t.deepEqual(res.pagination,
+                    {offset: 2, limit: 2, count: 3, done: true});
+                t.end();
+            });
+        }).catch(function (err) {
+            t.ifError(err);
+            t.end();
+        });
+    });
+});
+
+
+test('concurrent calls keep their own responses', function (t) {
+    Promise.all([
+        sdc.listMachines({limit: 1}),
+        sdc.getAccount(),
+        sdc.listMachines({limit: 1, offset: 1})
+    ]).then(function (res) {
+        t.equal(res[0].pagination.offset, 0);
+        t.equal(res[1].pagination, undefined);
+        t.equal(res[1].body.login, 'test');
+        t.equal(res[2].pagination.offset, 1);
+        t.notOk(sdc._response, 'nothing is left on the client');
+        t.end();
+    }).catch(function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
+test('rejects with the error the callback would get', function (t) {
+    sdc.getMachine('00000000-0000-0000-0000-000000000000').then(function () {
+        t.fail('resolved');
+        t.end();
+    }, function (err) {
+        t.ok(err instanceof smartdc.errors.ResourceNotFoundError);
+        t.equal(err.statusCode, 404);
+
+        return sdc.createMachine(42).then(function () {
+            t.fail('resolved');
+        }, function (err2) {
+            t.ok(err2 instanceof TypeError, 'bad input rejects');
+        });
+    }).then(function () {
+        t.end();
+    });
+});
+
+
+test('teardown', function (t) {
+    sdc.client.close();
+    server.close(function () {
+        t.end();
+    });
+});
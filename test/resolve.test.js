@@ -0,0 +1,175 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var smartdc = require('../lib');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+var server;
+var sdc;
+var images;
+var machines = [];
+
+
+// Image creation, as in CloudAPI, finishes a little after the request
+// returns.
+function settle(callback) {
+    setTimeout(callback, server.delay * 3);
+}
+
+test('setup', function (t) {
+    server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ],
+        delay: 20
+    });
+    server.listen(0, function () {
+        sdc = smartdc.createClient({
+            url: server.url,
+            account: 'test',
+            noCache: true,
+            retryPolicy: false,
+            sign: smartdc.privateKeySigner({
+                key: fs.readFileSync(KEY, 'utf8'),
+                user: 'test'
+            })
+        });
+
+        sdc.listImages(function (err, imgs) {
+            t.ifError(err);
+            images = imgs;
+            ['web0', 'dup', 'dup'].forEach(function (name) {
+                sdc.createMachine({
+                    image: images[0].id,
+                    'package': 'g4-highcpu-1G',
+                    name: name
+                }, function (err2, m) {
+                    t.ifError(err2);
+                    machines.push(m);
+                    if (machines.length === 3) {
+                        settle(t.end.bind(t));
+                    }
+                });
+            });
+        });
+    });
+});
+
+
+test('machines', function (t) {
+    var web0 = machines.filter(function (m) {
+        return (m.name === 'web0');
+    })[0];
+
+    sdc.resolve('machine', 'web0', function (err, id) {
+        t.ifError(err);
+        t.equal(id, web0.id);
+
+        sdc.resolve('machine', [web0.id.slice(0, 8), web0.id],
+                function (err2, ids) {
+            t.ifError(err2);
+            t.deepEqual(ids, [web0.id, web0.id]);
+
+            sdc.resolve('machine', 'dup', function (err3) {
+                t.equal(err3.code, 'Ambiguous');
+                t.equal(err3.candidates.length, 2);
+                t.ok(/^machine dup is ambiguous; it could be any of: /.test(
+                    err3.message));
+
+                sdc.resolve('machine', 'nope', function (err4) {
+                    t.equal(err4.code, 'NotFound');
+                    t.equal(err4.message, 'no machine nope');
+
+                    var upper = web0.id.toUpperCase();
+                    sdc.resolve('machine', [upper.slice(0, 8), upper, 'web0'],
+                            function (err5, ids5) {
+                        t.ifError(err5);
+                        t.deepEqual(ids5, [web0.id, web0.id, web0.id],
+                            'uppercase UUIDs and prefixes');
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+test('packages and networks', function (t) {
+    sdc.listPackages(function (err, pkgs) {
+        t.ifError(err);
+        sdc.resolve('package', 'g4-highcpu-4G', function (err2, id) {
+            t.ifError(err2);
+            t.equal(id, pkgs[1].id);
+
+            sdc.listNetworks(function (err3, nets) {
+                t.ifError(err3);
+                sdc.resolve('network', ['external', 'internal'],
+                        function (err4, ids) {
+                    t.ifError(err4);
+                    t.deepEqual(ids, [nets[0].id, nets[1].id]);
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('images by name@version', function (t) {
+    var newer;
+
+    sdc.createImageFromMachine({
+        machine: machines[0].id,
+        name: 'base-64-lts',
+        version: '16.4.2'
+    }, function (err, image) {
+        t.ifError(err);
+        newer = image;
+        settle(function () {
+            sdc.resolve('image', ['base-64-lts', 'base-64-lts@16.4.1'],
+                    function (err2, ids) {
+                t.ifError(err2);
+                t.deepEqual(ids, [newer.id, images[0].id]);
+
+                sdc.createImageFromMachine({
+                    machine: machines[0].id,
+                    name: 'base-64-lts',
+                    version: '16.4.2'
+                }, function (err3) {
+                    t.ifError(err3);
+                    settle(sdc.resolve.bind(sdc, 'image', 'base-64-lts',
+                            function (err4) {
+                        t.equal(err4.code, 'Ambiguous');
+                        t.equal(err4.candidates.length, 2);
+                        t.end();
+                    }));
+                });
+            });
+        });
+    });
+});
+
+
+test('bad input', function (t) {
+    t.throws(function () {
+        sdc.resolve('server', 'cn0', function () {});
+    }, /kind must be one of/);
+    t.throws(function () {
+        sdc.resolve('machine', [''], function () {});
+    }, /names/);
+    t.end();
+});
+
+
+test('teardown', function (t) {
+    sdc.client.close();
+    server.close(function () {
+        t.end();
+    });
+});
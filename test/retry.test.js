@@ -0,0 +1,256 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var restify = require('restify');
+var smartdc = require('../lib');
+var RetryPolicy = require('../lib/retry').RetryPolicy;
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+var server;
+
+// Requests to fail, by "METHOD path", each with the status codes to answer
+// with in turn; see the pre handler in setup.
+var failures = {};
+var attempts = {};
+
+
+function client(retryPolicy) {
+    return (smartdc.createClient({
+        url: server.url,
+        account: 'test',
+        noCache: true,
+        retryPolicy: retryPolicy,
+        sign: smartdc.privateKeySigner({
+            key: fs.readFileSync(KEY, 'utf8'),
+            user: 'test'
+        })
+    }));
+}
+
+
+function error(code) {
+    var e = new Error(code);
+    e.code = code;
+    return (e);
+}
+
+
+test('getDelay backs off on retryable statuses', function (t) {
+    var p = new RetryPolicy({minTimeout: 100, maxTimeout: 350});
+    var err = {statusCode: 503};
+
+    t.equal(p.getDelay(1, err, null, 'GET'), 100);
+    t.equal(p.getDelay(2, err, null, 'get'), 200);
+    t.equal(p.getDelay(3, err, null, 'DELETE'), 350, 'capped');
+    t.equal(p.getDelay(4, err, null, 'GET'), -1, 'out of retries');
+    t.equal(p.getDelay(1, null, null, 'GET'), -1, 'nothing failed');
+
+    [400, 404, 409, 412].forEach(function (code) {
+        t.equal(p.getDelay(1, {statusCode: code}, null, 'GET'), -1,
+            code + ' is not retried');
+    });
+    t.equal(p.getDelay(1, {}, {statusCode: 429}, 'HEAD'), 100,
+        'the status of the response counts too');
+
+    p = new RetryPolicy({retries: 5, factor: 3, minTimeout: 10,
+        statusCodes: [404]});
+    t.equal(p.getDelay(3, {statusCode: 404}, null, 'GET'), 90);
+    t.equal(p.getDelay(1, err, null, 'GET'), -1);
+    t.equal(p.getDelay(6, {statusCode: 404}, null, 'GET'), -1);
+    t.end();
+});
+
+
+test('getDelay only retries what is safe to retry', function (t) {
+    var p = new RetryPolicy({minTimeout: 100});
+    var err = {statusCode: 500};
+
+    t.equal(p.getDelay(1, err, null, 'POST'), -1, 'POST is not idempotent');
+    t.equal(p.getDelay(1, error('ECONNRESET'), null, 'POST'), -1);
+    t.equal(p.getDelay(1, error('ECONNRESET'), null, 'PUT'), 100);
+    t.equal(p.getDelay(1, {name: 'RequestTimeoutError'}, null, 'GET'), 100);
+    t.equal(p.getDelay(1, error('ECONNREFUSED'), null, 'POST'), 100,
+        'a request that was never sent is safe to retry');
+    t.equal(p.getDelay(1, {name: 'ConnectTimeoutError'}, null, 'POST'), 100);
+    t.equal(p.getDelay(1, error('EACCES'), null, 'GET'), -1);
+
+    p = new RetryPolicy({minTimeout: 100, methods: ['get', 'post']});
+    t.deepEqual(p.methods, ['GET', 'POST']);
+    t.equal(p.getDelay(1, err, null, 'POST'), 100, 'POST opted in');
+    t.equal(p.getDelay(1, err, null, 'PUT'), -1);
+    t.end();
+});
+
+
+test('getDelay honors Retry-After', function (t) {
+    var p = new RetryPolicy({minTimeout: 100, maxRetryAfter: 5000});
+    var err = {statusCode: 429};
+
+    function res(value) {
+        return ({statusCode: 429, headers: {'retry-after': value}});
+    }
+
+    t.equal(p.getDelay(1, err, res('3'), 'GET'), 3000);
+    t.equal(p.getDelay(1, err, res('6'), 'GET'), -1, 'too long to wait');
+    t.equal(p.getDelay(1, err, res('soon'), 'GET'), 100, 'unusable');
+
+    var d = p.getDelay(1, err,
+        res(new Date(Date.now() + 2000).toUTCString()), 'GET');
+    t.ok(d > 0 && d <= 2000, 'an HTTP date: ' + d);
+    t.equal(p.getDelay(1, err, res(new Date(0).toUTCString()), 'GET'), 0,
+        'a date in the past');
+    t.end();
+});
+
+
+test('RetryPolicy checks its options', function (t) {
+    t.throws(function () {
+        return new RetryPolicy({retries: '3'});
+    }, /options.retries/);
+    t.throws(function () {
+        return new RetryPolicy({methods: 'GET'});
+    }, /options.methods/);
+    t.equal(new RetryPolicy().retries, 3);
+    t.equal(smartdc.RetryPolicy, RetryPolicy, 'exported');
+    t.end();
+});
+
+
+test('setup', function (t) {
+    server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ]
+    });
+    server.server.pre(function (req, res, next) {
+        var key = req.method + ' ' + req.path();
+        attempts[key] = (attempts[key] || 0) + 1;
+
+        var codes = failures[key];
+        if (!codes || !codes.length) {
+            return (next());
+        }
+
+        var code = codes.shift();
+        if (code === 429) {
+            res.header('retry-after', '0');
+            return (next(new restify.TooManyRequestsError('slow down')));
+        }
+        return (next(new restify.ServiceUnavailableError('try again')));
+    });
+    server.listen(0, function () {
+        t.end();
+    });
+});
+
+
+test('clients retry idempotent requests', function (t) {
+    var sdc = client({minTimeout: 10});
+    failures['GET /test'] = [503, 429];
+    attempts = {};
+
+    sdc.getAccount(function (err, account) {
+        t.ifError(err);
+        t.equal(account.login, 'test');
+        t.equal(attempts['GET /test'], 3);
+
+        failures['GET /test'] = [503, 503, 503, 503];
+        attempts = {};
+        sdc.getAccount(function (err2) {
+            t.equal(err2.statusCode, 503, 'the last error once out of retries');
+            t.equal(attempts['GET /test'], 4);
+            sdc.client.close();
+            t.end();
+        });
+    });
+});
+
+
+test('clients don\'t retry POSTs unless told to', function (t) {
+    var sdc = client({minTimeout: 10});
+    failures['POST /test/keys'] = [503];
+    attempts = {};
+
+    var key = {name: 'other', key: fs.readFileSync(KEY + '.pub', 'utf8')};
+    sdc.createKey(key, function (err) {
+        t.equal(err.statusCode, 503);
+        t.equal(attempts['POST /test/keys'], 1);
+        sdc.client.close();
+
+        sdc = client({minTimeout: 10, methods: ['POST']});
+        failures['POST /test/keys'] = [503];
+        attempts = {};
+        sdc.createKey(key, function (err2, k) {
+            t.ifError(err2);
+            t.equal(k.name, 'other');
+            t.equal(attempts['POST /test/keys'], 2);
+            sdc.client.close();
+            t.end();
+        });
+    });
+});
+
+
+test('retryPolicy false or a custom policy', function (t) {
+    var sdc = client(false);
+    failures['GET /test'] = [503];
+    attempts = {};
+
+    sdc.getAccount(function (err) {
+        t.equal(err.statusCode, 503);
+        t.equal(attempts['GET /test'], 1);
+        sdc.client.close();
+
+        var asked = [];
+        sdc = client({
+            getDelay: function (attempt, err2, res, method) {
+                asked.push([attempt, err2.statusCode, method]);
+                return (attempt < 2 ? 0 : -1);
+            }
+        });
+        failures['GET /test'] = [503, 503, 503];
+        attempts = {};
+        sdc.getAccount(function (err3) {
+            t.equal(err3.statusCode, 503);
+            t.deepEqual(asked, [ [1, 503, 'GET'], [2, 503, 'GET'] ]);
+            t.equal(attempts['GET /test'], 2);
+            failures['GET /test'] = [];
+            sdc.client.close();
+            t.end();
+        });
+    });
+});
+
+
+test('retryPolicy false doesn\'t retry refused connections', function (t) {
+    var start = Date.now();
+    var sdc = smartdc.createClient({
+        url: 'http://127.0.0.1:1',
+        account: 'test',
+        noCache: true,
+        retryPolicy: false,
+        sign: smartdc.privateKeySigner({
+            key: fs.readFileSync(KEY, 'utf8'),
+            user: 'test'
+        })
+    });
+
+    sdc.getAccount(function (err) {
+        t.equal(err.code, 'ECONNREFUSED');
+        t.ok(Date.now() - start < 500, 'failed at once, not after a retry');
+        sdc.client.close();
+        t.end();
+    });
+});
+
+
+test('teardown', function (t) {
+    server.close(function () {
+        t.end();
+    });
+});
@@ -0,0 +1,311 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var net = require('net');
+var path = require('path');
+var smartdc = require('../lib');
+var rollout = require('../lib/rollout');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+var server;
+var sdc;
+var machines = {};
+var web;
+
+// Polls of the mock need not wait long.
+var FAST = {interval: 20, waitTimeout: 2000, healthTimeout: 500};
+
+
+function names(list) {
+    return (list.map(function (m) {
+        return (m.name);
+    }));
+}
+
+
+// The last change made to a machine.
+function lastAction(m) {
+    var audit = server._audit[m.id];
+    return (audit[audit.length - 1].action);
+}
+
+
+function opts(o) {
+    Object.keys(FAST).forEach(function (k) {
+        o[k] = FAST[k];
+    });
+    return (o);
+}
+
+
+test('setup', function (t) {
+    server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ],
+        delay: 20
+    });
+    server.listen(0, function () {
+        sdc = smartdc.createClient({
+            url: server.url,
+            account: 'test',
+            noCache: true,
+            retryPolicy: false,
+            sign: smartdc.privateKeySigner({
+                key: fs.readFileSync(KEY, 'utf8'),
+                user: 'test'
+            })
+        });
+
+        sdc.listImages(function (err, images) {
+            t.ifError(err);
+            ['web0', 'web1', 'web2'].forEach(function (name) {
+                sdc.createMachine({
+                    image: images[0].id,
+                    'package': 'g4-highcpu-1G',
+                    name: name
+                }, function (err2, m) {
+                    t.ifError(err2);
+                    machines[name] = m;
+                    if (Object.keys(machines).length < 3) {
+                        return;
+                    }
+                    setTimeout(function () {
+                        sdc.selectMachines({name: 'web*'},
+                                function (err3, list) {
+                            t.ifError(err3);
+                            web = list.sort(function (a, b) {
+                                return (a.name < b.name ? -1 : 1);
+                            });
+                            t.end();
+                        });
+                    }, server.delay * 3);
+                });
+            });
+        });
+    });
+});
+
+
+test('makeBatches', function (t) {
+    t.deepEqual(rollout.makeBatches([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+    t.deepEqual(rollout.makeBatches([], 3), []);
+    t.throws(function () {
+        rollout.makeBatches([1], 0);
+    }, /size >= 1/);
+    t.end();
+});
+
+
+test('reboot in batches', function (t) {
+    var batches = [];
+    var seen = [];
+
+    rollout.runRollout(sdc, web, opts({
+        action: 'reboot',
+        batchSize: 2,
+        onBatch: function (i, batch) {
+            batches.push(names(batch));
+        },
+        onResult: function (m, err) {
+            t.ifError(err);
+            t.equal(lastAction(m), 'reboot', m.name + ' rebooted');
+            seen.push(m.name);
+        }
+    }), function (err, results) {
+        t.ifError(err);
+        t.deepEqual(batches, [['web0', 'web1'], ['web2']]);
+        t.deepEqual(seen.slice(2), ['web2'], 'batches one after the other');
+        t.equal(results.done.length, 3);
+        t.deepEqual(results.failed, []);
+        t.notOk(results.aborted);
+        t.end();
+    });
+});
+
+
+test('resize', function (t) {
+    rollout.runRollout(sdc, web.slice(0, 1), opts({
+        action: 'resize',
+        'package': 'g4-highcpu-4G'
+    }), function (err, results) {
+        t.ifError(err);
+        t.equal(results.done.length, 1);
+        t.equal(server.machines[machines.web0.id]['package'], 'g4-highcpu-4G');
+
+        rollout.runRollout(sdc, web, opts({
+            action: 'resize',
+            'package': 'no-such-package'
+        }), function (err2) {
+            t.equal(err2.statusCode, 404);
+            t.end();
+        });
+    });
+});
+
+
+test('metadata health check', function (t) {
+    // Already set, so the rollout has to mark it for the check to mean
+    // anything.
+    web.forEach(function (m) {
+        server.machines[m.id].metadata.healthy = 'yes';
+    });
+
+    // What the machines would do once they're back up.
+    setTimeout(function () {
+        web.forEach(function (m) {
+            server.machines[m.id].metadata.healthy = 'yes';
+        });
+    }, 200);
+
+    rollout.runRollout(sdc, web, opts({
+        action: 'reboot',
+        batchSize: 3,
+        health: {metadata: 'healthy', value: 'yes'}
+    }), function (err, results) {
+        t.ifError(err);
+        t.equal(results.done.length, 3);
+        t.deepEqual(results.failed, []);
+        t.end();
+    });
+});
+
+
+test('metadata health check failure keeps the old value', function (t) {
+    var md = server.machines[web[0].id].metadata;
+    md.healthy = 'old';
+    delete server.machines[web[1].id].metadata.healthy;
+
+    rollout.runRollout(sdc, web.slice(0, 2), opts({
+        action: 'reboot',
+        batchSize: 2,
+        health: {metadata: 'healthy'}
+    }), function (err, results) {
+        t.ifError(err);
+        t.equal(results.failed.length, 2, 'nothing sets the key');
+        t.equal(results.failed[0].error.code, 'Timeout');
+        t.equal(md.healthy, 'old', 'the old value is put back');
+        t.equal(server.machines[web[1].id].metadata.healthy, undefined,
+            'an unset key stays unset');
+        t.end();
+    });
+});
+
+
+test('port health check', function (t) {
+    // Only probes made once the machine has rebooted count.
+    var audit = server._audit[machines.web1.id];
+    var before;
+    var listener = net.createServer(function (c) {
+        if (audit.length === before) {
+            t.fail('probed before the reboot');
+        }
+        c.end();
+    });
+
+    listener.listen(0, '127.0.0.1', function () {
+        var port = listener.address().port;
+        server.machines[machines.web1.id].primaryIp = '127.0.0.1';
+
+        before = audit.length;
+        rollout.runRollout(sdc, [web[1]], opts({
+            action: 'reboot',
+            health: {port: port}
+        }), function (err, results) {
+            t.ifError(err);
+            t.equal(results.done.length, 1);
+
+            listener.close(function () {
+                rollout.runRollout(sdc, [web[1]], opts({
+                    action: 'reboot',
+                    health: {port: port}
+                }), function (err2, results2) {
+                    t.ifError(err2);
+                    t.equal(results2.failed.length, 1);
+                    t.equal(results2.failed[0].error.code, 'Timeout');
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('abort on failures', function (t) {
+    // Only web1 has the snapshot, so the others fail to start from it.
+    sdc.createMachineSnapshot(machines.web1.id, {name: 'good'},
+            function (err) {
+        t.ifError(err);
+
+        var list = [web[0], web[1], web[2]];
+        rollout.runRollout(sdc, list, opts({
+            action: 'snapshot',
+            snapshot: 'good',
+            batchSize: 1
+        }), function (err2, results) {
+            t.ifError(err2);
+            t.equal(results.failed.length, 1);
+            t.equal(results.failed[0].machine.name, 'web0');
+            t.equal(results.failed[0].error.statusCode, 404);
+            t.deepEqual(names(results.skipped), ['web1', 'web2']);
+            t.ok(results.aborted);
+            t.equal(server.machines[machines.web0.id].state, 'running',
+                'not stopped without the snapshot');
+
+            rollout.runRollout(sdc, list, opts({
+                action: 'snapshot',
+                snapshot: 'good',
+                maxFailures: 1
+            }), function (err3, results3) {
+                t.ifError(err3);
+                t.deepEqual(names(results3.done), ['web1']);
+                t.equal(results3.failed.length, 2);
+                t.ok(results3.aborted);
+                t.deepEqual(results3.skipped, []);
+
+                var audit = server._audit[machines.web1.id];
+                t.deepEqual(audit.slice(-2).map(function (a) {
+                    return (a.action);
+                }), ['stop', 'start_from_snapshot'], 'stopped, then started');
+                t.equal(server.machines[machines.web1.id].state, 'running');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('snapshot start needs a stopped machine', function (t) {
+    sdc.startMachineFromSnapshot(machines.web1.id, 'good', function (err) {
+        t.equal(err.statusCode, 409);
+        t.ok(/must be stopped/.test(err.message), err.message);
+        t.end();
+    });
+});
+
+
+test('bad options', function (t) {
+    t.throws(function () {
+        rollout.runRollout(sdc, web, {action: 'stop'}, function () {});
+    }, /options.action must be one of/);
+    t.throws(function () {
+        rollout.runRollout(sdc, web, {action: 'resize'}, function () {});
+    }, /options.package/);
+    t.throws(function () {
+        rollout.runRollout(sdc, web, {action: 'reboot', health: {}},
+            function () {});
+    }, /port or a metadata key/);
+    t.end();
+});
+
+
+test('teardown', function (t) {
+    sdc.client.close();
+    server.close(function () {
+        t.end();
+    });
+});
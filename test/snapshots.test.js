@@ -0,0 +1,258 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var smartdc = require('../lib');
+var snapshots = require('../lib/snapshots');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+// A Wednesday.
+var NOW = new Date('2019-03-06T12:30:00Z');
+var HOUR = 3600 * 1000;
+
+var server;
+var sdc;
+var machines = {};
+
+
+/*
+ * Snapshot objects named for times `hours` (an array) before NOW.
+ */
+function ago(hours) {
+    return (hours.map(function (h) {
+        return ({
+            name: snapshots.snapshotName(new Date(NOW - h * HOUR)),
+            state: 'created'
+        });
+    }));
+}
+
+
+function names(list) {
+    return (list.map(function (s) {
+        return (s.name);
+    }));
+}
+
+
+test('setup', function (t) {
+    server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ],
+        delay: 20
+    });
+    server.listen(0, function () {
+        sdc = smartdc.createClient({
+            url: server.url,
+            account: 'test',
+            noCache: true,
+            retryPolicy: false,
+            sign: smartdc.privateKeySigner({
+                key: fs.readFileSync(KEY, 'utf8'),
+                user: 'test'
+            })
+        });
+
+        sdc.listImages(function (err, images) {
+            t.ifError(err);
+            ['web0', 'web1'].forEach(function (name) {
+                sdc.createMachine({
+                    image: images[0].id,
+                    'package': 'g4-highcpu-1G',
+                    name: name
+                }, function (err2, m) {
+                    t.ifError(err2);
+                    machines[name] = m;
+                    if (Object.keys(machines).length === 2) {
+                        t.end();
+                    }
+                });
+            });
+        });
+    });
+});
+
+
+test('snapshot names', function (t) {
+    t.equal(snapshots.snapshotName(NOW), 'auto-20190306T123000Z');
+    t.equal(snapshots.snapshotName(NOW, 'db-'), 'db-20190306T123000Z');
+    t.equal(snapshots.parseSnapshotName('auto-20190306T123000Z').getTime(),
+        NOW.getTime());
+    t.equal(snapshots.parseSnapshotName('db-20190306T123000Z', 'db-')
+        .getTime(), NOW.getTime());
+    t.equal(snapshots.parseSnapshotName('db-20190306T123000Z'), null);
+    t.equal(snapshots.parseSnapshotName('auto-before-upgrade'), null);
+    t.end();
+});
+
+
+test('parseRetention', function (t) {
+    t.deepEqual(snapshots.parseRetention('hourly=24, weekly=4'),
+        {hourly: 24, daily: 0, weekly: 4});
+    [
+        ['monthly=3', /invalid retention "monthly=3"/],
+        ['daily', /invalid retention "daily"/],
+        ['daily=0', /must keep some snapshots/]
+    ].forEach(function (c) {
+        t.throws(function () {
+            snapshots.parseRetention(c[0]);
+        }, c[1]);
+    });
+    t.end();
+});
+
+
+test('selectPrunable', function (t) {
+    // Every 30 minutes for the last 3 hours, then every 6 hours for a
+    // fortnight, plus one not made by the policy.
+    var hours = [0, 0.5, 1, 1.5, 2, 2.5];
+    var h;
+    for (h = 6; h <= 14 * 24; h += 6) {
+        hours.push(h);
+    }
+    var list = ago(hours).concat({name: 'before-upgrade'});
+
+    var r = snapshots.selectPrunable(list,
+        snapshots.parseRetention('hourly=2'));
+    t.deepEqual(names(r.keep), names(ago([0, 1])), 'newest of each hour');
+    t.equal(r.prune.length, hours.length - 2);
+    t.equal(r.prune.indexOf(list[list.length - 1]), -1, 'not ours');
+
+    r = snapshots.selectPrunable(list, snapshots.parseRetention('daily=3'));
+    // NOW is 12:30, so today's newest is NOW, and the days before end at
+    // 18:30 (and 6 hour steps from NOW).
+    t.deepEqual(names(r.keep), names(ago([0, 18, 42])));
+
+    r = snapshots.selectPrunable(list,
+        snapshots.parseRetention('hourly=1,weekly=2'));
+    // Monday 2019-03-04 starts this week; the newest of last week is from
+    // Sunday 18:30.
+    t.deepEqual(names(r.keep), names(ago([0, 66])));
+
+    t.deepEqual(snapshots.selectPrunable([],
+        snapshots.parseRetention('daily=1')), {keep: [], prune: []});
+    t.end();
+});
+
+
+test('selectPrunable counts only created snapshots', function (t) {
+    var list = ago([0, 1, 2, 3]);
+    list[0].state = 'failed';
+    list[1].state = 'queued';
+
+    var r = snapshots.selectPrunable(list,
+        snapshots.parseRetention('hourly=1'));
+    t.deepEqual(names(r.keep), names([list[2]]), 'newest good one kept');
+    t.deepEqual(names(r.prune), names([list[3]]));
+    t.end();
+});
+
+
+test('runPolicy', function (t) {
+    var old = ago([1, 25, 49]);
+    var seen = [];
+    var opts = {
+        retention: snapshots.parseRetention('daily=1'),
+        now: NOW,
+        interval: 10,
+        dryRun: true,
+        onResult: function (r) {
+            seen.push(r.machine.name);
+        }
+    };
+
+    old.concat({name: 'manual'}).forEach(function (s) {
+        server._snapshots[machines.web0.id].push({
+            name: s.name,
+            state: 'created'
+        });
+    });
+
+    var list = [machines.web0, machines.web1];
+    snapshots.runPolicy(sdc, list, opts, function (err, results) {
+        t.ifError(err);
+        t.deepEqual(seen, ['web0', 'web1']);
+        t.equal(results[0].created, 'auto-20190306T123000Z');
+        t.deepEqual(results[0].pruned, names(old));
+        t.deepEqual(results[1].pruned, []);
+        t.equal(server._snapshots[machines.web0.id].length, 4,
+            'dry run changes nothing');
+
+        // Nothing is deleted before the new snapshot is created.
+        var states = [];
+        server.server.pre(function (req, res, next) {
+            if (req.method === 'DELETE' && /\/snapshots\//.test(req.url)) {
+                states.push(server._snapshots[machines.web0.id].filter(
+                    function (snap) {
+                    return (snap.name === 'auto-20190306T123000Z');
+                })[0].state);
+            }
+            next();
+        });
+
+        opts.dryRun = false;
+        snapshots.runPolicy(sdc, list, opts, function (err2, results2) {
+            t.ifError(err2);
+            t.deepEqual(results2[0].pruned, names(old));
+            t.deepEqual(states, ['created', 'created', 'created']);
+            t.ifError(results2[0].error);
+            t.deepEqual(names(server._snapshots[machines.web1.id]),
+                ['auto-20190306T123000Z']);
+
+            setTimeout(function () {
+                t.deepEqual(names(server._snapshots[machines.web0.id]),
+                    ['manual', 'auto-20190306T123000Z']);
+
+                // The same snapshot again fails.
+                snapshots.runPolicy(sdc, [machines.web0], opts,
+                        function (err3, results3) {
+                    t.ifError(err3);
+                    t.ok(results3[0].error);
+                    t.equal(results3[0].created, null);
+                    t.end();
+                });
+            }, server.delay * 3);
+        });
+    });
+});
+
+
+test('runPolicy keeps everything if the new snapshot fails', function (t) {
+    var later = server._later;
+    server._later = function (req, machine, action, change, via) {
+        if (action === 'create_snapshot') {
+            var snaps = server._snapshots[machine.id];
+            change = function () {
+                snaps[snaps.length - 1].state = 'failed';
+            };
+        }
+        return (later.call(server, req, machine, action, change, via));
+    };
+
+    snapshots.runPolicy(sdc, [machines.web1], {
+        retention: snapshots.parseRetention('hourly=1'),
+        now: new Date(NOW.getTime() + HOUR),
+        interval: 10
+    }, function (err, results) {
+        server._later = later;
+        t.ifError(err);
+        t.equal(results[0].error.code, 'SnapshotFailed');
+        t.deepEqual(results[0].pruned, []);
+        t.deepEqual(names(server._snapshots[machines.web1.id]),
+            ['auto-20190306T123000Z', 'auto-20190306T133000Z']);
+        t.end();
+    });
+});
+
+
+test('teardown', function (t) {
+    sdc.client.close();
+    server.close(function () {
+        t.end();
+    });
+});
@@ -0,0 +1,208 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var smartdc = require('../lib');
+var cli = require('./lib/cli');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+var server;
+var sdc;
+var env;
+var nets = {};
+var machines = {};
+
+
+function settle(callback) {
+    setTimeout(callback, server.delay * 3);
+}
+
+
+/*
+ * Runs sdc-ssh with an `ssh` that prints its arguments.
+ */
+function sdcSsh(args, callback) {
+    cli.run(server, 'sdc-ssh', args, env, callback);
+}
+
+
+function sshArgs(login, ip, rest) {
+    var key = path.join(cli.homeDir(), '.ssh', 'id_rsa');
+    return (['-l', login, '-i', key, '-o', 'IdentitiesOnly=yes', ip]
+        .concat(rest || []).join(' '));
+}
+
+
+function ip(machine, network) {
+    return (server._nics[machine.id].filter(function (n) {
+        return (n.network === nets[network].id);
+    })[0].ip);
+}
+
+
+test('setup', function (t) {
+    var bin = path.join(cli.homeDir(), 'bin');
+    if (!fs.existsSync(bin)) {
+        fs.mkdirSync(bin);
+    }
+    fs.writeFileSync(path.join(bin, 'ssh'), '#!/bin/sh\necho "$@"\n',
+        {mode: 493});
+    env = {PATH: bin + ':' + process.env.PATH};
+
+    server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ],
+        delay: 20
+    });
+    // Private, though not in an RFC 1918 range.
+    server.networks.cgnat = {
+        id: 'cgnat',
+        name: 'cgnat',
+        'public': false,
+        fabric: true,
+        subnet: '100.64.0.0/24'
+    };
+    Object.keys(server.networks).forEach(function (id) {
+        nets[server.networks[id].name] = server.networks[id];
+    });
+    server.images.win = {
+        id: 'win',
+        name: 'windows-2012r2',
+        version: '20190101',
+        os: 'windows',
+        type: 'virtualmachine',
+        requirements: {},
+        'public': true,
+        state: 'active'
+    };
+
+    server.listen(0, function () {
+        sdc = smartdc.createClient({
+            url: server.url,
+            account: 'test',
+            noCache: true,
+            retryPolicy: false,
+            sign: smartdc.privateKeySigner({
+                key: fs.readFileSync(KEY, 'utf8'),
+                user: 'test'
+            })
+        });
+
+        sdc.listImages(function (err, images) {
+            t.ifError(err);
+            var byName = {};
+            images.forEach(function (i) {
+                byName[i.name] = i.id;
+            });
+
+            var specs = [
+                // The primary NIC is on the private network.
+                ['ubuntu0', 'ubuntu-16.04', ['internal', 'external']],
+                ['base0', 'base-64-lts', ['external', 'cgnat']],
+                ['win0', 'windows-2012r2', ['external']],
+                ['private0', 'base-64-lts', ['internal']]
+            ];
+            specs.forEach(function (spec) {
+                sdc.createMachine({
+                    image: byName[spec[1]],
+                    'package': 'g4-highcpu-1G',
+                    name: spec[0],
+                    networks: spec[2].map(function (n) {
+                        return (nets[n].id);
+                    })
+                }, function (err2, m) {
+                    t.ifError(err2);
+                    machines[spec[0]] = m;
+                    if (Object.keys(machines).length === specs.length) {
+                        settle(t.end.bind(t));
+                    }
+                });
+            });
+        });
+    });
+});
+
+
+test('public IP and login by image', function (t) {
+    var cases = [
+        // [args, expected ssh args]
+        [['ubuntu0'], sshArgs('ubuntu', ip(machines.ubuntu0, 'external'))],
+        [['base0'], sshArgs('root', ip(machines.base0, 'external'))],
+        [['win0'], sshArgs('Administrator', ip(machines.win0, 'external'))],
+        [['--fabric', 'base0'], sshArgs('root', ip(machines.base0, 'cgnat'))],
+        [['--fabric', 'ubuntu0'],
+            sshArgs('ubuntu', ip(machines.ubuntu0, 'internal'))],
+        [['-l', 'bob', 'ubuntu0', '--', 'uptime'],
+            sshArgs('bob', ip(machines.ubuntu0, 'external'), ['uptime'])],
+        [['--ip', '192.0.2.1', machines.win0.id.slice(0, 8)],
+            sshArgs('Administrator', '192.0.2.1')],
+        [['private0'], sshArgs('root', ip(machines.private0, 'internal')),
+            'no public IP, so the primary one']
+    ];
+
+    function next() {
+        var c = cases.shift();
+        if (!c) {
+            return (t.end());
+        }
+
+        return sdcSsh(c[0], function (err, stdout, stderr) {
+            t.ifError(err, stderr);
+            t.equal(stdout.trim(), c[1], c[2] || c[0].join(' '));
+            next();
+        });
+    }
+
+    next();
+});
+
+
+test('a machine whose image is gone', function (t) {
+    var image = server.images.win;
+    delete server.images.win;
+
+    sdcSsh(['win0'], function (err, stdout, stderr) {
+        server.images.win = image;
+        t.ifError(err, stderr);
+        t.equal(stdout.trim(), sshArgs('root', ip(machines.win0, 'external')),
+            'logs in as root');
+        t.end();
+    });
+});
+
+
+test('machines that can\'t be connected to', function (t) {
+    sdcSsh(['--fabric', 'win0'], function (err, stdout, stderr) {
+        t.equal(err.code, 1);
+        t.ok(/machine win0 has no private IP/.test(stderr), stderr);
+
+        sdc.stopMachine(machines.win0.id, function (err2) {
+            t.ifError(err2);
+            settle(function () {
+                sdcSsh(['win0'], function (err3, stdout3, stderr3) {
+                    t.equal(err3.code, 1);
+                    t.ok(/machine win0 is stopped/.test(stderr3), stderr3);
+
+                    sdcSsh([], function (err4, stdout4, stderr4) {
+                        t.equal(err4.code, 1);
+                        t.ok(/^machine required/.test(stderr4), stderr4);
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+test('teardown', function (t) {
+    sdc.client.close();
+    server.close(function () {
+        t.end();
+    });
+});
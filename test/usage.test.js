@@ -0,0 +1,191 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var smartdc = require('../lib');
+var output = require('../lib/output');
+var usage = require('../lib/usage');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+var server;
+var sdc;
+var machines = {};
+
+// Last month, all of which the machines have been around for.
+var NOW = new Date();
+var START = Date.UTC(NOW.getUTCFullYear(), NOW.getUTCMonth() - 1, 1);
+var END = Date.UTC(NOW.getUTCFullYear(), NOW.getUTCMonth(), 1);
+var PERIOD = new Date(START).toISOString().slice(0, 7);
+var HOURS = (END - START) / 36e5;
+
+
+test('setup', function (t) {
+    server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ],
+        delay: 20
+    });
+    server.listen(0, function () {
+        sdc = smartdc.createClient({
+            url: server.url,
+            account: 'test',
+            noCache: true,
+            retryPolicy: false,
+            sign: smartdc.privateKeySigner({
+                key: fs.readFileSync(KEY, 'utf8'),
+                user: 'test'
+            })
+        });
+
+        sdc.listImages(function (err, images) {
+            t.ifError(err);
+            [
+                ['web0', 'g4-highcpu-1G', 'ops'],
+                ['web1', 'g4-highcpu-1G', 'ops'],
+                ['db0', 'g4-highcpu-4G', 'data, eng']
+            ].forEach(function (m) {
+                sdc.createMachine({
+                    image: images[0].id,
+                    'package': m[1],
+                    name: m[0],
+                    'tag.costcenter': m[2]
+                }, function (err2, machine) {
+                    t.ifError(err2);
+                    server.machines[machine.id].created =
+                        new Date(START).toISOString();
+                    machines[m[0]] = machine;
+                    if (Object.keys(machines).length === 3) {
+                        t.end();
+                    }
+                });
+            });
+        });
+    });
+});
+
+
+test('parsePeriods', function (t) {
+    t.deepEqual(usage.parsePeriods('2019-3'), ['2019-03']);
+    t.deepEqual(usage.parsePeriods('2019-11..2020-02'),
+        ['2019-11', '2019-12', '2020-01', '2020-02']);
+    [
+        ['2019-13', /invalid period "2019-13"/],
+        ['2019-03..2019-01', /ends before it starts/],
+        ['2000-01..2019-01', /longer than 120 months/],
+        ['2019-01..2019-02..2019-03', /invalid period range/]
+    ].forEach(function (c) {
+        t.throws(function () {
+            usage.parsePeriods(c[0]);
+        }, c[1]);
+    });
+    t.end();
+});
+
+
+test('parseGroups', function (t) {
+    t.deepEqual(usage.parseGroups(undefined), ['machine']);
+    t.deepEqual(usage.parseGroups('period, tag.costcenter'),
+        ['period', 'tag.costcenter']);
+    t.throws(function () {
+        usage.parseGroups('machine,image');
+    }, /cannot group usage by "image"/);
+    t.end();
+});
+
+
+test('by machine', function (t) {
+    usage.collectUsage(sdc, {periods: [PERIOD]}, function (err, records) {
+        t.ifError(err);
+        t.equal(records.length, 3);
+        t.deepEqual(records[0].tags, {costcenter: records[0].name === 'db0' ?
+            'data, eng' : 'ops'});
+
+        var rows = usage.summarizeUsage(records, ['machine']);
+        t.equal(rows.length, 3);
+        rows.forEach(function (r) {
+            t.equal(r.hours, HOURS);
+            t.equal(r.machines, 1);
+            t.equal(machines[r.name].id, r.machine);
+        });
+        t.end();
+    });
+});
+
+
+test('by tag and period', function (t) {
+    // The month before, the machines didn't exist yet.
+    var before = new Date(Date.UTC(NOW.getUTCFullYear(),
+        NOW.getUTCMonth() - 2, 1)).toISOString().slice(0, 7);
+
+    usage.collectUsage(sdc, {
+        periods: usage.parsePeriods(before + '..' + PERIOD)
+    }, function (err, records) {
+        t.ifError(err);
+        var rows = usage.summarizeUsage(records, ['tag.costcenter', 'period']);
+        t.deepEqual(rows, [
+            {'tag.costcenter': 'data, eng', period: PERIOD, machines: 1,
+                hours: HOURS},
+            {'tag.costcenter': 'ops', period: PERIOD, machines: 2,
+                hours: HOURS * 2}
+        ]);
+
+        t.equal(output.formatOutput(rows, {
+            mode: 'csv',
+            columns: ['tag.costcenter', 'machines', 'hours']
+        }), [
+            'tag.costcenter,machines,hours',
+            '"data, eng",1,' + HOURS,
+            'ops,2,' + HOURS * 2
+        ].join('\n'));
+        t.end();
+    });
+});
+
+
+test('some machines, by package', function (t) {
+    usage.collectUsage(sdc, {
+        periods: [PERIOD],
+        machines: [machines.web0.id, machines.db0.id]
+    }, function (err, records) {
+        t.ifError(err);
+        t.deepEqual(usage.summarizeUsage(records, ['package']), [
+            {'package': 'g4-highcpu-1G', machines: 1, hours: HOURS},
+            {'package': 'g4-highcpu-4G', machines: 1, hours: HOURS}
+        ]);
+        t.end();
+    });
+});
+
+
+test('records of another shape are an error', function (t) {
+    // A client answering as a CloudAPI with other field names might.
+    var client = {
+        listAllMachines: function (opts, cb) {
+            cb(null, []);
+        },
+        getUsage: function (period, cb) {
+            cb(null, [ {vm: 'x', period: period, duration: 3} ]);
+        }
+    };
+
+    usage.collectUsage(client, {periods: [PERIOD]}, function (err, records) {
+        t.ok(err, 'fails rather than reporting nothing');
+        t.ok(/^unexpected usage record from CloudAPI .*"vm":"x"/.test(
+            err.message), err.message);
+        t.equal(records, undefined);
+        t.end();
+    });
+});
+
+
+test('teardown', function (t) {
+    sdc.client.close();
+    server.close(function () {
+        t.end();
+    });
+});
@@ -0,0 +1,231 @@
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape').test;
+var fs = require('fs');
+var path = require('path');
+var smartdc = require('../lib');
+var mock = require('./lib/mock-cloudapi');
+
+
+var KEY = path.join(__dirname, '.ssh', 'id_rsa');
+
+var server;
+var sdc;
+var image;
+
+// Polls of the mock need not wait long.
+var FAST = {interval: 10, backoff: 1, timeout: 2000};
+
+
+function opts(o) {
+    o = o || {};
+    Object.keys(FAST).forEach(function (k) {
+        if (o[k] === undefined) {
+            o[k] = FAST[k];
+        }
+    });
+    return (o);
+}
+
+
+function createRunning(t, cb) {
+    sdc.createMachine({
+        image: image,
+        'package': 'g4-highcpu-1G'
+    }, function (err, m) {
+        t.ifError(err);
+        sdc.waitForMachineState(m.id, 'running', opts(), function (err2, m2) {
+            t.ifError(err2);
+            cb(m2);
+        });
+    });
+}
+
+
+test('setup', function (t) {
+    server = mock.createServer({
+        keys: [ {name: 'id_rsa', key: fs.readFileSync(KEY + '.pub', 'utf8')} ],
+        delay: 50
+    });
+    server.listen(0, function () {
+        sdc = smartdc.createClient({
+            url: server.url,
+            account: 'test',
+            noCache: true,
+            retryPolicy: false,
+            sign: smartdc.privateKeySigner({
+                key: fs.readFileSync(KEY, 'utf8'),
+                user: 'test'
+            })
+        });
+        sdc.listImages(function (err, images) {
+            t.ifError(err);
+            image = images[0].id;
+            t.end();
+        });
+    });
+});
+
+
+test('wait for a state', function (t) {
+    sdc.createMachine({
+        image: image,
+        'package': 'g4-highcpu-1G'
+    }, function (err, m) {
+        t.ifError(err);
+        t.equal(m.state, 'provisioning');
+        sdc.waitForMachineState(m.id, ['running', 'stopped'], opts(),
+                function (err2, m2) {
+            t.ifError(err2);
+            t.equal(m2.id, m.id);
+            t.equal(m2.state, 'running');
+            t.end();
+        });
+    });
+});
+
+
+test('wait for deleted', function (t) {
+    createRunning(t, function (m) {
+        sdc.deleteMachine(m.id, function (err) {
+            t.ifError(err);
+            sdc.waitForMachineState(m.id, 'deleted', opts(),
+                    function (err2, m2) {
+                t.ifError(err2);
+                t.equal(m2.id, m.id);
+                t.equal(m2.state, 'deleted');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('wait errors', function (t) {
+    createRunning(t, function (m) {
+        sdc.waitForMachineState(m.id, 'stopped', opts({timeout: 100}),
+                function (err) {
+            t.equal(err.code, 'Timeout');
+            t.ok(/to be stopped \(state: running\)/.test(err.message),
+                err.message);
+
+            server.machines[m.id].state = 'failed';
+            sdc.waitForMachineState(m.id, 'running', opts(),
+                    function (err2) {
+                t.equal(err2.code, 'MachineFailed');
+                server.machines[m.id].state = 'running';
+
+                t.throws(function () {
+                    sdc.waitForMachineState(m.id, [], function () {});
+                }, /states \(string\|array\) required/);
+                t.throws(function () {
+                    sdc.waitForMachineState(m.id, 'running', {until: true},
+                        function () {});
+                }, /options.until \(function\) required/);
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('the last poll is at the timeout', function (t) {
+    createRunning(t, function (m) {
+        setTimeout(function () {
+            server.machines[m.id].state = 'stopped';
+        }, 50);
+        // An interval longer than the timeout doesn't end the wait early.
+        sdc.waitForMachineState(m.id, 'stopped',
+                opts({interval: 5000, timeout: 300}), function (err, m2) {
+            t.ifError(err);
+            t.equal(m2.state, 'stopped');
+            server.machines[m.id].state = 'running';
+            t.end();
+        });
+    });
+});
+
+
+test('wait through a reboot', function (t) {
+    createRunning(t, function (m) {
+        sdc.rebootMachine(m.id, function (err) {
+            t.ifError(err);
+
+            // CloudAPI has only accepted the reboot: the machine is still
+            // running, so a plain wait for "running" proves nothing.
+            sdc.waitForMachineState(m.id, 'running', opts(),
+                    function (err2) {
+                t.ifError(err2);
+                t.equal(server._audit[m.id].length, 1, 'not rebooted yet');
+
+                sdc.waitForMachineState(m.id, 'running', opts({leave: true}),
+                        function (err3, m3) {
+                    t.ifError(err3);
+                    t.equal(m3.state, 'running');
+                    t.equal(server._audit[m.id].length, 2);
+                    t.equal(server._audit[m.id][1].action, 'reboot');
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('wait through a reboot over between two polls', function (t) {
+    createRunning(t, function (m) {
+        sdc.rebootMachine(m.id, function (err) {
+            t.ifError(err);
+            sdc.waitForMachineState(m.id, 'running',
+                    opts({leave: true, interval: server.delay * 4}),
+                    function (err2, m2) {
+                t.ifError(err2);
+                t.equal(m2.state, 'running');
+                t.equal(server._audit[m.id][1].action, 'reboot');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('wait to leave a state times out', function (t) {
+    createRunning(t, function (m) {
+        sdc.waitForMachineState(m.id, 'running',
+                opts({leave: true, timeout: 100}), function (err) {
+            t.equal(err.code, 'Timeout');
+            t.ok(/to leave and come back to running/.test(err.message),
+                err.message);
+            t.end();
+        });
+    });
+});
+
+
+test('wait for a resize', function (t) {
+    createRunning(t, function (m) {
+        sdc.resizeMachine(m.id, {'package': 'g4-highcpu-4G'}, function (err) {
+            t.ifError(err);
+            sdc.waitForMachineState(m.id, 'running', opts({
+                until: function (m2) {
+                    return (m2['package'] === 'g4-highcpu-4G');
+                }
+            }), function (err2, m2) {
+                t.ifError(err2);
+                t.equal(m2['package'], 'g4-highcpu-4G');
+                t.equal(m2.memory, 4096);
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('teardown', function (t) {
+    sdc.client.close();
+    server.close(function () {
+        t.end();
+    });
+});